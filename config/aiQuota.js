@@ -0,0 +1,113 @@
+﻿// config/aiQuota.js
+
+/**
+ * Cota diária do assistente de estudos (IA), por usuário: número de requisições e de tokens.
+ *
+ * O limite de cada usuário é, nesta ordem: o definido para o usuário, o definido para o seu papel ou
+ * o padrão (AI_DAILY_REQUEST_LIMIT / AI_DAILY_TOKEN_LIMIT). Admins alteram os dois primeiros em
+ * /api/admin/users/:id/ai-quota e /api/admin/roles/:name/ai-quota.
+ *
+ * O uso fica no banco (tabela ai_usage), por dia em UTC; a cota renova à meia-noite UTC.
+ * Cada requisição é contada antes de chamar o modelo (reserveRequest); os tokens, depois da resposta
+ * (recordTokens). Uma requisição só é recusada pelos tokens quando o total do dia já atingiu o limite,
+ * então a última requisição do dia pode ultrapassá-lo.
+ */
+
+const db = require('./database');
+
+const AI_DAILY_REQUEST_LIMIT = parseInt(process.env.AI_DAILY_REQUEST_LIMIT || '50');
+const AI_DAILY_TOKEN_LIMIT = parseInt(process.env.AI_DAILY_TOKEN_LIMIT || '100000');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Dia de uso (UTC) de um instante.
+ * @param {Date} [now]
+ * @returns {string} YYYY-MM-DD
+ */
+function usageDate(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Instante em que a cota do dia renova (próxima meia-noite UTC).
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function quotaResetAt(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) + DAY_MS);
+}
+
+/**
+ * Limites efetivos de um usuário (usuário -> papel -> padrão).
+ * @param {object} quota - Retorno de db.findAiQuota.
+ * @returns {{dailyRequests: number, dailyTokens: number}}
+ */
+function effectiveLimits(quota) {
+    const pickLimit = (field, fallback) => quota.userLimits[field] ?? quota.roleLimits[field] ?? fallback;
+    return {
+        dailyRequests: pickLimit('dailyRequests', AI_DAILY_REQUEST_LIMIT),
+        dailyTokens: pickLimit('dailyTokens', AI_DAILY_TOKEN_LIMIT),
+    };
+}
+
+/**
+ * Conta uma requisição de IA do usuário, se a cota do dia permitir.
+ * @param {number} userId
+ * @returns {Promise<{allowed: boolean, limits: object, usage: {requests: number, tokens: number}, resetAt: Date}>}
+ *   allowed = false se o limite de requisições ou de tokens do dia já foi atingido (nada é contado).
+ */
+async function reserveRequest(userId) {
+    const now = new Date();
+    const date = usageDate(now);
+    const quota = await db.findAiQuota(userId);
+    const limits = quota ? effectiveLimits(quota) : { dailyRequests: 0, dailyTokens: 0 };
+    const resetAt = quotaResetAt(now);
+
+    const current = await db.findAiUsage(userId, date);
+    if (!quota || current.tokens >= limits.dailyTokens) {
+        return { allowed: false, limits, usage: current, resetAt };
+    }
+    const reserved = await db.reserveAiRequest(userId, date, limits.dailyRequests);
+    if (!reserved) {
+        return { allowed: false, limits, usage: await db.findAiUsage(userId, date), resetAt };
+    }
+    return { allowed: true, limits, usage: reserved, resetAt };
+}
+
+/**
+ * Soma os tokens consumidos por uma requisição ao uso do dia.
+ * @param {number} userId
+ * @param {number} tokens
+ * @returns {Promise<{requests: number, tokens: number}>} Uso do dia após a soma.
+ */
+async function recordTokens(userId, tokens) {
+    return db.addAiTokenUsage(userId, usageDate(), tokens);
+}
+
+/**
+ * Limites (definidos e efetivos) e uso do dia de um usuário, para a administração.
+ * @param {number} userId
+ * @returns {Promise<object|null>} Null se o usuário não existir.
+ */
+async function getUserQuota(userId) {
+    const quota = await db.findAiQuota(userId);
+    if (!quota) return null;
+    const date = usageDate();
+    return {
+        ...quota,
+        defaultLimits: { dailyRequests: AI_DAILY_REQUEST_LIMIT, dailyTokens: AI_DAILY_TOKEN_LIMIT },
+        limits: effectiveLimits(quota),
+        usage: { date, ...(await db.findAiUsage(userId, date)) },
+    };
+}
+
+module.exports = {
+    AI_DAILY_REQUEST_LIMIT,
+    AI_DAILY_TOKEN_LIMIT,
+    usageDate,
+    quotaResetAt,
+    effectiveLimits,
+    reserveRequest,
+    recordTokens,
+    getUserQuota,
+};
@@ -0,0 +1,375 @@
+﻿// config/llmProvider.js
+
+/**
+ * Provedores de LLM usados pelo assistente de estudos (controllers/aiController.js).
+ *
+ * O provedor é plugável:
+ * - 'gemini' (padrão): Google Gemini via @google/generative-ai (exige GOOGLE_API_KEY).
+ * - 'openai': qualquer servidor com a API de chat do OpenAI (POST {LLM_BASE_URL}/chat/completions),
+ *   inclusive servidores locais como Ollama (http://localhost:11434/v1) ou llama.cpp (http://localhost:8080/v1).
+ * - 'fake': respostas determinísticas, sem rede. Use APENAS em testes/dev local.
+ *
+ * A escolha é feita pela variável de ambiente LLM_PROVIDER; o modelo padrão, por LLM_MODEL.
+ * Todo provedor implementa:
+ *   generateText(prompt, { model, onUsage, signal }) -> Promise<string>
+ *   generateJSON(prompt, { model, onUsage, signal }) -> Promise<object>
+ *   stream(prompt, { model, onUsage, signal })       -> AsyncIterable<string> (pedaços do texto, na ordem)
+ * e expõe name, defaultModel e available (false quando falta configuração; as chamadas falham).
+ * onUsage({ totalTokens }) é chamado ao fim de cada geração com os tokens consumidos (informados pelo
+ * provedor ou, se ele não informar, estimados por estimateTokens). É a base da cota de config/aiQuota.js.
+ * signal (AbortSignal, opcional) cancela a chamada ao provedor (ex: o cliente desconectou); um stream
+ * cancelado informa em onUsage a estimativa do que já foi gerado e termina com o erro do cancelamento.
+ *
+ * Um modelo diferente do padrão só pode ser pedido por requisição se o papel do usuário permitir
+ * (LLM_ROLE_MODELS, ver resolveModel).
+ */
+
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+const DEFAULT_GEMINI_MODEL = 'gemini-2.5-pro-preview-03-25';
+const DEFAULT_TIMEOUT_MS = 60000;
+
+/**
+ * Interpreta a resposta JSON de um modelo. Tolera o bloco ```json ... ``` que muitos modelos locais
+ * adicionam mesmo quando instruídos a não fazê-lo.
+ * @param {string} text
+ * @returns {object}
+ * @throws {Error} Se o texto não for JSON válido (error.code = 'INVALID_JSON', error.text = resposta original).
+ */
+function parseJSONResponse(text) {
+    const unfenced = text.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+    try {
+        return JSON.parse(unfenced);
+    } catch (error) {
+        const invalid = new Error(`Resposta do modelo não é um JSON válido: ${error.message}`);
+        invalid.code = 'INVALID_JSON';
+        invalid.text = text;
+        throw invalid;
+    }
+}
+
+/**
+ * Estimativa grosseira de tokens (~4 caracteres por token), para provedores que não informam o uso.
+ * @param {...string} texts
+ * @returns {number}
+ */
+function estimateTokens(...texts) {
+    return texts.reduce((total, text) => total + Math.ceil((text || '').length / 4), 0);
+}
+
+// Informa o uso de uma geração a quem pediu (onUsage é opcional)
+function reportUsage(onUsage, totalTokens, prompt, output) {
+    if (onUsage) onUsage({ totalTokens: totalTokens ?? estimateTokens(prompt, output) });
+}
+
+// Stream cancelado pelo signal: o provedor já cobrou pelo que gerou até ali
+function reportAbortedUsage(signal, onUsage, prompt, output) {
+    if (signal && signal.aborted) reportUsage(onUsage, undefined, prompt, output);
+}
+
+function unavailable(name) {
+    return new Error(`Provedor de LLM '${name}' não configurado.`);
+}
+
+// --- Implementações de Provedor ---
+
+/**
+ * Provedor Google Gemini.
+ * @param {object} options
+ * @param {string} [options.apiKey] - Sem ela, o provedor fica indisponível (available = false).
+ * @param {string} [options.model] - Modelo padrão.
+ * @returns {object} Provedor com generateText/generateJSON/stream.
+ */
+function createGeminiProvider({ apiKey, model = DEFAULT_GEMINI_MODEL } = {}) {
+    // require tardio: o SDK só é necessário quando o provedor Gemini é usado
+    const genAI = apiKey ? new (require('@google/generative-ai').GoogleGenerativeAI)(apiKey) : null;
+
+    const getModel = (name, generationConfig) => {
+        if (!genAI) throw unavailable('gemini');
+        return genAI.getGenerativeModel({ model: name || model, generationConfig });
+    };
+
+    return {
+        name: 'gemini',
+        defaultModel: model,
+        available: Boolean(genAI),
+        async generateText(prompt, { model: name, onUsage, signal } = {}) {
+            const { response } = await getModel(name).generateContent(prompt, { signal });
+            const text = response.text();
+            reportUsage(onUsage, response.usageMetadata?.totalTokenCount, prompt, text);
+            return text;
+        },
+        async generateJSON(prompt, { model: name, onUsage, signal } = {}) {
+            const { response } = await getModel(name, { responseMimeType: 'application/json' }).generateContent(prompt, { signal });
+            const text = response.text();
+            reportUsage(onUsage, response.usageMetadata?.totalTokenCount, prompt, text);
+            return parseJSONResponse(text);
+        },
+        async *stream(prompt, { model: name, onUsage, signal } = {}) {
+            let text = '';
+            try {
+                const result = await getModel(name).generateContentStream(prompt, { signal });
+                for await (const chunk of result.stream) {
+                    text += chunk.text();
+                    yield chunk.text();
+                }
+                const response = await result.response;
+                reportUsage(onUsage, response.usageMetadata?.totalTokenCount, prompt, text);
+            } catch (error) {
+                reportAbortedUsage(signal, onUsage, prompt, text);
+                throw error;
+            }
+        },
+    };
+}
+
+/**
+ * Provedor para servidores compatíveis com a API de chat do OpenAI (OpenAI, Ollama, llama.cpp, vLLM...).
+ * @param {object} options
+ * @param {string} options.baseUrl - URL base da API, incluindo a versão (ex: http://localhost:11434/v1).
+ * @param {string} options.model - Modelo padrão (ex: llama3.1).
+ * @param {string} [options.apiKey] - Enviada como Bearer (opcional para servidores locais).
+ * @param {number} [options.timeoutMs=60000] - Tempo máximo de cada requisição.
+ * @returns {object} Provedor com generateText/generateJSON/stream.
+ */
+function createOpenAICompatibleProvider({ baseUrl, model, apiKey, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const endpoint = baseUrl ? `${baseUrl.replace(/\/+$/, '')}/chat/completions` : null;
+
+    async function post(body, signal) {
+        if (!endpoint || !model) throw unavailable('openai');
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+            },
+            body: JSON.stringify({ model, ...body }),
+            signal: signal ? AbortSignal.any([AbortSignal.timeout(timeoutMs), signal]) : AbortSignal.timeout(timeoutMs),
+        });
+        if (!response.ok) {
+            const detail = (await response.text()).slice(0, 200);
+            throw new Error(`Provedor de LLM respondeu ${response.status}: ${detail}`);
+        }
+        return response;
+    }
+
+    const messages = (prompt) => [{ role: 'user', content: prompt }];
+
+    return {
+        name: 'openai',
+        defaultModel: model,
+        available: Boolean(endpoint && model),
+        async generateText(prompt, { model: name, onUsage, signal } = {}) {
+            const response = await post({ ...(name && { model: name }), messages: messages(prompt) }, signal);
+            const data = await response.json();
+            const text = data.choices?.[0]?.message?.content ?? '';
+            reportUsage(onUsage, data.usage?.total_tokens, prompt, text);
+            return text;
+        },
+        async generateJSON(prompt, { model: name, onUsage, signal } = {}) {
+            const response = await post({
+                ...(name && { model: name }),
+                messages: messages(prompt),
+                response_format: { type: 'json_object' },
+            }, signal);
+            const data = await response.json();
+            const text = data.choices?.[0]?.message?.content ?? '';
+            reportUsage(onUsage, data.usage?.total_tokens, prompt, text);
+            return parseJSONResponse(text);
+        },
+        async *stream(prompt, { model: name, onUsage, signal } = {}) {
+            // Server-Sent Events: linhas "data: {...}", terminando com "data: [DONE]"
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let text = '';
+            let totalTokens;
+            try {
+                const response = await post({
+                    ...(name && { model: name }),
+                    messages: messages(prompt),
+                    stream: true,
+                    stream_options: { include_usage: true }, // Último evento traz 'usage' (servidores que suportam)
+                }, signal);
+                for await (const bytes of response.body) {
+                    buffer += decoder.decode(bytes, { stream: true });
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop();
+                    for (const line of lines) {
+                        const data = line.trim().replace(/^data:\s*/, '');
+                        if (!line.trim().startsWith('data:') || !data || data === '[DONE]') continue;
+                        const event = JSON.parse(data);
+                        totalTokens = event.usage?.total_tokens ?? totalTokens;
+                        const content = event.choices?.[0]?.delta?.content;
+                        if (content) {
+                            text += content;
+                            yield content;
+                        }
+                    }
+                }
+            } catch (error) {
+                reportAbortedUsage(signal, onUsage, prompt, text);
+                throw error;
+            }
+            reportUsage(onUsage, totalTokens, prompt, text);
+        },
+    };
+}
+
+/**
+ * Provedor falso e determinístico (mesmo prompt + modelo -> mesma resposta), sem rede.
+ * As chamadas ficam registradas em `calls` para inspeção nos testes; o uso é sempre estimado (estimateTokens).
+ * @param {object} [options]
+ * @param {string} [options.model='fake-model'] - Modelo padrão.
+ * @param {Function} [options.respond] - (prompt, { model, json }) -> string | object. Substitui as respostas padrão.
+ * @returns {object} Provedor com generateText/generateJSON/stream e calls.
+ */
+function createFakeProvider({ model = 'fake-model', respond } = {}) {
+    const calls = [];
+
+    const answer = (prompt, name, json) => {
+        const usedModel = name || model;
+        calls.push({ prompt, model: usedModel, json });
+        if (respond) return respond(prompt, { model: usedModel, json });
+        const firstLine = prompt.split('\n')[0];
+        if (!json) return `[${usedModel}] ${firstLine}`;
+        // Padrão: plano de estudo válido (3 seções, ver config/studyPlanSchema.js) se o prompt pedir um plano...
+        if (/study plan/i.test(firstLine)) {
+            return {
+                sections: [1, 2, 3].map((n) => ({ title: `[${usedModel}] Seção ${n}`, objectives: [`Objetivo ${n}`] })),
+            };
+        }
+        // ...senão, quiz válido para o assistente de estudos (3 perguntas, ver config/quizSchema.js)
+        return {
+            title: `[${usedModel}] Quiz`,
+            questions: [1, 2, 3].map((n) => ({
+                q: `${n}. ${firstLine}`,
+                opts: ['Verdadeiro', 'Falso'],
+                ans: 'A',
+                exp: `[${usedModel}] Explicação ${n}`,
+            })),
+        };
+    };
+
+    return {
+        name: 'fake',
+        defaultModel: model,
+        available: true,
+        calls,
+        async generateText(prompt, { model: name, onUsage, signal } = {}) {
+            signal?.throwIfAborted();
+            const text = String(answer(prompt, name, false));
+            reportUsage(onUsage, undefined, prompt, text);
+            return text;
+        },
+        async generateJSON(prompt, { model: name, onUsage, signal } = {}) {
+            signal?.throwIfAborted();
+            const result = answer(prompt, name, true);
+            const text = typeof result === 'string' ? result : JSON.stringify(result);
+            reportUsage(onUsage, undefined, prompt, text);
+            return parseJSONResponse(text);
+        },
+        async *stream(prompt, { model: name, onUsage, signal } = {}) {
+            const text = String(answer(prompt, name, false));
+            let streamed = '';
+            for (const piece of text.match(/\S+\s*/g) || []) {
+                if (signal && signal.aborted) {
+                    reportAbortedUsage(signal, onUsage, prompt, streamed);
+                    signal.throwIfAborted();
+                }
+                streamed += piece;
+                yield piece;
+            }
+            reportUsage(onUsage, undefined, prompt, text);
+        },
+    };
+}
+
+function createProviderFromConfig() {
+    if (LLM_PROVIDER === 'openai') {
+        return createOpenAICompatibleProvider({
+            baseUrl: process.env.LLM_BASE_URL,
+            model: process.env.LLM_MODEL,
+            apiKey: process.env.LLM_API_KEY,
+            timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || String(DEFAULT_TIMEOUT_MS)),
+        });
+    }
+    if (LLM_PROVIDER === 'fake') {
+        console.warn('[LLM] Usando provedor FAKE (respostas simuladas). Use apenas em testes/dev local.');
+        return createFakeProvider({ model: process.env.LLM_MODEL || undefined });
+    }
+    if (LLM_PROVIDER !== 'gemini') {
+        console.warn(`[LLM] LLM_PROVIDER desconhecido ('${LLM_PROVIDER}'). Usando 'gemini'.`);
+    }
+    return createGeminiProvider({
+        apiKey: process.env.GOOGLE_API_KEY,
+        model: process.env.LLM_MODEL || DEFAULT_GEMINI_MODEL,
+    });
+}
+
+let provider = null;
+
+/**
+ * Retorna o provedor ativo, criando-o (conforme LLM_PROVIDER) na primeira chamada.
+ * @returns {object}
+ */
+function getLlmProvider() {
+    if (!provider) {
+        provider = createProviderFromConfig();
+        if (provider.available) {
+            console.info(`[LLM] Provedor '${provider.name}' pronto (modelo padrão: ${provider.defaultModel}).`);
+        } else {
+            console.warn(`[LLM] Provedor '${provider.name}' sem configuração (chave/URL/modelo). Recursos de IA indisponíveis.`);
+        }
+    }
+    return provider;
+}
+
+/**
+ * Substitui o provedor ativo (ex: provedor falso nos testes).
+ * @param {object} newProvider - Objeto com generateText/generateJSON/stream.
+ */
+function setLlmProvider(newProvider) {
+    provider = newProvider;
+}
+
+/**
+ * Lê LLM_ROLE_MODELS: "papel=modelo1,modelo2;outro=*" ('*' libera qualquer modelo).
+ * @returns {Map<string, Set<string>>}
+ */
+function parseRoleModels(value = process.env.LLM_ROLE_MODELS || '') {
+    const roleModels = new Map();
+    for (const entry of value.split(';')) {
+        const [role, models = ''] = entry.split('=');
+        if (!role || !role.trim()) continue;
+        roleModels.set(role.trim(), new Set(models.split(',').map((m) => m.trim()).filter(Boolean)));
+    }
+    return roleModels;
+}
+
+/**
+ * Decide o modelo de uma requisição. Sem pedido (ou pedindo o padrão), usa o padrão do provedor;
+ * com outro modelo, o papel do usuário precisa tê-lo (ou '*') em LLM_ROLE_MODELS.
+ * @param {string} [requestedModel] - Modelo pedido na requisição.
+ * @param {string} [role] - Papel do usuário autenticado (sem usuário, só o modelo padrão).
+ * @param {string} [defaultModel] - Modelo padrão do provedor ativo.
+ * @returns {string|undefined} Modelo a usar (undefined = padrão do provedor).
+ * @throws {Error} Se o papel não puder usar o modelo pedido.
+ */
+function resolveModel(requestedModel, role, defaultModel) {
+    if (!requestedModel || requestedModel === defaultModel) return undefined;
+    const allowed = role ? parseRoleModels().get(role) : null;
+    if (!allowed || !(allowed.has('*') || allowed.has(requestedModel))) {
+        throw new Error(`Modelo '${requestedModel}' não permitido para o papel '${role || 'anônimo'}'.`);
+    }
+    return requestedModel;
+}
+
+module.exports = {
+    getLlmProvider,
+    setLlmProvider,
+    resolveModel,
+    parseJSONResponse,
+    estimateTokens,
+    createGeminiProvider,
+    createOpenAICompatibleProvider,
+    createFakeProvider,
+};
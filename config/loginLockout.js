@@ -0,0 +1,87 @@
+﻿// config/loginLockout.js
+
+/**
+ * Proteção contra força bruta por conta (complementa o rate limiter por IP do server.js).
+ *
+ * Cada falha de login incrementa o contador do usuário ("failedLoginAttempts"):
+ * - Abaixo do limite, a próxima tentativa só é aceita após um atraso exponencial
+ *   (LOGIN_BACKOFF_BASE_MS * 2^(falhas - 1), limitado a LOGIN_BACKOFF_MAX_MS).
+ * - Ao atingir LOGIN_MAX_FAILED_ATTEMPTS, a conta fica bloqueada por LOGIN_LOCKOUT_DURATION.
+ * Enquanto houver atraso/bloqueio, a senha nem é conferida. Um login bem-sucedido zera o contador;
+ * um admin pode desbloquear a conta a qualquer momento.
+ *
+ * A tentativa é reservada (contada como falha) ANTES da conferência da senha, em uma única operação no banco:
+ * assim uma rajada de requisições simultâneas não passa toda pela verificação antes de o bloqueio existir.
+ */
+
+const ms = require('ms');
+const db = require('./database');
+
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5');
+const LOGIN_LOCKOUT_DURATION_MS = ms(process.env.LOGIN_LOCKOUT_DURATION || '15m');
+const LOGIN_BACKOFF_BASE_MS = parseInt(process.env.LOGIN_BACKOFF_BASE_MS || '1000');
+const LOGIN_BACKOFF_MAX_MS = parseInt(process.env.LOGIN_BACKOFF_MAX_MS || '30000');
+
+/**
+ * Calcula quanto tempo falta para o usuário poder tentar logar novamente.
+ * @param {object} user - Usuário com failedLoginAttempts, lastFailedLoginAt e lockedUntil.
+ * @returns {{locked: boolean, retryAfterMs: number}} retryAfterMs = 0 se a tentativa é permitida agora.
+ */
+function getLoginThrottle(user) {
+    const now = Date.now();
+    if (user.lockedUntil && new Date(user.lockedUntil).getTime() > now) {
+        return { locked: true, retryAfterMs: new Date(user.lockedUntil).getTime() - now };
+    }
+    const attempts = user.failedLoginAttempts || 0;
+    if (attempts === 0 || !user.lastFailedLoginAt || attempts >= LOGIN_MAX_FAILED_ATTEMPTS) {
+        // Sem falhas recentes, ou bloqueio já expirado (a próxima falha reinicia a contagem)
+        return { locked: false, retryAfterMs: 0 };
+    }
+    const delay = Math.min(LOGIN_BACKOFF_BASE_MS * 2 ** (attempts - 1), LOGIN_BACKOFF_MAX_MS);
+    const retryAfterMs = new Date(user.lastFailedLoginAt).getTime() + delay - now;
+    return { locked: false, retryAfterMs: Math.max(retryAfterMs, 0) };
+}
+
+/**
+ * Reserva uma tentativa de login: se a conta não estiver em atraso/bloqueio, conta a tentativa como falha
+ * (bloqueando a conta se o limite for atingido) antes de a senha ou o código 2FA serem conferidos.
+ * @param {number} userId
+ * @returns {Promise<{claimed: boolean, state: object, previous: object}|null>} claimed = false se a tentativa
+ *   foi recusada (use getLoginThrottle(state) para o tempo de espera); null se o usuário não existir.
+ */
+async function claimLoginAttempt(userId) {
+    return db.claimLoginAttempt(userId, {
+        maxAttempts: LOGIN_MAX_FAILED_ATTEMPTS,
+        lockoutMs: LOGIN_LOCKOUT_DURATION_MS,
+        backoffBaseMs: LOGIN_BACKOFF_BASE_MS,
+        backoffMaxMs: LOGIN_BACKOFF_MAX_MS,
+    });
+}
+
+/**
+ * Desfaz uma tentativa reservada cuja senha estava correta, mas que não concluiu o login
+ * (ex: aguardando o código 2FA, conta desativada).
+ * @param {number} userId
+ * @param {object} claim - Retorno de claimLoginAttempt.
+ * @returns {Promise<boolean>}
+ */
+async function releaseLoginAttempt(userId, claim) {
+    return db.releaseLoginAttempt(userId, claim);
+}
+
+/**
+ * Zera o contador de falhas e remove o bloqueio (login bem-sucedido ou desbloqueio por admin).
+ * @param {number} userId
+ * @returns {Promise<boolean>} False se o usuário não existir/estiver excluído.
+ */
+async function resetFailedLogins(userId) {
+    return db.resetFailedLogins(userId);
+}
+
+module.exports = {
+    LOGIN_MAX_FAILED_ATTEMPTS,
+    getLoginThrottle,
+    claimLoginAttempt,
+    releaseLoginAttempt,
+    resetFailedLogins,
+};
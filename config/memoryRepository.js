@@ -0,0 +1,927 @@
+﻿// config/memoryRepository.js
+
+/**
+ * Repositório em memória: mesmas funções, argumentos, retornos e mensagens de erro do repositório
+ * PostgreSQL (config/postgresRepository.js), com os dados em Maps do próprio processo.
+ *
+ * Use APENAS em testes e desenvolvimento local: nada é persistido nem compartilhado entre instâncias.
+ * Os papéis e permissões padrão (migrações 009, 010 e 012) já vêm cadastrados.
+ *
+ * Transações: withTransaction executa uma transação por vez (o que também faz o papel do
+ * SELECT ... FOR UPDATE de lockInviteCode) e, em caso de erro, desfaz as alterações feitas pelas
+ * funções que receberam o `client` da transação.
+ */
+
+// Catálogo de permissões e atribuições padrão (espelham migrations/010_role_permissions.js e 012_ai_quota.js)
+const DEFAULT_PERMISSIONS = {
+    'invites:create': 'Gerar códigos de convite',
+    'invites:read': 'Listar códigos de convite',
+    'users:create': 'Criar usuários diretamente',
+    'users:read': 'Consultar e listar usuários',
+    'users:update': 'Alterar, desativar, desbloquear usuários, redefinir senhas e encerrar sessões',
+    'users:delete': 'Excluir usuários',
+    'roles:manage': 'Criar e editar papéis e suas permissões',
+    'ai:chat': 'Usar o assistente de estudos (IA)',
+    'ai:manage': 'Ver o uso do assistente de estudos (IA) e alterar as cotas', // migrations/012_ai_quota.js
+};
+const DEFAULT_ROLE_PERMISSIONS = {
+    user: ['ai:chat'],
+    admin: Object.keys(DEFAULT_PERMISSIONS),
+    moderator: ['users:read', 'invites:read', 'ai:chat'],
+};
+
+// Copia apenas as colunas pedidas (equivalente ao SELECT/RETURNING do repositório PostgreSQL)
+function pick(row, columns) {
+    return Object.fromEntries(columns.map((column) => [column, row[column]]));
+}
+
+function toDate(value) {
+    return value === undefined || value === null ? null : new Date(value);
+}
+
+// Compara valores de ordenação (números, strings ou datas; cursores trazem datas como ISO string)
+function compareValues(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        return new Date(a).getTime() - new Date(b).getTime();
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+/**
+ * Ordena, aplica o cursor (keyset) e pagina, no mesmo formato de runPagedQuery do PostgreSQL.
+ * @returns {{rows: Array<object>, total: number}}
+ */
+function paginate(rows, { sort, limit, offset = 0, cursor }) {
+    const sign = sort.direction === 'DESC' ? -1 : 1;
+    const compareRows = (a, b) => sign * (compareValues(a[sort.field], b[sort.field]) || a.id - b.id);
+    let sorted = [...rows].sort(compareRows);
+    if (cursor) {
+        const cursorRow = { [sort.field]: cursor.value, id: cursor.id };
+        sorted = sorted.filter((row) => compareRows(row, cursorRow) > 0);
+    }
+    return { rows: sorted.slice(offset, offset + limit + 1), total: rows.length };
+}
+
+// Mesmas regras de INVITE_CODE_STATUS_SQL
+function inviteCodeStatus(invite, now) {
+    if (invite.revoked_at) return 'revoked';
+    if (invite.use_count >= invite.max_uses) return 'exhausted';
+    if (invite.expires_at && invite.expires_at <= now) return 'expired';
+    return 'active';
+}
+
+const USER_COLUMNS = ['id', 'username', 'email', 'role', 'createdAt', 'disabledAt', 'deletedAt'];
+const INVITE_CODE_COLUMNS = ['id', 'code', 'is_used', 'created_by', 'used_by', 'created_at', 'used_at',
+    'expires_at', 'max_uses', 'use_count', 'role', 'note', 'revoked_at'];
+const SESSION_COLUMNS = ['id', 'user_id', 'current_jti', 'ip', 'user_agent', 'created_at', 'last_used_at', 'expires_at', 'revoked_at'];
+const STUDY_SESSION_COLUMNS = ['id', 'user_id', 'title', 'topic', 'next_action', 'section', 'quiz_correct', 'quiz_answered', 'plan', 'created_at', 'updated_at'];
+const STUDY_MESSAGE_COLUMNS = ['id', 'session_id', 'sender', 'kind', 'section', 'text', 'quiz_data', 'quiz_answers', 'quiz_correct', 'answered_at', 'created_at'];
+const STUDY_MASTERY_COLUMNS = ['id', 'user_id', 'topic_key', 'topic', 'quizzes', 'correct', 'answered', 'mastery',
+    'last_score', 'highest_section', 'created_at', 'updated_at'];
+
+/**
+ * Cria um repositório em memória vazio (apenas com os papéis e permissões padrão).
+ * @returns {object} Repositório com as funções listadas em config/database.js.
+ */
+function createMemoryRepository() {
+    const users = new Map(); // id -> usuário
+    const inviteCodes = new Map(); // code -> convite
+    const passwordResetTokens = [];
+    const recoveryCodes = [];
+    const roles = new Map(); // nome -> { name, description, require_mfa, version, ai_daily_requests, ai_daily_tokens }
+    const permissions = new Map(Object.entries(DEFAULT_PERMISSIONS)); // nome -> descrição
+    const rolePermissions = new Map(); // nome do papel -> Set de permissões
+    const sessions = new Map(); // id -> sessão
+    const aiUsage = new Map(); // 'userId|YYYY-MM-DD' -> { requests, tokens }
+    const studySessions = new Map(); // id -> sessão de estudo
+    const studyMessages = [];
+    const studyMastery = new Map(); // 'userId|topicKey' -> domínio do tópico
+    const sequences = {
+        users: 0, inviteCodes: 0, passwordResetTokens: 0, recoveryCodes: 0, studySessions: 0, studyMessages: 0, studyMastery: 0,
+    };
+    let transactionQueue = Promise.resolve();
+
+    for (const [name, granted] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+        roles.set(name, { name, description: null, require_mfa: false, version: 0, ai_daily_requests: null, ai_daily_tokens: null });
+        rolePermissions.set(name, new Set(granted));
+    }
+
+    // IDs chegam como número ou string (ex: req.params.id), como aceito pelo PostgreSQL
+    const getUser = (userId) => users.get(Number(userId)) || null;
+    const getActiveUser = (userId) => {
+        const user = getUser(userId);
+        return user && !user.deletedAt ? user : null;
+    };
+    const usernameTaken = (username, exceptId) => [...users.values()]
+        .some((user) => user.username === username && user.id !== exceptId);
+    // Registra como desfazer uma alteração, se ela fizer parte de uma transação
+    const onRollback = (client, undo) => {
+        if (client && client.undo) client.undo.push(undo);
+    };
+
+    // --- Transações ---
+
+    async function withTransaction(work) {
+        const previous = transactionQueue;
+        let release;
+        transactionQueue = new Promise((resolve) => { release = resolve; });
+        await previous;
+        const client = { undo: [] };
+        try {
+            return await work(client);
+        } catch (error) {
+            for (const undo of client.undo.reverse()) undo();
+            throw error;
+        } finally {
+            release();
+        }
+    }
+
+    // --- Funções de Usuário (User Functions) ---
+
+    async function findUserByUsername(username) {
+        const user = [...users.values()].find((u) => u.username === username);
+        return user ? pick(user, ['id', 'username', 'email', 'passwordHash', 'role', 'tokenVersion', 'disabledAt', 'deletedAt',
+            'failedLoginAttempts', 'lastFailedLoginAt', 'lockedUntil', 'totpEnabledAt']) : null;
+    }
+
+    async function findUserById(userId) {
+        const user = getUser(userId);
+        return user ? pick(user, ['id', 'username', 'email', 'role', 'createdAt', 'tokenVersion', 'disabledAt', 'deletedAt',
+            'failedLoginAttempts', 'lockedUntil']) : null;
+    }
+
+    async function findPasswordHashByUserId(userId) {
+        const user = getActiveUser(userId);
+        return user ? user.passwordHash : null;
+    }
+
+    async function addUser({ username, passwordHash, role, email }, client) {
+        if (usernameTaken(username)) {
+            throw new Error('Nome de usuário já existe.');
+        }
+        if (!roles.has(role || 'user')) {
+            throw new Error('Erro ao inserir usuário no banco de dados.');
+        }
+        const user = {
+            id: ++sequences.users,
+            username,
+            email: email || null,
+            passwordHash,
+            role: role || 'user',
+            createdAt: new Date(),
+            tokenVersion: 0,
+            disabledAt: null,
+            deletedAt: null,
+            failedLoginAttempts: 0,
+            lastFailedLoginAt: null,
+            lockedUntil: null,
+            totpSecret: null,
+            totpEnabledAt: null,
+            totpLastUsedStep: null,
+            aiDailyRequests: null,
+            aiDailyTokens: null,
+        };
+        users.set(user.id, user);
+        onRollback(client, () => users.delete(user.id));
+        return pick(user, ['id', 'username', 'email', 'createdAt', 'role']);
+    }
+
+    async function listUsers({ role, q, createdFrom, createdTo, sort, limit, offset, cursor }) {
+        const now = new Date();
+        const rows = [...users.values()]
+            .filter((user) => !role || user.role === role)
+            .filter((user) => !q || user.username.toLowerCase().includes(q.toLowerCase()))
+            .filter((user) => !createdFrom || user.createdAt >= toDate(createdFrom))
+            .filter((user) => !createdTo || user.createdAt <= toDate(createdTo))
+            .map((user) => ({
+                ...pick(user, [...USER_COLUMNS, 'failedLoginAttempts', 'lockedUntil']),
+                locked: Boolean(user.lockedUntil && user.lockedUntil > now),
+                mfaEnabled: user.totpEnabledAt !== null,
+            }));
+        return paginate(rows, { sort, limit, offset, cursor });
+    }
+
+    async function findUserAuthState(userId) {
+        const user = getUser(userId);
+        return user ? pick(user, ['id', 'role', 'tokenVersion', 'disabledAt', 'deletedAt']) : null;
+    }
+
+    async function incrementTokenVersion(userId) {
+        const user = getUser(userId);
+        if (!user) return null;
+        user.tokenVersion += 1;
+        return user.tokenVersion;
+    }
+
+    async function updateUser(userId, { username, email, role }) {
+        if (username === undefined && email === undefined && role === undefined) {
+            return findUserById(userId);
+        }
+        const user = getActiveUser(userId);
+        if (!user) return null;
+        if (username !== undefined && usernameTaken(username, user.id)) {
+            throw new Error('Nome de usuário já existe.');
+        }
+        if (role !== undefined && !roles.has(role)) {
+            throw new Error('Erro ao atualizar usuário.');
+        }
+        if (username !== undefined) user.username = username;
+        if (email !== undefined) user.email = email;
+        if (role !== undefined) user.role = role;
+        return pick(user, USER_COLUMNS);
+    }
+
+    // Mesma regra do PostgreSQL; sem await entre a verificação e a atualização, então é atômico
+    async function claimLoginAttempt(userId, { maxAttempts, lockoutMs, backoffBaseMs, backoffMaxMs }) {
+        const user = getActiveUser(userId);
+        if (!user) return null;
+        const now = new Date();
+        const previous = pick(user, ['failedLoginAttempts', 'lastFailedLoginAt', 'lockedUntil']);
+        const attemptsSoFar = user.failedLoginAttempts;
+        const locked = Boolean(user.lockedUntil && user.lockedUntil > now);
+        const backoff = attemptsSoFar > 0 && attemptsSoFar < maxAttempts && user.lastFailedLoginAt
+            && user.lastFailedLoginAt.getTime() + Math.min(backoffBaseMs * 2 ** (attemptsSoFar - 1), backoffMaxMs) > now.getTime();
+        if (locked || backoff) {
+            return { claimed: false, state: previous, previous };
+        }
+
+        const restart = Boolean((user.lockedUntil && user.lockedUntil <= now)
+            || (user.lastFailedLoginAt && user.lastFailedLoginAt.getTime() <= now.getTime() - lockoutMs));
+        const attempts = restart ? 1 : attemptsSoFar + 1;
+        if (attempts >= maxAttempts) {
+            user.lockedUntil = new Date(now.getTime() + lockoutMs);
+        } else if (restart) {
+            user.lockedUntil = null;
+        }
+        user.failedLoginAttempts = attempts;
+        user.lastFailedLoginAt = now;
+        return { claimed: true, state: pick(user, ['failedLoginAttempts', 'lastFailedLoginAt', 'lockedUntil']), previous };
+    }
+
+    async function releaseLoginAttempt(userId, { state, previous }) {
+        const user = getUser(userId);
+        if (!user || user.failedLoginAttempts !== state.failedLoginAttempts) return false;
+        Object.assign(user, previous);
+        return true;
+    }
+
+    async function resetFailedLogins(userId) {
+        const user = getActiveUser(userId);
+        if (!user) return false;
+        user.failedLoginAttempts = 0;
+        user.lastFailedLoginAt = null;
+        user.lockedUntil = null;
+        return true;
+    }
+
+    async function setUserDisabled(userId, disabled) {
+        const user = getActiveUser(userId);
+        if (!user) return null;
+        user.disabledAt = disabled ? user.disabledAt || new Date() : null;
+        return pick(user, ['id', 'username', 'role', 'createdAt', 'disabledAt', 'deletedAt']);
+    }
+
+    async function softDeleteUser(userId) {
+        const user = getActiveUser(userId);
+        if (!user) return false;
+        user.deletedAt = new Date();
+        return true;
+    }
+
+    async function updateUserPassword(userId, passwordHash) {
+        const user = getActiveUser(userId);
+        if (!user) return false;
+        user.passwordHash = passwordHash;
+        return true;
+    }
+
+    // --- Funções de Código de Convite (Invite Code Functions) ---
+
+    async function addInviteCode(code, adminUserId, { expiresAt, maxUses = 1, role, note } = {}) {
+        if (inviteCodes.has(code)) {
+            throw new Error('Código de convite duplicado.');
+        }
+        if (role && !roles.has(role)) {
+            throw new Error('Erro ao salvar código de convite.');
+        }
+        const invite = {
+            id: ++sequences.inviteCodes,
+            code,
+            is_used: false,
+            created_by: adminUserId ? Number(adminUserId) : null,
+            used_by: null,
+            created_at: new Date(),
+            used_at: null,
+            expires_at: toDate(expiresAt),
+            max_uses: maxUses,
+            use_count: 0,
+            role: role || null,
+            note: note || null,
+            revoked_at: null,
+        };
+        inviteCodes.set(code, invite);
+        return pick(invite, INVITE_CODE_COLUMNS);
+    }
+
+    async function findInviteCode(code) {
+        const invite = inviteCodes.get(code);
+        return invite ? pick(invite, INVITE_CODE_COLUMNS) : null;
+    }
+
+    async function lockInviteCode(code) {
+        return findInviteCode(code);
+    }
+
+    async function markInviteCodeAsUsed(code, userId, client) {
+        const invite = inviteCodes.get(code);
+        if (!invite || inviteCodeStatus(invite, new Date()) !== 'active') {
+            return false;
+        }
+        const previous = pick(invite, ['use_count', 'is_used', 'used_by', 'used_at']);
+        invite.use_count += 1;
+        invite.is_used = invite.use_count >= invite.max_uses;
+        invite.used_by = Number(userId);
+        invite.used_at = new Date();
+        onRollback(client, () => Object.assign(invite, previous));
+        return true;
+    }
+
+    async function revokeInviteCode(code) {
+        const invite = inviteCodes.get(code);
+        if (!invite || invite.revoked_at || invite.use_count >= invite.max_uses) return null;
+        invite.revoked_at = new Date();
+        return pick(invite, INVITE_CODE_COLUMNS);
+    }
+
+    async function listInviteCodes({ isUsed, status, createdBy, createdFrom, createdTo, sort, limit, offset, cursor }) {
+        const now = new Date();
+        const usernameOf = (userId) => (userId && getUser(userId) ? getUser(userId).username : null);
+        const rows = [...inviteCodes.values()]
+            .filter((invite) => isUsed === undefined || invite.is_used === isUsed)
+            .filter((invite) => !status || inviteCodeStatus(invite, now) === status)
+            .filter((invite) => !createdBy || invite.created_by === Number(createdBy))
+            .filter((invite) => !createdFrom || invite.created_at >= toDate(createdFrom))
+            .filter((invite) => !createdTo || invite.created_at <= toDate(createdTo))
+            .map((invite) => ({
+                id: invite.id,
+                code: invite.code,
+                is_used: invite.is_used,
+                created_by: invite.created_by,
+                created_by_username: usernameOf(invite.created_by),
+                used_by: invite.used_by,
+                used_by_username: usernameOf(invite.used_by),
+                ...pick(invite, ['created_at', 'used_at', 'expires_at', 'max_uses', 'use_count', 'role', 'note', 'revoked_at']),
+                status: inviteCodeStatus(invite, now),
+            }));
+        return paginate(rows, { sort, limit, offset, cursor });
+    }
+
+    // --- Funções de Redefinição de Senha (Password Reset Functions) ---
+
+    async function addPasswordResetToken({ userId, tokenHash, expiresAt, ip }) {
+        if (!getUser(userId) || passwordResetTokens.some((token) => token.token_hash === tokenHash)) {
+            throw new Error('Erro ao registrar token de redefinição de senha.');
+        }
+        // Apenas o pedido mais recente vale
+        for (let i = passwordResetTokens.length - 1; i >= 0; i--) {
+            const token = passwordResetTokens[i];
+            if (token.user_id === Number(userId) && !token.used_at) passwordResetTokens.splice(i, 1);
+        }
+        passwordResetTokens.push({
+            id: ++sequences.passwordResetTokens,
+            user_id: Number(userId),
+            token_hash: tokenHash,
+            requested_ip: ip || null,
+            created_at: new Date(),
+            expires_at: toDate(expiresAt),
+            used_at: null,
+        });
+    }
+
+    async function consumePasswordResetToken(tokenHash) {
+        const now = new Date();
+        const token = passwordResetTokens.find((t) => t.token_hash === tokenHash && !t.used_at && t.expires_at > now);
+        if (!token) return null;
+        token.used_at = now;
+        return token.user_id;
+    }
+
+    // --- Funções de 2FA (MFA Functions) ---
+
+    async function findUserMfaState(userId) {
+        const user = getUser(userId);
+        return user ? pick(user, ['id', 'username', 'role', 'tokenVersion', 'disabledAt', 'deletedAt',
+            'failedLoginAttempts', 'lastFailedLoginAt', 'lockedUntil', 'totpSecret', 'totpEnabledAt']) : null;
+    }
+
+    async function setPendingTotpSecret(userId, secret) {
+        const user = getActiveUser(userId);
+        if (!user || user.totpEnabledAt) return false;
+        user.totpSecret = secret;
+        return true;
+    }
+
+    async function enableTotp(userId, usedStep) {
+        const user = getUser(userId);
+        if (!user || !user.totpSecret || user.totpEnabledAt) return false;
+        user.totpEnabledAt = new Date();
+        user.totpLastUsedStep = usedStep;
+        return true;
+    }
+
+    async function disableTotp(userId) {
+        removeRecoveryCodes(userId);
+        const user = getUser(userId);
+        if (!user || !user.totpSecret) return false;
+        user.totpSecret = null;
+        user.totpEnabledAt = null;
+        user.totpLastUsedStep = null;
+        return true;
+    }
+
+    async function markTotpStepUsed(userId, step) {
+        const user = getUser(userId);
+        if (!user || (user.totpLastUsedStep !== null && user.totpLastUsedStep >= step)) return false;
+        user.totpLastUsedStep = step;
+        return true;
+    }
+
+    function removeRecoveryCodes(userId) {
+        for (let i = recoveryCodes.length - 1; i >= 0; i--) {
+            if (recoveryCodes[i].user_id === Number(userId)) recoveryCodes.splice(i, 1);
+        }
+    }
+
+    async function replaceRecoveryCodes(userId, codeHashes) {
+        if (!getUser(userId)) {
+            throw new Error('Erro ao gerar códigos de recuperação.');
+        }
+        removeRecoveryCodes(userId);
+        for (const codeHash of codeHashes) {
+            recoveryCodes.push({
+                id: ++sequences.recoveryCodes,
+                user_id: Number(userId),
+                code_hash: codeHash,
+                created_at: new Date(),
+                used_at: null,
+            });
+        }
+    }
+
+    async function consumeRecoveryCode(userId, codeHash) {
+        const recoveryCode = recoveryCodes.find((c) => c.user_id === Number(userId) && c.code_hash === codeHash && !c.used_at);
+        if (!recoveryCode) return false;
+        recoveryCode.used_at = new Date();
+        return true;
+    }
+
+    // --- Funções de Papéis (Role Functions) ---
+
+    const formatRole = (role) => ({ ...role, permissions: [...rolePermissions.get(role.name)].sort() });
+    const allPermissionsExist = (names) => names.every((name) => permissions.has(name));
+
+    async function findRoleByName(name) {
+        const role = roles.get(name);
+        return role ? formatRole(role) : null;
+    }
+
+    async function listRoles() {
+        return [...roles.values()].sort((a, b) => compareValues(a.name, b.name)).map(formatRole);
+    }
+
+    async function addRole({ name, description, requireMfa = false, permissions: granted = [] }) {
+        if (roles.has(name)) {
+            throw new Error('Papel já existe.');
+        }
+        if (!allPermissionsExist(granted)) {
+            throw new Error('Erro ao criar papel.');
+        }
+        roles.set(name, {
+            name, description: description || null, require_mfa: requireMfa, version: 0, ai_daily_requests: null, ai_daily_tokens: null,
+        });
+        rolePermissions.set(name, new Set(granted));
+        return findRoleByName(name);
+    }
+
+    async function updateRole(name, { description, requireMfa }) {
+        const role = roles.get(name);
+        if (!role) return null;
+        if (description !== undefined) role.description = description;
+        if (requireMfa !== undefined) role.require_mfa = requireMfa;
+        return formatRole(role);
+    }
+
+    async function setRolePermissions(name, granted) {
+        if (!allPermissionsExist(granted)) {
+            throw new Error('Erro ao atualizar permissões do papel.');
+        }
+        const role = roles.get(name);
+        if (!role) return null;
+        role.version += 1;
+        rolePermissions.set(name, new Set(granted));
+        return formatRole(role);
+    }
+
+    async function deleteRole(name) {
+        if (!roles.has(name)) return false;
+        const inUse = [...users.values()].some((user) => user.role === name)
+            || [...inviteCodes.values()].some((invite) => invite.role === name);
+        if (inUse) {
+            throw new Error('Papel em uso.');
+        }
+        roles.delete(name);
+        rolePermissions.delete(name);
+        return true;
+    }
+
+    async function listPermissions() {
+        return [...permissions.entries()]
+            .map(([name, description]) => ({ name, description }))
+            .sort((a, b) => compareValues(a.name, b.name));
+    }
+
+    // --- Funções de Sessão (Session Functions) ---
+
+    async function addSession({ id, userId, jti, ip, userAgent, expiresAt }) {
+        if (sessions.has(id) || !getUser(userId)) {
+            throw new Error('Erro ao registrar sessão.');
+        }
+        const now = new Date();
+        const session = {
+            id,
+            user_id: Number(userId),
+            current_jti: jti,
+            ip: ip || null,
+            user_agent: userAgent || null,
+            created_at: now,
+            last_used_at: now,
+            expires_at: toDate(expiresAt),
+            revoked_at: null,
+        };
+        sessions.set(id, session);
+        return pick(session, ['id', 'user_id', 'created_at', 'last_used_at', 'ip', 'user_agent', 'expires_at']);
+    }
+
+    async function findSessionById(id) {
+        const session = sessions.get(id);
+        return session ? pick(session, SESSION_COLUMNS) : null;
+    }
+
+    async function findActiveSessionsByUserId(userId) {
+        const now = new Date();
+        return [...sessions.values()]
+            .filter((s) => s.user_id === Number(userId) && !s.revoked_at && s.expires_at > now)
+            .sort((a, b) => b.last_used_at - a.last_used_at)
+            .map((s) => pick(s, ['id', 'ip', 'user_agent', 'created_at', 'last_used_at', 'expires_at']));
+    }
+
+    async function rotateSession(id, previousJti, { jti, ip, userAgent, expiresAt }) {
+        const session = sessions.get(id);
+        if (!session || session.current_jti !== previousJti || session.revoked_at) return false;
+        session.current_jti = jti;
+        session.ip = ip || session.ip;
+        session.user_agent = userAgent || session.user_agent;
+        session.expires_at = toDate(expiresAt);
+        session.last_used_at = new Date();
+        return true;
+    }
+
+    async function revokeSessions({ id, userId, exceptId }) {
+        if (!id && !userId) {
+            throw new Error('revokeSessions requer id ou userId.');
+        }
+        const now = new Date();
+        const revoked = [...sessions.values()].filter((s) => !s.revoked_at
+            && (!id || s.id === id)
+            && (!userId || s.user_id === Number(userId))
+            && (!exceptId || s.id !== exceptId));
+        for (const session of revoked) {
+            session.revoked_at = now;
+        }
+        return revoked.map((s) => pick(s, ['id', 'expires_at']));
+    }
+
+    // --- Funções de Cota de IA (AI Quota Functions) ---
+
+    const usageKey = (userId, date) => `${Number(userId)}|${date}`;
+    const toAiQuota = (user) => {
+        const role = roles.get(user.role);
+        return {
+            userId: user.id,
+            role: user.role,
+            userLimits: { dailyRequests: user.aiDailyRequests, dailyTokens: user.aiDailyTokens },
+            roleLimits: { dailyRequests: role ? role.ai_daily_requests : null, dailyTokens: role ? role.ai_daily_tokens : null },
+        };
+    };
+    // Aplica apenas os campos informados (undefined = não altera)
+    const assignQuota = (target, columns, limits) => {
+        for (const [field, column] of Object.entries(columns)) {
+            if (limits[field] !== undefined) target[column] = limits[field];
+        }
+    };
+
+    async function findAiQuota(userId) {
+        const user = getUser(userId);
+        return user ? toAiQuota(user) : null;
+    }
+
+    async function findAiUsage(userId, date) {
+        const usage = aiUsage.get(usageKey(userId, date));
+        return usage ? { ...usage } : { requests: 0, tokens: 0 };
+    }
+
+    async function reserveAiRequest(userId, date, maxRequests) {
+        if (!getUser(userId)) {
+            throw new Error('Erro ao registrar uso de IA.');
+        }
+        const key = usageKey(userId, date);
+        const usage = aiUsage.get(key) || { requests: 0, tokens: 0 };
+        if (usage.requests >= maxRequests) return null;
+        usage.requests += 1;
+        aiUsage.set(key, usage);
+        return { ...usage };
+    }
+
+    async function addAiTokenUsage(userId, date, tokens) {
+        if (!getUser(userId)) {
+            throw new Error('Erro ao registrar uso de IA.');
+        }
+        const key = usageKey(userId, date);
+        const usage = aiUsage.get(key) || { requests: 0, tokens: 0 };
+        usage.tokens += tokens;
+        aiUsage.set(key, usage);
+        return { ...usage };
+    }
+
+    async function listAiUsage({ date, userId }) {
+        return [...aiUsage.entries()]
+            .map(([key, usage]) => {
+                const [id, usageDate] = key.split('|');
+                const user = getUser(id);
+                return usageDate === date && (!userId || user.id === Number(userId))
+                    ? { ...toAiQuota(user), username: user.username, ...usage }
+                    : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.tokens - a.tokens || b.requests - a.requests || a.userId - b.userId);
+    }
+
+    async function setUserAiQuota(userId, limits) {
+        const user = getUser(userId);
+        if (!user) return null;
+        assignQuota(user, { dailyRequests: 'aiDailyRequests', dailyTokens: 'aiDailyTokens' }, limits);
+        return toAiQuota(user);
+    }
+
+    async function setRoleAiQuota(name, limits) {
+        const role = roles.get(name);
+        if (!role) return null;
+        assignQuota(role, { dailyRequests: 'ai_daily_requests', dailyTokens: 'ai_daily_tokens' }, limits);
+        return formatRole(role);
+    }
+
+    // --- Funções de Sessões de Estudo (Study Session Functions) ---
+
+    const getStudySession = (id, userId) => {
+        const session = studySessions.get(Number(id));
+        return session && session.user_id === Number(userId) ? session : null;
+    };
+    // Cópia do plano, como o JSONB (quem lê a sessão não altera o plano guardado)
+    const toStudySession = (session) => ({ ...pick(session, STUDY_SESSION_COLUMNS), plan: session.plan && structuredClone(session.plan) });
+    const insertStudyMessages = (sessionId, messages, now) => {
+        for (const { sender, kind, section, text, quizData } of messages) {
+            studyMessages.push({
+                id: ++sequences.studyMessages,
+                session_id: sessionId,
+                sender,
+                kind,
+                section: section ?? null,
+                text: text ?? null,
+                quiz_data: quizData === undefined || quizData === null ? null : structuredClone(quizData), // Cópia, como o JSONB
+                quiz_answers: null,
+                quiz_correct: null,
+                answered_at: null,
+                created_at: now,
+            });
+        }
+    };
+
+    async function addStudySession({ userId, title, topic, nextAction = 'explain', section = 1, plan = null, messages = [] }) {
+        if (!getUser(userId)) {
+            throw new Error('Erro ao salvar sessão de estudo.');
+        }
+        const now = new Date();
+        const session = {
+            id: ++sequences.studySessions,
+            user_id: Number(userId),
+            title,
+            topic,
+            next_action: nextAction,
+            section,
+            quiz_correct: 0,
+            quiz_answered: 0,
+            plan: plan && structuredClone(plan),
+            created_at: now,
+            updated_at: now,
+        };
+        studySessions.set(session.id, session);
+        insertStudyMessages(session.id, messages, now);
+        return toStudySession(session);
+    }
+
+    async function findStudySession(id, userId) {
+        const session = getStudySession(id, userId);
+        return session ? toStudySession(session) : null;
+    }
+
+    async function listStudySessions({ userId, sort, limit, offset, cursor }) {
+        const rows = [...studySessions.values()]
+            .filter((session) => session.user_id === Number(userId))
+            .map((session) => ({
+                ...toStudySession(session),
+                message_count: studyMessages.filter((message) => message.session_id === session.id).length,
+            }));
+        return paginate(rows, { sort, limit, offset, cursor });
+    }
+
+    async function listStudyMessages(sessionId) {
+        return studyMessages
+            .filter((message) => message.session_id === Number(sessionId))
+            .map((message) => ({
+                ...pick(message, STUDY_MESSAGE_COLUMNS),
+                quiz_data: message.quiz_data && structuredClone(message.quiz_data),
+                quiz_answers: message.quiz_answers && [...message.quiz_answers],
+            }));
+    }
+
+    async function advanceStudySession(id, userId, { from, to, messages = [], plan = null }) {
+        const session = getStudySession(id, userId);
+        if (!session || session.next_action !== from.nextAction || session.section !== from.section) return null;
+        const now = new Date();
+        session.next_action = to.nextAction;
+        session.section = to.section;
+        if (!session.plan && plan) session.plan = structuredClone(plan);
+        session.updated_at = now;
+        insertStudyMessages(session.id, messages, now);
+        return toStudySession(session);
+    }
+
+    async function answerStudyQuiz(id, userId, messageId, { answers, correct, next, mastery }) {
+        const session = getStudySession(id, userId);
+        const message = session && studyMessages.find((m) => m.id === Number(messageId) && m.session_id === session.id);
+        if (!message || message.kind !== 'quiz' || message.quiz_answers !== null) return null;
+        const now = new Date();
+        message.quiz_answers = [...answers];
+        message.quiz_correct = correct;
+        message.answered_at = now;
+        session.quiz_correct += correct;
+        session.quiz_answered += answers.length;
+        if (next && session.next_action === next.from.nextAction && session.section === next.from.section) {
+            session.next_action = next.to.nextAction;
+            session.section = next.to.section;
+        }
+        session.updated_at = now;
+        if (!mastery) return { session: toStudySession(session), mastery: null };
+
+        const key = `${session.user_id}|${mastery.topicKey}`;
+        const row = studyMastery.get(key) || {
+            id: ++sequences.studyMastery,
+            user_id: session.user_id,
+            topic_key: mastery.topicKey,
+            quizzes: 0,
+            correct: 0,
+            answered: 0,
+            highest_section: 0,
+            created_at: now,
+        };
+        Object.assign(row, {
+            topic: mastery.topic,
+            quizzes: row.quizzes + 1,
+            correct: row.correct + correct,
+            answered: row.answered + answers.length,
+            mastery: mastery.value,
+            last_score: correct / answers.length,
+            highest_section: Math.max(row.highest_section, mastery.section),
+            updated_at: now,
+        });
+        studyMastery.set(key, row);
+        return { session: toStudySession(session), mastery: pick(row, STUDY_MASTERY_COLUMNS) };
+    }
+
+    async function renameStudySession(id, userId, title) {
+        const session = getStudySession(id, userId);
+        if (!session) return null;
+        session.title = title;
+        session.updated_at = new Date();
+        return toStudySession(session);
+    }
+
+    async function setStudyPlan(id, userId, plan) {
+        const session = getStudySession(id, userId);
+        if (!session) return null;
+        session.plan = structuredClone(plan);
+        session.updated_at = new Date();
+        return toStudySession(session);
+    }
+
+    async function deleteStudySession(id, userId) {
+        const session = getStudySession(id, userId);
+        if (!session) return false;
+        studySessions.delete(session.id);
+        for (let i = studyMessages.length - 1; i >= 0; i--) {
+            if (studyMessages[i].session_id === session.id) studyMessages.splice(i, 1);
+        }
+        return true;
+    }
+
+    async function findStudyMastery(userId, topicKey) {
+        const row = studyMastery.get(`${Number(userId)}|${topicKey}`);
+        return row ? pick(row, STUDY_MASTERY_COLUMNS) : null;
+    }
+
+    async function listStudyMastery({ userId, topicKey, sort, limit, offset, cursor }) {
+        const rows = [...studyMastery.values()]
+            .filter((row) => row.user_id === Number(userId) && (topicKey === undefined || row.topic_key === topicKey))
+            .map((row) => pick(row, STUDY_MASTERY_COLUMNS));
+        return paginate(rows, { sort, limit, offset, cursor });
+    }
+
+    return {
+        withTransaction,
+        // User functions
+        findUserByUsername,
+        findUserById,
+        findPasswordHashByUserId,
+        addUser,
+        listUsers,
+        findUserAuthState,
+        incrementTokenVersion,
+        updateUser,
+        setUserDisabled,
+        softDeleteUser,
+        updateUserPassword,
+        claimLoginAttempt,
+        releaseLoginAttempt,
+        resetFailedLogins,
+        // Invite code functions
+        addInviteCode,
+        findInviteCode,
+        lockInviteCode,
+        markInviteCodeAsUsed,
+        revokeInviteCode,
+        listInviteCodes,
+        // Password reset functions
+        addPasswordResetToken,
+        consumePasswordResetToken,
+        // MFA functions
+        findUserMfaState,
+        setPendingTotpSecret,
+        enableTotp,
+        disableTotp,
+        markTotpStepUsed,
+        replaceRecoveryCodes,
+        consumeRecoveryCode,
+        // Role functions
+        findRoleByName,
+        listRoles,
+        addRole,
+        updateRole,
+        setRolePermissions,
+        deleteRole,
+        listPermissions,
+        // Session functions
+        addSession,
+        findSessionById,
+        findActiveSessionsByUserId,
+        rotateSession,
+        revokeSessions,
+        // AI quota functions
+        findAiQuota,
+        findAiUsage,
+        reserveAiRequest,
+        addAiTokenUsage,
+        listAiUsage,
+        setUserAiQuota,
+        setRoleAiQuota,
+        // Study session functions
+        addStudySession,
+        findStudySession,
+        listStudySessions,
+        listStudyMessages,
+        advanceStudySession,
+        answerStudyQuiz,
+        renameStudySession,
+        setStudyPlan,
+        deleteStudySession,
+        findStudyMastery,
+        listStudyMastery,
+    };
+}
+
+module.exports = {
+    createMemoryRepository,
+};
@@ -0,0 +1,101 @@
+﻿// config/mfa.js
+
+/**
+ * Autenticação em dois fatores (2FA/TOTP): token de login pendente e códigos de recuperação.
+ *
+ * Fluxo de login com 2FA:
+ * 1. /login confere a senha e, se o usuário tiver 2FA (ou o papel exigir), responde com um
+ *    "mfa token" de curta duração em vez dos tokens reais.
+ * 2. /login/2fa recebe o mfa token + código TOTP (ou código de recuperação) e só então emite os tokens.
+ * Se o papel exige 2FA e o usuário ainda não o cadastrou, o mfa token (com 'enroll') permite usar
+ * /2fa/setup e /2fa/verify para cadastrar o 2FA e concluir o login.
+ *
+ * O mfa token é assinado com um segredo DERIVADO de JWT_SECRET: assim ele nunca é aceito como
+ * Access Token pelo middleware (nem o contrário).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./database');
+
+const MFA_TOKEN_EXPIRES_IN = process.env.MFA_TOKEN_EXPIRES_IN || '5m';
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Auth API';
+const RECOVERY_CODES_COUNT = 10;
+
+function getMfaTokenSecret() {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('mfa-pending-token').digest('hex');
+}
+
+/**
+ * Gera o token de login pendente de 2FA.
+ * @param {object} user - Usuário (id).
+ * @param {object} [options]
+ * @param {boolean} [options.enroll=false] - O usuário precisa cadastrar o 2FA para concluir o login.
+ * @returns {string}
+ */
+function generateMfaToken(user, { enroll = false } = {}) {
+    return jwt.sign({ id: user.id, purpose: 'mfa', enroll }, getMfaTokenSecret(), { expiresIn: MFA_TOKEN_EXPIRES_IN });
+}
+
+/**
+ * Valida um mfa token.
+ * @param {string} token
+ * @returns {{id: number, enroll: boolean}|null} Null se inválido ou expirado.
+ */
+function verifyMfaToken(token) {
+    try {
+        const decoded = jwt.verify(token, getMfaTokenSecret());
+        return decoded.purpose === 'mfa' ? { id: decoded.id, enroll: Boolean(decoded.enroll) } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Normaliza e calcula o hash de um código de recuperação (apenas o hash é salvo).
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Gera um novo conjunto de códigos de recuperação (substitui os anteriores).
+ * @param {number} userId
+ * @returns {Promise<string[]>} Os códigos em texto puro (exibidos ao usuário UMA única vez).
+ */
+async function regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex'); // 10 caracteres hex
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    await db.replaceRecoveryCodes(userId, codes.map(hashRecoveryCode));
+    return codes;
+}
+
+/**
+ * Consome um código de recuperação (uso único).
+ * @returns {Promise<boolean>} True se o código era válido e ainda não usado.
+ */
+async function consumeRecoveryCode(userId, code) {
+    return db.consumeRecoveryCode(userId, hashRecoveryCode(code));
+}
+
+/**
+ * Verifica se o papel exige 2FA (configurado por admins na tabela `roles`).
+ * @param {string} role
+ * @returns {Promise<boolean>}
+ */
+async function isMfaRequiredForRole(role) {
+    const roleData = await db.findRoleByName(role);
+    return Boolean(roleData && roleData.require_mfa);
+}
+
+module.exports = {
+    MFA_ISSUER,
+    generateMfaToken,
+    verifyMfaToken,
+    regenerateRecoveryCodes,
+    consumeRecoveryCode,
+    isMfaRequiredForRole,
+};
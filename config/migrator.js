@@ -0,0 +1,179 @@
+﻿// config/migrator.js
+
+/**
+ * Migrações versionadas do banco de dados.
+ *
+ * Cada arquivo em migrations/ se chama NNN_descricao.js e exporta { up(client), down(client) }.
+ * As migrações aplicadas ficam registradas na tabela schema_migrations; cada uma roda em sua própria
+ * transação (junto com o registro), então uma falha não deixa o schema pela metade.
+ * Um advisory lock garante que duas instâncias subindo ao mesmo tempo não migrem em paralelo.
+ *
+ * Usado pelo CLI migrate.js (npm run migrate / migrate:down / migrate:status) e pelos testes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+const ADVISORY_LOCK_KEY = 727274001; // Identificador arbitrário (fixo) do lock de migrações
+
+/**
+ * Lê os arquivos de migração, em ordem de versão.
+ * @param {string} [dir=MIGRATIONS_DIR]
+ * @returns {Array<{version: number, name: string, up: Function, down: Function}>}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+        .map((file) => {
+            const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+            const migration = require(path.join(dir, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migração ${file} deve exportar as funções up(client) e down(client).`);
+            }
+            return { version: parseInt(version, 10), name, up: migration.up, down: migration.down };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Versão de migração duplicada: ${migrations[i].version}.`);
+        }
+    }
+    return migrations;
+}
+
+function migrationLabel({ version, name }) {
+    return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )`);
+}
+
+async function getAppliedMigrations(client) {
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+    return result.rows;
+}
+
+/**
+ * Executa `work` com um client do pool, a tabela schema_migrations criada e o lock de migrações obtido.
+ */
+async function withMigrationLock(pool, work) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+        try {
+            await ensureMigrationsTable(client);
+            return await work(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Executa uma etapa (up ou down) de uma migração em transação, junto com a atualização de schema_migrations.
+ */
+async function runStep(client, migration, direction) {
+    await client.query('BEGIN');
+    try {
+        await migration[direction](client);
+        if (direction === 'up') {
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Falha na migração ${migrationLabel(migration)} (${direction}): ${error.message}`);
+    }
+}
+
+/**
+ * Aplica todas as migrações pendentes, em ordem.
+ * @param {import('pg').Pool} pool
+ * @param {object} [options]
+ * @param {string} [options.dir] - Diretório das migrações (padrão: migrations/).
+ * @returns {Promise<Array<{version: number, name: string}>>} Migrações aplicadas nesta execução.
+ */
+async function migrateUp(pool, { dir } = {}) {
+    const migrations = loadMigrations(dir);
+    return withMigrationLock(pool, async (client) => {
+        const applied = new Set((await getAppliedMigrations(client)).map((row) => row.version));
+        const pending = migrations.filter((migration) => !applied.has(migration.version));
+        for (const migration of pending) {
+            console.log(`[Migrate] Aplicando ${migrationLabel(migration)}...`);
+            await runStep(client, migration, 'up');
+        }
+        return pending.map(({ version, name }) => ({ version, name }));
+    });
+}
+
+/**
+ * Reverte as últimas `steps` migrações aplicadas.
+ * @param {import('pg').Pool} pool
+ * @param {object} [options]
+ * @param {number} [options.steps=1]
+ * @param {string} [options.dir]
+ * @returns {Promise<Array<{version: number, name: string}>>} Migrações revertidas nesta execução.
+ */
+async function migrateDown(pool, { steps = 1, dir } = {}) {
+    const migrations = loadMigrations(dir);
+    return withMigrationLock(pool, async (client) => {
+        const applied = await getAppliedMigrations(client);
+        const toRevert = applied.slice(-steps).reverse();
+        const reverted = [];
+        for (const row of toRevert) {
+            const migration = migrations.find((m) => m.version === row.version);
+            if (!migration) {
+                throw new Error(`Arquivo da migração aplicada ${migrationLabel(row)} não encontrado; não é possível revertê-la.`);
+            }
+            console.log(`[Migrate] Revertendo ${migrationLabel(migration)}...`);
+            await runStep(client, migration, 'down');
+            reverted.push({ version: migration.version, name: migration.name });
+        }
+        return reverted;
+    });
+}
+
+/**
+ * Situação de cada migração (aplicada ou pendente).
+ * @param {import('pg').Pool} pool
+ * @param {object} [options]
+ * @param {string} [options.dir]
+ * @returns {Promise<Array<{version: number, name: string, appliedAt: Date|null, missingFile: boolean}>>}
+ */
+async function migrationStatus(pool, { dir } = {}) {
+    const migrations = loadMigrations(dir);
+    return withMigrationLock(pool, async (client) => {
+        const applied = await getAppliedMigrations(client);
+        const status = migrations.map(({ version, name }) => {
+            const row = applied.find((r) => r.version === version);
+            return { version, name, appliedAt: row ? row.applied_at : null, missingFile: false };
+        });
+        // Migrações registradas no banco cujo arquivo não existe mais (ex: branch diferente)
+        for (const row of applied) {
+            if (!migrations.some((m) => m.version === row.version)) {
+                status.push({ version: row.version, name: row.name, appliedAt: row.applied_at, missingFile: true });
+            }
+        }
+        return status.sort((a, b) => a.version - b.version);
+    });
+}
+
+module.exports = {
+    loadMigrations,
+    migrationLabel,
+    migrateUp,
+    migrateDown,
+    migrationStatus,
+};
@@ -0,0 +1,143 @@
+﻿// config/notifier.js
+
+/**
+ * Envio de notificações aos usuários (ex: link de redefinição de senha).
+ *
+ * O "notifier" é plugável:
+ * - 'console' (padrão): escreve a mensagem no log e, se NOTIFIER_FILE_PATH estiver definido, também
+ *   anexa a mensagem (uma linha JSON por envio) nesse arquivo. Use APENAS em desenvolvimento/testes.
+ * - 'smtp': envia e-mail via SMTP (nodemailer). Pode ser testado contra um servidor SMTP local
+ *   (ex: MailHog/Mailpit) apontando SMTP_HOST/SMTP_PORT para ele.
+ *
+ * A escolha é feita pela variável de ambiente NOTIFIER.
+ * Todo notifier implementa: send({ to, user, subject, text }) -> Promise<void>.
+ */
+
+const fs = require('fs');
+
+const NOTIFIER = process.env.NOTIFIER || 'console';
+
+// --- Implementações de Notifier ---
+
+/**
+ * Notifier de desenvolvimento: log no console e, opcionalmente, em arquivo.
+ * @param {object} [options]
+ * @param {string} [options.filePath] - Arquivo onde as mensagens são anexadas (JSON por linha).
+ * @returns {object} Notifier com send().
+ */
+function createConsoleNotifier({ filePath } = {}) {
+    return {
+        async send({ to, user, subject, text }) {
+            const recipient = to || `User ID ${user.id} (sem e-mail cadastrado)`;
+            console.log(`[Notifier] Para: ${recipient} | Assunto: ${subject}\n${text}`);
+            if (filePath) {
+                const entry = { sentAt: new Date().toISOString(), to: to || null, userId: user.id, subject, text };
+                await fs.promises.appendFile(filePath, JSON.stringify(entry) + '\n');
+            }
+        },
+    };
+}
+
+/**
+ * Notifier por e-mail (SMTP).
+ * @param {object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {boolean} [options.secure=false] - TLS direto (porta 465). Com false, usa STARTTLS se disponível.
+ * @param {string} [options.user] - Usuário SMTP (opcional para servidores locais sem autenticação).
+ * @param {string} [options.pass]
+ * @param {string} options.from - Remetente (ex: "Auth API <no-reply@exemplo.com>").
+ * @returns {object} Notifier com send().
+ */
+function createSmtpNotifier({ host, port, secure = false, user, pass, from }) {
+    // require tardio: nodemailer só é necessário quando o notifier SMTP é usado
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+    });
+
+    return {
+        async send({ to, user: recipientUser, subject, text }) {
+            if (!to) {
+                // Sem e-mail não há como entregar; não é um erro para quem fez a requisição
+                console.warn(`[Notifier] User ID ${recipientUser.id} não tem e-mail cadastrado. Mensagem '${subject}' não enviada.`);
+                return;
+            }
+            try {
+                await transporter.sendMail({ from, to, subject, text });
+                console.log(`[Notifier] E-mail '${subject}' enviado para User ID ${recipientUser.id}.`);
+            } catch (error) {
+                console.error(`[Notifier] Erro ao enviar e-mail para User ID ${recipientUser.id} via SMTP.`, error);
+                throw new Error('Erro ao enviar notificação.');
+            }
+        },
+    };
+}
+
+function createNotifierFromConfig() {
+    if (NOTIFIER === 'smtp') {
+        return createSmtpNotifier({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT || '587'),
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+            from: process.env.SMTP_FROM || 'no-reply@localhost',
+        });
+    }
+    if (NOTIFIER !== 'console') {
+        console.warn(`[Notifier] NOTIFIER desconhecido ('${NOTIFIER}'). Usando 'console'.`);
+    }
+    return createConsoleNotifier({ filePath: process.env.NOTIFIER_FILE_PATH });
+}
+
+let notifier = null;
+
+function getNotifier() {
+    if (!notifier) {
+        notifier = createNotifierFromConfig();
+    }
+    return notifier;
+}
+
+/**
+ * Substitui o notifier ativo (ex: notifier que captura mensagens nos testes).
+ * @param {object} newNotifier - Objeto com send({ to, user, subject, text }).
+ */
+function setNotifier(newNotifier) {
+    notifier = newNotifier;
+}
+
+// --- API Pública ---
+
+/**
+ * Envia ao usuário o token/link de redefinição de senha.
+ * @param {object} user - Usuário (id, username, email).
+ * @param {string} token - Token de redefinição (em texto puro; só existe nesta mensagem).
+ * @param {Date} expiresAt - Expiração do token.
+ * @returns {Promise<void>}
+ */
+async function sendPasswordReset(user, token, expiresAt) {
+    const baseUrl = process.env.PASSWORD_RESET_URL;
+    const instructions = baseUrl
+        ? `Acesse o link abaixo para definir uma nova senha:\n${baseUrl}${baseUrl.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`
+        : `Use o token abaixo em POST /api/auth/reset-password para definir uma nova senha:\n${token}`;
+    await getNotifier().send({
+        to: user.email,
+        user,
+        subject: 'Redefinição de senha',
+        text: `Olá, ${user.username}.\n\nRecebemos um pedido para redefinir a sua senha.\n${instructions}\n\n`
+            + `O token expira em ${expiresAt.toISOString()} e só pode ser usado uma vez.\n`
+            + 'Se você não fez este pedido, ignore esta mensagem.',
+    });
+}
+
+module.exports = {
+    sendPasswordReset,
+    setNotifier,
+    createConsoleNotifier,
+    createSmtpNotifier,
+};
@@ -0,0 +1,145 @@
+﻿// config/pagination.js
+
+/**
+ * Helpers de paginação para as listagens da API.
+ *
+ * Dois modos são suportados:
+ * - Página (`page` + `limit`): simples, usa OFFSET. Bom para telas com "página X de Y".
+ * - Cursor (`cursor` + `limit`): keyset pagination sobre (coluna de ordenação, id). Estável mesmo
+ *   com inserções concorrentes e sem o custo de OFFSET em tabelas grandes.
+ *
+ * Toda listagem responde com o mesmo envelope: { data, pagination: { total, limit, ..., nextCursor, next } }.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Interpreta o parâmetro `sort` ("campo" ascendente, "-campo" descendente).
+ * @param {string} [sort]
+ * @param {object} sortableFields - Mapa campo público -> { column, field } (coluna SQL e campo no resultado).
+ * @param {string} defaultSort
+ * @returns {{key: string, column: string, field: string, direction: 'ASC'|'DESC', raw: string}|null}
+ *          Null se o campo não for permitido.
+ */
+function parseSort(sort, sortableFields, defaultSort) {
+    const raw = sort || defaultSort;
+    const descending = raw.startsWith('-');
+    const key = descending ? raw.slice(1) : raw;
+    const spec = sortableFields[key];
+    if (!spec) return null;
+    return { key, column: spec.column, field: spec.field, direction: descending ? 'DESC' : 'ASC', raw };
+}
+
+/**
+ * Codifica o cursor a partir da última linha retornada.
+ */
+function encodeCursor(sort, row) {
+    const value = row[sort.field] instanceof Date ? row[sort.field].toISOString() : row[sort.field];
+    return Buffer.from(JSON.stringify({ s: sort.raw, v: value, id: row.id })).toString('base64url');
+}
+
+/**
+ * Decodifica um cursor. O cursor só vale para a mesma ordenação com que foi gerado.
+ * @returns {{value: *, id: number}|null} Null se o cursor for inválido.
+ */
+function decodeCursor(cursor, sort) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (decoded.s !== sort.raw || decoded.id === undefined || decoded.v === undefined) return null;
+        return { value: decoded.v, id: decoded.id };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Monta a condição SQL de keyset para continuar após o cursor.
+ * @param {{column: string, direction: string}} sort
+ * @param {string} idColumn - Coluna do id (desempate).
+ * @param {{value: *, id: number}} cursor
+ * @param {Array} values - Array de parâmetros da query (é modificado).
+ * @returns {string}
+ */
+function keysetCondition(sort, idColumn, cursor, values) {
+    values.push(cursor.value, cursor.id);
+    const operator = sort.direction === 'DESC' ? '<' : '>';
+    return `(${sort.column}, ${idColumn}) ${operator} ($${values.length - 1}, $${values.length})`;
+}
+
+/**
+ * Interpreta os parâmetros comuns de paginação/ordenação (já validados por paginationValidationRules).
+ * @param {object} query - req.query.
+ * @param {object} sortFields - Campos de ordenação permitidos (ver parseSort).
+ * @param {string} defaultSort
+ * @returns {{error: string}|{limit: number, page?: number, offset: number, cursor?: object, sort: object}}
+ */
+function parseListOptions(query, sortFields, defaultSort) {
+    const limit = query.limit || DEFAULT_LIMIT;
+    const sort = parseSort(query.sort, sortFields, defaultSort);
+    if (!sort) {
+        return { error: `Ordenação inválida. Campos permitidos: ${Object.keys(sortFields).join(', ')} (prefixe com '-' para ordem decrescente).` };
+    }
+    if (query.cursor && query.page) {
+        return { error: "Use 'page' OU 'cursor', não ambos." };
+    }
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor, sort);
+        if (!cursor) {
+            return { error: 'Cursor inválido ou gerado para outra ordenação.' };
+        }
+        return { limit, offset: 0, cursor, sort };
+    }
+    const page = query.page || 1;
+    return { limit, page, offset: (page - 1) * limit, sort };
+}
+
+/**
+ * Monta o envelope de resposta padrão das listagens.
+ * @param {import('express').Request} req - Usado para montar o link da próxima página.
+ * @param {object} result
+ * @param {Array<object>} result.rows - Linhas buscadas (até limit + 1, para saber se há próxima página).
+ * @param {number} result.total - Total de registros que satisfazem os filtros.
+ * @param {object} options
+ * @param {number} options.limit
+ * @param {number} [options.page] - Presente apenas no modo página.
+ * @param {object} options.sort - Resultado de parseSort.
+ * @param {Function} [options.mapRow] - Formata cada linha para a resposta.
+ */
+function buildPage(req, { rows, total }, { limit, page, sort, mapRow = (row) => row }) {
+    const hasMore = rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+    const nextCursor = hasMore ? encodeCursor(sort, pageRows[pageRows.length - 1]) : null;
+
+    const pagination = { total, limit, sort: sort.raw, nextCursor, next: null };
+    if (page) {
+        pagination.page = page;
+        pagination.totalPages = Math.ceil(total / limit);
+    }
+
+    if (hasMore) {
+        // Link da próxima página preservando os filtros atuais
+        const params = new URLSearchParams();
+        for (const [key, value] of Object.entries(req.query)) {
+            if (key !== 'cursor' && key !== 'page' && value !== undefined) params.set(key, String(value));
+        }
+        if (page) {
+            params.set('page', String(page + 1));
+        } else {
+            params.set('cursor', nextCursor);
+        }
+        pagination.next = `${req.baseUrl}${req.path}?${params.toString()}`;
+    }
+
+    return { data: pageRows.map(mapRow), pagination };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseSort,
+    decodeCursor,
+    parseListOptions,
+    keysetCondition,
+    buildPage,
+};
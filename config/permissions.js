@@ -0,0 +1,62 @@
+﻿// config/permissions.js
+
+/**
+ * Permissões dos papéis (tabelas `roles`, `permissions` e `role_permissions`).
+ *
+ * O Access Token carrega as permissões do papel no momento da emissão ('perms') e a versão do papel
+ * ('rv'). Toda alteração nas permissões de um papel incrementa a versão: o middleware recusa tokens
+ * com versão diferente da atual, e o cliente obtém as permissões novas no refresh.
+ * Assim como o estado do usuário, o papel fica em cache por AUTH_STATE_CACHE_TTL_MS (na instância
+ * que fez a alteração o cache é invalidado na hora).
+ */
+
+const db = require('./database');
+
+const AUTH_STATE_CACHE_TTL_MS = parseInt(process.env.AUTH_STATE_CACHE_TTL_MS || '30000'); // Padrão: 30s
+
+const cache = new Map(); // nome do papel -> { access, expiresAt }
+
+/**
+ * Retorna a versão e as permissões atuais de um papel (do cache, se ainda válido).
+ * @param {string} role - Nome do papel.
+ * @param {object} [options]
+ * @param {boolean} [options.bypassCache=false] - Força a leitura do banco (ex: ao emitir tokens).
+ * @returns {Promise<{version: number, permissions: string[]}|null>} Null se o papel não existir.
+ */
+async function getRoleAccess(role, { bypassCache = false } = {}) {
+    const cached = cache.get(role);
+    if (!bypassCache && cached && cached.expiresAt > Date.now()) {
+        return cached.access;
+    }
+    const roleData = await db.findRoleByName(role);
+    const access = roleData ? { version: roleData.version, permissions: roleData.permissions } : null;
+    if (AUTH_STATE_CACHE_TTL_MS > 0) {
+        cache.set(role, { access, expiresAt: Date.now() + AUTH_STATE_CACHE_TTL_MS });
+    }
+    return access;
+}
+
+/**
+ * Remove o papel do cache (chamar após alterar suas permissões ou excluí-lo).
+ * @param {string} role
+ */
+function invalidateRoleAccess(role) {
+    cache.delete(role);
+}
+
+/**
+ * Verifica se um conjunto de permissões (ex: claim 'perms' do token) inclui todas as exigidas.
+ * @param {string[]} granted
+ * @param {string | string[]} required
+ * @returns {boolean}
+ */
+function hasPermissions(granted, required) {
+    const requiredArray = Array.isArray(required) ? required : [required];
+    return Array.isArray(granted) && requiredArray.every((permission) => granted.includes(permission));
+}
+
+module.exports = {
+    getRoleAccess,
+    invalidateRoleAccess,
+    hasPermissions,
+};
@@ -0,0 +1,1831 @@
+﻿// config/postgresRepository.js
+
+/**
+ * Repositório PostgreSQL (padrão): implementação das funções de acesso a dados de config/database.js
+ * sobre um pg.Pool.
+ */
+
+const { keysetCondition } = require('./pagination');
+
+/**
+ * Campos pelos quais a listagem de usuários pode ser ordenada.
+ * Timestamps são truncados em milissegundos para que o cursor (ISO string do JS) seja exato.
+ */
+const USER_SORT_FIELDS = {
+    id: { column: 'id', field: 'id' },
+    username: { column: 'username', field: 'username' },
+    createdAt: { column: `date_trunc('milliseconds', "createdAt")`, field: 'createdAt' },
+};
+
+// Situação de um convite, calculada a partir da revogação, dos usos e da validade
+const INVITE_CODE_STATUS_SQL = {
+    revoked: 'ic.revoked_at IS NOT NULL',
+    exhausted: 'ic.revoked_at IS NULL AND ic.use_count >= ic.max_uses',
+    expired: 'ic.revoked_at IS NULL AND ic.use_count < ic.max_uses AND ic.expires_at <= NOW()',
+    active: 'ic.revoked_at IS NULL AND ic.use_count < ic.max_uses AND (ic.expires_at IS NULL OR ic.expires_at > NOW())',
+};
+const INVITE_CODE_STATUSES = Object.keys(INVITE_CODE_STATUS_SQL);
+
+const INVITE_CODE_SORT_FIELDS = {
+    id: { column: 'ic.id', field: 'id' },
+    code: { column: 'ic.code', field: 'code' },
+    createdAt: { column: `date_trunc('milliseconds', ic.created_at)`, field: 'created_at' },
+};
+
+const STUDY_SESSION_SORT_FIELDS = {
+    updatedAt: { column: `date_trunc('milliseconds', s.updated_at)`, field: 'updated_at' },
+    createdAt: { column: `date_trunc('milliseconds', s.created_at)`, field: 'created_at' },
+    title: { column: 's.title', field: 'title' },
+};
+
+const STUDY_MASTERY_SORT_FIELDS = {
+    updatedAt: { column: `date_trunc('milliseconds', m.updated_at)`, field: 'updated_at' },
+    mastery: { column: 'm.mastery', field: 'mastery' },
+    topic: { column: 'm.topic_key', field: 'topic_key' },
+};
+
+// Escapa curingas do LIKE para que a busca 'q' seja literal
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, '\\$&');
+}
+
+// Colunas de um código de convite (inclui as regras de uso: validade, usos e papel concedido)
+const INVITE_CODE_COLUMNS = `id, code, is_used, created_by, used_by, created_at, used_at,
+               expires_at, max_uses, use_count, role, note, revoked_at`;
+
+// Colunas retornadas para um papel, incluindo as permissões atribuídas (ordenadas)
+const ROLE_COLUMNS = `r.name, r.description, r.require_mfa, r.version, r.ai_daily_requests, r.ai_daily_tokens,
+               ARRAY(SELECT rp.permission_name FROM role_permissions rp
+                     WHERE rp.role_name = r.name ORDER BY rp.permission_name) AS permissions`;
+
+// Colunas dos limites de IA de um usuário e do seu papel (users u LEFT JOIN roles r), ver toAiQuota
+const AI_QUOTA_COLUMNS = `u.id AS "userId", u."role", u."aiDailyRequests", u."aiDailyTokens",
+               r.ai_daily_requests, r.ai_daily_tokens`;
+
+// Limites de IA no formato do repositório (NULL = herda do nível seguinte)
+function toAiQuota(row) {
+    return {
+        userId: row.userId,
+        role: row.role,
+        userLimits: { dailyRequests: row.aiDailyRequests, dailyTokens: row.aiDailyTokens },
+        roleLimits: { dailyRequests: row.ai_daily_requests ?? null, dailyTokens: row.ai_daily_tokens ?? null },
+    };
+}
+
+// Colunas de uma sessão de estudo (study_sessions s)
+const STUDY_SESSION_COLUMNS = 's.id, s.user_id, s.title, s.topic, s.next_action, s.section, s.quiz_correct, s.quiz_answered, s.plan, s.created_at, s.updated_at';
+
+// Colunas do domínio de um tópico (study_mastery m)
+const STUDY_MASTERY_COLUMNS = `m.id, m.user_id, m.topic_key, m.topic, m.quizzes, m.correct, m.answered, m.mastery,
+               m.last_score, m.highest_section, m.created_at, m.updated_at`;
+
+// Monta os SETs de um UPDATE apenas com os campos informados (undefined = não altera)
+function quotaAssignments(columns, changes, values) {
+    return Object.entries(columns)
+        .filter(([field]) => changes[field] !== undefined)
+        .map(([field, column]) => {
+            values.push(changes[field]);
+            return `${column} = $${values.length}`;
+        });
+}
+
+/**
+ * Cria o repositório PostgreSQL.
+ * @param {import('pg').Pool} pool - Pool de conexões a ser usado.
+ * @returns {object} Repositório com as funções listadas em config/database.js.
+ */
+function createPostgresRepository(pool) {
+    // --- Transações ---
+
+    /**
+     * Executa `work` em uma transação: COMMIT se a função terminar, ROLLBACK se ela lançar um erro
+     * (o erro é repassado a quem chamou). Funções deste módulo que aceitam um `client` opcional
+     * participam da transação quando recebem o client passado para `work`.
+     * @template T
+     * @param {(client: import('pg').PoolClient) => Promise<T>} work
+     * @returns {Promise<T>} O valor retornado por `work`.
+     */
+    async function withTransaction(work) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            try {
+                await client.query('ROLLBACK');
+            } catch (rollbackError) {
+                console.error('[DB] Erro ao desfazer transação (ROLLBACK).', rollbackError);
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+
+    // --- Funções de Usuário (User Functions) ---
+
+    async function findUserByUsername(username) {
+        const query = {
+            text: `SELECT id, username, email, "passwordHash", "role", "tokenVersion", "disabledAt", "deletedAt",
+                          "failedLoginAttempts", "lastFailedLoginAt", "lockedUntil", "totpEnabledAt"
+                   FROM users WHERE username = $1`,
+            values: [username],
+        };
+        try {
+            const result = await pool.query(query);
+            if (result.rows.length > 0) {
+                console.log(`[DB] Usuário '${username}' encontrado (Role: ${result.rows[0].role}).`);
+                return result.rows[0];
+            } else {
+                return null;
+            }
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar usuário '${username}'.`, error);
+            throw new Error('Erro ao consultar o banco de dados.');
+        }
+    }
+
+    /**
+     * Busca um usuário pelo ID (sem o hash da senha).
+     * @param {number} userId
+     * @returns {Promise<object|null>} O usuário, ou null se não existir.
+     */
+    async function findUserById(userId) {
+        const query = {
+            text: `SELECT id, username, email, "role", "createdAt", "tokenVersion", "disabledAt", "deletedAt",
+                          "failedLoginAttempts", "lockedUntil"
+                   FROM users WHERE id = $1`,
+            values: [userId],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? result.rows[0] : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar User ID ${userId}.`, error);
+            throw new Error('Erro ao consultar o banco de dados.');
+        }
+    }
+
+    /**
+     * Busca o hash da senha de um usuário ativo (não excluído), para reconfirmação de senha.
+     * @param {number} userId
+     * @returns {Promise<string|null>} O hash, ou null se o usuário não existir/estiver excluído.
+     */
+    async function findPasswordHashByUserId(userId) {
+        const query = {
+            text: 'SELECT "passwordHash" FROM users WHERE id = $1 AND "deletedAt" IS NULL',
+            values: [userId],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? result.rows[0].passwordHash : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar a senha do User ID ${userId}.`, error);
+            throw new Error('Erro ao consultar o banco de dados.');
+        }
+    }
+
+    /**
+     * Insere um usuário.
+     * @param {object} user - username, passwordHash, role (padrão 'user') e email.
+     * @param {import('pg').Pool|import('pg').PoolClient} [client=pool] - Client de uma transação (withTransaction).
+     * @returns {Promise<object>} O usuário criado.
+     */
+    async function addUser({ username, passwordHash, role, email }, client = pool) {
+        const query = {
+            text: `INSERT INTO users (username, "passwordHash", "role", email)
+                   VALUES ($1, $2, $3, $4)
+                   RETURNING id, username, email, "createdAt", "role"`,
+            values: [username, passwordHash, role || 'user', email || null],
+        };
+        try {
+            console.log(`[DB] Tentando inserir usuário: ${username} (Role: ${role || 'user'})`);
+            const result = await client.query(query);
+            const newUser = result.rows[0];
+            console.log(`[DB] Usuário '${username}' inserido com sucesso (ID: ${newUser.id}, Role: ${newUser.role}).`);
+            return newUser;
+        } catch (error) {
+            if (error.code === '23505') {
+                console.warn(`[DB] Falha ao inserir: Usuário '${username}' já existe.`);
+                throw new Error('Nome de usuário já existe.');
+            }
+            console.error(`[DB] Erro ao inserir usuário '${username}'.`, error);
+            throw new Error('Erro ao inserir usuário no banco de dados.');
+        }
+    }
+
+    /**
+     * Executa uma listagem paginada: COUNT com os filtros + página (limit + 1 linhas, para saber se há próxima).
+     * @param {object} options
+     * @param {string} options.select - Cláusula SELECT (colunas).
+     * @param {string} options.from - Tabela(s) da cláusula FROM (com JOINs, se houver).
+     * @param {string} options.idColumn - Coluna do id (desempate da ordenação/cursor).
+     * @param {string[]} options.conditions - Condições dos filtros.
+     * @param {Array} options.values - Parâmetros das condições.
+     * @param {object} options.sort - Ordenação (ver config/pagination.js parseSort).
+     * @param {number} options.limit
+     * @param {number} [options.offset=0]
+     * @param {{value: *, id: number}} [options.cursor]
+     * @returns {Promise<{rows: Array<object>, total: number}>}
+     */
+    async function runPagedQuery({ select, from, idColumn, conditions, values, sort, limit, offset = 0, cursor }) {
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const countQuery = {
+            text: `SELECT COUNT(*)::int AS total FROM ${from} ${where}`,
+            values: [...values],
+        };
+
+        const pageValues = [...values];
+        const pageConditions = [...conditions];
+        if (cursor) {
+            pageConditions.push(keysetCondition(sort, idColumn, cursor, pageValues));
+        }
+        const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+        pageValues.push(limit + 1, offset);
+        const pageQuery = {
+            text: `${select} FROM ${from} ${pageWhere}
+                   ORDER BY ${sort.column} ${sort.direction}, ${idColumn} ${sort.direction}
+                   LIMIT $${pageValues.length - 1} OFFSET $${pageValues.length}`,
+            values: pageValues,
+        };
+
+        const [countResult, pageResult] = await Promise.all([pool.query(countQuery), pool.query(pageQuery)]);
+        return { rows: pageResult.rows, total: countResult.rows[0].total };
+    }
+
+    /**
+     * Lista usuários (sem o hash da senha) com filtros e paginação.
+     * @param {object} options
+     * @param {string} [options.role] - Filtra por papel.
+     * @param {string} [options.q] - Busca parcial (case-insensitive) no username.
+     * @param {Date|string} [options.createdFrom] - Criados a partir de (inclusive).
+     * @param {Date|string} [options.createdTo] - Criados até (inclusive).
+     * @param {object} options.sort - Ordenação (ver USER_SORT_FIELDS).
+     * @param {number} options.limit
+     * @param {number} [options.offset]
+     * @param {{value: *, id: number}} [options.cursor]
+     * @returns {Promise<{rows: Array<object>, total: number}>}
+     */
+    async function listUsers({ role, q, createdFrom, createdTo, sort, limit, offset, cursor }) {
+        const conditions = [];
+        const values = [];
+        if (role) { values.push(role); conditions.push(`"role" = $${values.length}`); }
+        if (q) { values.push(`%${escapeLike(q)}%`); conditions.push(`username ILIKE $${values.length}`); }
+        if (createdFrom) { values.push(createdFrom); conditions.push(`"createdAt" >= $${values.length}`); }
+        if (createdTo) { values.push(createdTo); conditions.push(`"createdAt" <= $${values.length}`); }
+
+        try {
+            // Seleciona apenas os campos seguros/necessários
+            const result = await runPagedQuery({
+                select: `SELECT id, username, email, "role", "createdAt", "disabledAt", "deletedAt",
+                                "failedLoginAttempts", "lockedUntil", COALESCE("lockedUntil" > NOW(), false) AS locked,
+                                ("totpEnabledAt" IS NOT NULL) AS "mfaEnabled"`,
+                from: 'users',
+                idColumn: 'id',
+                conditions, values, sort, limit, offset, cursor,
+            });
+            console.log(`[DB] Buscados ${result.rows.length} de ${result.total} usuários.`);
+            return result;
+        } catch (error) {
+            console.error('[DB] Erro ao listar usuários.', error);
+            throw new Error('Erro ao consultar usuários.');
+        }
+    }
+
+    /**
+     * Busca o "estado de autenticação" de um usuário: dados que invalidam Access Tokens já emitidos
+     * quando mudam (papel, versão de token, desativação e exclusão).
+     * @param {number} userId
+     * @returns {Promise<{id: number, role: string, tokenVersion: number, disabledAt: Date|null, deletedAt: Date|null}|null>}
+     */
+    async function findUserAuthState(userId) {
+        const query = {
+            text: 'SELECT id, "role", "tokenVersion", "disabledAt", "deletedAt" FROM users WHERE id = $1',
+            values: [userId],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? result.rows[0] : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar estado de autenticação do User ID ${userId}.`, error);
+            throw new Error('Erro ao consultar o banco de dados.');
+        }
+    }
+
+    /**
+     * Incrementa a versão de token do usuário, invalidando todos os Access Tokens já emitidos para ele.
+     * @param {number} userId
+     * @returns {Promise<number|null>} Nova versão, ou null se o usuário não existir.
+     */
+    async function incrementTokenVersion(userId) {
+        const query = {
+            text: `UPDATE users SET "tokenVersion" = "tokenVersion" + 1 WHERE id = $1
+                   RETURNING "tokenVersion"`,
+            values: [userId],
+        };
+        try {
+            const result = await pool.query(query);
+            if (result.rowCount === 0) return null;
+            console.log(`[DB] Versão de token do User ID ${userId} incrementada para ${result.rows[0].tokenVersion}.`);
+            return result.rows[0].tokenVersion;
+        } catch (error) {
+            console.error(`[DB] Erro ao incrementar versão de token do User ID ${userId}.`, error);
+            throw new Error('Erro ao atualizar usuário.');
+        }
+    }
+
+    /**
+     * Atualiza username, e-mail e/ou papel de um usuário não excluído.
+     * @param {number} userId
+     * @param {object} changes
+     * @param {string} [changes.username]
+     * @param {string|null} [changes.email] - Null remove o e-mail.
+     * @param {string} [changes.role]
+     * @returns {Promise<object|null>} O usuário atualizado, ou null se não existir/estiver excluído.
+     */
+    async function updateUser(userId, { username, email, role }) {
+        const sets = [];
+        const values = [];
+        if (username !== undefined) { values.push(username); sets.push(`username = $${values.length}`); }
+        if (email !== undefined) { values.push(email); sets.push(`email = $${values.length}`); }
+        if (role !== undefined) { values.push(role); sets.push(`"role" = $${values.length}`); }
+        if (sets.length === 0) {
+            return findUserById(userId);
+        }
+        values.push(userId);
+        const query = {
+            text: `UPDATE users SET ${sets.join(', ')}
+                   WHERE id = $${values.length} AND "deletedAt" IS NULL
+                   RETURNING id, username, email, "role", "createdAt", "disabledAt", "deletedAt"`,
+            values,
+        };
+        try {
+            const result = await pool.query(query);
+            if (result.rowCount === 0) return null;
+            console.log(`[DB] User ID ${userId} atualizado (Username: ${result.rows[0].username}, Role: ${result.rows[0].role}).`);
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23505') {
+                console.warn(`[DB] Falha ao atualizar User ID ${userId}: Usuário '${username}' já existe.`);
+                throw new Error('Nome de usuário já existe.');
+            }
+            console.error(`[DB] Erro ao atualizar User ID ${userId}.`, error);
+            throw new Error('Erro ao atualizar usuário.');
+        }
+    }
+
+    /**
+     * Reserva uma tentativa de login (atômico, seguro para tentativas concorrentes).
+     * Se a conta não estiver bloqueada nem em atraso progressivo, a tentativa é contada como falha ANTES da
+     * conferência da senha/código: requisições simultâneas veem o contador já atualizado e não escapam do limite.
+     * Um login bem-sucedido zera o contador (resetFailedLogins); uma senha correta que não conclui o login
+     * (ex: 2FA pendente) desfaz a reserva (releaseLoginAttempt).
+     * A contagem recomeça se o bloqueio anterior já expirou ou se a última falha é mais antiga que a
+     * duração do bloqueio. Ao atingir maxAttempts, a conta fica bloqueada por lockoutMs.
+     * @param {number} userId
+     * @param {object} options
+     * @param {number} options.maxAttempts
+     * @param {number} options.lockoutMs
+     * @param {number} options.backoffBaseMs - Atraso após a primeira falha (dobra a cada nova falha).
+     * @param {number} options.backoffMaxMs
+     * @returns {Promise<{claimed: boolean, state: object, previous: object}|null>} `state` = contador após a
+     *   reserva (ou o atual, se recusada: usado para calcular o Retry-After); `previous` = contador antes dela.
+     *   Null se o usuário não existir/estiver excluído.
+     */
+    async function claimLoginAttempt(userId, { maxAttempts, lockoutMs, backoffBaseMs, backoffMaxMs }) {
+        const restart = `(p."lockedUntil" <= NOW() OR p."lastFailedLoginAt" <= NOW() - $3 * INTERVAL '1 millisecond')`;
+        const attempts = `CASE WHEN ${restart} THEN 1 ELSE p."failedLoginAttempts" + 1 END`;
+        const query = {
+            // FOR UPDATE: requisições concorrentes esperam e leem o contador já incrementado
+            text: `WITH previous AS (
+                       SELECT id, "failedLoginAttempts", "lastFailedLoginAt", "lockedUntil"
+                       FROM users WHERE id = $1 AND "deletedAt" IS NULL
+                       FOR UPDATE
+                   ), claimed AS (
+                       UPDATE users u SET
+                           "failedLoginAttempts" = ${attempts},
+                           "lastFailedLoginAt" = NOW(),
+                           "lockedUntil" = CASE
+                               WHEN ${attempts} >= $2 THEN NOW() + $3 * INTERVAL '1 millisecond'
+                               WHEN ${restart} THEN NULL
+                               ELSE p."lockedUntil"
+                           END
+                       FROM previous p
+                       WHERE u.id = p.id
+                         AND (p."lockedUntil" IS NULL OR p."lockedUntil" <= NOW())
+                         AND NOT COALESCE(
+                             p."failedLoginAttempts" > 0 AND p."failedLoginAttempts" < $2
+                             AND p."lastFailedLoginAt" + LEAST($4 * POWER(2, p."failedLoginAttempts" - 1), $5) * INTERVAL '1 millisecond' > NOW(),
+                             FALSE
+                         )
+                       RETURNING u."failedLoginAttempts", u."lastFailedLoginAt", u."lockedUntil"
+                   )
+                   SELECT c."failedLoginAttempts" IS NOT NULL AS claimed,
+                          p."failedLoginAttempts" AS "previousFailedLoginAttempts",
+                          p."lastFailedLoginAt" AS "previousLastFailedLoginAt",
+                          p."lockedUntil" AS "previousLockedUntil",
+                          c."failedLoginAttempts", c."lastFailedLoginAt", c."lockedUntil"
+                   FROM previous p LEFT JOIN claimed c ON TRUE`,
+            values: [userId, maxAttempts, lockoutMs, backoffBaseMs, backoffMaxMs],
+        };
+        try {
+            const result = await pool.query(query);
+            if (result.rows.length === 0) return null;
+            const row = result.rows[0];
+            const previous = {
+                failedLoginAttempts: row.previousFailedLoginAttempts,
+                lastFailedLoginAt: row.previousLastFailedLoginAt,
+                lockedUntil: row.previousLockedUntil,
+            };
+            const state = row.claimed
+                ? { failedLoginAttempts: row.failedLoginAttempts, lastFailedLoginAt: row.lastFailedLoginAt, lockedUntil: row.lockedUntil }
+                : previous;
+            return { claimed: row.claimed, state, previous };
+        } catch (error) {
+            console.error(`[DB] Erro ao registrar tentativa de login do User ID ${userId}.`, error);
+            throw new Error('Erro ao atualizar usuário.');
+        }
+    }
+
+    /**
+     * Desfaz uma tentativa reservada por claimLoginAttempt (senha correta, mas o login não foi concluído),
+     * restaurando o contador anterior. Não faz nada se outra tentativa já foi contada depois dela.
+     * @param {number} userId
+     * @param {{state: object, previous: object}} claim - Retorno de claimLoginAttempt.
+     * @returns {Promise<boolean>} True se o contador foi restaurado.
+     */
+    async function releaseLoginAttempt(userId, { state, previous }) {
+        const query = {
+            text: `UPDATE users SET "failedLoginAttempts" = $2, "lastFailedLoginAt" = $3, "lockedUntil" = $4
+                   WHERE id = $1 AND "failedLoginAttempts" = $5
+                   RETURNING id`,
+            values: [userId, previous.failedLoginAttempts, previous.lastFailedLoginAt, previous.lockedUntil, state.failedLoginAttempts],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rowCount === 1;
+        } catch (error) {
+            console.error(`[DB] Erro ao desfazer tentativa de login do User ID ${userId}.`, error);
+            throw new Error('Erro ao atualizar usuário.');
+        }
+    }
+
+    /**
+     * Zera as falhas de login e remove o bloqueio de um usuário não excluído.
+     * @param {number} userId
+     * @returns {Promise<boolean>} False se o usuário não existir/estiver excluído.
+     */
+    async function resetFailedLogins(userId) {
+        const query = {
+            text: `UPDATE users SET "failedLoginAttempts" = 0, "lastFailedLoginAt" = NULL, "lockedUntil" = NULL
+                   WHERE id = $1 AND "deletedAt" IS NULL
+                   RETURNING id`,
+            values: [userId],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rowCount === 1;
+        } catch (error) {
+            console.error(`[DB] Erro ao zerar falhas de login do User ID ${userId}.`, error);
+            throw new Error('Erro ao atualizar usuário.');
+        }
+    }
+
+    /**
+     * Desativa ou reativa um usuário não excluído.
+     * @param {number} userId
+     * @param {boolean} disabled
+     * @returns {Promise<object|null>} O usuário atualizado, ou null se não existir/estiver excluído.
+     */
+    async function setUserDisabled(userId, disabled) {
+        const query = {
+            text: `UPDATE users
+                   SET "disabledAt" = CASE WHEN $1::boolean THEN COALESCE("disabledAt", CURRENT_TIMESTAMP) ELSE NULL END
+                   WHERE id = $2 AND "deletedAt" IS NULL
+                   RETURNING id, username, "role", "createdAt", "disabledAt", "deletedAt"`,
+            values: [disabled, userId],
+        };
+        try {
+            const result = await pool.query(query);
+            if (result.rowCount === 0) return null;
+            console.log(`[DB] User ID ${userId} ${disabled ? 'desativado' : 'reativado'}.`);
+            return result.rows[0];
+        } catch (error) {
+            console.error(`[DB] Erro ao ${disabled ? 'desativar' : 'reativar'} User ID ${userId}.`, error);
+            throw new Error('Erro ao atualizar usuário.');
+        }
+    }
+
+    /**
+     * Exclusão lógica (soft delete): o registro é mantido (histórico, convites), mas a conta deixa de existir para login.
+     * @param {number} userId
+     * @returns {Promise<boolean>} True se o usuário foi excluído agora.
+     */
+    async function softDeleteUser(userId) {
+        const query = {
+            text: `UPDATE users SET "deletedAt" = CURRENT_TIMESTAMP
+                   WHERE id = $1 AND "deletedAt" IS NULL
+                   RETURNING id`,
+            values: [userId],
+        };
+        try {
+            const result = await pool.query(query);
+            if (result.rowCount === 1) {
+                console.log(`[DB] User ID ${userId} excluído (soft delete).`);
+                return true;
+            }
+            return false;
+        } catch (error) {
+            console.error(`[DB] Erro ao excluir User ID ${userId}.`, error);
+            throw new Error('Erro ao excluir usuário.');
+        }
+    }
+
+    /**
+     * Substitui o hash da senha de um usuário não excluído.
+     * @param {number} userId
+     * @param {string} passwordHash
+     * @returns {Promise<boolean>} True se a senha foi atualizada.
+     */
+    async function updateUserPassword(userId, passwordHash) {
+        const query = {
+            text: `UPDATE users SET "passwordHash" = $1
+                   WHERE id = $2 AND "deletedAt" IS NULL
+                   RETURNING id`,
+            values: [passwordHash, userId],
+        };
+        try {
+            const result = await pool.query(query);
+            if (result.rowCount === 1) {
+                console.log(`[DB] Senha do User ID ${userId} atualizada.`);
+                return true;
+            }
+            return false;
+        } catch (error) {
+            console.error(`[DB] Erro ao atualizar a senha do User ID ${userId}.`, error);
+            throw new Error('Erro ao atualizar senha.');
+        }
+    }
+
+
+    // --- Funções de Código de Convite (Invite Code Functions) ---
+
+    /**
+     * Registra um código de convite.
+     * @param {string} code
+     * @param {number} adminUserId - Quem gerou o código.
+     * @param {object} [options]
+     * @param {Date|string} [options.expiresAt] - Validade (sem ela, o código não expira).
+     * @param {number} [options.maxUses=1] - Quantos registros o código permite.
+     * @param {string} [options.role] - Papel concedido a quem se registrar (padrão: 'user').
+     * @param {string} [options.note] - Observação/identificação do convite.
+     */
+    async function addInviteCode(code, adminUserId, { expiresAt, maxUses = 1, role, note } = {}) {
+        const query = {
+            text: `INSERT INTO invite_codes (code, created_by, expires_at, max_uses, role, note)
+                   VALUES ($1, $2, $3, $4, $5, $6)
+                   RETURNING ${INVITE_CODE_COLUMNS}`,
+            values: [code, adminUserId, expiresAt || null, maxUses, role || null, note || null]
+        };
+        try {
+            const result = await pool.query(query);
+            console.log(`[DB] Código de convite '${code}' adicionado pelo Admin ID: ${adminUserId}.`);
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23505') {
+                console.warn(`[DB] Tentativa de inserir código de convite duplicado: ${code}`);
+                throw new Error('Código de convite duplicado.');
+            }
+            console.error(`[DB] Erro ao adicionar código de convite '${code}'.`, error);
+            throw new Error('Erro ao salvar código de convite.');
+        }
+    }
+
+    async function findInviteCode(code) {
+        const query = {
+            text: `SELECT ${INVITE_CODE_COLUMNS} FROM invite_codes WHERE code = $1`,
+            values: [code]
+        };
+        try {
+            const result = await pool.query(query);
+            // Não loga aqui para não poluir - logará no controller se necessário
+            return result.rows.length > 0 ? result.rows[0] : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar código de convite '${code}'.`, error);
+            throw new Error('Erro ao consultar código de convite.');
+        }
+    }
+
+    /**
+     * Busca um código de convite e o bloqueia (SELECT ... FOR UPDATE) até o fim da transação:
+     * registros concorrentes com o mesmo código esperam e depois enxergam os usos já feitos.
+     * @param {string} code
+     * @param {import('pg').PoolClient} client - Client da transação (withTransaction).
+     * @returns {Promise<object|null>}
+     */
+    async function lockInviteCode(code, client) {
+        const query = {
+            text: `SELECT ${INVITE_CODE_COLUMNS} FROM invite_codes WHERE code = $1 FOR UPDATE`,
+            values: [code]
+        };
+        try {
+            const result = await client.query(query);
+            return result.rows.length > 0 ? result.rows[0] : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao bloquear código de convite '${code}'.`, error);
+            throw new Error('Erro ao consultar código de convite.');
+        }
+    }
+
+    /**
+     * Registra um uso do código de convite, somente se ele ainda for válido (não revogado, não expirado
+     * e com usos restantes). used_by/used_at guardam o uso mais recente; is_used indica que os usos acabaram.
+     * @param {string} code
+     * @param {number} userId
+     * @param {import('pg').Pool|import('pg').PoolClient} [client=pool] - Client de uma transação (withTransaction).
+     * @returns {Promise<boolean>} False se o código não existir ou não puder mais ser usado.
+     */
+    async function markInviteCodeAsUsed(code, userId, client = pool) {
+        const query = {
+            text: `UPDATE invite_codes
+                   SET use_count = use_count + 1, is_used = (use_count + 1 >= max_uses),
+                       used_by = $1, used_at = CURRENT_TIMESTAMP
+                   WHERE code = $2 AND use_count < max_uses AND revoked_at IS NULL
+                     AND (expires_at IS NULL OR expires_at > NOW())
+                   RETURNING id`,
+            values: [userId, code]
+        };
+        try {
+            const result = await client.query(query);
+            if (result.rowCount === 1) {
+                console.log(`[DB] Código de convite '${code}' marcado como usado pelo User ID: ${userId}.`);
+                return true;
+            }
+            console.warn(`[DB] Código de convite '${code}' não encontrado ou não pode mais ser usado ao tentar marcar.`);
+            return false;
+        } catch (error) {
+            console.error(`[DB] Erro ao marcar código de convite '${code}' como usado.`, error);
+            throw new Error('Erro ao atualizar código de convite.');
+        }
+    }
+
+    /**
+     * Revoga um código de convite que ainda tenha usos restantes (os usos já feitos são mantidos).
+     * @param {string} code
+     * @returns {Promise<object|null>} O código revogado, ou null se não existir, já estiver revogado ou esgotado.
+     */
+    async function revokeInviteCode(code) {
+        const query = {
+            text: `UPDATE invite_codes SET revoked_at = CURRENT_TIMESTAMP
+                   WHERE code = $1 AND revoked_at IS NULL AND use_count < max_uses
+                   RETURNING ${INVITE_CODE_COLUMNS}`,
+            values: [code]
+        };
+        try {
+            const result = await pool.query(query);
+            if (result.rows.length === 0) return null;
+            console.log(`[DB] Código de convite '${code}' revogado.`);
+            return result.rows[0];
+        } catch (error) {
+            console.error(`[DB] Erro ao revogar código de convite '${code}'.`, error);
+            throw new Error('Erro ao revogar código de convite.');
+        }
+    }
+
+    /**
+     * Lista códigos de convite com filtros e paginação, incluindo o username do criador e de quem usou.
+     * @param {object} options
+     * @param {boolean} [options.isUsed] - Filtra por usados/não usados.
+     * @param {string} [options.status] - Filtra pela situação (ver INVITE_CODE_STATUSES).
+     * @param {number} [options.createdBy] - Filtra pelo ID do admin criador.
+     * @param {Date|string} [options.createdFrom] - Criados a partir de (inclusive).
+     * @param {Date|string} [options.createdTo] - Criados até (inclusive).
+     * @param {object} options.sort - Ordenação (ver INVITE_CODE_SORT_FIELDS).
+     * @param {number} options.limit
+     * @param {number} [options.offset]
+     * @param {{value: *, id: number}} [options.cursor]
+     * @returns {Promise<{rows: Array<object>, total: number}>}
+     */
+    async function listInviteCodes({ isUsed, status, createdBy, createdFrom, createdTo, sort, limit, offset, cursor }) {
+        const conditions = [];
+        const values = [];
+        if (isUsed !== undefined) { values.push(isUsed); conditions.push(`ic.is_used = $${values.length}`); }
+        if (status) { conditions.push(`(${INVITE_CODE_STATUS_SQL[status]})`); }
+        if (createdBy) { values.push(createdBy); conditions.push(`ic.created_by = $${values.length}`); }
+        if (createdFrom) { values.push(createdFrom); conditions.push(`ic.created_at >= $${values.length}`); }
+        if (createdTo) { values.push(createdTo); conditions.push(`ic.created_at <= $${values.length}`); }
+
+        try {
+            const result = await runPagedQuery({
+                select: `SELECT ic.id, ic.code, ic.is_used,
+                                ic.created_by, creator.username AS created_by_username,
+                                ic.used_by, consumer.username AS used_by_username,
+                                ic.created_at, ic.used_at,
+                                ic.expires_at, ic.max_uses, ic.use_count, ic.role, ic.note, ic.revoked_at,
+                                CASE ${INVITE_CODE_STATUSES.map((key) => `WHEN ${INVITE_CODE_STATUS_SQL[key]} THEN '${key}'`).join(' ')} END AS status`,
+                from: `invite_codes ic
+                       LEFT JOIN users creator ON creator.id = ic.created_by
+                       LEFT JOIN users consumer ON consumer.id = ic.used_by`,
+                idColumn: 'ic.id',
+                conditions, values, sort, limit, offset, cursor,
+            });
+            console.log(`[DB] Buscados ${result.rows.length} de ${result.total} códigos de convite.`);
+            return result;
+        } catch (error) {
+            console.error('[DB] Erro ao listar códigos de convite.', error);
+            throw new Error('Erro ao consultar códigos de convite.');
+        }
+    }
+
+    // --- Funções de Redefinição de Senha (Password Reset Functions) ---
+
+    /**
+     * Registra um novo token de redefinição de senha. Tokens ainda não usados do mesmo usuário são
+     * descartados, então apenas o pedido mais recente vale.
+     * @param {object} data
+     * @param {number} data.userId
+     * @param {string} data.tokenHash - SHA-256 do token (o token em texto puro nunca é salvo).
+     * @param {Date} data.expiresAt
+     * @param {string} [data.ip] - IP de quem pediu a redefinição.
+     */
+    async function addPasswordResetToken({ userId, tokenHash, expiresAt, ip }) {
+        const query = {
+            text: `WITH discarded AS (
+                       DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL
+                   )
+                   INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+                   VALUES ($1, $2, $3, $4)
+                   RETURNING id`,
+            values: [userId, tokenHash, expiresAt, ip || null],
+        };
+        try {
+            await pool.query(query);
+            console.log(`[DB] Token de redefinição de senha registrado para User ID ${userId}.`);
+        } catch (error) {
+            console.error(`[DB] Erro ao registrar token de redefinição de senha do User ID ${userId}.`, error);
+            throw new Error('Erro ao registrar token de redefinição de senha.');
+        }
+    }
+
+    /**
+     * Consome (marca como usado) um token de redefinição válido: existente, não usado e não expirado.
+     * A operação é atômica: se duas requisições usarem o mesmo token, apenas uma consegue.
+     * @param {string} tokenHash
+     * @returns {Promise<number|null>} ID do usuário dono do token, ou null se o token não for válido.
+     */
+    async function consumePasswordResetToken(tokenHash) {
+        const query = {
+            text: `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+                   WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+                   RETURNING user_id`,
+            values: [tokenHash],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rowCount === 1 ? result.rows[0].user_id : null;
+        } catch (error) {
+            console.error('[DB] Erro ao consumir token de redefinição de senha.', error);
+            throw new Error('Erro ao validar token de redefinição de senha.');
+        }
+    }
+
+    // --- Funções de 2FA (MFA Functions) ---
+
+    /**
+     * Busca o usuário com os dados necessários para o 2FA (inclui o segredo TOTP).
+     * @param {number} userId
+     * @returns {Promise<object|null>}
+     */
+    async function findUserMfaState(userId) {
+        const query = {
+            text: `SELECT id, username, "role", "tokenVersion", "disabledAt", "deletedAt",
+                          "failedLoginAttempts", "lastFailedLoginAt", "lockedUntil",
+                          "totpSecret", "totpEnabledAt"
+                   FROM users WHERE id = $1`,
+            values: [userId],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? result.rows[0] : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar dados de 2FA do User ID ${userId}.`, error);
+            throw new Error('Erro ao consultar o banco de dados.');
+        }
+    }
+
+    /**
+     * Salva um segredo TOTP ainda não confirmado (cadastro em andamento). Não altera um 2FA já ativo.
+     * @returns {Promise<boolean>} False se o usuário não existir ou já tiver 2FA ativo.
+     */
+    async function setPendingTotpSecret(userId, secret) {
+        const query = {
+            text: `UPDATE users SET "totpSecret" = $2
+                   WHERE id = $1 AND "deletedAt" IS NULL AND "totpEnabledAt" IS NULL
+                   RETURNING id`,
+            values: [userId, secret],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rowCount === 1;
+        } catch (error) {
+            console.error(`[DB] Erro ao salvar segredo TOTP do User ID ${userId}.`, error);
+            throw new Error('Erro ao configurar 2FA.');
+        }
+    }
+
+    /**
+     * Ativa o 2FA (após o primeiro código válido), registrando o passo de tempo já usado.
+     * @returns {Promise<boolean>} False se não houver cadastro pendente.
+     */
+    async function enableTotp(userId, usedStep) {
+        const query = {
+            text: `UPDATE users SET "totpEnabledAt" = CURRENT_TIMESTAMP, "totpLastUsedStep" = $2
+                   WHERE id = $1 AND "totpSecret" IS NOT NULL AND "totpEnabledAt" IS NULL
+                   RETURNING id`,
+            values: [userId, usedStep],
+        };
+        try {
+            const result = await pool.query(query);
+            if (result.rowCount === 1) {
+                console.log(`[DB] 2FA ativado para User ID ${userId}.`);
+                return true;
+            }
+            return false;
+        } catch (error) {
+            console.error(`[DB] Erro ao ativar 2FA do User ID ${userId}.`, error);
+            throw new Error('Erro ao configurar 2FA.');
+        }
+    }
+
+    /**
+     * Desativa o 2FA e apaga os códigos de recuperação.
+     * @returns {Promise<boolean>} False se o usuário não tinha 2FA.
+     */
+    async function disableTotp(userId) {
+        const query = {
+            text: `WITH removed_codes AS (
+                       DELETE FROM mfa_recovery_codes WHERE user_id = $1
+                   )
+                   UPDATE users SET "totpSecret" = NULL, "totpEnabledAt" = NULL, "totpLastUsedStep" = NULL
+                   WHERE id = $1 AND "totpSecret" IS NOT NULL
+                   RETURNING id`,
+            values: [userId],
+        };
+        try {
+            const result = await pool.query(query);
+            if (result.rowCount === 1) {
+                console.log(`[DB] 2FA desativado para User ID ${userId}.`);
+                return true;
+            }
+            return false;
+        } catch (error) {
+            console.error(`[DB] Erro ao desativar 2FA do User ID ${userId}.`, error);
+            throw new Error('Erro ao desativar 2FA.');
+        }
+    }
+
+    /**
+     * Marca um passo de tempo TOTP como usado. Impede que o mesmo código (ou um mais antigo)
+     * seja aceito duas vezes.
+     * @returns {Promise<boolean>} False se o passo já foi usado.
+     */
+    async function markTotpStepUsed(userId, step) {
+        const query = {
+            text: `UPDATE users SET "totpLastUsedStep" = $2
+                   WHERE id = $1 AND ("totpLastUsedStep" IS NULL OR "totpLastUsedStep" < $2)
+                   RETURNING id`,
+            values: [userId, step],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rowCount === 1;
+        } catch (error) {
+            console.error(`[DB] Erro ao registrar uso de código TOTP do User ID ${userId}.`, error);
+            throw new Error('Erro ao validar código 2FA.');
+        }
+    }
+
+    /**
+     * Substitui os códigos de recuperação do usuário.
+     * @param {number} userId
+     * @param {string[]} codeHashes - Hashes dos novos códigos.
+     */
+    async function replaceRecoveryCodes(userId, codeHashes) {
+        const query = {
+            text: `WITH removed_codes AS (
+                       DELETE FROM mfa_recovery_codes WHERE user_id = $1
+                   )
+                   INSERT INTO mfa_recovery_codes (user_id, code_hash)
+                   SELECT $1, UNNEST($2::text[])`,
+            values: [userId, codeHashes],
+        };
+        try {
+            await pool.query(query);
+            console.log(`[DB] ${codeHashes.length} códigos de recuperação gerados para User ID ${userId}.`);
+        } catch (error) {
+            console.error(`[DB] Erro ao gerar códigos de recuperação do User ID ${userId}.`, error);
+            throw new Error('Erro ao gerar códigos de recuperação.');
+        }
+    }
+
+    /**
+     * Consome (marca como usado) um código de recuperação.
+     * @returns {Promise<boolean>} True se o código era válido e ainda não usado.
+     */
+    async function consumeRecoveryCode(userId, codeHash) {
+        const query = {
+            text: `UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP
+                   WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+                   RETURNING id`,
+            values: [userId, codeHash],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rowCount === 1;
+        } catch (error) {
+            console.error(`[DB] Erro ao consumir código de recuperação do User ID ${userId}.`, error);
+            throw new Error('Erro ao validar código de recuperação.');
+        }
+    }
+
+    // --- Funções de Papéis (Role Functions) ---
+
+    /**
+     * Busca um papel pelo nome, com as permissões atribuídas.
+     * @param {string} name
+     * @returns {Promise<{name: string, description: string|null, require_mfa: boolean, version: number, permissions: string[]}|null>}
+     */
+    async function findRoleByName(name) {
+        const query = {
+            text: `SELECT ${ROLE_COLUMNS} FROM roles r WHERE r.name = $1`,
+            values: [name],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? result.rows[0] : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar papel '${name}'.`, error);
+            throw new Error('Erro ao consultar o banco de dados.');
+        }
+    }
+
+    /**
+     * Lista os papéis, suas configurações e permissões.
+     * @returns {Promise<Array<{name: string, description: string|null, require_mfa: boolean, version: number, permissions: string[]}>>}
+     */
+    async function listRoles() {
+        try {
+            const result = await pool.query(`SELECT ${ROLE_COLUMNS} FROM roles r ORDER BY r.name ASC`);
+            return result.rows;
+        } catch (error) {
+            console.error('[DB] Erro ao listar papéis.', error);
+            throw new Error('Erro ao consultar papéis.');
+        }
+    }
+
+    /**
+     * Cria um papel com as permissões informadas (em uma única instrução).
+     * @param {object} role
+     * @param {string} role.name
+     * @param {string} [role.description]
+     * @param {boolean} [role.requireMfa=false]
+     * @param {string[]} [role.permissions=[]] - Nomes de permissões existentes.
+     * @returns {Promise<object>} O papel criado.
+     * @throws {Error} 'Papel já existe.' se o nome já estiver em uso.
+     */
+    async function addRole({ name, description, requireMfa = false, permissions = [] }) {
+        const query = {
+            text: `WITH new_role AS (
+                       INSERT INTO roles (name, description, require_mfa) VALUES ($1, $2, $3) RETURNING name
+                   ), granted AS (
+                       INSERT INTO role_permissions (role_name, permission_name)
+                       SELECT new_role.name, UNNEST($4::text[]) FROM new_role
+                   )
+                   SELECT name FROM new_role`,
+            values: [name, description || null, requireMfa, permissions],
+        };
+        try {
+            await pool.query(query);
+            console.log(`[DB] Papel '${name}' criado com ${permissions.length} permissão(ões).`);
+            return findRoleByName(name);
+        } catch (error) {
+            if (error.code === '23505') {
+                console.warn(`[DB] Tentativa de criar papel duplicado: ${name}`);
+                throw new Error('Papel já existe.');
+            }
+            console.error(`[DB] Erro ao criar papel '${name}'.`, error);
+            throw new Error('Erro ao criar papel.');
+        }
+    }
+
+    /**
+     * Altera a descrição e/ou a exigência de 2FA de um papel (apenas os campos informados).
+     * @param {string} name
+     * @param {object} changes
+     * @param {string|null} [changes.description]
+     * @param {boolean} [changes.requireMfa]
+     * @returns {Promise<object|null>} O papel atualizado, ou null se não existir.
+     */
+    async function updateRole(name, { description, requireMfa }) {
+        const sets = [];
+        const values = [name];
+        if (description !== undefined) { values.push(description); sets.push(`description = $${values.length}`); }
+        if (requireMfa !== undefined) { values.push(requireMfa); sets.push(`require_mfa = $${values.length}`); }
+        if (sets.length === 0) return findRoleByName(name);
+
+        const query = {
+            text: `UPDATE roles SET ${sets.join(', ')} WHERE name = $1 RETURNING name`,
+            values,
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? findRoleByName(name) : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao atualizar papel '${name}'.`, error);
+            throw new Error('Erro ao atualizar papel.');
+        }
+    }
+
+    /**
+     * Substitui as permissões de um papel e incrementa a sua versão (Access Tokens emitidos com a
+     * versão anterior passam a ser recusados até o refresh).
+     * @param {string} name
+     * @param {string[]} permissions - Nomes de permissões existentes.
+     * @returns {Promise<object|null>} O papel atualizado, ou null se não existir.
+     */
+    async function setRolePermissions(name, permissions) {
+        const query = {
+            text: `WITH role AS (
+                       UPDATE roles SET version = version + 1 WHERE name = $1 RETURNING name
+                   ), revoked AS (
+                       DELETE FROM role_permissions
+                       WHERE role_name IN (SELECT name FROM role) AND permission_name <> ALL($2::text[])
+                   ), granted AS (
+                       INSERT INTO role_permissions (role_name, permission_name)
+                       SELECT role.name, UNNEST($2::text[]) FROM role
+                       ON CONFLICT DO NOTHING
+                   )
+                   SELECT name FROM role`,
+            values: [name, permissions],
+        };
+        try {
+            const result = await pool.query(query);
+            if (result.rows.length === 0) return null;
+            console.log(`[DB] Permissões do papel '${name}' substituídas: ${permissions.join(', ') || '(nenhuma)'}.`);
+            return findRoleByName(name);
+        } catch (error) {
+            console.error(`[DB] Erro ao alterar as permissões do papel '${name}'.`, error);
+            throw new Error('Erro ao atualizar permissões do papel.');
+        }
+    }
+
+    /**
+     * Exclui um papel (as atribuições de permissões são removidas em cascata).
+     * @param {string} name
+     * @returns {Promise<boolean>} False se o papel não existir.
+     * @throws {Error} 'Papel em uso.' se algum usuário ainda tiver o papel.
+     */
+    async function deleteRole(name) {
+        const query = {
+            text: 'DELETE FROM roles WHERE name = $1',
+            values: [name],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rowCount === 1;
+        } catch (error) {
+            if (error.code === '23503') {
+                throw new Error('Papel em uso.');
+            }
+            console.error(`[DB] Erro ao excluir papel '${name}'.`, error);
+            throw new Error('Erro ao excluir papel.');
+        }
+    }
+
+    /**
+     * Lista o catálogo de permissões (definido pelas rotas da API; não é editável pela API).
+     * @returns {Promise<Array<{name: string, description: string}>>}
+     */
+    async function listPermissions() {
+        try {
+            const result = await pool.query('SELECT name, description FROM permissions ORDER BY name ASC');
+            return result.rows;
+        } catch (error) {
+            console.error('[DB] Erro ao listar permissões.', error);
+            throw new Error('Erro ao consultar permissões.');
+        }
+    }
+
+    // --- Funções de Sessão (Session Functions) ---
+    // Uma sessão corresponde a uma família de Refresh Tokens (id da sessão = claim 'fam').
+
+    /**
+     * Registra uma nova sessão (emitida no login).
+     * @param {object} session
+     * @returns {Promise<object>} A sessão criada.
+     */
+    async function addSession({ id, userId, jti, ip, userAgent, expiresAt }) {
+        const query = {
+            text: `INSERT INTO user_sessions (id, user_id, current_jti, ip, user_agent, expires_at)
+                   VALUES ($1, $2, $3, $4, $5, $6)
+                   RETURNING id, user_id, created_at, last_used_at, ip, user_agent, expires_at`,
+            values: [id, userId, jti, ip || null, userAgent || null, expiresAt],
+        };
+        try {
+            const result = await pool.query(query);
+            console.log(`[DB] Sessão ${id} registrada para User ID ${userId}.`);
+            return result.rows[0];
+        } catch (error) {
+            console.error(`[DB] Erro ao registrar sessão para User ID ${userId}.`, error);
+            throw new Error('Erro ao registrar sessão.');
+        }
+    }
+
+    async function findSessionById(id) {
+        const query = {
+            text: `SELECT id, user_id, current_jti, ip, user_agent, created_at, last_used_at, expires_at, revoked_at
+                   FROM user_sessions WHERE id = $1`,
+            values: [id],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? result.rows[0] : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar sessão ${id}.`, error);
+            throw new Error('Erro ao consultar sessão.');
+        }
+    }
+
+    /**
+     * Busca as sessões ativas (não revogadas e não expiradas) de um usuário.
+     * @param {number} userId
+     * @returns {Promise<Array<object>>}
+     */
+    async function findActiveSessionsByUserId(userId) {
+        const query = {
+            text: `SELECT id, ip, user_agent, created_at, last_used_at, expires_at
+                   FROM user_sessions
+                   WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+                   ORDER BY last_used_at DESC`,
+            values: [userId],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows;
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar sessões do User ID ${userId}.`, error);
+            throw new Error('Erro ao consultar sessões.');
+        }
+    }
+
+    /**
+     * Atualiza a sessão após a rotação do Refresh Token.
+     * Só atualiza se o JTI atual for o esperado (evita que duas rotações concorrentes "vençam").
+     * @returns {Promise<boolean>} True se a sessão foi atualizada.
+     */
+    async function rotateSession(id, previousJti, { jti, ip, userAgent, expiresAt }) {
+        const query = {
+            text: `UPDATE user_sessions
+                   SET current_jti = $1, ip = COALESCE($2, ip), user_agent = COALESCE($3, user_agent),
+                       expires_at = $4, last_used_at = CURRENT_TIMESTAMP
+                   WHERE id = $5 AND current_jti = $6 AND revoked_at IS NULL
+                   RETURNING id`,
+            values: [jti, ip || null, userAgent || null, expiresAt, id, previousJti],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rowCount === 1;
+        } catch (error) {
+            console.error(`[DB] Erro ao atualizar sessão ${id}.`, error);
+            throw new Error('Erro ao atualizar sessão.');
+        }
+    }
+
+    /**
+     * Marca sessões como revogadas.
+     * @param {object} filter
+     * @param {string} [filter.id] - Revoga apenas esta sessão.
+     * @param {number} [filter.userId] - Restringe ao usuário (obrigatório se 'id' não for informado).
+     * @param {string} [filter.exceptId] - Sessão a ser preservada (ex: a sessão atual).
+     * @returns {Promise<Array<{id: string, expires_at: Date}>>} Sessões efetivamente revogadas.
+     */
+    async function revokeSessions({ id, userId, exceptId }) {
+        const conditions = ['revoked_at IS NULL'];
+        const values = [];
+        if (id) { values.push(id); conditions.push(`id = $${values.length}`); }
+        if (userId) { values.push(userId); conditions.push(`user_id = $${values.length}`); }
+        if (exceptId) { values.push(exceptId); conditions.push(`id <> $${values.length}`); }
+        if (!id && !userId) {
+            throw new Error('revokeSessions requer id ou userId.');
+        }
+        const query = {
+            text: `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+                   WHERE ${conditions.join(' AND ')}
+                   RETURNING id, expires_at`,
+            values,
+        };
+        try {
+            const result = await pool.query(query);
+            console.log(`[DB] ${result.rowCount} sessão(ões) revogada(s) (Sessão: ${id || '*'}, User ID: ${userId || '*'}).`);
+            return result.rows;
+        } catch (error) {
+            console.error('[DB] Erro ao revogar sessões.', error);
+            throw new Error('Erro ao revogar sessões.');
+        }
+    }
+
+    // --- Funções de Cota de IA (AI Quota Functions) ---
+    // O uso é contado por usuário e por dia (usage_date, em UTC, calculado por config/aiQuota.js).
+
+    /**
+     * Busca os limites de IA definidos para um usuário e para o seu papel.
+     * @param {number} userId
+     * @returns {Promise<{userId: number, role: string, userLimits: object, roleLimits: object}|null>}
+     *   Cada limite tem dailyRequests e dailyTokens (null = herda). Null se o usuário não existir.
+     */
+    async function findAiQuota(userId) {
+        const query = {
+            text: `SELECT ${AI_QUOTA_COLUMNS} FROM users u LEFT JOIN roles r ON r.name = u."role" WHERE u.id = $1`,
+            values: [userId],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? toAiQuota(result.rows[0]) : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar limites de IA do User ID ${userId}.`, error);
+            throw new Error('Erro ao consultar o banco de dados.');
+        }
+    }
+
+    /**
+     * Busca o uso de IA de um usuário em um dia.
+     * @param {number} userId
+     * @param {string} date - Dia (YYYY-MM-DD).
+     * @returns {Promise<{requests: number, tokens: number}>} Zeros se não houver uso no dia.
+     */
+    async function findAiUsage(userId, date) {
+        const query = {
+            text: `SELECT request_count AS requests, token_count AS tokens
+                   FROM ai_usage WHERE user_id = $1 AND usage_date = $2`,
+            values: [userId, date],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? result.rows[0] : { requests: 0, tokens: 0 };
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar uso de IA do User ID ${userId} em ${date}.`, error);
+            throw new Error('Erro ao consultar o banco de dados.');
+        }
+    }
+
+    /**
+     * Conta uma requisição de IA no dia, se o usuário ainda não tiver atingido maxRequests.
+     * A verificação e o incremento são uma única instrução (seguro com requisições simultâneas).
+     * @param {number} userId
+     * @param {string} date - Dia (YYYY-MM-DD).
+     * @param {number} maxRequests - Limite diário de requisições.
+     * @returns {Promise<{requests: number, tokens: number}|null>} Uso após a contagem, ou null se o limite foi atingido.
+     */
+    async function reserveAiRequest(userId, date, maxRequests) {
+        const query = {
+            text: `INSERT INTO ai_usage (user_id, usage_date, request_count)
+                   SELECT $1, $2, 1 WHERE $3::int > 0
+                   ON CONFLICT (user_id, usage_date) DO UPDATE SET request_count = ai_usage.request_count + 1
+                   WHERE ai_usage.request_count < $3::int
+                   RETURNING request_count AS requests, token_count AS tokens`,
+            values: [userId, date, maxRequests],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? result.rows[0] : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao registrar requisição de IA do User ID ${userId}.`, error);
+            throw new Error('Erro ao registrar uso de IA.');
+        }
+    }
+
+    /**
+     * Soma tokens ao uso de IA do dia.
+     * @param {number} userId
+     * @param {string} date - Dia (YYYY-MM-DD).
+     * @param {number} tokens
+     * @returns {Promise<{requests: number, tokens: number}>} Uso após a soma.
+     */
+    async function addAiTokenUsage(userId, date, tokens) {
+        const query = {
+            text: `INSERT INTO ai_usage (user_id, usage_date, token_count) VALUES ($1, $2, $3)
+                   ON CONFLICT (user_id, usage_date) DO UPDATE SET token_count = ai_usage.token_count + $3
+                   RETURNING request_count AS requests, token_count AS tokens`,
+            values: [userId, date, tokens],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows[0];
+        } catch (error) {
+            console.error(`[DB] Erro ao registrar tokens de IA do User ID ${userId}.`, error);
+            throw new Error('Erro ao registrar uso de IA.');
+        }
+    }
+
+    /**
+     * Lista o uso de IA de um dia (apenas usuários com uso), com os limites de cada um.
+     * @param {object} filter
+     * @param {string} filter.date - Dia (YYYY-MM-DD).
+     * @param {number} [filter.userId] - Restringe a um usuário.
+     * @returns {Promise<Array<object>>} Limites (como findAiQuota) + username, requests e tokens; mais tokens primeiro.
+     */
+    async function listAiUsage({ date, userId }) {
+        const values = [date];
+        const conditions = ['au.usage_date = $1'];
+        if (userId) { values.push(userId); conditions.push(`au.user_id = $${values.length}`); }
+        const query = {
+            text: `SELECT ${AI_QUOTA_COLUMNS}, u.username, au.request_count AS requests, au.token_count AS tokens
+                   FROM ai_usage au
+                   JOIN users u ON u.id = au.user_id
+                   LEFT JOIN roles r ON r.name = u."role"
+                   WHERE ${conditions.join(' AND ')}
+                   ORDER BY au.token_count DESC, au.request_count DESC, u.id ASC`,
+            values,
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.map((row) => ({
+                ...toAiQuota(row),
+                username: row.username,
+                requests: row.requests,
+                tokens: row.tokens,
+            }));
+        } catch (error) {
+            console.error(`[DB] Erro ao listar uso de IA de ${date}.`, error);
+            throw new Error('Erro ao consultar uso de IA.');
+        }
+    }
+
+    /**
+     * Define os limites diários de IA de um usuário (apenas os campos informados; null volta a herdar do papel).
+     * @param {number} userId
+     * @param {object} limits
+     * @param {number|null} [limits.dailyRequests]
+     * @param {number|null} [limits.dailyTokens]
+     * @returns {Promise<object|null>} Os limites atualizados (como findAiQuota), ou null se o usuário não existir.
+     */
+    async function setUserAiQuota(userId, limits) {
+        const values = [userId];
+        const sets = quotaAssignments({ dailyRequests: '"aiDailyRequests"', dailyTokens: '"aiDailyTokens"' }, limits, values);
+        if (sets.length === 0) return findAiQuota(userId);
+
+        const query = {
+            text: `UPDATE users SET ${sets.join(', ')} WHERE id = $1 RETURNING id`,
+            values,
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? findAiQuota(userId) : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao alterar limites de IA do User ID ${userId}.`, error);
+            throw new Error('Erro ao atualizar limites de IA.');
+        }
+    }
+
+    /**
+     * Define os limites diários de IA de um papel (apenas os campos informados; null volta ao padrão).
+     * @param {string} name
+     * @param {object} limits
+     * @param {number|null} [limits.dailyRequests]
+     * @param {number|null} [limits.dailyTokens]
+     * @returns {Promise<object|null>} O papel atualizado, ou null se não existir.
+     */
+    async function setRoleAiQuota(name, limits) {
+        const values = [name];
+        const sets = quotaAssignments({ dailyRequests: 'ai_daily_requests', dailyTokens: 'ai_daily_tokens' }, limits, values);
+        if (sets.length === 0) return findRoleByName(name);
+
+        const query = {
+            text: `UPDATE roles SET ${sets.join(', ')} WHERE name = $1 RETURNING name`,
+            values,
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? findRoleByName(name) : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao alterar limites de IA do papel '${name}'.`, error);
+            throw new Error('Erro ao atualizar limites de IA.');
+        }
+    }
+
+    // --- Funções de Sessões de Estudo (Study Session Functions) ---
+
+    // Insere as mensagens de uma sessão (na ordem do array) em uma única instrução
+    async function insertStudyMessages(client, sessionId, messages) {
+        if (messages.length === 0) return;
+        const rows = messages.map(({ sender, kind, section, text, quizData }) => ({
+            sender, kind, section: section ?? null, text: text ?? null, quiz_data: quizData ?? null,
+        }));
+        await client.query({
+            text: `INSERT INTO study_messages (session_id, sender, kind, section, text, quiz_data)
+                   SELECT $1, m.message->>'sender', m.message->>'kind', (m.message->>'section')::int,
+                          m.message->>'text', NULLIF(m.message->'quiz_data', 'null'::jsonb)
+                   FROM jsonb_array_elements($2::jsonb) WITH ORDINALITY AS m(message, position)
+                   ORDER BY m.position`,
+            values: [sessionId, JSON.stringify(rows)],
+        });
+    }
+
+    /**
+     * Cria uma sessão de estudo, com as mensagens iniciais (se houver), em uma transação.
+     * @param {object} data
+     * @param {number} data.userId - Dono da sessão.
+     * @param {string} data.title
+     * @param {string} data.topic
+     * @param {'explain'|'quiz'} [data.nextAction='explain'] - Próxima etapa da sessão.
+     * @param {number} [data.section=1] - Seção atual do tópico.
+     * @param {Array<{title: string, objectives: string[]}>|null} [data.plan=null] - Plano de estudo (seções do tópico).
+     * @param {Array<{sender: string, kind: string, section?: number, text?: string, quizData?: object}>} [data.messages]
+     * @returns {Promise<object>} A sessão criada.
+     */
+    async function addStudySession({ userId, title, topic, nextAction = 'explain', section = 1, plan = null, messages = [] }) {
+        try {
+            const session = await withTransaction(async (client) => {
+                const result = await client.query({
+                    text: `INSERT INTO study_sessions AS s (user_id, title, topic, next_action, section, plan)
+                           VALUES ($1, $2, $3, $4, $5, $6::jsonb)
+                           RETURNING ${STUDY_SESSION_COLUMNS}`,
+                    values: [userId, title, topic, nextAction, section, plan && JSON.stringify(plan)],
+                });
+                await insertStudyMessages(client, result.rows[0].id, messages);
+                return result.rows[0];
+            });
+            console.log(`[DB] Sessão de estudo ${session.id} criada para User ID ${userId}.`);
+            return session;
+        } catch (error) {
+            console.error(`[DB] Erro ao criar sessão de estudo do User ID ${userId}.`, error);
+            throw new Error('Erro ao salvar sessão de estudo.');
+        }
+    }
+
+    /**
+     * Busca uma sessão de estudo de um usuário.
+     * @param {number} id
+     * @param {number} userId - Sessões de outros usuários não são encontradas.
+     * @returns {Promise<object|null>}
+     */
+    async function findStudySession(id, userId) {
+        const query = {
+            text: `SELECT ${STUDY_SESSION_COLUMNS} FROM study_sessions s WHERE s.id = $1 AND s.user_id = $2`,
+            values: [id, userId],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? result.rows[0] : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar sessão de estudo ${id} do User ID ${userId}.`, error);
+            throw new Error('Erro ao consultar sessões de estudo.');
+        }
+    }
+
+    /**
+     * Lista as sessões de estudo de um usuário com paginação.
+     * @param {object} options
+     * @param {number} options.userId
+     * @param {object} options.sort - Ordenação (ver STUDY_SESSION_SORT_FIELDS).
+     * @param {number} options.limit
+     * @param {number} [options.offset]
+     * @param {{value: *, id: number}} [options.cursor]
+     * @returns {Promise<{rows: Array<object>, total: number}>} Cada sessão inclui message_count.
+     */
+    async function listStudySessions({ userId, sort, limit, offset, cursor }) {
+        try {
+            return await runPagedQuery({
+                select: `SELECT ${STUDY_SESSION_COLUMNS},
+                                (SELECT COUNT(*)::int FROM study_messages m WHERE m.session_id = s.id) AS message_count`,
+                from: 'study_sessions s',
+                idColumn: 's.id',
+                conditions: ['s.user_id = $1'],
+                values: [userId],
+                sort, limit, offset, cursor,
+            });
+        } catch (error) {
+            console.error(`[DB] Erro ao listar sessões de estudo do User ID ${userId}.`, error);
+            throw new Error('Erro ao consultar sessões de estudo.');
+        }
+    }
+
+    /**
+     * Histórico de mensagens de uma sessão de estudo, da mais antiga para a mais recente.
+     * @param {number} sessionId
+     * @returns {Promise<Array<object>>}
+     */
+    async function listStudyMessages(sessionId) {
+        const query = {
+            text: `SELECT id, session_id, sender, kind, section, text, quiz_data, quiz_answers, quiz_correct, answered_at, created_at
+                   FROM study_messages WHERE session_id = $1 ORDER BY id ASC`,
+            values: [sessionId],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows;
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar mensagens da sessão de estudo ${sessionId}.`, error);
+            throw new Error('Erro ao consultar sessões de estudo.');
+        }
+    }
+
+    /**
+     * Avança uma sessão de estudo para a próxima etapa e registra as mensagens, em uma transação.
+     * Só avança se a sessão ainda estiver na etapa `from` (duas requisições simultâneas na mesma
+     * sessão não geram a mesma etapa duas vezes).
+     * @param {number} id
+     * @param {number} userId
+     * @param {object} change
+     * @param {{nextAction: string, section: number}} change.from - Etapa lida antes de chamar o modelo.
+     * @param {{nextAction: string, section: number}} change.to - Nova etapa.
+     * @param {Array<object>} [change.messages] - Mensagens a registrar (como em addStudySession).
+     * @param {Array<object>|null} [change.plan] - Plano de estudo gerado nesta etapa; só é guardado se a sessão
+     *   ainda não tiver plano (não substitui o plano editado pelo usuário enquanto o modelo respondia).
+     * @returns {Promise<object|null>} A sessão atualizada, ou null se ela não existir ou já tiver mudado de etapa.
+     */
+    async function advanceStudySession(id, userId, { from, to, messages = [], plan = null }) {
+        try {
+            return await withTransaction(async (client) => {
+                const result = await client.query({
+                    text: `UPDATE study_sessions s SET next_action = $5, section = $6, plan = COALESCE(s.plan, $7::jsonb),
+                                  updated_at = CURRENT_TIMESTAMP
+                           WHERE s.id = $1 AND s.user_id = $2 AND s.next_action = $3 AND s.section = $4
+                           RETURNING ${STUDY_SESSION_COLUMNS}`,
+                    values: [id, userId, from.nextAction, from.section, to.nextAction, to.section, plan && JSON.stringify(plan)],
+                });
+                if (result.rows.length === 0) return null;
+                await insertStudyMessages(client, id, messages);
+                return result.rows[0];
+            });
+        } catch (error) {
+            console.error(`[DB] Erro ao avançar sessão de estudo ${id} do User ID ${userId}.`, error);
+            throw new Error('Erro ao salvar sessão de estudo.');
+        }
+    }
+
+    /**
+     * Registra as respostas de um quiz da sessão, soma o resultado ao placar da sessão e, opcionalmente, ajusta a
+     * próxima etapa e atualiza o domínio do tópico, em uma transação. Cada quiz é respondido uma única vez (duas
+     * submissões simultâneas não contam duas vezes).
+     * @param {number} id - Sessão de estudo.
+     * @param {number} userId
+     * @param {number} messageId - Mensagem do quiz (kind = 'quiz').
+     * @param {object} result
+     * @param {string[]} result.answers - Letras enviadas, uma por pergunta.
+     * @param {number} result.correct - Acertos.
+     * @param {{from: object, to: object}} [result.next] - Nova etapa ({ nextAction, section }), aplicada apenas se a
+     *   sessão ainda estiver na etapa `from` (não desfaz o avanço feito por outra requisição).
+     * @param {{topicKey: string, topic: string, section: number, value: number}} [result.mastery] - Domínio do tópico
+     *   recalculado (value entre 0 e 1) e a seção do quiz.
+     * @returns {Promise<{session: object, mastery: object|null}|null>} Null se o quiz não existir ou já tiver sido respondido.
+     */
+    async function answerStudyQuiz(id, userId, messageId, { answers, correct, next, mastery }) {
+        try {
+            return await withTransaction(async (client) => {
+                const answered = await client.query({
+                    text: `UPDATE study_messages m SET quiz_answers = $4::jsonb, quiz_correct = $5, answered_at = CURRENT_TIMESTAMP
+                           FROM study_sessions s
+                           WHERE m.id = $3 AND m.session_id = $1 AND m.kind = 'quiz' AND m.quiz_answers IS NULL
+                             AND s.id = m.session_id AND s.user_id = $2`,
+                    values: [id, userId, messageId, JSON.stringify(answers), correct],
+                });
+                if (answered.rowCount === 0) return null;
+                const result = await client.query({
+                    text: `UPDATE study_sessions s SET quiz_correct = s.quiz_correct + $2, quiz_answered = s.quiz_answered + $3,
+                                   next_action = CASE WHEN s.next_action = $4 AND s.section = $5::int THEN $6 ELSE s.next_action END,
+                                   section = CASE WHEN s.next_action = $4 AND s.section = $5::int THEN $7::int ELSE s.section END,
+                                   updated_at = CURRENT_TIMESTAMP
+                           WHERE s.id = $1
+                           RETURNING ${STUDY_SESSION_COLUMNS}`,
+                    values: [
+                        id, correct, answers.length,
+                        next ? next.from.nextAction : null, next ? next.from.section : null,
+                        next ? next.to.nextAction : null, next ? next.to.section : null,
+                    ],
+                });
+                if (!mastery) return { session: result.rows[0], mastery: null };
+                const masteryResult = await client.query({
+                    text: `INSERT INTO study_mastery AS m (user_id, topic_key, topic, quizzes, correct, answered, mastery, last_score, highest_section)
+                           VALUES ($1, $2, $3, 1, $4, $5, $6, $7, $8)
+                           ON CONFLICT (user_id, topic_key) DO UPDATE SET
+                               topic = EXCLUDED.topic,
+                               quizzes = m.quizzes + 1,
+                               correct = m.correct + EXCLUDED.correct,
+                               answered = m.answered + EXCLUDED.answered,
+                               mastery = EXCLUDED.mastery,
+                               last_score = EXCLUDED.last_score,
+                               highest_section = GREATEST(m.highest_section, EXCLUDED.highest_section),
+                               updated_at = CURRENT_TIMESTAMP
+                           RETURNING ${STUDY_MASTERY_COLUMNS}`,
+                    values: [userId, mastery.topicKey, mastery.topic, correct, answers.length, mastery.value, correct / answers.length, mastery.section],
+                });
+                return { session: result.rows[0], mastery: masteryResult.rows[0] };
+            });
+        } catch (error) {
+            console.error(`[DB] Erro ao registrar respostas do quiz ${messageId} da sessão de estudo ${id} do User ID ${userId}.`, error);
+            throw new Error('Erro ao salvar sessão de estudo.');
+        }
+    }
+
+    /**
+     * Domínio de um tópico por um usuário.
+     * @param {number} userId
+     * @param {string} topicKey - Tópico normalizado.
+     * @returns {Promise<object|null>}
+     */
+    async function findStudyMastery(userId, topicKey) {
+        const query = {
+            text: `SELECT ${STUDY_MASTERY_COLUMNS} FROM study_mastery m WHERE m.user_id = $1 AND m.topic_key = $2`,
+            values: [userId, topicKey],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? result.rows[0] : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao buscar domínio do tópico '${topicKey}' do User ID ${userId}.`, error);
+            throw new Error('Erro ao consultar domínio dos tópicos.');
+        }
+    }
+
+    /**
+     * Lista o domínio dos tópicos estudados por um usuário com paginação.
+     * @param {object} options
+     * @param {number} options.userId
+     * @param {string} [options.topicKey] - Filtra por um tópico (normalizado).
+     * @param {object} options.sort - Ordenação (ver STUDY_MASTERY_SORT_FIELDS).
+     * @param {number} options.limit
+     * @param {number} [options.offset]
+     * @param {{value: *, id: number}} [options.cursor]
+     * @returns {Promise<{rows: Array<object>, total: number}>}
+     */
+    async function listStudyMastery({ userId, topicKey, sort, limit, offset, cursor }) {
+        const conditions = ['m.user_id = $1'];
+        const values = [userId];
+        if (topicKey !== undefined) {
+            values.push(topicKey);
+            conditions.push(`m.topic_key = $${values.length}`);
+        }
+        try {
+            return await runPagedQuery({
+                select: `SELECT ${STUDY_MASTERY_COLUMNS}`,
+                from: 'study_mastery m',
+                idColumn: 'm.id',
+                conditions,
+                values,
+                sort, limit, offset, cursor,
+            });
+        } catch (error) {
+            console.error(`[DB] Erro ao listar domínio dos tópicos do User ID ${userId}.`, error);
+            throw new Error('Erro ao consultar domínio dos tópicos.');
+        }
+    }
+
+    /**
+     * Renomeia uma sessão de estudo.
+     * @param {number} id
+     * @param {number} userId
+     * @param {string} title
+     * @returns {Promise<object|null>} A sessão atualizada, ou null se não existir.
+     */
+    async function renameStudySession(id, userId, title) {
+        const query = {
+            text: `UPDATE study_sessions s SET title = $3, updated_at = CURRENT_TIMESTAMP
+                   WHERE s.id = $1 AND s.user_id = $2
+                   RETURNING ${STUDY_SESSION_COLUMNS}`,
+            values: [id, userId, title],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? result.rows[0] : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao renomear sessão de estudo ${id} do User ID ${userId}.`, error);
+            throw new Error('Erro ao salvar sessão de estudo.');
+        }
+    }
+
+    /**
+     * Substitui o plano de estudo de uma sessão (edição ou reordenação das seções pelo usuário).
+     * @param {number} id
+     * @param {number} userId
+     * @param {Array<{title: string, objectives: string[]}>} plan
+     * @returns {Promise<object|null>} A sessão atualizada, ou null se não existir.
+     */
+    async function setStudyPlan(id, userId, plan) {
+        const query = {
+            text: `UPDATE study_sessions s SET plan = $3::jsonb, updated_at = CURRENT_TIMESTAMP
+                   WHERE s.id = $1 AND s.user_id = $2
+                   RETURNING ${STUDY_SESSION_COLUMNS}`,
+            values: [id, userId, JSON.stringify(plan)],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rows.length > 0 ? result.rows[0] : null;
+        } catch (error) {
+            console.error(`[DB] Erro ao salvar plano da sessão de estudo ${id} do User ID ${userId}.`, error);
+            throw new Error('Erro ao salvar sessão de estudo.');
+        }
+    }
+
+    /**
+     * Exclui uma sessão de estudo e o seu histórico.
+     * @param {number} id
+     * @param {number} userId
+     * @returns {Promise<boolean>} False se a sessão não existir.
+     */
+    async function deleteStudySession(id, userId) {
+        const query = {
+            text: 'DELETE FROM study_sessions WHERE id = $1 AND user_id = $2',
+            values: [id, userId],
+        };
+        try {
+            const result = await pool.query(query);
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error(`[DB] Erro ao excluir sessão de estudo ${id} do User ID ${userId}.`, error);
+            throw new Error('Erro ao excluir sessão de estudo.');
+        }
+    }
+
+    return {
+        withTransaction,
+        // User functions
+        findUserByUsername,
+        findUserById,
+        findPasswordHashByUserId,
+        addUser,
+        listUsers,
+        findUserAuthState,
+        incrementTokenVersion,
+        updateUser,
+        setUserDisabled,
+        softDeleteUser,
+        updateUserPassword,
+        claimLoginAttempt,
+        releaseLoginAttempt,
+        resetFailedLogins,
+        // Invite code functions
+        addInviteCode,
+        findInviteCode,
+        lockInviteCode,
+        markInviteCodeAsUsed,
+        revokeInviteCode,
+        listInviteCodes,
+        // Password reset functions
+        addPasswordResetToken,
+        consumePasswordResetToken,
+        // MFA functions
+        findUserMfaState,
+        setPendingTotpSecret,
+        enableTotp,
+        disableTotp,
+        markTotpStepUsed,
+        replaceRecoveryCodes,
+        consumeRecoveryCode,
+        // Role functions
+        findRoleByName,
+        listRoles,
+        addRole,
+        updateRole,
+        setRolePermissions,
+        deleteRole,
+        listPermissions,
+        // Session functions
+        addSession,
+        findSessionById,
+        findActiveSessionsByUserId,
+        rotateSession,
+        revokeSessions,
+        // AI quota functions
+        findAiQuota,
+        findAiUsage,
+        reserveAiRequest,
+        addAiTokenUsage,
+        listAiUsage,
+        setUserAiQuota,
+        setRoleAiQuota,
+        // Study session functions
+        addStudySession,
+        findStudySession,
+        listStudySessions,
+        listStudyMessages,
+        advanceStudySession,
+        answerStudyQuiz,
+        renameStudySession,
+        setStudyPlan,
+        deleteStudySession,
+        findStudyMastery,
+        listStudyMastery,
+    };
+}
+
+module.exports = {
+    createPostgresRepository,
+    USER_SORT_FIELDS,
+    INVITE_CODE_SORT_FIELDS,
+    STUDY_SESSION_SORT_FIELDS,
+    STUDY_MASTERY_SORT_FIELDS,
+};
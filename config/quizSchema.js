@@ -0,0 +1,148 @@
+﻿// config/quizSchema.js
+
+/**
+ * Validação e correção dos quizzes gerados pelo assistente de estudos (controllers/aiController.js).
+ *
+ * O modelo nem sempre respeita o formato pedido (resposta "D" em uma pergunta de 3 opções, 'opts'
+ * ausente, opções repetidas...). validateQuiz aplica o schema estrito e devolve a lista de problemas,
+ * que o controller envia de volta ao modelo para que ele corrija a resposta. Por isso as mensagens de
+ * erro estão em inglês, como os prompts.
+ *
+ * Formato: { title, questions: [{ q, opts: [...], ans, exp }] }, onde 'ans' é a letra da opção correta
+ * (A = primeira opção, B = segunda...) e 'exp' explica a resposta. O gabarito ('ans' e 'exp') fica no
+ * servidor: o cliente recebe publicQuiz(quiz) e as respostas são corrigidas por gradeQuiz.
+ */
+
+// Limites padrão (também citados no prompt do quiz)
+const DEFAULT_QUIZ_RULES = {
+    minQuestions: 3,
+    maxQuestions: 5,
+    minOptions: 2,
+    maxOptions: 6,
+};
+
+// Também usados em config/studyPlanSchema.js
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const normalizeText = (value) => value.trim().replace(/\s+/g, ' ').toLowerCase();
+const letter = (index) => String.fromCharCode('A'.charCodeAt(0) + index);
+
+// Valida uma pergunta; devolve a pergunta normalizada (ou null) e acrescenta os problemas em `errors`
+function validateQuestion(question, number, rules, errors) {
+    const prefix = `Question ${number}:`;
+    if (!question || typeof question !== 'object' || Array.isArray(question)) {
+        errors.push(`${prefix} must be an object with "q", "opts", "ans" and "exp".`);
+        return null;
+    }
+    const problems = errors.length;
+
+    if (!isNonEmptyString(question.q)) {
+        errors.push(`${prefix} "q" must be a non-empty string.`);
+    }
+
+    const { opts } = question;
+    if (!Array.isArray(opts) || opts.length < rules.minOptions || opts.length > rules.maxOptions) {
+        const got = Array.isArray(opts) ? `${opts.length}` : 'none';
+        errors.push(`${prefix} "opts" must be an array with ${rules.minOptions} to ${rules.maxOptions} options (got ${got}).`);
+    } else if (!opts.every(isNonEmptyString)) {
+        errors.push(`${prefix} every option in "opts" must be a non-empty string.`);
+    } else {
+        const seen = new Set();
+        for (const option of opts) {
+            if (seen.has(normalizeText(option))) {
+                errors.push(`${prefix} duplicate option "${option.trim()}".`);
+            }
+            seen.add(normalizeText(option));
+        }
+    }
+
+    // 'ans' aceita minúscula e espaços ("b " -> "B"); qualquer outra coisa é erro
+    const ans = typeof question.ans === 'string' ? question.ans.trim().toUpperCase() : null;
+    const optionCount = Array.isArray(opts) ? opts.length : 0;
+    if (!ans || !/^[A-Z]$/.test(ans) || ans.charCodeAt(0) - 'A'.charCodeAt(0) >= optionCount) {
+        const range = optionCount > 0 ? `from A to ${letter(optionCount - 1)}` : 'matching one of the options';
+        errors.push(`${prefix} "ans" must be a single letter ${range} (got ${JSON.stringify(question.ans ?? null)}).`);
+    }
+
+    if (!isNonEmptyString(question.exp)) {
+        errors.push(`${prefix} "exp" must be a non-empty string explaining the correct answer.`);
+    }
+
+    if (errors.length > problems) return null;
+    return { q: question.q.trim(), opts: opts.map((option) => option.trim()), ans, exp: question.exp.trim() };
+}
+
+/**
+ * Valida um quiz contra o schema estrito.
+ * @param {*} quiz - Objeto retornado pelo modelo (já interpretado como JSON).
+ * @param {object} [rules=DEFAULT_QUIZ_RULES] - Quantidade de perguntas e de opções por pergunta.
+ * @returns {{valid: boolean, errors: string[], quiz: object|null}} `quiz` normalizado (textos sem espaços
+ *   nas pontas, 'ans' em maiúscula, sem campos extras) se válido; senão null e a lista de problemas.
+ */
+function validateQuiz(quiz, rules = DEFAULT_QUIZ_RULES) {
+    const errors = [];
+    if (!quiz || typeof quiz !== 'object' || Array.isArray(quiz)) {
+        return { valid: false, errors: ['The quiz must be a JSON object with "title" and "questions".'], quiz: null };
+    }
+
+    if (!isNonEmptyString(quiz.title)) {
+        errors.push('"title" must be a non-empty string.');
+    }
+
+    const { questions } = quiz;
+    if (!Array.isArray(questions) || questions.length < rules.minQuestions || questions.length > rules.maxQuestions) {
+        const got = Array.isArray(questions) ? `${questions.length}` : 'none';
+        errors.push(`"questions" must be an array with ${rules.minQuestions} to ${rules.maxQuestions} questions (got ${got}).`);
+        return { valid: false, errors, quiz: null };
+    }
+
+    const normalized = [];
+    const seen = new Map(); // texto normalizado -> número da pergunta
+    questions.forEach((question, index) => {
+        const result = validateQuestion(question, index + 1, rules, errors);
+        if (result) normalized.push(result);
+        if (!question || !isNonEmptyString(question.q)) return;
+        const key = normalizeText(question.q);
+        if (seen.has(key)) {
+            errors.push(`Question ${index + 1}: duplicate of question ${seen.get(key)}.`);
+        } else {
+            seen.set(key, index + 1);
+        }
+    });
+
+    if (errors.length > 0) return { valid: false, errors, quiz: null };
+    return { valid: true, errors: [], quiz: { title: quiz.title.trim(), questions: normalized } };
+}
+
+/**
+ * Quiz sem o gabarito, para enviar ao cliente.
+ * @param {object} quiz - Quiz validado (com 'ans' e 'exp').
+ * @returns {{title: string, questions: Array<{q: string, opts: string[]}>}}
+ */
+function publicQuiz(quiz) {
+    return { title: quiz.title, questions: quiz.questions.map(({ q, opts }) => ({ q, opts })) };
+}
+
+/**
+ * Corrige as respostas de um quiz.
+ * @param {object} quiz - Quiz com o gabarito.
+ * @param {string[]} answers - Letra escolhida em cada pergunta, na ordem das perguntas.
+ * @returns {{correct: number, total: number, results: Array<{selected: string, answer: string, correct: boolean, explanation: string|null}>}}
+ */
+function gradeQuiz(quiz, answers) {
+    const results = quiz.questions.map((question, index) => ({
+        selected: answers[index],
+        answer: question.ans,
+        correct: answers[index] === question.ans,
+        explanation: question.exp || null, // Quizzes anteriores à explicação obrigatória não têm 'exp'
+    }));
+    return { correct: results.filter((result) => result.correct).length, total: results.length, results };
+}
+
+module.exports = {
+    DEFAULT_QUIZ_RULES,
+    validateQuiz,
+    publicQuiz,
+    gradeQuiz,
+    isNonEmptyString,
+    normalizeText,
+};
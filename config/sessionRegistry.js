@@ -0,0 +1,112 @@
+﻿// config/sessionRegistry.js
+
+/**
+ * Registro de sessões no servidor.
+ *
+ * Cada login cria uma sessão (tabela `user_sessions`) cujo id é a família (claim 'fam') dos
+ * Refresh Tokens emitidos para ele. O registro guarda o JTI atual, IP, user agent e datas de uso,
+ * permitindo listar "onde estou logado" e encerrar sessões remotamente.
+ *
+ * Revogar uma sessão marca o registro no banco E revoga a família na blacklist de tokens,
+ * então qualquer Refresh Token daquele login deixa de ser aceito em /refresh.
+ */
+
+const db = require('./database');
+const { revokeTokenFamily } = require('./tokenBlacklist');
+
+/**
+ * Formata uma sessão do banco para resposta da API.
+ * @param {object} session - Linha da tabela user_sessions.
+ * @param {string} [currentSessionId] - Sessão do token usado na requisição (marcada como 'current').
+ */
+function toPublicSession(session, currentSessionId) {
+    return {
+        id: session.id,
+        ip: session.ip,
+        userAgent: session.user_agent,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === currentSessionId,
+    };
+}
+
+async function revokeFamilies(revokedSessions) {
+    for (const session of revokedSessions) {
+        await revokeTokenFamily(session.id, Math.floor(new Date(session.expires_at).getTime() / 1000));
+    }
+    return revokedSessions.length;
+}
+
+/**
+ * Registra a sessão de um Refresh Token recém emitido no login.
+ * @param {object} data
+ * @param {string} data.sessionId - Família do Refresh Token.
+ * @param {number} data.userId
+ * @param {string} data.jti - JTI do Refresh Token.
+ * @param {number} data.exp - Claim 'exp' do Refresh Token (segundos desde epoch).
+ * @param {string} [data.ip]
+ * @param {string} [data.userAgent]
+ */
+async function registerSession({ sessionId, userId, jti, exp, ip, userAgent }) {
+    return db.addSession({ id: sessionId, userId, jti, ip, userAgent, expiresAt: new Date(exp * 1000) });
+}
+
+/**
+ * Retorna a sessão se ela existir, pertencer ao usuário e não estiver revogada/expirada.
+ * @returns {Promise<object|null>}
+ */
+async function findActiveSession(sessionId, userId) {
+    const session = await db.findSessionById(sessionId);
+    if (!session || session.user_id !== userId || session.revoked_at) return null;
+    if (new Date(session.expires_at).getTime() <= Date.now()) return null;
+    return session;
+}
+
+/**
+ * Atualiza a sessão com o novo Refresh Token após a rotação.
+ * @returns {Promise<boolean>} False se a sessão foi revogada ou rotacionada por outra requisição.
+ */
+async function recordRotation(sessionId, previousJti, { jti, exp, ip, userAgent }) {
+    return db.rotateSession(sessionId, previousJti, { jti, ip, userAgent, expiresAt: new Date(exp * 1000) });
+}
+
+/**
+ * Lista as sessões ativas de um usuário.
+ * @param {number} userId
+ * @param {string} [currentSessionId]
+ */
+async function listSessions(userId, currentSessionId) {
+    const sessions = await db.findActiveSessionsByUserId(userId);
+    return sessions.map((session) => toPublicSession(session, currentSessionId));
+}
+
+/**
+ * Revoga uma sessão específica (opcionalmente garantindo que pertence ao usuário).
+ * @returns {Promise<boolean>} True se a sessão foi revogada agora.
+ */
+async function revokeSession(sessionId, userId) {
+    const revoked = await db.revokeSessions({ id: sessionId, userId });
+    return (await revokeFamilies(revoked)) > 0;
+}
+
+/**
+ * Revoga todas as sessões de um usuário.
+ * @param {number} userId
+ * @param {object} [options]
+ * @param {string} [options.exceptSessionId] - Sessão a ser mantida (ex: a atual).
+ * @returns {Promise<number>} Quantidade de sessões revogadas.
+ */
+async function revokeAllSessions(userId, { exceptSessionId } = {}) {
+    const revoked = await db.revokeSessions({ userId, exceptId: exceptSessionId });
+    return revokeFamilies(revoked);
+}
+
+module.exports = {
+    registerSession,
+    findActiveSession,
+    recordRotation,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+};
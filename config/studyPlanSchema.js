@@ -0,0 +1,103 @@
+﻿// config/studyPlanSchema.js
+
+/**
+ * Validação do plano de estudo (roteiro de seções) gerado pelo assistente de estudos ao iniciar uma sessão
+ * (controllers/aiController.js).
+ *
+ * O plano define o que é cada "seção N" do tópico, para que as explicações e os quizzes sigam um roteiro em vez
+ * de repetir ou se desviar do assunto. Como em config/quizSchema.js, os problemas encontrados são enviados de
+ * volta ao modelo para correção, por isso as mensagens de erro estão em inglês.
+ *
+ * Formato gerado pelo modelo: { sections: [{ title, objectives: [...] }] }. Na sessão é guardada apenas a lista
+ * de seções (a seção N é o item N - 1).
+ */
+
+const { isNonEmptyString, normalizeText } = require('./quizSchema');
+
+// Limites de qualquer plano guardado (também o editado pelo usuário em PUT /api/ai/sessions/:id/plan)
+const PLAN_LIMITS = {
+    maxSections: 20,
+    maxTitleLength: 100,
+    maxObjectives: 5,
+    maxObjectiveLength: 300,
+};
+
+// Limites do plano pedido ao modelo (também citados no prompt)
+const DEFAULT_PLAN_RULES = {
+    ...PLAN_LIMITS,
+    minSections: 3,
+    maxSections: 8,
+};
+
+// Valida uma seção; devolve a seção normalizada (ou null) e acrescenta os problemas em `errors`
+function validateSection(section, number, rules, errors) {
+    const prefix = `Section ${number}:`;
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+        errors.push(`${prefix} must be an object with "title" and "objectives".`);
+        return null;
+    }
+    const problems = errors.length;
+
+    if (!isNonEmptyString(section.title) || section.title.trim().length > rules.maxTitleLength) {
+        errors.push(`${prefix} "title" must be a non-empty string of at most ${rules.maxTitleLength} characters.`);
+    }
+
+    const { objectives } = section;
+    if (!Array.isArray(objectives) || objectives.length < 1 || objectives.length > rules.maxObjectives) {
+        const got = Array.isArray(objectives) ? `${objectives.length}` : 'none';
+        errors.push(`${prefix} "objectives" must be an array with 1 to ${rules.maxObjectives} learning objectives (got ${got}).`);
+    } else if (!objectives.every((objective) => isNonEmptyString(objective) && objective.trim().length <= rules.maxObjectiveLength)) {
+        errors.push(`${prefix} every objective must be a non-empty string of at most ${rules.maxObjectiveLength} characters.`);
+    }
+
+    if (errors.length > problems) return null;
+    return { title: section.title.trim(), objectives: objectives.map((objective) => objective.trim()) };
+}
+
+/**
+ * Valida um plano de estudo contra o schema.
+ * @param {*} plan - Objeto retornado pelo modelo (já interpretado como JSON).
+ * @param {object} [rules=DEFAULT_PLAN_RULES] - Quantidade de seções e de objetivos e tamanho dos textos.
+ * @returns {{valid: boolean, errors: string[], sections: Array<{title: string, objectives: string[]}>|null}}
+ *   `sections` normalizadas (textos sem espaços nas pontas, sem campos extras) se válido; senão null e a lista de problemas.
+ */
+function validateStudyPlan(plan, rules = DEFAULT_PLAN_RULES) {
+    if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+        return { valid: false, errors: ['The study plan must be a JSON object with "sections".'], sections: null };
+    }
+
+    const { sections } = plan;
+    if (!Array.isArray(sections) || sections.length < rules.minSections || sections.length > rules.maxSections) {
+        const got = Array.isArray(sections) ? `${sections.length}` : 'none';
+        return {
+            valid: false,
+            errors: [`"sections" must be an array with ${rules.minSections} to ${rules.maxSections} sections (got ${got}).`],
+            sections: null,
+        };
+    }
+
+    const errors = [];
+    const normalized = [];
+    const seen = new Map(); // título normalizado -> número da seção
+    sections.forEach((section, index) => {
+        const result = validateSection(section, index + 1, rules, errors);
+        if (result) normalized.push(result);
+        // Títulos repetidos são apontados mesmo em seções com outros problemas
+        if (!section || !isNonEmptyString(section.title)) return;
+        const key = normalizeText(section.title);
+        if (seen.has(key)) {
+            errors.push(`Section ${index + 1}: same title as section ${seen.get(key)}; every section must cover different content.`);
+        } else {
+            seen.set(key, index + 1);
+        }
+    });
+
+    if (errors.length > 0) return { valid: false, errors, sections: null };
+    return { valid: true, errors: [], sections: normalized };
+}
+
+module.exports = {
+    PLAN_LIMITS,
+    DEFAULT_PLAN_RULES,
+    validateStudyPlan,
+};
@@ -1,33 +1,248 @@
 ﻿// config/tokenBlacklist.js
 
 /**
- * ATENÇÃO: Implementação de blacklist de tokens em memória.
- * NÃO É PERSISTENTE e NÃO FUNCIONA em ambientes com múltiplos processos/servidores.
- * Adequado APENAS para demonstração ou desenvolvimento local.
- * Para produção, use uma solução persistente como Redis ou uma tabela no banco de dados.
+ * Blacklist (revogação) de tokens por JTI (JWT ID) e de famílias de Refresh Tokens.
+ *
+ * O armazenamento é plugável:
+ * - 'postgres' (padrão): tabela `revoked_tokens` no PostgreSQL. Persistente entre reinícios e
+ *   compartilhada entre todas as instâncias da API (ex: múltiplas instâncias no Render).
+ * - 'memory': Map em memória. NÃO é persistente nem compartilhado; use APENAS em testes/dev local.
+ *
+ * A escolha é feita pela variável de ambiente TOKEN_BLACKLIST_STORE (padrão: 'memory' quando o
+ * repositório de dados também é em memória, DATABASE_STORE=memory; senão 'postgres').
+ * Cada entrada guarda o 'exp' do token: depois que ele passa, o próprio jwt.verify já recusa o token,
+ * então a entrada é removida periodicamente para a tabela não crescer indefinidamente.
+ *
+ * Famílias: cada login gera uma "família" de Refresh Tokens (claim 'fam'); a cada rotação o token
+ * anterior é revogado com motivo 'rotated'. Se um token já rotacionado for apresentado de novo,
+ * a família inteira é revogada (detecção de reuso).
  */
 
-// Usamos um Set para armazenamento eficiente e verificação rápida de existência.
-const blacklistedTokens = new Set();
+const TOKEN_BLACKLIST_STORE = process.env.TOKEN_BLACKLIST_STORE
+    || (process.env.DATABASE_STORE === 'memory' ? 'memory' : 'postgres');
+const PURGE_INTERVAL_MS = parseInt(process.env.TOKEN_BLACKLIST_PURGE_INTERVAL_MS || '3600000'); // Padrão: 1 hora
+// Usado apenas quando o token não traz 'exp' (não deveria acontecer com os tokens gerados pela API)
+const DEFAULT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// --- Implementações de Store ---
 
 /**
- * Adiciona um token (JTI - JWT ID) à blacklist.
- * @param {string} jti - O ID único do token JWT a ser invalidado.
+ * Store em memória. Útil para testes e desenvolvimento local.
+ * @returns {object} Store com add/has/get/addFamily/hasFamily/purgeExpired.
+ */
+function createMemoryStore() {
+    const entries = new Map(); // jti -> { expiresAt (ms epoch), familyId, reason }
+    const families = new Map(); // familyId -> expiração (ms epoch)
+
+    const purgeMap = (map, getExpiresAt) => {
+        const now = Date.now();
+        let removed = 0;
+        for (const [key, value] of map) {
+            if (getExpiresAt(value) <= now) {
+                map.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    };
+
+    return {
+        async add(jti, expiresAt, { familyId = null, reason = 'logout' } = {}) {
+            if (entries.has(jti)) return false;
+            entries.set(jti, { expiresAt: expiresAt.getTime(), familyId, reason });
+            return true;
+        },
+        async has(jti) {
+            return entries.has(jti);
+        },
+        async get(jti) {
+            const entry = entries.get(jti);
+            return entry ? { familyId: entry.familyId, reason: entry.reason } : null;
+        },
+        async addFamily(familyId, expiresAt) {
+            const current = families.get(familyId) || 0;
+            families.set(familyId, Math.max(current, expiresAt.getTime()));
+        },
+        async hasFamily(familyId) {
+            return families.has(familyId);
+        },
+        async purgeExpired() {
+            return purgeMap(entries, (entry) => entry.expiresAt) + purgeMap(families, (expiresAt) => expiresAt);
+        },
+    };
+}
+
+/**
+ * Store persistente no PostgreSQL (tabelas `revoked_tokens` e `revoked_token_families`).
+ * @param {import('pg').Pool} pool - Pool de conexões a ser usado.
+ * @returns {object} Store com add/has/get/addFamily/hasFamily/purgeExpired.
  */
-function addToBlacklist(jti) {
-    if (jti) {
-        // console.log(`[Blacklist] Adicionando JTI: ${jti}`); // Log comentado por padrão
-        blacklistedTokens.add(jti);
+function createPostgresStore(pool) {
+    return {
+        async add(jti, expiresAt, { familyId = null, reason = 'logout' } = {}) {
+            // ON CONFLICT + RETURNING torna a revogação atômica: só UMA requisição concorrente "ganha"
+            const query = {
+                text: `INSERT INTO revoked_tokens (jti, expires_at, family_id, reason) VALUES ($1, $2, $3, $4)
+                       ON CONFLICT (jti) DO NOTHING
+                       RETURNING jti`,
+                values: [jti, expiresAt, familyId, reason],
+            };
+            try {
+                const result = await pool.query(query);
+                return result.rowCount === 1;
+            } catch (error) {
+                console.error(`[Blacklist] Erro ao revogar JTI ${jti} no banco.`, error);
+                throw new Error('Erro ao revogar token.');
+            }
+        },
+        async has(jti) {
+            const query = {
+                text: 'SELECT 1 FROM revoked_tokens WHERE jti = $1',
+                values: [jti],
+            };
+            try {
+                const result = await pool.query(query);
+                return result.rows.length > 0;
+            } catch (error) {
+                console.error(`[Blacklist] Erro ao consultar JTI ${jti} no banco.`, error);
+                throw new Error('Erro ao verificar revogação do token.');
+            }
+        },
+        async get(jti) {
+            const query = {
+                text: 'SELECT family_id, reason FROM revoked_tokens WHERE jti = $1',
+                values: [jti],
+            };
+            try {
+                const result = await pool.query(query);
+                if (result.rows.length === 0) return null;
+                return { familyId: result.rows[0].family_id, reason: result.rows[0].reason };
+            } catch (error) {
+                console.error(`[Blacklist] Erro ao consultar JTI ${jti} no banco.`, error);
+                throw new Error('Erro ao verificar revogação do token.');
+            }
+        },
+        async addFamily(familyId, expiresAt) {
+            const query = {
+                text: `INSERT INTO revoked_token_families (family_id, expires_at) VALUES ($1, $2)
+                       ON CONFLICT (family_id) DO UPDATE
+                       SET expires_at = GREATEST(revoked_token_families.expires_at, EXCLUDED.expires_at)`,
+                values: [familyId, expiresAt],
+            };
+            try {
+                await pool.query(query);
+            } catch (error) {
+                console.error(`[Blacklist] Erro ao revogar família ${familyId} no banco.`, error);
+                throw new Error('Erro ao revogar sessão.');
+            }
+        },
+        async hasFamily(familyId) {
+            const query = {
+                text: 'SELECT 1 FROM revoked_token_families WHERE family_id = $1',
+                values: [familyId],
+            };
+            try {
+                const result = await pool.query(query);
+                return result.rows.length > 0;
+            } catch (error) {
+                console.error(`[Blacklist] Erro ao consultar família ${familyId} no banco.`, error);
+                throw new Error('Erro ao verificar revogação do token.');
+            }
+        },
+        async purgeExpired() {
+            const tokens = await pool.query('DELETE FROM revoked_tokens WHERE expires_at <= NOW()');
+            const families = await pool.query('DELETE FROM revoked_token_families WHERE expires_at <= NOW()');
+            return tokens.rowCount + families.rowCount;
+        },
+    };
+}
+
+function createStoreFromConfig() {
+    if (TOKEN_BLACKLIST_STORE === 'memory') {
+        console.warn('[Blacklist] Usando store EM MEMÓRIA (não persistente, não compartilhado entre instâncias).');
+        return createMemoryStore();
+    }
+    if (TOKEN_BLACKLIST_STORE !== 'postgres') {
+        console.warn(`[Blacklist] TOKEN_BLACKLIST_STORE desconhecido ('${TOKEN_BLACKLIST_STORE}'). Usando 'postgres'.`);
     }
+    // require tardio: evita exigir DATABASE_URL quando o store em memória é usado
+    const { getPool } = require('./database');
+    return createPostgresStore(getPool());
+}
+
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = createStoreFromConfig();
+    }
+    return store;
+}
+
+/**
+ * Substitui o store ativo (ex: store em memória nos testes).
+ * @param {object} newStore - Objeto com a mesma interface de createMemoryStore().
+ */
+function setStore(newStore) {
+    store = newStore;
+}
+
+// --- API Pública ---
+
+function expToDate(exp) {
+    return exp ? new Date(exp * 1000) : new Date(Date.now() + DEFAULT_RETENTION_MS);
+}
+
+/**
+ * Adiciona um token (JTI) à blacklist até a sua expiração.
+ * @param {string} jti - O ID único do token JWT a ser invalidado.
+ * @param {number} [exp] - Claim 'exp' do token (segundos desde epoch).
+ * @param {object} [meta]
+ * @param {string} [meta.familyId] - Família (claim 'fam') à qual o token pertence.
+ * @param {'logout'|'rotated'} [meta.reason='logout'] - Motivo da revogação.
+ * @returns {Promise<boolean>} True se o JTI foi revogado agora; false se já estava na blacklist.
+ */
+async function addToBlacklist(jti, exp, meta = {}) {
+    if (!jti) return false;
+    return getStore().add(jti, expToDate(exp), meta);
+}
+
+/**
+ * Retorna os dados da revogação de um JTI (família e motivo), ou null se não estiver revogado.
+ * @param {string} jti
+ * @returns {Promise<{familyId: string|null, reason: string}|null>}
+ */
+async function getRevocation(jti) {
+    return jti ? getStore().get(jti) : null;
+}
+
+/**
+ * Revoga uma família inteira de Refresh Tokens (ex: reuso de token rotacionado).
+ * @param {string} familyId - Claim 'fam' dos tokens.
+ * @param {number} [exp] - Até quando a revogação deve ser mantida (segundos desde epoch).
+ * @returns {Promise<void>}
+ */
+async function revokeTokenFamily(familyId, exp) {
+    if (!familyId) return;
+    await getStore().addFamily(familyId, expToDate(exp));
+}
+
+/**
+ * Verifica se uma família de Refresh Tokens foi revogada.
+ * @param {string} familyId
+ * @returns {Promise<boolean>}
+ */
+async function isFamilyRevoked(familyId) {
+    return familyId ? getStore().hasFamily(familyId) : false;
 }
 
 /**
  * Verifica se um token (JTI) está na blacklist.
  * @param {string} jti - O ID do token JWT a ser verificado.
- * @returns {boolean} True se o token estiver na blacklist, false caso contrário.
+ * @returns {Promise<boolean>} True se o token estiver na blacklist, false caso contrário.
  */
-function isBlacklisted(jti) {
-    const blacklisted = jti ? blacklistedTokens.has(jti) : false;
+async function isBlacklisted(jti) {
+    const blacklisted = jti ? await getStore().has(jti) : false;
     // Só loga se realmente estiver na blacklist, pois é um evento de segurança relevante
     if (blacklisted) {
         console.warn(`[Blacklist] ATENÇÃO: JTI ${jti} está na blacklist (token revogado).`);
@@ -35,12 +250,35 @@ function isBlacklisted(jti) {
     return blacklisted;
 }
 
-// Opcional: Limpeza periódica de tokens expirados (simplificado)
-// Em uma implementação real com tempos de expiração, você removeria JTIs
-// cujo 'exp' correspondente já passou. Este exemplo não faz isso automaticamente.
-// setInterval(() => { /* Lógica de limpeza */ }, SOME_INTERVAL);
+/**
+ * Remove da blacklist as entradas cujo token já expirou.
+ * @returns {Promise<number>} Quantidade de entradas removidas.
+ */
+async function purgeExpired() {
+    const removed = await getStore().purgeExpired();
+    if (removed > 0) {
+        console.log(`[Blacklist] Limpeza: ${removed} entrada(s) expirada(s) removida(s).`);
+    }
+    return removed;
+}
+
+// Limpeza periódica. unref() para não impedir o processo de encerrar (scripts/testes).
+if (PURGE_INTERVAL_MS > 0) {
+    setInterval(() => {
+        purgeExpired().catch((error) => {
+            console.error('[Blacklist] Erro na limpeza periódica de tokens expirados.', error);
+        });
+    }, PURGE_INTERVAL_MS).unref();
+}
 
 module.exports = {
     addToBlacklist,
     isBlacklisted,
-};
\ No newline at end of file
+    getRevocation,
+    revokeTokenFamily,
+    isFamilyRevoked,
+    purgeExpired,
+    setStore,
+    createMemoryStore,
+    createPostgresStore,
+};
@@ -0,0 +1,124 @@
+﻿// config/totp.js
+
+/**
+ * TOTP (RFC 6238) compatível com Google Authenticator, Authy, 1Password etc.
+ * HMAC-SHA1, passos de 30 segundos e códigos de 6 dígitos (os padrões que todos os apps suportam).
+ * Implementado com o módulo 'crypto' do Node, sem dependências externas.
+ */
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Segredo TOTP inválido (base32).');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Gera um novo segredo TOTP (160 bits, codificado em base32).
+ * @returns {string}
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Calcula o código TOTP de um passo de tempo.
+ * @param {string} secret - Segredo em base32.
+ * @param {number} step - Passo de tempo (segundos desde epoch / 30).
+ * @returns {string} Código com DIGITS dígitos.
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Passo de tempo atual.
+ * @param {number} [now=Date.now()]
+ */
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Verifica um código TOTP, tolerando `window` passos de diferença de relógio para cada lado.
+ * @param {string} secret - Segredo em base32.
+ * @param {string} code - Código informado pelo usuário.
+ * @param {object} [options]
+ * @param {number} [options.window=1]
+ * @param {number} [options.now=Date.now()] - Instante da verificação (ms desde epoch).
+ * @returns {number|null} O passo de tempo do código aceito (para impedir reuso), ou null se inválido.
+ */
+function verifyCode(secret, code, { window = 1, now = Date.now() } = {}) {
+    if (!/^\d+$/.test(code || '') || code.length !== DIGITS) return null;
+    const step = currentStep(now);
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = generateCode(secret, step + offset);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+            return step + offset;
+        }
+    }
+    return null;
+}
+
+/**
+ * Monta a URI otpauth:// (usada para gerar o QR Code no app autenticador).
+ * @param {object} params
+ * @param {string} params.secret - Segredo em base32.
+ * @param {string} params.accountName - Identificação da conta (ex: username).
+ * @param {string} params.issuer - Nome do serviço exibido no app.
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    // encodeURIComponent (e não URLSearchParams): alguns apps exibem '+' literalmente no lugar de espaços
+    const query = `secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+    return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    currentStep,
+    verifyCode,
+    buildOtpauthUri,
+};
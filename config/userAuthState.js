@@ -0,0 +1,62 @@
+﻿// config/userAuthState.js
+
+/**
+ * Cache do "estado de autenticação" dos usuários (papel, versão de token, desativação).
+ *
+ * O middleware de Access Token compara o token com este estado a cada requisição. Para não
+ * consultar o banco toda vez, o estado fica em cache por AUTH_STATE_CACHE_TTL_MS.
+ * Na instância que fez a alteração o cache é invalidado na hora; nas demais instâncias a
+ * alteração é percebida em no máximo um TTL.
+ */
+
+const db = require('./database');
+
+const AUTH_STATE_CACHE_TTL_MS = parseInt(process.env.AUTH_STATE_CACHE_TTL_MS || '30000'); // Padrão: 30s
+
+const cache = new Map(); // userId -> { state, expiresAt }
+
+/**
+ * Retorna o estado de autenticação do usuário (do cache, se ainda válido).
+ * @param {number} userId
+ * @param {object} [options]
+ * @param {boolean} [options.bypassCache=false] - Força a leitura do banco (ex: ao emitir tokens).
+ * @returns {Promise<{id: number, role: string, tokenVersion: number, disabledAt: Date|null}|null>}
+ *          Null se o usuário não existir.
+ */
+async function getUserAuthState(userId, { bypassCache = false } = {}) {
+    const cached = cache.get(userId);
+    if (!bypassCache && cached && cached.expiresAt > Date.now()) {
+        return cached.state;
+    }
+    const state = await db.findUserAuthState(userId);
+    if (AUTH_STATE_CACHE_TTL_MS > 0) {
+        cache.set(userId, { state, expiresAt: Date.now() + AUTH_STATE_CACHE_TTL_MS });
+    }
+    return state;
+}
+
+/**
+ * Remove o usuário do cache (chamar após alterar papel, desativar, etc.).
+ * @param {number} userId
+ */
+function invalidateUserAuthState(userId) {
+    cache.delete(userId);
+}
+
+/**
+ * Invalida imediatamente todos os Access Tokens já emitidos para o usuário
+ * (incrementa a versão de token e limpa o cache).
+ * @param {number} userId
+ * @returns {Promise<number|null>} Nova versão de token.
+ */
+async function revokeUserAccessTokens(userId) {
+    const tokenVersion = await db.incrementTokenVersion(userId);
+    invalidateUserAuthState(userId);
+    return tokenVersion;
+}
+
+module.exports = {
+    getUserAuthState,
+    invalidateUserAuthState,
+    revokeUserAccessTokens,
+};
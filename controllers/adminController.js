@@ -2,31 +2,67 @@
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const db = require('../config/database');
+const sessionRegistry = require('../config/sessionRegistry');
+const { invalidateUserAuthState, revokeUserAccessTokens } = require('../config/userAuthState');
+const { resetFailedLogins } = require('../config/loginLockout');
+const { parseListOptions, buildPage } = require('../config/pagination');
+const { invalidateRoleAccess, hasPermissions } = require('../config/permissions');
+const aiQuota = require('../config/aiQuota');
 
 const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS || '10');
 
 /**
- * Gera um ou mais códigos de convite.
+ * Encerra todas as sessões e invalida os Access Tokens de um usuário.
+ * Usado quando a conta é desativada, excluída ou tem a senha redefinida.
+ */
+async function signOutEverywhere(userId) {
+    const count = await sessionRegistry.revokeAllSessions(userId);
+    await revokeUserAccessTokens(userId);
+    return count;
+}
+
+/**
+ * Confere se o papel existe (papéis são gerenciados em /api/admin/roles).
+ * @returns {Promise<string|null>} Mensagem de erro, ou null se o papel pode ser atribuído.
+ */
+async function checkAssignableRole(role) {
+    if (await db.findRoleByName(role)) return null;
+    const roles = await db.listRoles();
+    return `Papel (role) inválido. Papéis permitidos: ${roles.map((r) => r.name).join(', ')}`;
+}
+
+/**
+ * Gera um ou mais códigos de convite, opcionalmente com validade, vários usos, papel concedido e observação.
  */
 const generateInviteCodes = async (req, res) => {
     const adminUserId = req.user.id;
     const quantity = parseInt(req.body.quantity || '1') || 1;
+    const { expiresAt, maxUses = 1, role, note } = req.body;
 
     if (quantity <= 0 || quantity > 20) {
         return res.status(400).json({ message: "Quantidade inválida. Forneça um número entre 1 e 20." });
     }
+    // Um convite com papel equivale a criar o usuário com esse papel
+    if (role && !hasPermissions(req.user.perms, 'users:create')) {
+        return res.status(403).json({ message: "Definir o papel do convite exige a permissão 'users:create'." });
+    }
 
-    console.log(`[Admin] Admin ID ${adminUserId} solicitou a geração de ${quantity} código(s) de convite.`);
+    console.log(`[Admin] Admin ID ${adminUserId} solicitou a geração de ${quantity} código(s) de convite (${JSON.stringify({ expiresAt, maxUses, role, note })}).`);
     const generatedCodes = [];
     const failedCodes = [];
     let attempts = 0;
 
     try {
+        const roleError = role ? await checkAssignableRole(role) : null;
+        if (roleError) {
+            return res.status(400).json({ message: roleError });
+        }
+
         while (generatedCodes.length < quantity && attempts < quantity * 2) {
             attempts++;
             const code = crypto.randomBytes(12).toString('hex');
             try {
-                const newCode = await db.addInviteCode(code, adminUserId);
+                const newCode = await db.addInviteCode(code, adminUserId, { expiresAt, maxUses, role, note });
                 generatedCodes.push(newCode.code);
             } catch (error) {
                 console.warn(`[Admin] Falha ao gerar/salvar código de convite (Tentativa ${attempts}): ${error.message}`);
@@ -43,6 +79,10 @@ const generateInviteCodes = async (req, res) => {
         res.status(201).json({
             message: `${generatedCodes.length} código(s) de convite gerado(s) com sucesso.`,
             codes: generatedCodes,
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+            maxUses,
+            role: role || 'user',
+            note: note || null,
             failures: failedCodes.length > 0 ? failedCodes : undefined
         });
 
@@ -58,16 +98,16 @@ const generateInviteCodes = async (req, res) => {
  */
 const createUserByAdmin = async (req, res) => {
     const adminUserId = req.user.id;
-    const { username, password, role } = req.body;
-
-    const allowedRoles = ['user', 'admin', 'moderator']; // Defina os papéis permitidos
-    if (role && !allowedRoles.includes(role)) {
-        return res.status(400).json({ message: `Papel (role) inválido. Papéis permitidos: ${allowedRoles.join(', ')}` });
-    }
+    const { username, password, role, email } = req.body;
 
     console.log(`[Admin] Admin ID ${adminUserId} tentando criar usuário: ${username} com role: ${role || 'user'}`);
 
     try {
+        const roleError = role ? await checkAssignableRole(role) : null;
+        if (roleError) {
+            return res.status(400).json({ message: roleError });
+        }
+
         const existingUser = await db.findUserByUsername(username);
         if (existingUser) {
             console.warn(`[Admin] Tentativa de criar usuário existente: ${username}`);
@@ -75,7 +115,7 @@ const createUserByAdmin = async (req, res) => {
         }
 
         const passwordHash = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
-        const newUser = await db.addUser({ username, passwordHash, role: role || 'user' });
+        const newUser = await db.addUser({ username, passwordHash, role: role || 'user', email });
 
         console.log(`[Admin] Sucesso: Admin ID ${adminUserId} criou usuário ${username} (ID: ${newUser.id}, Role: ${newUser.role}).`);
         res.status(201).json({
@@ -96,14 +136,24 @@ const createUserByAdmin = async (req, res) => {
 
 
 /**
- * Lista todos os usuários (requer role 'admin').
+ * Lista usuários com filtros, ordenação e paginação (requer a permissão 'users:read').
  */
 const getAllUsers = async (req, res) => {
-    // Admin já verificado pelos middlewares
+    // Permissão já verificada pelos middlewares
     console.log(`[Admin] Admin ID ${req.user.id} solicitou a lista de usuários.`);
+    const options = parseListOptions(req.query, db.USER_SORT_FIELDS, 'id');
+    if (options.error) {
+        return res.status(400).json({ message: options.error });
+    }
     try {
-        const users = await db.findAllUsers();
-        res.status(200).json(users); // Retorna o array de usuários
+        const result = await db.listUsers({
+            role: req.query.role,
+            q: req.query.q,
+            createdFrom: req.query.created_from,
+            createdTo: req.query.created_to,
+            ...options,
+        });
+        res.status(200).json(buildPage(req, result, options));
     } catch (error) {
         console.error(`[Admin] ERRO ao listar usuários (solicitado por Admin ID ${req.user.id}):`, error);
         res.status(500).json({ message: "Erro interno ao buscar usuários." });
@@ -111,25 +161,544 @@ const getAllUsers = async (req, res) => {
 };
 
 /**
- * Lista todos os códigos de convite (requer role 'admin').
+ * Lista códigos de convite com filtros, ordenação e paginação (requer a permissão 'invites:read').
  */
 const getAllInviteCodes = async (req, res) => {
-    // Admin já verificado pelos middlewares
+    // Permissão já verificada pelos middlewares
     console.log(`[Admin] Admin ID ${req.user.id} solicitou a lista de códigos de convite.`);
+    const options = parseListOptions(req.query, db.INVITE_CODE_SORT_FIELDS, '-createdAt');
+    if (options.error) {
+        return res.status(400).json({ message: options.error });
+    }
     try {
-        const codes = await db.findAllInviteCodes();
-        // Opcional: Mapear/formatar os dados antes de enviar, ex: buscar usernames
-        res.status(200).json(codes); // Retorna o array de códigos
+        const result = await db.listInviteCodes({
+            isUsed: req.query.is_used,
+            status: req.query.status,
+            createdBy: req.query.created_by,
+            createdFrom: req.query.created_from,
+            createdTo: req.query.created_to,
+            ...options,
+        });
+        res.status(200).json(buildPage(req, result, options));
     } catch (error) {
         console.error(`[Admin] ERRO ao listar códigos de convite (solicitado por Admin ID ${req.user.id}):`, error);
         res.status(500).json({ message: "Erro interno ao buscar códigos de convite." });
     }
 };
 
+/**
+ * Revoga um código de convite que ainda possa ser usado (registros já feitos com ele são mantidos).
+ */
+const revokeInviteCode = async (req, res) => {
+    const adminUserId = req.user.id;
+    const { code } = req.params;
+
+    console.log(`[Admin] Admin ID ${adminUserId} solicitou revogar o código de convite ${code}.`);
+    try {
+        const revoked = await db.revokeInviteCode(code);
+        if (!revoked) {
+            const existing = await db.findInviteCode(code);
+            if (!existing) {
+                return res.status(404).json({ message: 'Código de convite não encontrado.' });
+            }
+            const reason = existing.revoked_at ? 'Código de convite já revogado.' : 'Código de convite já utilizado (sem usos restantes).';
+            return res.status(409).json({ message: reason });
+        }
+        console.log(`[Admin] Sucesso: Código de convite ${code} revogado por Admin ID ${adminUserId} (${revoked.use_count}/${revoked.max_uses} uso(s)).`);
+        res.status(200).json({ message: 'Código de convite revogado com sucesso.', inviteCode: revoked });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao revogar código de convite ${code} (Admin ID ${adminUserId}):`, error);
+        res.status(500).json({ message: 'Erro interno ao revogar código de convite.' });
+    }
+};
+
+/**
+ * Encerra todas as sessões de um usuário (ex: conta comprometida).
+ */
+const revokeUserSessions = async (req, res) => {
+    const adminUserId = req.user.id;
+    const targetUserId = req.params.id;
+    try {
+        const count = await signOutEverywhere(targetUserId); // Access Tokens em uso também deixam de valer
+        console.log(`[Admin] Admin ID ${adminUserId} encerrou ${count} sessão(ões) do User ID ${targetUserId}.`);
+        res.status(200).json({
+            message: `${count} sessão(ões) encerrada(s) com sucesso.`,
+            revokedSessions: count
+        });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao encerrar sessões do User ID ${targetUserId} (solicitado por Admin ID ${adminUserId}):`, error);
+        res.status(500).json({ message: "Erro interno ao encerrar sessões do usuário." });
+    }
+};
+
+/**
+ * Busca um usuário pelo ID (inclui usuários desativados/excluídos).
+ */
+const getUserById = async (req, res) => {
+    const targetUserId = req.params.id;
+    console.log(`[Admin] Admin ID ${req.user.id} consultou o User ID ${targetUserId}.`);
+    try {
+        const user = await db.findUserById(targetUserId);
+        if (!user) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        res.status(200).json({
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            createdAt: user.createdAt,
+            disabledAt: user.disabledAt,
+            deletedAt: user.deletedAt
+        });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao buscar User ID ${targetUserId} (solicitado por Admin ID ${req.user.id}):`, error);
+        res.status(500).json({ message: "Erro interno ao buscar usuário." });
+    }
+};
+
+/**
+ * Altera o papel e/ou o username de um usuário.
+ */
+const updateUserByAdmin = async (req, res) => {
+    const adminUserId = req.user.id;
+    const targetUserId = req.params.id;
+    const { username, role } = req.body;
+
+    if (username === undefined && role === undefined) {
+        return res.status(400).json({ message: 'Informe ao menos um campo para alterar (username, role).' });
+    }
+    // Evita que o admin remova o próprio acesso administrativo por engano
+    if (targetUserId === adminUserId && role !== undefined && role !== req.user.role) {
+        return res.status(400).json({ message: 'Você não pode alterar o próprio papel.' });
+    }
+
+    console.log(`[Admin] Admin ID ${adminUserId} alterando User ID ${targetUserId}: ${JSON.stringify({ username, role })}`);
+    try {
+        const roleError = role !== undefined ? await checkAssignableRole(role) : null;
+        if (roleError) {
+            return res.status(400).json({ message: roleError });
+        }
+        const updatedUser = await db.updateUser(targetUserId, { username, role });
+        if (!updatedUser) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        // Papel alterado: tokens antigos passam a ser recusados pelo middleware (papel diferente do atual)
+        invalidateUserAuthState(targetUserId);
+        console.log(`[Admin] Sucesso: User ID ${targetUserId} atualizado por Admin ID ${adminUserId}.`);
+        res.status(200).json({ message: 'Usuário atualizado com sucesso.', user: updatedUser });
+    } catch (error) {
+        if (error.message === 'Nome de usuário já existe.') {
+            return res.status(409).json({ message: 'Nome de usuário já está em uso.' });
+        }
+        console.error(`[Admin] ERRO ao atualizar User ID ${targetUserId} (Admin ID ${adminUserId}):`, error);
+        res.status(500).json({ message: 'Erro interno ao atualizar usuário.' });
+    }
+};
+
+/**
+ * Gera um handler que desativa (disabled = true) ou reativa (disabled = false) um usuário.
+ */
+const setUserDisabledByAdmin = (disabled) => async (req, res) => {
+    const adminUserId = req.user.id;
+    const targetUserId = req.params.id;
+    const action = disabled ? 'desativar' : 'reativar';
+
+    if (disabled && targetUserId === adminUserId) {
+        return res.status(400).json({ message: 'Você não pode desativar a própria conta.' });
+    }
+
+    console.log(`[Admin] Admin ID ${adminUserId} solicitou ${action} o User ID ${targetUserId}.`);
+    try {
+        const user = await db.setUserDisabled(targetUserId, disabled);
+        if (!user) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        if (disabled) {
+            await signOutEverywhere(targetUserId);
+        } else {
+            invalidateUserAuthState(targetUserId);
+        }
+        console.log(`[Admin] Sucesso: User ID ${targetUserId} ${disabled ? 'desativado' : 'reativado'} por Admin ID ${adminUserId}.`);
+        res.status(200).json({
+            message: disabled ? 'Usuário desativado com sucesso.' : 'Usuário reativado com sucesso.',
+            user
+        });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao ${action} User ID ${targetUserId} (Admin ID ${adminUserId}):`, error);
+        res.status(500).json({ message: `Erro interno ao ${action} usuário.` });
+    }
+};
+
+const disableUser = setUserDisabledByAdmin(true);
+const enableUser = setUserDisabledByAdmin(false);
+
+/**
+ * Desbloqueia uma conta bloqueada por excesso de falhas de login (zera o contador).
+ */
+const unlockUser = async (req, res) => {
+    const adminUserId = req.user.id;
+    const targetUserId = req.params.id;
+
+    console.log(`[Admin] Admin ID ${adminUserId} solicitou desbloquear o login do User ID ${targetUserId}.`);
+    try {
+        const unlocked = await resetFailedLogins(targetUserId);
+        if (!unlocked) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        console.log(`[Admin] Sucesso: User ID ${targetUserId} desbloqueado por Admin ID ${adminUserId}.`);
+        res.status(200).json({ message: 'Usuário desbloqueado com sucesso.' });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao desbloquear User ID ${targetUserId} (Admin ID ${adminUserId}):`, error);
+        res.status(500).json({ message: 'Erro interno ao desbloquear usuário.' });
+    }
+};
+
+/**
+ * Exclui (soft delete) um usuário e encerra todas as suas sessões.
+ */
+const deleteUser = async (req, res) => {
+    const adminUserId = req.user.id;
+    const targetUserId = req.params.id;
+
+    if (targetUserId === adminUserId) {
+        return res.status(400).json({ message: 'Você não pode excluir a própria conta por esta rota.' });
+    }
+
+    console.log(`[Admin] Admin ID ${adminUserId} solicitou excluir o User ID ${targetUserId}.`);
+    try {
+        const deleted = await db.softDeleteUser(targetUserId);
+        if (!deleted) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        await signOutEverywhere(targetUserId);
+        console.log(`[Admin] Sucesso: User ID ${targetUserId} excluído por Admin ID ${adminUserId}.`);
+        res.status(200).json({ message: 'Usuário excluído com sucesso.' });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao excluir User ID ${targetUserId} (Admin ID ${adminUserId}):`, error);
+        res.status(500).json({ message: 'Erro interno ao excluir usuário.' });
+    }
+};
+
+/**
+ * Redefine a senha de um usuário. Se 'password' não for enviada, gera uma senha temporária
+ * (retornada UMA única vez na resposta). Todas as sessões do usuário são encerradas.
+ */
+const resetUserPassword = async (req, res) => {
+    const adminUserId = req.user.id;
+    const targetUserId = req.params.id;
+    const temporaryPassword = req.body.password ? undefined : crypto.randomBytes(9).toString('base64url');
+    const newPassword = req.body.password || temporaryPassword;
+
+    console.log(`[Admin] Admin ID ${adminUserId} solicitou redefinir a senha do User ID ${targetUserId}.`);
+    try {
+        const passwordHash = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
+        const updated = await db.updateUserPassword(targetUserId, passwordHash);
+        if (!updated) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        const revokedSessions = await signOutEverywhere(targetUserId);
+        await resetFailedLogins(targetUserId); // Nova senha: o bloqueio por falhas anteriores não faz mais sentido
+        console.log(`[Admin] Sucesso: Senha do User ID ${targetUserId} redefinida por Admin ID ${adminUserId} (${revokedSessions} sessão(ões) encerrada(s)).`);
+        res.status(200).json({
+            message: 'Senha redefinida com sucesso. Todas as sessões do usuário foram encerradas.',
+            temporaryPassword
+        });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao redefinir senha do User ID ${targetUserId} (Admin ID ${adminUserId}):`, error);
+        res.status(500).json({ message: 'Erro interno ao redefinir senha.' });
+    }
+};
+
+
+/**
+ * Formata um papel para as respostas da API.
+ */
+function formatRole(role) {
+    return {
+        name: role.name,
+        description: role.description,
+        requireMfa: role.require_mfa,
+        permissions: role.permissions,
+        version: role.version,
+        aiQuota: { dailyRequests: role.ai_daily_requests ?? null, dailyTokens: role.ai_daily_tokens ?? null },
+    };
+}
+
+/**
+ * Confere se todas as permissões existem no catálogo.
+ * @returns {Promise<string|null>} Mensagem de erro, ou null se todas existem.
+ */
+async function checkKnownPermissions(permissions) {
+    const known = (await db.listPermissions()).map((permission) => permission.name);
+    const unknown = permissions.filter((permission) => !known.includes(permission));
+    return unknown.length > 0 ? `Permissão(ões) desconhecida(s): ${unknown.join(', ')}. Consulte GET /api/admin/permissions.` : null;
+}
+
+/**
+ * Lista os papéis, suas configurações (ex: exigência de 2FA) e permissões.
+ */
+const getRoles = async (req, res) => {
+    try {
+        const roles = await db.listRoles();
+        res.status(200).json({ roles: roles.map(formatRole) });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao listar papéis (solicitado por Admin ID ${req.user.id}):`, error);
+        res.status(500).json({ message: 'Erro interno ao buscar papéis.' });
+    }
+};
+
+/**
+ * Cria um novo papel com as permissões informadas.
+ */
+const createRole = async (req, res) => {
+    const adminUserId = req.user.id;
+    const { name, description, requireMfa, permissions = [] } = req.body;
+
+    console.log(`[Admin] Admin ID ${adminUserId} criando papel '${name}' com permissões: ${permissions.join(', ') || '(nenhuma)'}`);
+    try {
+        const permissionError = await checkKnownPermissions(permissions);
+        if (permissionError) {
+            return res.status(400).json({ message: permissionError });
+        }
+        const role = await db.addRole({ name, description, requireMfa, permissions });
+        console.log(`[Admin] Sucesso: Papel '${name}' criado por Admin ID ${adminUserId}.`);
+        res.status(201).json({ message: 'Papel criado com sucesso.', role: formatRole(role) });
+    } catch (error) {
+        if (error.message === 'Papel já existe.') {
+            return res.status(409).json({ message: 'Já existe um papel com este nome.' });
+        }
+        console.error(`[Admin] ERRO ao criar papel '${name}' (Admin ID ${adminUserId}):`, error);
+        res.status(500).json({ message: 'Erro interno ao criar papel.' });
+    }
+};
+
+/**
+ * Altera a descrição e/ou a configuração de 2FA de um papel. Com requireMfa, usuários do papel sem
+ * 2FA precisam cadastrá-lo no próximo login.
+ */
+const updateRole = async (req, res) => {
+    const adminUserId = req.user.id;
+    const { name } = req.params;
+    const { description, requireMfa } = req.body;
+
+    if (description === undefined && requireMfa === undefined) {
+        return res.status(400).json({ message: 'Informe ao menos um campo para alterar (description, requireMfa).' });
+    }
+
+    console.log(`[Admin] Admin ID ${adminUserId} alterando papel '${name}': ${JSON.stringify({ description, requireMfa })}`);
+    try {
+        const role = await db.updateRole(name, { description, requireMfa });
+        if (!role) {
+            return res.status(404).json({ message: 'Papel não encontrado.' });
+        }
+        console.log(`[Admin] Sucesso: Papel '${name}' atualizado por Admin ID ${adminUserId} (requireMfa=${role.require_mfa}).`);
+        res.status(200).json({
+            message: 'Papel atualizado com sucesso.',
+            role: formatRole(role)
+        });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao atualizar papel '${name}' (Admin ID ${adminUserId}):`, error);
+        res.status(500).json({ message: 'Erro interno ao atualizar papel.' });
+    }
+};
+
+/**
+ * Substitui as permissões de um papel. A versão do papel é incrementada: Access Tokens já emitidos
+ * para usuários do papel são recusados até o próximo refresh, que traz as novas permissões.
+ */
+const setRolePermissions = async (req, res) => {
+    const adminUserId = req.user.id;
+    const { name } = req.params;
+    const permissions = [...new Set(req.body.permissions)];
+
+    // Evita que o admin perca o acesso ao próprio gerenciamento de papéis
+    if (name === req.user.role && !permissions.includes('roles:manage')) {
+        return res.status(400).json({ message: "Você não pode remover a permissão 'roles:manage' do próprio papel." });
+    }
+
+    console.log(`[Admin] Admin ID ${adminUserId} definindo permissões do papel '${name}': ${permissions.join(', ') || '(nenhuma)'}`);
+    try {
+        const permissionError = await checkKnownPermissions(permissions);
+        if (permissionError) {
+            return res.status(400).json({ message: permissionError });
+        }
+        const role = await db.setRolePermissions(name, permissions);
+        if (!role) {
+            return res.status(404).json({ message: 'Papel não encontrado.' });
+        }
+        invalidateRoleAccess(name);
+        console.log(`[Admin] Sucesso: Permissões do papel '${name}' alteradas por Admin ID ${adminUserId} (versão ${role.version}).`);
+        res.status(200).json({
+            message: 'Permissões do papel atualizadas com sucesso. Os usuários do papel recebem as novas permissões no próximo refresh do token.',
+            role: formatRole(role)
+        });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao alterar permissões do papel '${name}' (Admin ID ${adminUserId}):`, error);
+        res.status(500).json({ message: 'Erro interno ao atualizar permissões do papel.' });
+    }
+};
+
+/**
+ * Exclui um papel que não esteja atribuído a nenhum usuário.
+ */
+const deleteRole = async (req, res) => {
+    const adminUserId = req.user.id;
+    const { name } = req.params;
+
+    console.log(`[Admin] Admin ID ${adminUserId} solicitou excluir o papel '${name}'.`);
+    try {
+        const deleted = await db.deleteRole(name);
+        if (!deleted) {
+            return res.status(404).json({ message: 'Papel não encontrado.' });
+        }
+        invalidateRoleAccess(name);
+        console.log(`[Admin] Sucesso: Papel '${name}' excluído por Admin ID ${adminUserId}.`);
+        res.status(200).json({ message: 'Papel excluído com sucesso.' });
+    } catch (error) {
+        if (error.message === 'Papel em uso.') {
+            return res.status(409).json({ message: 'Papel em uso. Altere o papel dos usuários (inclusive contas excluídas) e dos códigos de convite antes de excluí-lo.' });
+        }
+        console.error(`[Admin] ERRO ao excluir papel '${name}' (Admin ID ${adminUserId}):`, error);
+        res.status(500).json({ message: 'Erro interno ao excluir papel.' });
+    }
+};
+
+/**
+ * Lista o catálogo de permissões que podem ser atribuídas aos papéis.
+ */
+const getPermissions = async (req, res) => {
+    try {
+        const permissions = await db.listPermissions();
+        res.status(200).json({ permissions });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao listar permissões (solicitado por Admin ID ${req.user.id}):`, error);
+        res.status(500).json({ message: 'Erro interno ao buscar permissões.' });
+    }
+};
+
+
+// --- Cota do Assistente de IA ---
+
+/**
+ * Lista o uso do assistente de IA em um dia (padrão: hoje, UTC), com os limites efetivos de cada usuário.
+ */
+const getAiUsage = async (req, res) => {
+    const date = req.query.date || aiQuota.usageDate();
+    const { userId } = req.query;
+    try {
+        const rows = await db.listAiUsage({ date, userId });
+        res.status(200).json({
+            date,
+            usage: rows.map((row) => ({
+                userId: row.userId,
+                username: row.username,
+                role: row.role,
+                requests: row.requests,
+                tokens: row.tokens,
+                limits: aiQuota.effectiveLimits(row),
+            })),
+        });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao listar uso de IA de ${date} (solicitado por Admin ID ${req.user.id}):`, error);
+        res.status(500).json({ message: 'Erro interno ao buscar uso de IA.' });
+    }
+};
+
+/**
+ * Retorna os limites de IA de um usuário (do usuário, do papel, padrão e efetivos) e o uso de hoje.
+ */
+const getUserAiQuota = async (req, res) => {
+    const targetUserId = req.params.id;
+    try {
+        const quota = await aiQuota.getUserQuota(targetUserId);
+        if (!quota) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        res.status(200).json({ quota });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao buscar cota de IA do User ID ${targetUserId} (solicitado por Admin ID ${req.user.id}):`, error);
+        res.status(500).json({ message: 'Erro interno ao buscar cota de IA.' });
+    }
+};
+
+/**
+ * Define os limites diários de IA de um usuário (null volta a usar os do papel).
+ */
+const setUserAiQuota = async (req, res) => {
+    const adminUserId = req.user.id;
+    const targetUserId = req.params.id;
+    const { dailyRequests, dailyTokens } = req.body;
+
+    if (dailyRequests === undefined && dailyTokens === undefined) {
+        return res.status(400).json({ message: 'Informe ao menos um limite para alterar (dailyRequests, dailyTokens).' });
+    }
+
+    console.log(`[Admin] Admin ID ${adminUserId} alterando cota de IA do User ID ${targetUserId}: ${JSON.stringify({ dailyRequests, dailyTokens })}`);
+    try {
+        const updated = await db.setUserAiQuota(targetUserId, { dailyRequests, dailyTokens });
+        if (!updated) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        res.status(200).json({
+            message: 'Cota de IA do usuário atualizada com sucesso.',
+            quota: await aiQuota.getUserQuota(targetUserId)
+        });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao alterar cota de IA do User ID ${targetUserId} (Admin ID ${adminUserId}):`, error);
+        res.status(500).json({ message: 'Erro interno ao atualizar cota de IA.' });
+    }
+};
+
+/**
+ * Define os limites diários de IA de um papel (null volta a usar o padrão), para usuários sem limite próprio.
+ */
+const setRoleAiQuota = async (req, res) => {
+    const adminUserId = req.user.id;
+    const { name } = req.params;
+    const { dailyRequests, dailyTokens } = req.body;
+
+    if (dailyRequests === undefined && dailyTokens === undefined) {
+        return res.status(400).json({ message: 'Informe ao menos um limite para alterar (dailyRequests, dailyTokens).' });
+    }
+
+    console.log(`[Admin] Admin ID ${adminUserId} alterando cota de IA do papel '${name}': ${JSON.stringify({ dailyRequests, dailyTokens })}`);
+    try {
+        const role = await db.setRoleAiQuota(name, { dailyRequests, dailyTokens });
+        if (!role) {
+            return res.status(404).json({ message: 'Papel não encontrado.' });
+        }
+        res.status(200).json({
+            message: 'Cota de IA do papel atualizada com sucesso.',
+            role: formatRole(role)
+        });
+    } catch (error) {
+        console.error(`[Admin] ERRO ao alterar cota de IA do papel '${name}' (Admin ID ${adminUserId}):`, error);
+        res.status(500).json({ message: 'Erro interno ao atualizar cota de IA.' });
+    }
+};
 
 module.exports = {
     generateInviteCodes,
     createUserByAdmin,
     getAllUsers, // <-- Exporta nova função
     getAllInviteCodes, // <-- Exporta nova função
+    revokeInviteCode,
+    revokeUserSessions,
+    getUserById,
+    updateUserByAdmin,
+    disableUser,
+    enableUser,
+    unlockUser,
+    deleteUser,
+    resetUserPassword,
+    getRoles,
+    createRole,
+    updateRole,
+    setRolePermissions,
+    deleteRole,
+    getPermissions,
+    getAiUsage,
+    getUserAiQuota,
+    setUserAiQuota,
+    setRoleAiQuota,
 };
\ No newline at end of file
@@ -1,180 +1,745 @@
 // serverauthforrustapp/controllers/aiController.js
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const db = require('../config/database');
+const { getLlmProvider, resolveModel } = require('../config/llmProvider');
+const { recordAiTokens } = require('../middleware/aiQuotaMiddleware');
+const { parseListOptions, buildPage } = require('../config/pagination');
+const { DEFAULT_QUIZ_RULES, validateQuiz, publicQuiz, gradeQuiz } = require('../config/quizSchema');
+const { DEFAULT_PLAN_RULES, validateStudyPlan } = require('../config/studyPlanSchema');
 require('dotenv').config(); // Ensure environment variables are loaded
 
-// --- Gemini API Initialization ---
-const API_KEY = process.env.GOOGLE_API_KEY;
-if (!API_KEY) {
-  console.error('FATAL ERROR: GOOGLE_API_KEY not found in environment variables. AI features will not work.');
-  // In a real app, you might throw an error or exit, but here we'll log and let it fail later.
-}
-
-let model; // Declare model variable
+// --- LLM Provider ---
+// The provider (Gemini, OpenAI-compatible or fake) is chosen by LLM_PROVIDER; see config/llmProvider.js.
+// It is created on first use, so a missing API key only disables the AI features.
 
-try {
-    if (API_KEY) {
-        const genAI = new GoogleGenerativeAI(API_KEY);
-        model = genAI.getGenerativeModel({ model: "gemini-2.5-pro-preview-03-25" });
-        console.log("Gemini 2.5 Pro model initialized successfully.");
-    } else {
-        console.warn("AI Model not initialized due to missing API Key.");
-    }
-} catch (initError) {
-    console.error("Error initializing Google Generative AI:", initError);
-    // Handle initialization error appropriately, maybe set model to null or use a fallback
-    model = null;
-}
-// --- End Gemini API Initialization ---
+const getAvailableProvider = () => {
+  const provider = getLlmProvider();
+  if (!provider.available) {
+    throw new Error("AI model not available."); // Propagate error
+  }
+  return provider;
+};
+// --- End LLM Provider ---
 
 
-// --- Gemini-Powered Agent Functions ---
+// --- LLM-Powered Agent Functions ---
 
-const generateExplanation = async (topic, sectionIndex) => {
-  console.log(`AI Agent: Generating explanation via Gemini for section ${sectionIndex} of topic "${topic}"...`);
-  if (!model) {
-      console.error("generateExplanation: AI model not initialized.");
-      throw new Error("AI model not available."); // Propagate error
+// A lesson ({ topic, section, plan }) is the part of the topic a step covers. When the session has a study plan (see
+// generateStudyPlan), the explanation and quiz prompts include the section's title and objectives and the outline.
+const planContext = ({ section, plan }) => {
+  if (!plan) return '';
+  const outline = plan.map((entry, index) => `${index + 1}. ${entry.title}`).join('\n');
+  const entry = plan[section - 1];
+  if (!entry) {
+    return `\nThe study plan of this topic has ${plan.length} sections, all of them covered already:\n${outline}\nThis extra section should deepen or apply that material without repeating it.`;
   }
+  return `\nThis section is "${entry.title}". Its learning objectives are:\n${entry.objectives.map((objective) => `- ${objective}`).join('\n')}
+Study plan of the topic, for context (the other sections are covered separately):\n${outline}`;
+};
 
-  const prompt = `You are an AI Study Assistant. Explain section ${sectionIndex} of the topic: "${topic}".
+// With `review` (see loadReviewContext), the section is explained again after a poorly answered quiz
+const explanationPrompt = (lesson, review) => {
+  const { topic, section } = lesson;
+  if (!review) {
+    return `You are an AI Study Assistant. Explain section ${section} of the topic: "${topic}".${planContext(lesson)}
 Keep the explanation concise and focused on this specific section.
 Assume this is part of a larger study session.`;
+  }
+  const score = review.total ? ` (they scored ${review.correct}/${review.total})` : '';
+  const missed = review.missed.length > 0
+    ? `\nMake sure these points the student got wrong become clear:\n${review.missed.map(({ q, answer }) => `- ${q} (correct answer: ${answer})`).join('\n')}`
+    : '';
+  return `You are an AI Study Assistant. The student did not understand section ${section} of the topic: "${topic}" well enough to pass its quiz${score}.${planContext(lesson)}
+Explain this section again from a different angle: use new examples and analogies and build up from the fundamentals instead of repeating the previous explanation.${missed}
+Keep the explanation concise and focused on this specific section.`;
+};
+
+// `options` ({ model, onUsage, signal }) is passed through to the provider
+const generateExplanation = async (lesson, options, review) => {
+  const { topic, section } = lesson;
+  const provider = getAvailableProvider();
+  console.log(`AI Agent: Generating ${review ? 'review ' : ''}explanation via ${provider.name} for section ${section} of topic "${topic}"...`);
 
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    console.log(`AI Agent: Explanation received for section ${sectionIndex}.`);
+    const text = await provider.generateText(explanationPrompt(lesson, review), options);
+    console.log(`AI Agent: Explanation received for section ${section}.`);
     return { text: text };
   } catch (error) {
-    console.error(`AI Agent: Error generating explanation for section ${sectionIndex} of topic "${topic}":`, error);
+    console.error(`AI Agent: Error generating explanation for section ${section} of topic "${topic}":`, error);
     throw new Error('Failed to generate explanation from AI.'); // Re-throw for handleChatMessage
   }
 };
 
-const generateQuiz = async (topic, sectionIndex) => {
-  console.log(`AI Agent: Generating quiz via Gemini for section ${sectionIndex} of topic "${topic}"...`);
-   if (!model) {
-      console.error("generateQuiz: AI model not initialized.");
-      throw new Error("AI model not available."); // Propagate error
+// Streaming variant: `onText` receives each piece of the explanation as the provider produces it
+const streamExplanation = async (lesson, options, onText, review) => {
+  const { topic, section } = lesson;
+  const provider = getAvailableProvider();
+  console.log(`AI Agent: Streaming ${review ? 'review ' : ''}explanation via ${provider.name} for section ${section} of topic "${topic}"...`);
+
+  try {
+    let text = '';
+    for await (const piece of provider.stream(explanationPrompt(lesson, review), options)) {
+      text += piece;
+      onText(piece);
+    }
+    console.log(`AI Agent: Explanation stream finished for section ${section}.`);
+    return { text: text };
+  } catch (error) {
+    if (options.signal && options.signal.aborted) throw error; // Client disconnected; not a generation failure
+    console.error(`AI Agent: Error streaming explanation for section ${section} of topic "${topic}":`, error);
+    throw new Error('Failed to generate explanation from AI.'); // Re-throw for handleChatStream
+  }
+};
+
+// Quizzes and study plans are checked against strict schemas (config/quizSchema.js, config/studyPlanSchema.js). When
+// the model returns malformed JSON or data that breaks the schema, the problems are fed back to it and it gets
+// another try, a bounded number of times.
+const QUIZ_REPAIR_ATTEMPTS = parseInt(process.env.AI_QUIZ_REPAIR_ATTEMPTS || '2');
+const PLAN_REPAIR_ATTEMPTS = parseInt(process.env.AI_PLAN_REPAIR_ATTEMPTS || '2');
+const REPAIR_OUTPUT_MAX_LENGTH = 4000; // Keeps repair prompts bounded when the model rambles
+
+const repairPrompt = (prompt, output, errors) => `${prompt}
+
+Your previous response was rejected:
+${String(output ?? '').slice(0, REPAIR_OUTPUT_MAX_LENGTH)}
+
+Problems found:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Respond again with ONLY the corrected JSON, following every rule above.`;
+
+// Returns the first result of `validate` ({ valid, errors, ... }) that is valid, or null once the attempts run out.
+// Provider errors (other than malformed JSON) are thrown as they are. `what` names the data in the logs.
+const generateValidJSON = async (provider, prompt, { validate, repairAttempts, what }, options) => {
+  const attempts = repairAttempts + 1;
+  let attemptPrompt = prompt;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    let output; // What the model answered, shown back to it if the data must be repaired
+    let errors;
+    try {
+      const parsed = await provider.generateJSON(attemptPrompt, options);
+      const result = validate(parsed);
+      if (result.valid) {
+        console.log(`AI Agent: JSON for the ${what} parsed successfully (attempt ${attempt}/${attempts}).`);
+        return result;
+      }
+      output = JSON.stringify(parsed);
+      errors = result.errors;
+    } catch (error) {
+      if (error.code !== 'INVALID_JSON') throw error;
+      output = error.text;
+      errors = ['The response is not valid JSON.'];
+    }
+    console.warn(`AI Agent: Invalid ${what} (attempt ${attempt}/${attempts}): ${errors.join(' ')}`);
+    attemptPrompt = repairPrompt(prompt, output, errors);
   }
 
-  const prompt = `You are an AI Study Assistant. Generate a short quiz (3-5 multiple-choice questions) covering the key concepts of section ${sectionIndex} of the topic: "${topic}".
+  console.error(`AI Agent: Giving up on the ${what} after ${attempts} attempts.`);
+  return null;
+};
+
+const quizPrompt = (lesson) => {
+  const { topic, section, plan } = lesson;
+  const { minQuestions, maxQuestions, minOptions, maxOptions } = DEFAULT_QUIZ_RULES;
+  const objectives = plan && plan[section - 1] ? '\nThe questions must check the learning objectives of this section.' : '';
+  return `You are an AI Study Assistant. Generate a short quiz (${minQuestions}-${maxQuestions} multiple-choice questions, each with ${minOptions}-${maxOptions} distinct options) covering the key concepts of section ${section} of the topic: "${topic}".${planContext(lesson)}${objectives}
 IMPORTANT: Respond ONLY with a valid JSON string representing the quiz data. Do not include any other text, explanation, or markdown formatting (like \`\`\`json ... \`\`\`) before or after the JSON.
 The JSON structure MUST be exactly:
 {
-  "title": "Quiz for ${topic} - Section ${sectionIndex}",
+  "title": "Quiz for ${topic} - Section ${section}",
   "questions": [
-    { "q": "Question text 1?", "opts": ["Option A", "Option B", "Option C"], "ans": "A" },
-    { "q": "Question text 2?", "opts": ["Option A", "Option B"], "ans": "B" }
+    { "q": "Question text 1?", "opts": ["Option A", "Option B", "Option C"], "ans": "A", "exp": "Why option A is correct." },
+    { "q": "Question text 2?", "opts": ["Option A", "Option B"], "ans": "B", "exp": "Why option B is correct." }
   ]
 }
-Ensure the 'ans' field contains ONLY the single uppercase letter corresponding to the correct option's position in the 'opts' array (A for the first, B for the second, etc.).`;
+Ensure the 'ans' field contains ONLY the single uppercase letter corresponding to the correct option's position in the 'opts' array (A for the first, B for the second, etc.).
+The 'exp' field is one or two sentences explaining why that answer is correct; it is shown to the student after they answer.`;
+};
 
-  try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const jsonString = response.text();
-    console.log(`AI Agent: Raw quiz response received for section ${sectionIndex}:`, jsonString); // Log raw response for debugging
+const generateQuiz = async (lesson, options) => {
+  const { topic, section } = lesson;
+  const provider = getAvailableProvider();
+  console.log(`AI Agent: Generating quiz via ${provider.name} for section ${section} of topic "${topic}"...`);
 
-    // Attempt to parse the JSON response
-    try {
-      const parsedQuizObject = JSON.parse(jsonString);
-      console.log(`AI Agent: Quiz JSON parsed successfully for section ${sectionIndex}.`);
-      // Basic validation (optional but recommended)
-      if (!parsedQuizObject || !parsedQuizObject.title || !Array.isArray(parsedQuizObject.questions)) {
-          throw new Error("Invalid quiz JSON structure received from AI.");
-      }
-      return { quizData: parsedQuizObject };
-    } catch (parseError) {
-      console.error(`AI Agent: Error parsing quiz JSON for section ${sectionIndex} of topic "${topic}":`, parseError);
-      console.error("AI Agent: Received non-JSON string:", jsonString); // Log the problematic string
-      throw new Error('Failed to parse quiz data from AI response.'); // Re-throw for handleChatMessage
-    }
+  let result;
+  try {
+    result = await generateValidJSON(provider, quizPrompt(lesson), {
+      validate: validateQuiz,
+      repairAttempts: QUIZ_REPAIR_ATTEMPTS,
+      what: `quiz for section ${section} of topic "${topic}"`,
+    }, options);
   } catch (error) {
-    // Catch errors from the API call itself or re-thrown parsing errors
-    console.error(`AI Agent: Error generating or processing quiz for section ${sectionIndex} of topic "${topic}":`, error);
+    console.error(`AI Agent: Error generating quiz for section ${section} of topic "${topic}":`, error);
     throw new Error('Failed to generate or process quiz from AI.'); // Re-throw for handleChatMessage
   }
+  if (!result) {
+    throw new Error('Failed to parse quiz data from AI response.'); // Re-throw for handleChatMessage
+  }
+  return { quizData: result.quiz };
 };
 
-// Controller for handling AI chat messages with Explain/Quiz orchestration
-const handleChatMessage = async (req, res) => {
-  // Extract message (potential new topic) and current study state from request
-  const { message, studyState } = req.body;
+// The study plan splits the topic into titled sections with learning objectives; section N of the session
+// explains and quizzes entry N - 1. The user can edit it (PUT /sessions/:id/plan).
+const studyPlanPrompt = (topic) => {
+  const { minSections, maxSections, maxTitleLength, maxObjectives } = DEFAULT_PLAN_RULES;
+  return `You are an AI Study Assistant. Create a study plan for the topic: "${topic}".
+Split the topic into ${minSections}-${maxSections} sections ordered from the fundamentals to the advanced material, each building on the previous ones and covering different content.
+Give each section a short title (at most ${maxTitleLength} characters) and 1-${maxObjectives} learning objectives describing what the student will be able to do after studying it.
+IMPORTANT: Respond ONLY with a valid JSON string representing the study plan. Do not include any other text, explanation, or markdown formatting (like \`\`\`json ... \`\`\`) before or after the JSON.
+The JSON structure MUST be exactly:
+{
+  "sections": [
+    { "title": "Section title 1", "objectives": ["Learning objective 1", "Learning objective 2"] },
+    { "title": "Section title 2", "objectives": ["Learning objective 1"] }
+  ]
+}`;
+};
 
-  console.log('AI Controller received:', { message, studyState });
+const generateStudyPlan = async (topic, options) => {
+  const provider = getAvailableProvider();
+  console.log(`AI Agent: Generating study plan via ${provider.name} for topic "${topic}"...`);
 
+  let result;
   try {
-    let responsePayload = { sender: 'ai' }; // Initialize response structure
+    result = await generateValidJSON(provider, studyPlanPrompt(topic), {
+      validate: validateStudyPlan,
+      repairAttempts: PLAN_REPAIR_ATTEMPTS,
+      what: `study plan for topic "${topic}"`,
+    }, options);
+  } catch (error) {
+    if (options.signal && options.signal.aborted) throw error; // Client disconnected; not a generation failure
+    console.error(`AI Agent: Error generating study plan for topic "${topic}":`, error);
+    throw new Error('Failed to generate study plan from AI.'); // Re-throw for the chat handlers
+  }
+  if (!result) {
+    throw new Error('Failed to parse study plan from AI response.'); // Re-throw for the chat handlers
+  }
+  return result.sections;
+};
 
-    // Determine if it's a new session or continuation
-    if (!studyState || !studyState.topic || !studyState.nextAction) {
-      // --- New Study Session ---
-      const topic = message; // Assume the message is the initial topic
-      if (!topic) {
-        console.error('AI Controller: Missing message (topic) for new study session.');
-        return res.status(400).json({ error: 'Please provide a topic to start studying.' });
-      }
+// --- Study Sessions ---
+// Sessions (topic, next step, section) and their message history are stored per user in the database;
+// clients only send the session id, so the study state cannot be forged.
 
-      console.log(`AI Orchestrator: Starting new study session for topic: "${topic}"`);
-      const explanation = await generateExplanation(topic, 1); // Start with section 1 explanation
-      responsePayload.text = explanation.text;
-      // Set the next state: expecting a quiz for section 1 next
-      responsePayload.studyState = { topic: topic, nextAction: 'quiz', section: 1 };
+const TITLE_MAX_LENGTH = 100; // study_sessions.title is VARCHAR(100)
 
-    } else {
-      // --- Continue Existing Study Session ---
-      const { topic, nextAction, section } = studyState;
-      console.log(`AI Orchestrator: Continuing study session for topic: "${topic}", section: ${section}, next action: ${nextAction}`);
-
-      if (nextAction === 'quiz') {
-        // Generate and return the quiz for the current section
-        const quiz = await generateQuiz(topic, section);
-        responsePayload.quizData = quiz.quizData;
-        // Set the next state: expecting an explanation for the *next* section
-        responsePayload.studyState = { topic: topic, nextAction: 'explain', section: section + 1 };
-      } else if (nextAction === 'explain') {
-        // Generate and return the explanation for the current section
-        const explanation = await generateExplanation(topic, section);
-        responsePayload.text = explanation.text;
-        // Set the next state: expecting a quiz for the *same* section
-        responsePayload.studyState = { topic: topic, nextAction: 'quiz', section: section };
-      } else {
-        // Handle unexpected state defensively
-        console.error('AI Orchestrator: Invalid nextAction in studyState:', nextAction);
-        responsePayload.text = `Error: Encountered an unexpected study state action ("${nextAction}"). Let's start over. Please provide a topic.`;
-        responsePayload.studyState = null; // Reset state
-      }
+const studyStateOf = (session) => ({ topic: session.topic, nextAction: session.next_action, section: session.section });
+
+// Sections numbered as in studyState.section (the session goes on past the last planned section)
+const formatStudyPlan = (plan) => plan && plan.map(({ title, objectives }, index) => ({ section: index + 1, title, objectives }));
+
+const formatStudySession = (session) => ({
+  id: session.id,
+  title: session.title,
+  topic: session.topic,
+  studyState: studyStateOf(session),
+  quizScore: { correct: session.quiz_correct, answered: session.quiz_answered }, // Totals over all answered quizzes
+  plan: formatStudyPlan(session.plan), // null until the first step is generated
+  ...(session.message_count !== undefined && { messageCount: session.message_count }),
+  createdAt: session.created_at,
+  updatedAt: session.updated_at,
+});
+
+const formatStudyMessage = (message) => ({
+  id: message.id,
+  sender: message.sender,
+  kind: message.kind, // 'message' (user), 'explanation' or 'quiz'
+  section: message.section,
+  ...(message.text !== null && { text: message.text }),
+  // The answer key is only revealed (in quizResult) once the quiz has been answered
+  ...(message.quiz_data !== null && { quizData: publicQuiz(message.quiz_data) }),
+  ...(message.quiz_answers != null && {
+    quizResult: { ...gradeQuiz(message.quiz_data, message.quiz_answers), answeredAt: message.answered_at },
+  }),
+  createdAt: message.created_at,
+});
+
+// Runs before the quota check, so requests without a topic or for unknown sessions are not counted
+const loadChatSession = async (req, res, next) => {
+  const { message, sessionId } = req.body;
+  if (sessionId === undefined) {
+    if (!message) {
+      console.error('AI Controller: Missing message (topic) for new study session.');
+      return res.status(400).json({ error: 'Please provide a topic to start studying.' });
+    }
+    return next();
+  }
+  try {
+    const session = await db.findStudySession(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Study session not found.' });
     }
+    req.studySession = session;
+    next();
+  } catch (error) {
+    console.error(`AI Controller: Error loading study session ${sessionId} for User ID ${req.user.id}:`, error);
+    res.status(500).json({ error: 'Sorry, an internal error occurred while loading the study session.' });
+  }
+};
+
+// Per-request model override, limited by the user's role (LLM_ROLE_MODELS). Also runs before the quota check,
+// so a request for a model the role may not use is not counted
+const resolveChatModel = (req, res, next) => {
+  try {
+    req.chatModel = resolveModel(req.body.model, req.user?.role, getLlmProvider().defaultModel);
+  } catch (error) {
+    console.warn(`AI Controller: ${error.message}`);
+    return res.status(403).json({ error: 'You are not allowed to use the requested model.' });
+  }
+  next();
+};
+
+// Maps an orchestration error to a code and the message shown to the user
+const describeChatError = (error) => {
+  const message = (error && error.message) || '';
+  if (message.includes('Failed to generate explanation')) {
+    return { code: 'EXPLANATION_FAILED', message: 'Sorry, there was an error generating the explanation. Please try again.' };
+  } else if (message.includes('Failed to generate or process quiz')) {
+    return { code: 'QUIZ_FAILED', message: 'Sorry, there was an error generating the quiz. Please try again.' };
+  } else if (message.includes('Failed to parse quiz data')) {
+    return { code: 'QUIZ_INVALID', message: 'Sorry, there was an issue processing the quiz data from the AI. Please try again.' };
+  } else if (message.includes('study plan')) {
+    return { code: 'PLAN_FAILED', message: 'Sorry, there was an error planning the study session. Please try again.' };
+  } else if (message.includes('AI model not available')) {
+    return { code: 'AI_UNAVAILABLE', message: 'Sorry, the AI assistant is currently unavailable. Please check configuration.' };
+  }
+  return { code: 'INTERNAL_ERROR', message: 'Sorry, an internal error occurred while processing your request.' };
+};
+
+// --- Adaptive Progression ---
+// When a quiz is graded, the session's next step depends on how the student did: a low score explains the same
+// section again from another angle (a 'review' step, followed by a new quiz), high mastery of the topic skips a
+// section, and anything else moves on to the next section. Mastery is tracked per user and topic.
+
+const REVIEW_THRESHOLD = parseFloat(process.env.AI_REVIEW_THRESHOLD || '0.5'); // Quiz score below this: review
+const SKIP_THRESHOLD = parseFloat(process.env.AI_SKIP_THRESHOLD || '0.9'); // Quiz score and mastery at or above this: skip
+const MAX_REVIEWS_PER_SECTION = parseInt(process.env.AI_MAX_REVIEWS_PER_SECTION || '2'); // Then move on anyway
+const MASTERY_RECENT_WEIGHT = 0.5; // Mastery is a moving average of quiz scores that favours recent quizzes
+
+// Sessions with the same topic (ignoring case and extra spaces) share the mastery
+const masteryKeyOf = (topic) => topic.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const nextMastery = (previous, score) =>
+  previous === null ? score : previous * (1 - MASTERY_RECENT_WEIGHT) + score * MASTERY_RECENT_WEIGHT;
+
+// `explanations`: how many times the section has been explained (1 + the reviews so far)
+const stepAfterQuiz = ({ section, score, mastery, explanations }) => {
+  if (score < REVIEW_THRESHOLD && explanations <= MAX_REVIEWS_PER_SECTION) {
+    return { progression: 'review', to: { nextAction: 'review', section } };
+  }
+  if (score >= SKIP_THRESHOLD && mastery >= SKIP_THRESHOLD) {
+    return { progression: 'skip', to: { nextAction: 'explain', section: section + 2 } };
+  }
+  return { progression: 'advance', to: { nextAction: 'explain', section: section + 1 } };
+};
+
+// What the student got wrong in the latest graded quiz of the section, for the review explanation
+const loadReviewContext = async (session, section) => {
+  const graded = (await db.listStudyMessages(session.id))
+    .filter((message) => message.kind === 'quiz' && message.section === section && message.quiz_answers !== null);
+  const quiz = graded[graded.length - 1];
+  if (!quiz) return { missed: [] };
+  const { correct, total, results } = gradeQuiz(quiz.quiz_data, quiz.quiz_answers);
+  const missed = quiz.quiz_data.questions
+    .filter((question, index) => !results[index].correct)
+    .map((question) => ({ q: question.q, answer: question.opts[question.ans.charCodeAt(0) - 'A'.charCodeAt(0)] }));
+  return { correct, total, missed };
+};
+
+const roundScore = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const formatMastery = (row) => ({
+  topic: row.topic,
+  mastery: roundScore(row.mastery), // 0..1
+  level: row.mastery >= SKIP_THRESHOLD ? 'mastered' : row.mastery >= REVIEW_THRESHOLD ? 'practicing' : 'learning',
+  quizzes: row.quizzes,
+  correct: row.correct,
+  answered: row.answered,
+  lastScore: roundScore(row.last_score),
+  highestSection: row.highest_section,
+  updatedAt: row.updated_at,
+});
+
+const SESSION_CONFLICT_MESSAGE = 'This study session was updated by another request. Reload it and try again.';
+
+// Common setup of the chat handlers: step to generate, model (from resolveChatModel) and token count
+const prepareChatTurn = (req) => {
+  // Message (the topic of a new session, or a note in an existing one) and the session loaded by loadChatSession
+  const { message, model: requestedModel } = req.body;
+  const session = req.studySession || null;
+  const model = req.chatModel;
+
+  console.log('AI Controller received:', { message, sessionId: session ? session.id : null, model: requestedModel });
+
+  const turn = {
+    session,
+    // Current step: the stored one, or the explanation of section 1 for a new session
+    topic: session ? session.topic : message,
+    current: session ? { nextAction: session.next_action, section: session.section } : { nextAction: 'explain', section: 1 },
+    plan: session ? session.plan : null,
+    newPlan: null, // Set when the plan is generated in this request (see planStudySession)
+    messages: message ? [{ sender: 'user', kind: 'message', text: message }] : [],
+    // Tokens used by the provider calls in this request, counted against the user's daily quota
+    tokensUsed: 0,
+  };
+  turn.generationOptions = { model, onUsage: ({ totalTokens }) => { turn.tokensUsed += totalTokens; } };
+
+  if (session) {
+    console.log(`AI Orchestrator: Continuing study session ${session.id} for topic: "${turn.topic}", section: ${turn.current.section}, next action: ${turn.current.nextAction}`);
+  } else {
+    console.log(`AI Orchestrator: Starting new study session for topic: "${turn.topic}"`);
+  }
+  return turn;
+};
+
+// Generates the study plan before the first step of a session (also for sessions created by POST /sessions, which
+// does not call the model, and for sessions from before study plans). Returns the new plan, or null if there was one.
+const planStudySession = async (turn) => {
+  if (turn.plan) return null;
+  turn.plan = await generateStudyPlan(turn.topic, turn.generationOptions);
+  turn.newPlan = turn.plan;
+  return turn.newPlan;
+};
+
+// Generates the current step of the session. With `onText`, the explanation is streamed.
+const runStudyStep = async ({ session, topic, current, plan, generationOptions }, onText) => {
+  const lesson = { topic, section: current.section, plan };
+  if (current.nextAction === 'quiz') {
+    // Generate the quiz for the current section
+    const quiz = await generateQuiz(lesson, generationOptions);
+    return {
+      reply: { quizData: publicQuiz(quiz.quizData) }, // Answers are graded by POST /sessions/:id/quiz/answers
+      message: { sender: 'ai', kind: 'quiz', section: current.section, quizData: quiz.quizData },
+      // Next step: the explanation of the *next* section
+      next: { nextAction: 'explain', section: current.section + 1 },
+    };
+  }
+  // Generate the explanation for the current section (again, from another angle, for a 'review' step)
+  const review = current.nextAction === 'review' ? await loadReviewContext(session, current.section) : null;
+  const explanation = onText
+    ? await streamExplanation(lesson, generationOptions, onText, review)
+    : await generateExplanation(lesson, generationOptions, review);
+  return {
+    reply: { text: explanation.text },
+    message: { sender: 'ai', kind: 'explanation', section: current.section, text: explanation.text },
+    // Next step: the quiz for the *same* section
+    next: { nextAction: 'quiz', section: current.section },
+  };
+};
+
+// Stores the step (and the plan generated with it): creates the session, or advances it if no other request did so
+// in the meantime (else null)
+const saveStudyStep = (userId, { session, topic, current, messages, newPlan }, step) => {
+  const allMessages = [...messages, step.message];
+  return session
+    ? db.advanceStudySession(session.id, userId, { from: current, to: step.next, messages: allMessages, plan: newPlan })
+    : db.addStudySession({ userId, title: topic.slice(0, TITLE_MAX_LENGTH), topic, ...step.next, plan: newPlan, messages: allMessages });
+};
+
+// Controller for handling AI chat messages with Explain/Quiz orchestration
+const handleChatMessage = async (req, res) => {
+  const turn = prepareChatTurn(req);
+  const { session } = turn;
+
+  try {
+    await planStudySession(turn);
+    const step = await runStudyStep(turn);
+    const saved = await saveStudyStep(req.user.id, turn, step);
+    await recordAiTokens(req, res, turn.tokensUsed);
+
+    if (!saved) {
+      // Another request advanced (or deleted) the session while this one was generating
+      console.warn(`AI Orchestrator: Study session ${session.id} changed during the request; response discarded.`);
+      return res.status(409).json({ error: SESSION_CONFLICT_MESSAGE });
+    }
+    const responsePayload = {
+      sender: 'ai',
+      ...step.reply,
+      ...(turn.newPlan && { plan: formatStudyPlan(turn.newPlan) }), // Only when the session was planned in this request
+      sessionId: saved.id,
+      studyState: studyStateOf(saved), // Informational; the server keeps the state
+    };
 
     console.log('AI Controller sending response:', responsePayload);
     res.status(200).json(responsePayload);
 
   } catch (error) {
     console.error('AI Controller - Error handling chat message:', error.message || error);
-    // Send a more specific error response to the client based on the error source
-    let errorMessage = 'Sorry, an internal error occurred while processing your request.';
-    if (error.message && error.message.includes('Failed to generate explanation')) {
-        errorMessage = 'Sorry, there was an error generating the explanation. Please try again.';
-    } else if (error.message && error.message.includes('Failed to generate or process quiz')) {
-        errorMessage = 'Sorry, there was an error generating the quiz. Please try again.';
-    } else if (error.message && error.message.includes('Failed to parse quiz data')) {
-        errorMessage = 'Sorry, there was an issue processing the quiz data from the AI. Please try again.';
-    } else if (error.message && error.message.includes('AI model not available')) {
-        errorMessage = 'Sorry, the AI assistant is currently unavailable. Please check configuration.';
-    }
-
+    await recordAiTokens(req, res, turn.tokensUsed); // Tokens of calls that succeeded before the error still count
     res.status(500).json({
       sender: 'ai',
-      text: errorMessage,
-      studyState: studyState || null // Return existing state if possible, or null
+      text: describeChatError(error).message,
+      // The stored session is unchanged (a new one is only created after a successful first step)
+      sessionId: session ? session.id : null,
+      studyState: session ? studyStateOf(session) : null,
+    });
+  }
+};
+
+// --- Server-Sent Events ---
+
+const SSE_HEARTBEAT_MS = 15000;
+
+// Writes one event (data as JSON); ignored once the client is gone
+const sendEvent = (res, event, data) => {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Streaming variant of handleChatMessage (text/event-stream). Events:
+//   plan  { plan }                      - the study plan, when the session is planned in this request (sent first)
+//   chunk { text }                      - piece of the explanation, in order
+//   quiz  { quizData }                  - the quiz (generated as a whole)
+//   done  { sessionId, studyState }     - step stored; the session's next state
+//   error { code, error, sessionId, studyState } - step failed; the stored session is unchanged
+// Errors before the stream starts (validation, session, quota, model) are regular JSON responses.
+// If the client disconnects, the provider call is cancelled and the step is not stored.
+const handleChatStream = async (req, res) => {
+  const turn = prepareChatTurn(req);
+  const { session } = turn;
+
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) abortController.abort();
+  });
+  turn.generationOptions.signal = abortController.signal;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  // Comments keep idle connections open while a quiz (not streamed) is generated
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded && !res.destroyed) res.write(': ping\n\n');
+  }, SSE_HEARTBEAT_MS);
+
+  try {
+    if (await planStudySession(turn)) sendEvent(res, 'plan', { plan: formatStudyPlan(turn.newPlan) });
+    const step = await runStudyStep(turn, (text) => sendEvent(res, 'chunk', { text }));
+    if (step.reply.quizData) sendEvent(res, 'quiz', { quizData: step.reply.quizData });
+    if (abortController.signal.aborted) {
+      throw abortController.signal.reason; // Client left after the last piece; do not store an unseen step
+    }
+
+    const saved = await saveStudyStep(req.user.id, turn, step);
+    if (saved) {
+      sendEvent(res, 'done', { sessionId: saved.id, studyState: studyStateOf(saved) });
+    } else {
+      console.warn(`AI Orchestrator: Study session ${session.id} changed during the request; response discarded.`);
+      sendEvent(res, 'error', { code: 'SESSION_CONFLICT', error: SESSION_CONFLICT_MESSAGE, sessionId: session.id, studyState: null });
+    }
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log(`AI Controller: Client disconnected from the stream (User ID ${req.user.id}); generation cancelled.`);
+    } else {
+      console.error('AI Controller - Error streaming chat message:', error.message || error);
+      const { code, message } = describeChatError(error);
+      sendEvent(res, 'error', {
+        code,
+        error: message,
+        sessionId: session ? session.id : null,
+        studyState: session ? studyStateOf(session) : null,
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    await recordAiTokens(req, res, turn.tokensUsed); // Also the tokens of cancelled or failed generations
+    res.end();
+  }
+};
+
+// Lists the user's study sessions (most recently used first by default)
+const listStudySessions = async (req, res) => {
+  const options = parseListOptions(req.query, db.STUDY_SESSION_SORT_FIELDS, '-updatedAt');
+  if (options.error) {
+    return res.status(400).json({ message: options.error });
+  }
+  try {
+    const result = await db.listStudySessions({ userId: req.user.id, ...options });
+    res.status(200).json(buildPage(req, result, { ...options, mapRow: formatStudySession }));
+  } catch (error) {
+    console.error(`AI Controller: Error listing study sessions for User ID ${req.user.id}:`, error);
+    res.status(500).json({ message: 'Internal error while listing study sessions.' });
+  }
+};
+
+// Creates a session without calling the model; the first chat message with its id plans it and explains section 1
+const createStudySession = async (req, res) => {
+  const { topic, title } = req.body;
+  try {
+    const session = await db.addStudySession({ userId: req.user.id, title: title || topic.slice(0, TITLE_MAX_LENGTH), topic });
+    res.status(201).json({ message: 'Study session created.', session: formatStudySession(session) });
+  } catch (error) {
+    console.error(`AI Controller: Error creating study session for User ID ${req.user.id}:`, error);
+    res.status(500).json({ message: 'Internal error while creating the study session.' });
+  }
+};
+
+// Returns a session with its full message history (to resume it)
+const getStudySession = async (req, res) => {
+  try {
+    const session = await db.findStudySession(req.params.id, req.user.id);
+    if (!session) {
+      return res.status(404).json({ message: 'Study session not found.' });
+    }
+    const messages = await db.listStudyMessages(session.id);
+    res.status(200).json({ session: { ...formatStudySession(session), messages: messages.map(formatStudyMessage) } });
+  } catch (error) {
+    console.error(`AI Controller: Error loading study session ${req.params.id} for User ID ${req.user.id}:`, error);
+    res.status(500).json({ message: 'Internal error while loading the study session.' });
+  }
+};
+
+// Grades the answers to a quiz of the session (the latest one, or the one of `section`) against the answer key
+// kept on the server, adds the result to the session score and the topic mastery, and adapts the next step of the
+// session (see stepAfterQuiz). Each quiz can be answered once.
+const submitQuizAnswers = async (req, res) => {
+  const { answers, section } = req.body;
+  try {
+    const session = await db.findStudySession(req.params.id, req.user.id);
+    if (!session) {
+      return res.status(404).json({ message: 'Study session not found.' });
+    }
+    const messages = await db.listStudyMessages(session.id);
+    const quizzes = messages.filter((message) => message.kind === 'quiz' && (section === undefined || message.section === section));
+    const quiz = quizzes[quizzes.length - 1];
+    if (!quiz) {
+      const message = section === undefined ? 'This study session has no quiz yet.' : `No quiz found for section ${section}.`;
+      return res.status(404).json({ message });
+    }
+    if (quiz.quiz_answers !== null) {
+      return res.status(409).json({ message: 'This quiz has already been answered.' });
+    }
+
+    const { questions } = quiz.quiz_data;
+    if (answers.length !== questions.length) {
+      return res.status(400).json({ message: `Expected ${questions.length} answers, one per question.` });
+    }
+    const invalid = answers.findIndex((answer, index) => answer.charCodeAt(0) - 'A'.charCodeAt(0) >= questions[index].opts.length);
+    if (invalid !== -1) {
+      const last = String.fromCharCode('A'.charCodeAt(0) + questions[invalid].opts.length - 1);
+      return res.status(400).json({ message: `Answer ${invalid + 1} must be a letter from A to ${last}.` });
+    }
+
+    const grade = gradeQuiz(quiz.quiz_data, answers);
+    const score = grade.correct / grade.total;
+    const topicKey = masteryKeyOf(session.topic);
+    const previous = await db.findStudyMastery(req.user.id, topicKey);
+    const mastery = nextMastery(previous ? previous.mastery : null, score);
+    const step = stepAfterQuiz({
+      section: quiz.section,
+      score,
+      mastery,
+      explanations: messages.filter((message) => message.kind === 'explanation' && message.section === quiz.section).length,
     });
+
+    const saved = await db.answerStudyQuiz(session.id, req.user.id, quiz.id, {
+      answers,
+      correct: grade.correct,
+      // Generating the quiz moved the session on to the next section; that step is replaced, unless the
+      // student has already continued past it
+      next: { from: { nextAction: 'explain', section: quiz.section + 1 }, to: step.to },
+      mastery: { topicKey, topic: session.topic, section: quiz.section, value: mastery },
+    });
+    if (!saved) {
+      // Answered (or the session deleted) by another request in the meantime
+      return res.status(409).json({ message: 'This quiz has already been answered.' });
+    }
+    const adapted = saved.session.next_action === step.to.nextAction && saved.session.section === step.to.section;
+    console.log(`AI Controller: Quiz for section ${quiz.section} of study session ${session.id} answered by User ID ${req.user.id} (${grade.correct}/${grade.total}, next: ${adapted ? step.progression : 'unchanged'}).`);
+    res.status(200).json({
+      message: 'Quiz graded.',
+      section: quiz.section,
+      ...grade,
+      progression: adapted ? step.progression : null, // 'review', 'advance' or 'skip'; null if the session already moved on
+      session: formatStudySession(saved.session),
+      mastery: formatMastery(saved.mastery),
+    });
+  } catch (error) {
+    console.error(`AI Controller: Error grading quiz of study session ${req.params.id} for User ID ${req.user.id}:`, error);
+    res.status(500).json({ message: 'Internal error while grading the quiz.' });
+  }
+};
+
+// Lists the user's mastery of each studied topic (most recently practised first by default)
+const listStudyMastery = async (req, res) => {
+  const options = parseListOptions(req.query, db.STUDY_MASTERY_SORT_FIELDS, '-updatedAt');
+  if (options.error) {
+    return res.status(400).json({ message: options.error });
+  }
+  const { topic } = req.query;
+  try {
+    const result = await db.listStudyMastery({
+      userId: req.user.id,
+      topicKey: topic === undefined ? undefined : masteryKeyOf(topic),
+      ...options,
+    });
+    res.status(200).json(buildPage(req, result, { ...options, mapRow: formatMastery }));
+  } catch (error) {
+    console.error(`AI Controller: Error listing topic mastery for User ID ${req.user.id}:`, error);
+    res.status(500).json({ message: 'Internal error while listing topic mastery.' });
+  }
+};
+
+// Replaces the session's study plan with the user's version (sections edited, added, removed or reordered). The
+// following steps use it by section number; the steps already generated are kept as they are.
+const updateStudyPlan = async (req, res) => {
+  const plan = req.body.sections.map(({ title, objectives }) => ({ title, objectives }));
+  try {
+    const session = await db.setStudyPlan(req.params.id, req.user.id, plan);
+    if (!session) {
+      return res.status(404).json({ message: 'Study session not found.' });
+    }
+    console.log(`AI Controller: Study plan of study session ${session.id} updated by User ID ${req.user.id} (${plan.length} sections).`);
+    res.status(200).json({ message: 'Study plan updated.', session: formatStudySession(session) });
+  } catch (error) {
+    console.error(`AI Controller: Error updating the study plan of study session ${req.params.id} for User ID ${req.user.id}:`, error);
+    res.status(500).json({ message: 'Internal error while updating the study plan.' });
+  }
+};
+
+const renameStudySession = async (req, res) => {
+  try {
+    const session = await db.renameStudySession(req.params.id, req.user.id, req.body.title);
+    if (!session) {
+      return res.status(404).json({ message: 'Study session not found.' });
+    }
+    res.status(200).json({ message: 'Study session renamed.', session: formatStudySession(session) });
+  } catch (error) {
+    console.error(`AI Controller: Error renaming study session ${req.params.id} for User ID ${req.user.id}:`, error);
+    res.status(500).json({ message: 'Internal error while renaming the study session.' });
+  }
+};
+
+const deleteStudySession = async (req, res) => {
+  try {
+    if (!(await db.deleteStudySession(req.params.id, req.user.id))) {
+      return res.status(404).json({ message: 'Study session not found.' });
+    }
+    console.log(`AI Controller: Study session ${req.params.id} deleted by User ID ${req.user.id}.`);
+    res.status(200).json({ message: 'Study session deleted.' });
+  } catch (error) {
+    console.error(`AI Controller: Error deleting study session ${req.params.id} for User ID ${req.user.id}:`, error);
+    res.status(500).json({ message: 'Internal error while deleting the study session.' });
   }
 };
 
 module.exports = {
+  loadChatSession,
+  resolveChatModel,
   handleChatMessage,
+  handleChatStream,
+  listStudySessions,
+  createStudySession,
+  getStudySession,
+  submitQuizAnswers,
+  listStudyMastery,
+  updateStudyPlan,
+  renameStudySession,
+  deleteStudySession,
   // Exporting simulated functions might be useful for testing later, but not required by spec
   // generateExplanation,
   // generateQuiz
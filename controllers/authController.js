@@ -1,16 +1,31 @@
 ﻿// controllers/authController.js
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const ms = require('ms');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
-// IMPORTANTE: isBlacklisted é usado em refreshToken e logoutUser
-const { addToBlacklist, isBlacklisted } = require('../config/tokenBlacklist'); // <-- CORREÇÃO: Adicionado isBlacklisted aqui
+// IMPORTANTE: funções da blacklist são assíncronas (store persistente) e usadas em refreshToken e logoutUser
+const { addToBlacklist, getRevocation, revokeTokenFamily, isFamilyRevoked } = require('../config/tokenBlacklist');
+const sessionRegistry = require('../config/sessionRegistry');
+const { invalidateUserAuthState, revokeUserAccessTokens } = require('../config/userAuthState');
+const notifier = require('../config/notifier');
+const loginLockout = require('../config/loginLockout');
+const mfa = require('../config/mfa');
+const totp = require('../config/totp');
+const { getRoleAccess } = require('../config/permissions');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET;
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
 const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS || '10');
+// Duração do refresh token em ms (aceita '7d', '12h' ou segundos como no jsonwebtoken)
+const REFRESH_TOKEN_TTL_MS = /^\d+$/.test(JWT_REFRESH_EXPIRES_IN)
+    ? parseInt(JWT_REFRESH_EXPIRES_IN) * 1000
+    : ms(JWT_REFRESH_EXPIRES_IN);
+// Validade do token de redefinição de senha (ex: '30m', '1h')
+const PASSWORD_RESET_TOKEN_TTL_MS = ms(process.env.PASSWORD_RESET_TOKEN_TTL || '1h');
 
 if (!JWT_SECRET || !JWT_REFRESH_SECRET) {
     console.error("ERRO FATAL: Segredos JWT não definidos no controller.");
@@ -19,19 +34,39 @@ if (!JWT_SECRET || !JWT_REFRESH_SECRET) {
 
 // --- Funções Helper ---
 
-function generateAccessToken(user) {
+/**
+ * Gera um Access Token. O claim 'sid' identifica a sessão (login) que originou o token e 'tv'
+ * a versão de token do usuário: quando ela muda (ex: logout-all), tokens antigos são recusados.
+ * 'perms' e 'rv' são as permissões e a versão do papel (lidas do banco na emissão).
+ * @param {object} user - Usuário (id, username, role, tokenVersion).
+ * @param {string} [sessionId] - Sessão/família do Refresh Token correspondente.
+ * @returns {Promise<string>}
+ */
+async function generateAccessToken(user, sessionId) {
+    const roleAccess = await getRoleAccess(user.role, { bypassCache: true });
     const payload = {
         id: user.id,
         username: user.username,
         role: user.role,
+        sid: sessionId,
+        tv: user.tokenVersion || 0,
+        perms: roleAccess ? roleAccess.permissions : [],
+        rv: roleAccess ? roleAccess.version : undefined,
     };
-    return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN, jwtid: uuidv4() });
 }
 
-function generateRefreshToken(user) {
+/**
+ * Gera um Refresh Token pertencente a uma família (claim 'fam').
+ * No login uma nova família é criada; na rotação (/refresh) a família do token anterior é mantida.
+ * @param {object} user - Usuário (id, role).
+ * @param {string} [familyId] - Família existente; se omitida, inicia uma nova.
+ */
+function generateRefreshToken(user, familyId = uuidv4()) {
     const payload = {
         id: user.id,
         role: user.role,
+        fam: familyId,
     };
     const options = {
         expiresIn: JWT_REFRESH_EXPIRES_IN,
@@ -40,30 +75,140 @@ function generateRefreshToken(user) {
     return jwt.sign(payload, JWT_REFRESH_SECRET, options);
 }
 
+/**
+ * Versão em Promise de jwt.verify para Refresh Tokens (permite usar await/try-catch nos controllers).
+ * @param {string} token - Refresh token recebido.
+ * @param {object} [options] - Opções repassadas ao jwt.verify (ex: ignoreExpiration).
+ * @returns {Promise<object>} Payload decodificado.
+ */
+function verifyRefreshToken(token, options = {}) {
+    return new Promise((resolve, reject) => {
+        jwt.verify(token, JWT_REFRESH_SECRET, options, (err, decoded) => (err ? reject(err) : resolve(decoded)));
+    });
+}
+
 // --- Controladores das Rotas ---
 
+/**
+ * Inicia uma nova sessão (= família de Refresh Tokens) para o usuário e emite os tokens.
+ * @param {object} user - Usuário (id, username, role, tokenVersion).
+ * @param {import('express').Request} req - Usado para registrar IP e user agent da sessão.
+ * @returns {Promise<{sessionId: string, accessToken: string, refreshToken: string}>}
+ */
+async function startSession(user, req) {
+    const sessionId = uuidv4();
+    const accessToken = await generateAccessToken(user, sessionId);
+    const refreshToken = generateRefreshToken(user, sessionId);
+    const { jti, exp } = jwt.decode(refreshToken);
+    await sessionRegistry.registerSession({
+        sessionId, userId: user.id, jti, exp, ip: req.ip, userAgent: req.get('user-agent'),
+    });
+    return { sessionId, accessToken, refreshToken };
+}
+
+/**
+ * Corpo da resposta de login bem-sucedido (mesmo formato em /login, /login/2fa e /2fa/verify).
+ */
+function loginResponseBody(user, { accessToken, refreshToken }) {
+    return {
+        message: 'Login bem-sucedido!',
+        accessToken: accessToken,
+        refreshToken: refreshToken,
+        user: {
+            id: user.id,
+            username: user.username,
+            role: user.role
+        }
+    };
+}
+
+/**
+ * Reserva a tentativa de login (contada como falha até o login ser concluído, ver config/loginLockout.js)
+ * ou responde 429 se o usuário ainda estiver em atraso progressivo/bloqueio.
+ * @returns {Promise<object|null>} A tentativa reservada, ou null se a resposta foi enviada (requisição deve parar).
+ */
+async function claimLoginAttempt(user, res) {
+    const claim = await loginLockout.claimLoginAttempt(user.id);
+    if (!claim) {
+        // Conta excluída entre a busca do usuário e a reserva
+        res.status(401).json({ message: 'Credenciais inválidas.' });
+        return null;
+    }
+    if (claim.claimed) return claim;
+
+    const { locked, retryAfterMs } = loginLockout.getLoginThrottle(claim.state);
+    // Mínimo de 1s: o atraso pode terminar entre a reserva recusada e este cálculo
+    const retryAfterSeconds = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+    console.warn(`[Login] Bloqueado: ${user.username} (ID: ${user.id}) deve aguardar ${retryAfterSeconds}s (${locked ? 'conta bloqueada' : 'atraso progressivo'}).`);
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({
+        message: locked
+            ? 'Conta temporariamente bloqueada por excesso de tentativas de login. Tente novamente mais tarde.'
+            : 'Muitas tentativas de login. Aguarde alguns segundos e tente novamente.',
+        retryAfter: retryAfterSeconds
+    });
+    return null;
+}
+
+/**
+ * Registra no log o bloqueio causado por uma falha de login (senha ou código 2FA incorretos).
+ * A falha em si já foi contada na reserva da tentativa.
+ */
+function warnIfLockedOut(user, claim) {
+    const { failedLoginAttempts, lockedUntil } = claim.state;
+    if (lockedUntil && failedLoginAttempts >= loginLockout.LOGIN_MAX_FAILED_ATTEMPTS) {
+        console.warn(`[Security] Conta ${user.username} (ID: ${user.id}) bloqueada até ${new Date(lockedUntil).toISOString()} após ${failedLoginAttempts} falhas de login.`);
+    }
+}
+
+/**
+ * Confere se um código de convite ainda pode ser usado.
+ * @param {object} codeData - Código (revoked_at, expires_at, use_count, max_uses).
+ * @returns {string|null} Motivo da recusa, ou null se o código é válido.
+ */
+function checkInviteCodeUsable(codeData) {
+    if (codeData.revoked_at) return "Código de convite revogado.";
+    if (codeData.use_count >= codeData.max_uses) return "Código de convite já utilizado.";
+    if (codeData.expires_at && new Date(codeData.expires_at) <= new Date()) return "Código de convite expirado.";
+    return null;
+}
+
+/**
+ * Registra um usuário com código de convite. O código é bloqueado (FOR UPDATE), o usuário é criado e o
+ * uso do código é registrado na MESMA transação: registros concorrentes com o mesmo código são
+ * serializados e qualquer falha desfaz tudo (nenhum usuário fica criado sem consumir o código).
+ */
 const registerUser = async (req, res) => {
-    const { username, password, inviteCode } = req.body;
+    const { username, password, inviteCode, email } = req.body;
     console.log(`[Register] Tentativa de registro para: ${username} com código: ${inviteCode}`);
     try {
-        const codeData = await db.findInviteCode(inviteCode);
-        if (!codeData) {
-            console.warn(`[Register] Falha: Código de convite inválido (${inviteCode}).`);
-            return res.status(400).json({ message: "Código de convite inválido." });
-        }
-        if (codeData.is_used) {
-            console.warn(`[Register] Falha: Código de convite já utilizado (${inviteCode}). Usado em: ${codeData.used_at}`);
-            return res.status(400).json({ message: "Código de convite já utilizado." });
-        }
-        console.log(`[Register] Código de convite '${inviteCode}' validado.`);
+        // Hash fora da transação: o bcrypt é lento e o código ficaria bloqueado durante o cálculo
         const passwordHash = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
-        const newUser = await db.addUser({ username, passwordHash, role: 'user' });
-        console.log(`[Register] Usuário ${username} (ID: ${newUser.id}) criado.`);
-        const marked = await db.markInviteCodeAsUsed(inviteCode, newUser.id);
-        if (!marked) {
-            console.error(`[Register] ERRO CRÍTICO: Usuário ${username} criado, mas falha ao marcar código ${inviteCode} como usado!`);
-            return res.status(500).json({ message: "Erro ao finalizar registro. Contate o suporte." });
+
+        const result = await db.withTransaction(async (client) => {
+            const codeData = await db.lockInviteCode(inviteCode, client);
+            if (!codeData) {
+                return { error: "Código de convite inválido." };
+            }
+            const inviteError = checkInviteCodeUsable(codeData);
+            if (inviteError) {
+                return { error: inviteError };
+            }
+            console.log(`[Register] Código de convite '${inviteCode}' validado (uso ${codeData.use_count + 1}/${codeData.max_uses}, papel: ${codeData.role || 'user'}).`);
+            const newUser = await db.addUser({ username, passwordHash, role: codeData.role || 'user', email }, client);
+            const marked = await db.markInviteCodeAsUsed(inviteCode, newUser.id, client);
+            if (!marked) {
+                // Não deveria acontecer com o código bloqueado; lançar desfaz a criação do usuário
+                throw new Error(`Falha ao registrar o uso do código de convite ${inviteCode}.`);
+            }
+            return { user: newUser };
+        });
+
+        if (result.error) {
+            console.warn(`[Register] Falha: ${result.error} (${inviteCode}).`);
+            return res.status(400).json({ message: result.error });
         }
+        const newUser = result.user;
         console.log(`[Register] Sucesso: Usuário ${username} (ID: ${newUser.id}, Role: ${newUser.role}) criado usando código ${inviteCode}.`);
         res.status(201).json({
             message: 'Usuário registrado com sucesso!',
@@ -76,7 +221,7 @@ const registerUser = async (req, res) => {
             console.warn(`[Register] Falha: Usuário ${username} já existe (durante tentativa com código ${inviteCode}).`);
             return res.status(409).json({ message: 'Nome de usuário já está em uso.' });
         }
-        console.error(`[Register] ERRO FATAL ao registrar ${username} com código ${inviteCode}:`, error);
+        console.error(`[Register] ERRO FATAL ao registrar ${username} com código ${inviteCode} (transação desfeita):`, error);
         res.status(500).json({ message: 'Erro interno no servidor ao registrar usuário.' });
     }
 };
@@ -86,22 +231,50 @@ const loginUser = async (req, res) => {
     try {
         console.log(`[Login] Tentativa de login para: ${username}`);
         const user = await db.findUserByUsername(username);
-        if (user && await bcrypt.compare(password, user.passwordHash)) {
-            const accessToken = generateAccessToken(user);
-            const refreshToken = generateRefreshToken(user);
-            console.log(`[Login] Sucesso: Autenticado ${username} (ID: ${user.id}, Role: ${user.role}). Tokens gerados.`);
-            res.status(200).json({
-                message: 'Login bem-sucedido!',
-                accessToken: accessToken,
-                refreshToken: refreshToken,
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    role: user.role
-                }
-            });
+        // Contas excluídas se comportam como inexistentes (mesma resposta de credenciais inválidas)
+        const activeUser = user && !user.deletedAt ? user : null;
+
+        // Atraso progressivo/bloqueio por conta: a senha nem é conferida enquanto ele durar.
+        // A tentativa é contada antes do bcrypt (lento), para que requisições simultâneas não escapem do limite.
+        let claim = null;
+        if (activeUser) {
+            claim = await claimLoginAttempt(activeUser, res);
+            if (!claim) return;
+        }
+
+        if (activeUser && await bcrypt.compare(password, activeUser.passwordHash)) {
+            if (user.disabledAt) {
+                await loginLockout.releaseLoginAttempt(user.id, claim);
+                console.warn(`[Login] Falha: Conta desativada para ${username} (ID: ${user.id}).`);
+                return res.status(403).json({ message: 'Conta desativada. Contate um administrador.' });
+            }
+            // 2FA: a senha está correta, mas os tokens só são emitidos em /login/2fa.
+            // O contador de falhas NÃO é zerado aqui (só a tentativa atual é desfeita), para que o código 2FA
+            // também fique sujeito ao bloqueio.
+            const mfaEnabled = Boolean(user.totpEnabledAt);
+            if (mfaEnabled || await mfa.isMfaRequiredForRole(user.role)) {
+                await loginLockout.releaseLoginAttempt(user.id, claim);
+                console.log(`[Login] Senha correta para ${username} (ID: ${user.id}). Aguardando ${mfaEnabled ? 'código 2FA' : 'cadastro obrigatório de 2FA'}.`);
+                return res.status(200).json({
+                    message: mfaEnabled
+                        ? 'Informe o código de verificação (2FA) para concluir o login.'
+                        : 'Seu papel exige autenticação em dois fatores. Cadastre o 2FA para concluir o login.',
+                    mfaRequired: true,
+                    enrollmentRequired: !mfaEnabled,
+                    mfaToken: mfa.generateMfaToken(user, { enroll: !mfaEnabled })
+                });
+            }
+
+            await loginLockout.resetFailedLogins(user.id); // Inclui a tentativa reservada acima
+            // Cada login inicia uma nova sessão (= família de Refresh Tokens)
+            const tokens = await startSession(user, req);
+            console.log(`[Login] Sucesso: Autenticado ${username} (ID: ${user.id}, Role: ${user.role}). Tokens gerados (Sessão: ${tokens.sessionId}).`);
+            res.status(200).json(loginResponseBody(user, tokens));
         } else {
             console.warn(`[Login] Falha: Credenciais inválidas para ${username}.`);
+            if (activeUser) {
+                warnIfLockedOut(activeUser, claim);
+            }
             res.status(401).json({ message: 'Credenciais inválidas.' });
         }
     } catch (error) {
@@ -110,39 +283,150 @@ const loginUser = async (req, res) => {
     }
 };
 
+/**
+ * Confere o segundo fator: código TOTP (6 dígitos, cada passo de tempo aceito uma única vez)
+ * ou código de recuperação (uso único).
+ * @param {object} user - Usuário com totpSecret.
+ * @param {string} code
+ * @returns {Promise<'totp'|'recovery'|null>} Método aceito, ou null se o código for inválido.
+ */
+async function verifySecondFactor(user, code) {
+    const normalized = String(code).replace(/\s/g, '');
+    if (/^\d{6}$/.test(normalized)) {
+        const step = totp.verifyCode(user.totpSecret, normalized);
+        return step !== null && await db.markTotpStepUsed(user.id, step) ? 'totp' : null;
+    }
+    return await mfa.consumeRecoveryCode(user.id, normalized) ? 'recovery' : null;
+}
+
+/**
+ * Segunda etapa do login: recebe o mfaToken emitido por /login e o código 2FA.
+ */
+const loginWithMfa = async (req, res) => {
+    const { mfaToken, code } = req.body;
+    const pending = mfa.verifyMfaToken(mfaToken);
+    if (!pending || pending.enroll) {
+        console.warn('[Login 2FA] Falha: mfaToken inválido ou expirado.');
+        return res.status(401).json({ message: 'Token de 2FA inválido ou expirado. Faça login novamente.' });
+    }
+    try {
+        const user = await db.findUserMfaState(pending.id);
+        if (!user || user.deletedAt || !user.totpEnabledAt) {
+            return res.status(401).json({ message: 'Token de 2FA inválido ou expirado. Faça login novamente.' });
+        }
+        if (user.disabledAt) {
+            return res.status(403).json({ message: 'Conta desativada. Contate um administrador.' });
+        }
+        const claim = await claimLoginAttempt(user, res);
+        if (!claim) {
+            return;
+        }
+
+        const method = await verifySecondFactor(user, code);
+        if (!method) {
+            console.warn(`[Login 2FA] Falha: Código 2FA inválido para ${user.username} (ID: ${user.id}).`);
+            warnIfLockedOut(user, claim);
+            return res.status(401).json({ message: 'Código de verificação inválido.' });
+        }
+        if (method === 'recovery') {
+            console.warn(`[Security] ${user.username} (ID: ${user.id}) usou um código de recuperação de 2FA.`);
+        }
+
+        await loginLockout.resetFailedLogins(user.id); // Inclui a tentativa reservada acima
+        const tokens = await startSession(user, req);
+        console.log(`[Login 2FA] Sucesso: Autenticado ${user.username} (ID: ${user.id}, Role: ${user.role}) via ${method}. Tokens gerados (Sessão: ${tokens.sessionId}).`);
+        res.status(200).json(loginResponseBody(user, tokens));
+    } catch (error) {
+        console.error(`[Login 2FA] ERRO FATAL ao concluir login do User ID ${pending.id}:`, error);
+        res.status(500).json({ message: 'Erro interno no servidor durante o login.' });
+    }
+};
+
 const refreshToken = async (req, res) => {
     const { refreshToken } = req.body;
     if (!refreshToken) {
         return res.status(400).json({ message: 'Refresh token é obrigatório.' });
     }
+
+    // Verifica o refresh token usando o segredo correto
+    let decoded;
     try {
-        // Verifica o refresh token usando o segredo correto
-        jwt.verify(refreshToken, JWT_REFRESH_SECRET, async (err, decoded) => {
-            if (err) {
-                let status = 403; let message = 'Refresh token inválido.';
-                if (err.name === 'TokenExpiredError') { status = 401; message = 'Refresh token expirado.'; }
-                console.warn(`[Refresh] Falha: ${message}`);
-                return res.status(status).json({ message });
-            }
+        decoded = await verifyRefreshToken(refreshToken);
+    } catch (err) {
+        let status = 403; let message = 'Refresh token inválido.';
+        if (err.name === 'TokenExpiredError') { status = 401; message = 'Refresh token expirado.'; }
+        console.warn(`[Refresh] Falha: ${message}`);
+        return res.status(status).json({ message });
+    }
 
-            // Verifica se o token está na blacklist (JTI)
-            const jti = decoded.jti;
-            // CORREÇÃO: Agora isBlacklisted está definida por causa do require no topo
-            if (!jti || isBlacklisted(jti)) {
-                // O log de warning já acontece dentro de isBlacklisted se encontrado
-                return res.status(401).json({ message: 'Refresh token inválido (revogado).' });
+    try {
+        const jti = decoded.jti;
+        const familyId = decoded.fam || null; // Tokens antigos (antes da rotação) não têm família
+        const userId = decoded.id;
+        if (!jti) {
+            return res.status(401).json({ message: 'Refresh token inválido (revogado).' });
+        }
+
+        // Família revogada (logout ou reuso detectado anteriormente): nenhum token dela é aceito
+        if (familyId && await isFamilyRevoked(familyId)) {
+            console.warn(`[Refresh] Falha: Família ${familyId} revogada (User ID ${userId}, JTI: ${jti}).`);
+            return res.status(401).json({ message: 'Refresh token inválido (revogado).' });
+        }
+
+        // A sessão precisa existir no registro e estar ativa (pode ter sido encerrada remotamente)
+        const session = familyId ? await sessionRegistry.findActiveSession(familyId, userId) : null;
+        if (familyId && !session) {
+            console.warn(`[Refresh] Falha: Sessão ${familyId} inexistente ou encerrada (User ID ${userId}).`);
+            return res.status(401).json({ message: 'Refresh token inválido (revogado).' });
+        }
+
+        // Usuário atual no banco: os novos tokens refletem username, papel e versão de token ATUAIS
+        // (ex: papel alterado por um admin), e contas removidas/desativadas não renovam tokens.
+        const user = await db.findUserById(userId);
+        if (!user || user.deletedAt || user.disabledAt) {
+            console.warn(`[Refresh] Falha: User ID ${userId} ${user?.disabledAt && !user.deletedAt ? 'desativado' : 'não encontrado/excluído'}.`);
+            return res.status(401).json({ message: 'Refresh token inválido (usuário indisponível).' });
+        }
+
+        // Rotação: revoga o token apresentado. A inserção é atômica, então se ele JÁ estava
+        // revogado (ou outra requisição concorrente o usou primeiro) o "claim" falha.
+        const claimed = await addToBlacklist(jti, decoded.exp, { familyId, reason: 'rotated' });
+        if (!claimed) {
+            const revocation = await getRevocation(jti);
+            if (revocation?.reason === 'rotated') {
+                // Token já rotacionado apresentado novamente: provável roubo. Revoga a família inteira.
+                await revokeTokenFamily(familyId, Math.floor((Date.now() + REFRESH_TOKEN_TTL_MS) / 1000));
+                if (familyId) await sessionRegistry.revokeSession(familyId, userId);
+                console.warn(`[Security] REUSO de refresh token detectado! User ID ${userId}, JTI: ${jti}, Família: ${familyId || 'N/A'}, IP: ${req.ip}. Família revogada.`);
+                return res.status(401).json({ message: 'Refresh token reutilizado. Sessão revogada por segurança.' });
             }
+            console.warn(`[Blacklist] ATENÇÃO: JTI ${jti} está na blacklist (token revogado).`);
+            return res.status(401).json({ message: 'Refresh token inválido (revogado).' });
+        }
 
-            // Refresh token é válido e não está na blacklist. Gera novo Access Token.
-            const userId = decoded.id;
-            const userRole = decoded.role;
-            const userPayload = { id: userId, role: userRole, username: 'N/A' }; // Username não vem no refresh token
+        // Refresh token era válido: gera novo Access Token e um NOVO Refresh Token da mesma família.
+        // Limpa o cache do middleware: o novo token reflete o banco e não pode ser comparado a um estado antigo.
+        invalidateUserAuthState(userId);
 
-            const newAccessToken = generateAccessToken(userPayload);
+        // Tokens antigos (sem família) ganham uma sessão nova no registro
+        const sessionId = familyId || uuidv4();
+        const newAccessToken = await generateAccessToken(user, sessionId);
+        const newRefreshToken = generateRefreshToken(user, sessionId);
+        const newClaims = jwt.decode(newRefreshToken);
+        const sessionData = { jti: newClaims.jti, exp: newClaims.exp, ip: req.ip, userAgent: req.get('user-agent') };
+        if (session) {
+            const rotated = await sessionRegistry.recordRotation(sessionId, jti, sessionData);
+            if (!rotated) {
+                // Sessão revogada ou rotacionada por outra requisição entre a verificação e agora
+                console.warn(`[Refresh] Falha: Sessão ${sessionId} alterada durante a rotação (User ID ${userId}).`);
+                return res.status(401).json({ message: 'Refresh token inválido (revogado).' });
+            }
+        } else {
+            await sessionRegistry.registerSession({ sessionId, userId, ...sessionData });
+        }
 
-            console.log(`[Refresh] Sucesso: Novo Access Token gerado para User ID ${userId}.`);
-            res.status(200).json({ accessToken: newAccessToken });
-        });
+        console.log(`[Refresh] Sucesso: Tokens rotacionados para User ID ${userId} (${user.username}, Role: ${user.role}, JTI anterior: ${jti}).`);
+        res.status(200).json({ accessToken: newAccessToken, refreshToken: newRefreshToken });
     } catch (error) {
         console.error(`[Refresh] ERRO ao gerar novo token:`, error);
         res.status(500).json({ message: 'Erro ao processar a renovação do token.' });
@@ -154,25 +438,42 @@ const logoutUser = async (req, res) => {
     if (!refreshToken) {
         return res.status(400).json({ message: 'Refresh token é obrigatório para logout.' });
     }
+
+    // Verifica o token para pegar o JTI, ignorando a expiração para invalidar mesmo se expirado
+    let decoded;
     try {
-        // Verifica o token para pegar o JTI, ignorando a expiração para invalidar mesmo se expirado
-        jwt.verify(refreshToken, JWT_REFRESH_SECRET, { ignoreExpiration: true }, (err, decoded) => {
-            if (err && err.name !== 'TokenExpiredError') {
-                console.warn(`[Logout] Aviso: Tentativa de logout com token de refresh inválido (não expirado). Erro: ${err.message}`);
-                return res.status(200).json({ message: 'Logout realizado (token inválido).' });
-            }
-            const jti = decoded?.jti;
-            const userId = decoded?.id || 'N/A';
-            if (jti) {
-                // CORREÇÃO: addToBlacklist também está disponível via require no topo
-                addToBlacklist(jti);
-                console.log(`[Logout] Sucesso: Refresh Token (JTI: ${jti}) invalidado para User ID ${userId}.`);
-                res.status(200).json({ message: 'Logout bem-sucedido!' });
-            } else {
-                console.warn(`[Logout] Aviso: Token de refresh processado, mas sem JTI. Não foi possível adicionar à blacklist (User ID: ${userId}).`);
-                res.status(200).json({ message: 'Logout processado.' });
+        decoded = await verifyRefreshToken(refreshToken, { ignoreExpiration: true });
+    } catch (err) {
+        console.warn(`[Logout] Aviso: Tentativa de logout com token de refresh inválido (não expirado). Erro: ${err.message}`);
+        return res.status(200).json({ message: 'Logout realizado (token inválido).' });
+    }
+
+    try {
+        const jti = decoded?.jti;
+        const userId = decoded?.id || 'N/A';
+        if (jti) {
+            // Token já rotacionado apresentado no logout: mesmo tratamento do reuso no refreshToken
+            // (provável cópia vazada), revogando a família inteira e encerrando a sessão
+            const revocation = await getRevocation(jti);
+            const session = decoded.fam ? await sessionRegistry.findActiveSession(decoded.fam, decoded.id) : null;
+            if (revocation?.reason === 'rotated' || (session && session.current_jti !== jti)) {
+                await revokeTokenFamily(decoded.fam, Math.floor((Date.now() + REFRESH_TOKEN_TTL_MS) / 1000));
+                if (decoded.fam) await sessionRegistry.revokeSession(decoded.fam, decoded.id);
+                console.warn(`[Security] REUSO de refresh token detectado no logout! User ID ${userId}, JTI: ${jti}, Família: ${decoded.fam || 'N/A'}, IP: ${req.ip}. Família revogada.`);
+                return res.status(401).json({ message: 'Refresh token reutilizado. Sessão revogada por segurança.' });
             }
-        });
+
+            // Persiste a revogação até o 'exp' do token (após isso o próprio JWT já é recusado).
+            // A família também é revogada: nenhum token rotacionado a partir dela continua válido.
+            await addToBlacklist(jti, decoded.exp, { familyId: decoded.fam, reason: 'logout' });
+            await revokeTokenFamily(decoded.fam, decoded.exp);
+            if (decoded.fam) await sessionRegistry.revokeSession(decoded.fam, decoded.id);
+            console.log(`[Logout] Sucesso: Refresh Token (JTI: ${jti}) invalidado para User ID ${userId}.`);
+            res.status(200).json({ message: 'Logout bem-sucedido!' });
+        } else {
+            console.warn(`[Logout] Aviso: Token de refresh processado, mas sem JTI. Não foi possível adicionar à blacklist (User ID: ${userId}).`);
+            res.status(200).json({ message: 'Logout processado.' });
+        }
     } catch (error) {
         console.error('[Logout] ERRO INESPERADO durante o logout:', error);
         res.status(500).json({ message: 'Erro interno no servidor durante o logout.' });
@@ -180,16 +481,25 @@ const logoutUser = async (req, res) => {
 };
 
 const getUserProfile = async (req, res) => {
+    const userId = req.user.id;
     try {
-        const userId = req.user.id;
-        const username = req.user.username;
-        console.log(`[Profile] Perfil acessado por User ID: ${userId} (${username})`);
+        // Lê do banco (e não dos claims do JWT) para refletir alterações feitas após a emissão do token
+        const user = await db.findUserById(userId);
+        if (!user || user.deletedAt) {
+            console.warn(`[Profile] Perfil não encontrado para User ID: ${userId}`);
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        const roleAccess = await getRoleAccess(user.role);
+        console.log(`[Profile] Perfil acessado por User ID: ${userId} (${user.username})`);
         res.status(200).json({
             message: "Dados do perfil obtidos com sucesso.",
             user: {
-                id: req.user.id,
-                username: username,
-                role: req.user.role
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                role: user.role,
+                permissions: roleAccess ? roleAccess.permissions : [],
+                createdAt: user.createdAt
             }
         });
     } catch (error) {
@@ -198,10 +508,378 @@ const getUserProfile = async (req, res) => {
     }
 };
 
+/**
+ * Altera dados do próprio perfil (username e/ou e-mail).
+ */
+const updateProfile = async (req, res) => {
+    const userId = req.user.id;
+    const { username, email } = req.body;
+    if (username === undefined && email === undefined) {
+        return res.status(400).json({ message: 'Informe ao menos um campo para alterar (username, email).' });
+    }
+    console.log(`[Profile] User ID ${userId} alterando perfil: ${JSON.stringify({ username, email: email === undefined ? undefined : Boolean(email) })}`);
+    try {
+        const updatedUser = await db.updateUser(userId, { username, email });
+        if (!updatedUser) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        // O username vai no Access Token: ao alterá-lo, os tokens anteriores são invalidados
+        // e a sessão atual recebe um novo (como na troca de senha)
+        let accessToken;
+        if (updatedUser.username !== req.user.username) {
+            await revokeUserAccessTokens(userId);
+            accessToken = await generateAccessToken(await db.findUserById(userId), req.user.sid);
+        }
+        console.log(`[Profile] Sucesso: User ID ${userId} agora é ${updatedUser.username}.`);
+        res.status(200).json({
+            message: 'Perfil atualizado com sucesso.',
+            user: {
+                id: updatedUser.id,
+                username: updatedUser.username,
+                email: updatedUser.email,
+                role: updatedUser.role,
+                createdAt: updatedUser.createdAt
+            },
+            accessToken
+        });
+    } catch (error) {
+        if (error.message === 'Nome de usuário já existe.') {
+            return res.status(409).json({ message: 'Nome de usuário já está em uso.' });
+        }
+        console.error(`[Profile] ERRO ao atualizar perfil do User ID ${userId}:`, error);
+        res.status(500).json({ message: 'Erro ao atualizar perfil.' });
+    }
+};
+
+/**
+ * Confere a senha informada com a senha atual do usuário.
+ * @returns {Promise<boolean|null>} Null se o usuário não existir (ou estiver excluído).
+ */
+async function checkCurrentPassword(userId, password) {
+    const passwordHash = await db.findPasswordHashByUserId(userId);
+    if (!passwordHash) return null;
+    return bcrypt.compare(password, passwordHash);
+}
+
+/**
+ * Troca a senha do usuário logado. As demais sessões são encerradas; a sessão atual continua
+ * válida e recebe um novo Access Token (os anteriores são invalidados).
+ */
+const changePassword = async (req, res) => {
+    const userId = req.user.id;
+    const { currentPassword, newPassword } = req.body;
+    console.log(`[Password] User ID ${userId} solicitou troca de senha.`);
+    try {
+        const matches = await checkCurrentPassword(userId, currentPassword);
+        if (matches === null) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        if (!matches) {
+            console.warn(`[Password] Falha: Senha atual incorreta para User ID ${userId}.`);
+            return res.status(401).json({ message: 'Senha atual incorreta.' });
+        }
+
+        const passwordHash = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
+        await db.updateUserPassword(userId, passwordHash);
+
+        const revokedSessions = await sessionRegistry.revokeAllSessions(userId, { exceptSessionId: req.user.sid });
+        await revokeUserAccessTokens(userId);
+        // Novo Access Token para a sessão atual, já com a nova versão de token
+        const user = await db.findUserById(userId);
+        const accessToken = await generateAccessToken(user, req.user.sid);
+
+        console.log(`[Password] Sucesso: Senha do User ID ${userId} alterada (${revokedSessions} outra(s) sessão(ões) encerrada(s)).`);
+        res.status(200).json({
+            message: 'Senha alterada com sucesso. As demais sessões foram encerradas.',
+            accessToken,
+            revokedSessions
+        });
+    } catch (error) {
+        console.error(`[Password] ERRO ao trocar senha do User ID ${userId}:`, error);
+        res.status(500).json({ message: 'Erro interno ao alterar senha.' });
+    }
+};
+
+/**
+ * Hash de um token de redefinição de senha. Apenas o hash é salvo no banco: quem tiver acesso
+ * ao banco não consegue usar os tokens pendentes.
+ */
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Inicia a redefinição de senha: gera um token de uso único e o entrega via notifier.
+ * A resposta é sempre a mesma, exista ou não o usuário, para não revelar quais contas existem.
+ */
+const forgotPassword = async (req, res) => {
+    const { username } = req.body;
+    const genericResponse = { message: 'Se a conta existir, as instruções para redefinir a senha foram enviadas.' };
+    console.log(`[Password] Pedido de redefinição de senha para: ${username}`);
+    try {
+        const user = await db.findUserByUsername(username);
+        if (!user || user.deletedAt || user.disabledAt) {
+            console.warn(`[Password] Pedido de redefinição ignorado: conta inexistente/inativa (${username}).`);
+            return res.status(200).json(genericResponse);
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_TOKEN_TTL_MS);
+        await db.addPasswordResetToken({ userId: user.id, tokenHash: hashResetToken(token), expiresAt, ip: req.ip });
+
+        // Entrega sem bloquear a resposta (o tempo de envio revelaria que a conta existe)
+        notifier.sendPasswordReset(user, token, expiresAt).catch((error) => {
+            console.error(`[Password] ERRO ao enviar token de redefinição para User ID ${user.id}:`, error);
+        });
+        console.log(`[Password] Token de redefinição gerado para User ID ${user.id} (expira em ${expiresAt.toISOString()}).`);
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        console.error(`[Password] ERRO ao processar pedido de redefinição para ${username}:`, error);
+        res.status(500).json({ message: 'Erro interno ao solicitar redefinição de senha.' });
+    }
+};
+
+/**
+ * Conclui a redefinição de senha com um token válido (não usado e não expirado).
+ * Todas as sessões e Access Tokens do usuário são revogados.
+ */
+const resetPassword = async (req, res) => {
+    const { token, newPassword } = req.body;
+    try {
+        const userId = await db.consumePasswordResetToken(hashResetToken(token));
+        if (!userId) {
+            console.warn('[Password] Falha: Token de redefinição inválido, expirado ou já utilizado.');
+            return res.status(400).json({ message: 'Token de redefinição inválido ou expirado.' });
+        }
+
+        const passwordHash = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
+        const updated = await db.updateUserPassword(userId, passwordHash);
+        if (!updated) {
+            // Conta excluída depois do pedido
+            return res.status(400).json({ message: 'Token de redefinição inválido ou expirado.' });
+        }
+        const revokedSessions = await sessionRegistry.revokeAllSessions(userId);
+        await revokeUserAccessTokens(userId);
+        await loginLockout.resetFailedLogins(userId); // Quem provou acesso ao token não deve continuar bloqueado
+
+        console.log(`[Password] Sucesso: Senha do User ID ${userId} redefinida via token (${revokedSessions} sessão(ões) encerrada(s)).`);
+        res.status(200).json({ message: 'Senha redefinida com sucesso. Faça login com a nova senha.' });
+    } catch (error) {
+        console.error('[Password] ERRO ao redefinir senha via token:', error);
+        res.status(500).json({ message: 'Erro interno ao redefinir senha.' });
+    }
+};
+
+/**
+ * Exclui (soft delete) a conta do usuário logado, após reconfirmação da senha.
+ */
+const deleteAccount = async (req, res) => {
+    const userId = req.user.id;
+    console.log(`[Account] User ID ${userId} solicitou a exclusão da própria conta.`);
+    try {
+        const matches = await checkCurrentPassword(userId, req.body.password);
+        if (matches === null) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        if (!matches) {
+            console.warn(`[Account] Falha: Senha incorreta na exclusão da conta do User ID ${userId}.`);
+            return res.status(401).json({ message: 'Senha incorreta.' });
+        }
+
+        await db.softDeleteUser(userId);
+        await sessionRegistry.revokeAllSessions(userId);
+        await revokeUserAccessTokens(userId);
+
+        console.log(`[Account] Sucesso: User ID ${userId} excluiu a própria conta.`);
+        res.status(200).json({ message: 'Conta excluída com sucesso.' });
+    } catch (error) {
+        console.error(`[Account] ERRO ao excluir a conta do User ID ${userId}:`, error);
+        res.status(500).json({ message: 'Erro interno ao excluir a conta.' });
+    }
+};
+
+/**
+ * Lista as sessões ativas do usuário logado.
+ */
+const getSessions = async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const sessions = await sessionRegistry.listSessions(userId, req.user.sid);
+        console.log(`[Sessions] User ID ${userId} listou ${sessions.length} sessão(ões) ativa(s).`);
+        res.status(200).json({ message: 'Sessões ativas obtidas com sucesso.', sessions });
+    } catch (error) {
+        console.error(`[Sessions] ERRO ao listar sessões do User ID ${userId}:`, error);
+        res.status(500).json({ message: 'Erro ao obter sessões.' });
+    }
+};
+
+/**
+ * Encerra (revoga) uma sessão específica do usuário logado.
+ */
+const revokeSession = async (req, res) => {
+    const userId = req.user.id;
+    const sessionId = req.params.id;
+    try {
+        const revoked = await sessionRegistry.revokeSession(sessionId, userId);
+        if (!revoked) {
+            console.warn(`[Sessions] User ID ${userId} tentou encerrar sessão inexistente/inativa: ${sessionId}`);
+            return res.status(404).json({ message: 'Sessão não encontrada ou já encerrada.' });
+        }
+        console.log(`[Sessions] Sucesso: User ID ${userId} encerrou a sessão ${sessionId}.`);
+        res.status(200).json({ message: 'Sessão encerrada com sucesso.' });
+    } catch (error) {
+        console.error(`[Sessions] ERRO ao encerrar sessão ${sessionId} do User ID ${userId}:`, error);
+        res.status(500).json({ message: 'Erro ao encerrar sessão.' });
+    }
+};
+
+/**
+ * Encerra todas as sessões do usuário logado (incluindo a atual).
+ */
+const logoutAll = async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const count = await sessionRegistry.revokeAllSessions(userId);
+        // Invalida também os Access Tokens já emitidos (efeito imediato, sem esperar expirarem)
+        await revokeUserAccessTokens(userId);
+        console.log(`[Logout] Sucesso: User ID ${userId} encerrou todas as sessões (${count}).`);
+        res.status(200).json({ message: 'Todas as sessões foram encerradas.', revokedSessions: count });
+    } catch (error) {
+        console.error(`[Logout] ERRO ao encerrar todas as sessões do User ID ${userId}:`, error);
+        res.status(500).json({ message: 'Erro interno no servidor durante o logout.' });
+    }
+};
+
+/**
+ * Inicia o cadastro do 2FA: gera um segredo TOTP (ainda inativo) e a URI otpauth:// para o QR Code.
+ * Chamar de novo antes de confirmar gera um novo segredo.
+ */
+const setupMfa = async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const user = await db.findUserMfaState(userId);
+        if (!user || user.deletedAt) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        if (user.totpEnabledAt) {
+            return res.status(409).json({ message: 'A autenticação em dois fatores já está ativa.' });
+        }
+        const secret = totp.generateSecret();
+        await db.setPendingTotpSecret(userId, secret);
+        console.log(`[2FA] User ID ${userId} iniciou o cadastro do 2FA.`);
+        res.status(200).json({
+            message: 'Escaneie o QR Code (otpauthUri) no app autenticador e confirme com um código em /2fa/verify.',
+            secret,
+            otpauthUri: totp.buildOtpauthUri({ secret, accountName: user.username, issuer: mfa.MFA_ISSUER })
+        });
+    } catch (error) {
+        console.error(`[2FA] ERRO ao iniciar cadastro do 2FA do User ID ${userId}:`, error);
+        res.status(500).json({ message: 'Erro interno ao configurar 2FA.' });
+    }
+};
+
+/**
+ * Confirma o cadastro do 2FA com o primeiro código do app e gera os códigos de recuperação.
+ * No cadastro obrigatório durante o login (mfaToken), também conclui o login.
+ */
+const verifyMfaSetup = async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const user = await db.findUserMfaState(userId);
+        if (!user || user.deletedAt) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        if (user.totpEnabledAt) {
+            return res.status(409).json({ message: 'A autenticação em dois fatores já está ativa.' });
+        }
+        if (!user.totpSecret) {
+            return res.status(400).json({ message: 'Nenhum cadastro de 2FA em andamento. Chame /2fa/setup primeiro.' });
+        }
+        if (req.user.mfaEnrollment && user.disabledAt) {
+            return res.status(403).json({ message: 'Conta desativada. Contate um administrador.' });
+        }
+        const step = totp.verifyCode(user.totpSecret, String(req.body.code).replace(/\s/g, ''));
+        if (step === null) {
+            console.warn(`[2FA] Falha: Código inválido na confirmação do 2FA do User ID ${userId}.`);
+            return res.status(400).json({ message: 'Código de verificação inválido.' });
+        }
+        if (!await db.enableTotp(userId, step)) {
+            return res.status(409).json({ message: 'A autenticação em dois fatores já está ativa.' });
+        }
+        const recoveryCodes = await mfa.regenerateRecoveryCodes(userId);
+        console.log(`[2FA] Sucesso: 2FA ativado para User ID ${userId}.`);
+
+        const body = {
+            message: '2FA ativado com sucesso. Guarde os códigos de recuperação em local seguro: eles não serão exibidos novamente.',
+            recoveryCodes
+        };
+        if (req.user.mfaEnrollment) {
+            if (user.failedLoginAttempts > 0) {
+                await loginLockout.resetFailedLogins(userId);
+            }
+            const tokens = await startSession(user, req);
+            console.log(`[Login 2FA] Sucesso: Autenticado ${user.username} (ID: ${userId}) após cadastro obrigatório do 2FA (Sessão: ${tokens.sessionId}).`);
+            const { message, ...loginBody } = loginResponseBody(user, tokens);
+            Object.assign(body, loginBody);
+        }
+        res.status(200).json(body);
+    } catch (error) {
+        console.error(`[2FA] ERRO ao confirmar 2FA do User ID ${userId}:`, error);
+        res.status(500).json({ message: 'Erro interno ao configurar 2FA.' });
+    }
+};
+
+/**
+ * Desativa o 2FA do usuário logado (exige senha e um código 2FA ou de recuperação).
+ * Não é permitido se o papel do usuário exige 2FA.
+ */
+const disableMfa = async (req, res) => {
+    const userId = req.user.id;
+    const { password, code } = req.body;
+    try {
+        const user = await db.findUserMfaState(userId);
+        if (!user || user.deletedAt) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        if (!user.totpEnabledAt) {
+            return res.status(400).json({ message: 'A autenticação em dois fatores não está ativa.' });
+        }
+        if (await mfa.isMfaRequiredForRole(user.role)) {
+            return res.status(403).json({ message: `O 2FA é obrigatório para o papel '${user.role}' e não pode ser desativado.` });
+        }
+        if (!await checkCurrentPassword(userId, password)) {
+            console.warn(`[2FA] Falha: Senha incorreta ao desativar 2FA do User ID ${userId}.`);
+            return res.status(401).json({ message: 'Senha incorreta.' });
+        }
+        if (!await verifySecondFactor(user, code)) {
+            console.warn(`[2FA] Falha: Código inválido ao desativar 2FA do User ID ${userId}.`);
+            return res.status(401).json({ message: 'Código de verificação inválido.' });
+        }
+        await db.disableTotp(userId);
+        console.warn(`[Security] 2FA desativado pelo User ID ${userId} (${user.username}).`);
+        res.status(200).json({ message: 'Autenticação em dois fatores desativada.' });
+    } catch (error) {
+        console.error(`[2FA] ERRO ao desativar 2FA do User ID ${userId}:`, error);
+        res.status(500).json({ message: 'Erro interno ao desativar 2FA.' });
+    }
+};
+
 module.exports = {
     registerUser,
     loginUser,
+    loginWithMfa,
     refreshToken,
     logoutUser,
-    getUserProfile
+    getUserProfile,
+    updateProfile,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    deleteAccount,
+    getSessions,
+    revokeSession,
+    logoutAll,
+    setupMfa,
+    verifyMfaSetup,
+    disableMfa
 };
\ No newline at end of file
@@ -0,0 +1,61 @@
+﻿// middleware/aiQuotaMiddleware.js
+const { reserveRequest, recordTokens } = require('../config/aiQuota'); // Cota diária de IA por usuário
+
+/**
+ * Informa a cota restante nos headers da resposta (X-AI-Quota-*).
+ * Reset = segundos até a cota renovar (meia-noite UTC).
+ */
+function setQuotaHeaders(res, { limits, usage, resetAt }) {
+    res.set({
+        'X-AI-Quota-Requests-Limit': String(limits.dailyRequests),
+        'X-AI-Quota-Requests-Remaining': String(Math.max(limits.dailyRequests - usage.requests, 0)),
+        'X-AI-Quota-Tokens-Limit': String(limits.dailyTokens),
+        'X-AI-Quota-Tokens-Remaining': String(Math.max(limits.dailyTokens - usage.tokens, 0)),
+        'X-AI-Quota-Reset': String(Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 0)),
+    });
+}
+
+/**
+ * Middleware das rotas de IA: conta a requisição na cota diária do usuário ou responde 429 se ela
+ * estiver esgotada. Deve ser usado *depois* de verifyAccessToken (e da validação, para que
+ * requisições inválidas não consumam a cota). Guarda o estado em req.aiQuota para recordAiTokens.
+ */
+const enforceAiQuota = async (req, res, next) => {
+    try {
+        const quota = await reserveRequest(req.user.id);
+        setQuotaHeaders(res, quota);
+        if (!quota.allowed) {
+            const retryAfterSeconds = Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000);
+            console.warn(`[AI Quota] Cota esgotada: User ${req.user.username} (ID: ${req.user.id}) - ${quota.usage.requests}/${quota.limits.dailyRequests} requisições, ${quota.usage.tokens}/${quota.limits.dailyTokens} tokens.`);
+            res.set('Retry-After', String(retryAfterSeconds));
+            return res.status(429).json({ message: 'Cota diária do assistente de IA esgotada. Tente novamente amanhã ou peça um aumento a um administrador.' });
+        }
+        req.aiQuota = quota;
+        next();
+    } catch (error) {
+        console.error(`[AI Quota] ERRO ao verificar a cota do User ID ${req.user.id}:`, error);
+        res.status(500).json({ message: 'Erro interno ao verificar a cota de IA.' });
+    }
+};
+
+/**
+ * Soma os tokens consumidos na requisição à cota do usuário e atualiza os headers X-AI-Quota-*
+ * (exceto se já foram enviados, como no streaming). Erros são apenas registrados (a resposta já foi gerada).
+ * @param {object} req - Requisição que passou por enforceAiQuota.
+ * @param {object} res
+ * @param {number} tokens
+ */
+async function recordAiTokens(req, res, tokens) {
+    if (!req.aiQuota || tokens <= 0) return;
+    try {
+        req.aiQuota.usage = await recordTokens(req.user.id, tokens);
+        if (!res.headersSent) setQuotaHeaders(res, req.aiQuota);
+    } catch (error) {
+        console.error(`[AI Quota] ERRO ao registrar ${tokens} tokens do User ID ${req.user.id}:`, error);
+    }
+}
+
+module.exports = {
+    enforceAiQuota,
+    recordAiTokens,
+};
@@ -1,6 +1,9 @@
 ﻿// middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
 const { isBlacklisted } = require('../config/tokenBlacklist'); // Importar blacklist
+const { getUserAuthState } = require('../config/userAuthState'); // Estado do usuário (cacheado)
+const { verifyMfaToken } = require('../config/mfa');
+const { getRoleAccess, hasPermissions } = require('../config/permissions'); // Permissões dos papéis (cacheadas)
 
 // dotenv.config() REMOVIDO DAQUI
 
@@ -14,16 +17,40 @@ if (!JWT_SECRET || !JWT_REFRESH_SECRET) {
 
 /**
  * Middleware para verificar o token JWT de ACESSO.
+ * Além da assinatura/expiração, compara o token com o estado atual do usuário (cacheado), para que
+ * desativação, mudança de papel ou logout-all tenham efeito imediato.
  */
 const verifyAccessToken = (req, res, next) => {
     // Chama a função genérica verifyToken para Access Tokens
-    verifyToken(req, res, next, JWT_SECRET, false); // checkBlacklist = false
+    verifyToken(req, res, next, JWT_SECRET, { checkBlacklist: false, checkUserState: true });
+};
+
+/**
+ * Middleware das rotas de cadastro de 2FA (/2fa/setup e /2fa/verify).
+ * Aceita um Access Token normal OU, no corpo (`mfaToken`), o token de login pendente de um usuário
+ * cujo papel exige 2FA e que ainda não o cadastrou (única forma de ele concluir o login).
+ * Nesse caso req.user = { id, mfaEnrollment: true }.
+ */
+const verifyAccessOrMfaEnrollmentToken = (req, res, next) => {
+    if (!req.body?.mfaToken) {
+        return verifyAccessToken(req, res, next);
+    }
+    const pending = verifyMfaToken(req.body.mfaToken);
+    if (!pending || !pending.enroll) {
+        console.warn('[Auth] Falha: mfaToken de cadastro de 2FA inválido ou expirado.');
+        return res.status(401).json({ message: 'Token de 2FA inválido ou expirado. Faça login novamente.' });
+    }
+    req.user = { id: pending.id, mfaEnrollment: true };
+    next();
 };
 
 /**
  * Função auxiliar genérica para verificar um token vindo do Header Authorization Bearer.
+ * @param {object} [checks]
+ * @param {boolean} [checks.checkBlacklist=false] - Consulta a blacklist pelo JTI.
+ * @param {boolean} [checks.checkUserState=false] - Compara o token com o estado atual do usuário.
  */
-function verifyToken(req, res, next, secret, checkBlacklist = false) {
+function verifyToken(req, res, next, secret, checks = {}) {
     const authHeader = req.headers.authorization || req.headers.Authorization;
 
     if (!authHeader?.startsWith('Bearer ')) {
@@ -36,7 +63,7 @@ function verifyToken(req, res, next, secret, checkBlacklist = false) {
     // Callback para jwt.verify
     jwt.verify(token, secret, (err, decoded) => {
         // CORREÇÃO: Passa 'req' para handleTokenVerification
-        handleTokenVerification(req, res, next, err, decoded, token, checkBlacklist);
+        handleTokenVerification(req, res, next, err, decoded, token, checks);
     });
 }
 
@@ -45,7 +72,7 @@ function verifyToken(req, res, next, secret, checkBlacklist = false) {
  * Função auxiliar para lidar com o resultado da verificação do token.
  * AGORA recebe 'req' como primeiro parâmetro.
  */
-function handleTokenVerification(req, res, next, err, decoded, token, checkBlacklist) {
+async function handleTokenVerification(req, res, next, err, decoded, token, { checkBlacklist = false, checkUserState = false } = {}) {
     if (err) {
         let status = 403;
         let message = 'Falha na autenticação do token.';
@@ -65,10 +92,31 @@ function handleTokenVerification(req, res, next, err, decoded, token, checkBlack
         return res.status(status).json({ message });
     }
 
-    // Verificar blacklist se necessário (usando JTI do token)
-    if (checkBlacklist && decoded.jti && isBlacklisted(decoded.jti)) {
-        // Log já acontece dentro de isBlacklisted
-        return res.status(401).json({ message: 'Token inválido (revogado).' }); // Token foi invalidado (logout)
+    // Verificar blacklist se necessário (usando JTI do token). A consulta é assíncrona (store persistente).
+    if (checkBlacklist && decoded.jti) {
+        try {
+            if (await isBlacklisted(decoded.jti)) {
+                // Log já acontece dentro de isBlacklisted
+                return res.status(401).json({ message: 'Token inválido (revogado).' }); // Token foi invalidado (logout)
+            }
+        } catch (error) {
+            console.error('[Auth] Erro ao consultar a blacklist de tokens.', error);
+            return res.status(500).json({ message: 'Erro ao verificar o token.' });
+        }
+    }
+
+    // Verificar se o token ainda corresponde ao estado atual do usuário
+    if (checkUserState) {
+        try {
+            const rejection = await checkTokenAgainstUserState(decoded);
+            if (rejection) {
+                console.warn(`[Auth] Falha: Token recusado para User ID ${decoded.id} (${decoded.username || 'N/A'}): ${rejection.reason}.`);
+                return res.status(401).json({ message: rejection.message });
+            }
+        } catch (error) {
+            console.error('[Auth] Erro ao consultar o estado do usuário.', error);
+            return res.status(500).json({ message: 'Erro ao verificar o token.' });
+        }
     }
 
     // Token válido! Anexa payload decodificado ao objeto 'req'.
@@ -80,6 +128,38 @@ function handleTokenVerification(req, res, next, err, decoded, token, checkBlack
 }
 
 
+/**
+ * Compara os claims de um Access Token com o estado atual do usuário.
+ * @param {object} decoded - Payload do token.
+ * @returns {Promise<{reason: string, message: string}|null>} Motivo da recusa, ou null se o token continua válido.
+ */
+async function checkTokenAgainstUserState(decoded) {
+    const state = await getUserAuthState(decoded.id);
+    if (!state || state.deletedAt) {
+        return { reason: 'usuário não existe mais', message: 'Token inválido (usuário não encontrado).' };
+    }
+    if (state.disabledAt) {
+        return { reason: 'conta desativada', message: 'Conta desativada.' };
+    }
+    // Tokens emitidos antes da versão de token existir não têm 'tv' (equivale à versão 0)
+    if ((decoded.tv || 0) !== state.tokenVersion) {
+        return { reason: `versão de token ${decoded.tv || 0} != ${state.tokenVersion}`, message: 'Token inválido (revogado).' };
+    }
+    if (decoded.role !== state.role) {
+        return { reason: `papel alterado (${decoded.role} -> ${state.role})`, message: 'Token desatualizado. Faça o refresh do token.' };
+    }
+    // Permissões do papel alteradas depois da emissão (tokens sem 'rv' são anteriores às permissões)
+    const roleAccess = await getRoleAccess(state.role);
+    if (!roleAccess) {
+        return { reason: `papel '${state.role}' não existe mais`, message: 'Token inválido (papel não encontrado).' };
+    }
+    if (decoded.rv !== roleAccess.version) {
+        return { reason: `versão do papel ${decoded.rv ?? 'N/A'} != ${roleAccess.version}`, message: 'Token desatualizado. Faça o refresh do token.' };
+    }
+    return null;
+}
+
+
 /**
  * Middleware para verificar se o usuário tem um determinado papel (role).
  * Deve ser usado *depois* de verifyAccessToken.
@@ -108,9 +188,34 @@ const verifyRoles = (allowedRoles) => {
     };
 };
 
+/**
+ * Middleware para verificar se o papel do usuário concede a(s) permissão(ões) exigida(s)
+ * (ex: 'users:read'). Usa as permissões do token ('perms'), que o middleware de Access Token
+ * garante estarem atualizadas (versão do papel). Deve ser usado *depois* de verifyAccessToken.
+ * @param {string | string[]} requiredPermissions - Permissão(ões) exigida(s); com várias, TODAS são exigidas.
+ */
+const requirePermission = (requiredPermissions) => {
+    return (req, res, next) => {
+        if (!req?.user?.role) {
+            console.warn('[Auth] Falha PermissionCheck: Usuário não autenticado ou sem role no token.');
+            return res.status(403).json({ message: 'Acesso proibido. Papel do usuário não definido no token.' });
+        }
+
+        if (!hasPermissions(req.user.perms, requiredPermissions)) {
+            const required = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
+            console.warn(`[Auth] Acesso NEGADO por Permissão: User ${req.user.username} (Role: ${req.user.role}) sem ${required.join(' + ')}.`);
+            return res.status(403).json({ message: 'Acesso proibido. Permissões insuficientes.' });
+        }
+
+        next();
+    };
+};
+
 
 module.exports = {
     verifyAccessToken,
+    verifyAccessOrMfaEnrollmentToken,
     // verifyRefreshToken (se existisse como middleware direto, precisaria de ajuste similar)
-    verifyRoles
+    verifyRoles,
+    requirePermission
 };
\ No newline at end of file
@@ -1,5 +1,8 @@
 ﻿// middleware/validationRules.js
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const { MAX_LIMIT } = require('../config/pagination');
+const { DEFAULT_QUIZ_RULES } = require('../config/quizSchema');
+const { PLAN_LIMITS } = require('../config/studyPlanSchema');
 
 const registerValidationRules = () => {
     return [
@@ -17,6 +20,12 @@ const registerValidationRules = () => {
             .trim()
             .notEmpty().withMessage('Código de convite (inviteCode) é obrigatório.')
             .isLength({ min: 10 }).withMessage('Código de convite inválido.'), // Ajuste o minLength se necessário
+
+        // E-mail opcional (usado para a redefinição de senha)
+        body('email')
+            .optional()
+            .trim()
+            .isEmail().withMessage('E-mail inválido.'),
     ];
 };
 
@@ -31,6 +40,42 @@ const loginValidationRules = () => {
     ];
 };
 
+// Segunda etapa do login (2FA)
+const loginMfaValidationRules = () => {
+    return [
+        body('mfaToken')
+            .notEmpty().withMessage('Token de 2FA (mfaToken) é obrigatório.')
+            .isJWT().withMessage('Formato de mfaToken inválido.'),
+
+        body('code')
+            .isString().withMessage('Código de verificação (code) é obrigatório.')
+            .trim()
+            .notEmpty().withMessage('Código de verificação (code) é obrigatório.'),
+    ];
+};
+
+// Confirmação do cadastro do 2FA (mfaToken só no cadastro obrigatório durante o login)
+const verifyMfaSetupValidationRules = () => {
+    return [
+        body('code')
+            .isString().withMessage('Código de verificação (code) é obrigatório.')
+            .trim()
+            .matches(/^\d{6}$/).withMessage('O código de verificação deve ter 6 dígitos.'),
+    ];
+};
+
+const disableMfaValidationRules = () => {
+    return [
+        body('password')
+            .notEmpty().withMessage('Senha (password) é obrigatória.'),
+
+        body('code')
+            .isString().withMessage('Código de verificação (code) é obrigatório.')
+            .trim()
+            .notEmpty().withMessage('Código de verificação (code) é obrigatório.'),
+    ];
+};
+
 const refreshTokenValidationRules = () => {
     return [
         body('refreshToken')
@@ -39,6 +84,64 @@ const refreshTokenValidationRules = () => {
     ];
 };
 
+// Regras das rotas de autoatendimento da conta (usuário logado)
+// (todos os campos opcionais; o controller exige ao menos um)
+const updateProfileValidationRules = () => {
+    return [
+        body('username')
+            .optional()
+            .isString().withMessage('Nome de usuário deve ser uma string.')
+            .trim()
+            .isLength({ min: 3 }).withMessage('Nome de usuário deve ter pelo menos 3 caracteres.'),
+
+        // null remove o e-mail cadastrado
+        body('email')
+            .optional({ values: 'null' })
+            .isString().withMessage('E-mail deve ser uma string.')
+            .trim()
+            .isEmail().withMessage('E-mail inválido.'),
+    ];
+};
+
+const changePasswordValidationRules = () => {
+    return [
+        body('currentPassword')
+            .notEmpty().withMessage('Senha atual (currentPassword) é obrigatória.'),
+
+        body('newPassword')
+            .notEmpty().withMessage('Nova senha (newPassword) é obrigatória.')
+            .isLength({ min: 6 }).withMessage('Nova senha deve ter pelo menos 6 caracteres.')
+            .custom((value, { req }) => value !== req.body.currentPassword).withMessage('A nova senha deve ser diferente da atual.'),
+    ];
+};
+
+const forgotPasswordValidationRules = () => {
+    return [
+        body('username')
+            .trim()
+            .notEmpty().withMessage('Nome de usuário é obrigatório.'),
+    ];
+};
+
+const resetPasswordValidationRules = () => {
+    return [
+        body('token')
+            .trim()
+            .notEmpty().withMessage('Token de redefinição (token) é obrigatório.'),
+
+        body('newPassword')
+            .notEmpty().withMessage('Nova senha (newPassword) é obrigatória.')
+            .isLength({ min: 6 }).withMessage('Nova senha deve ter pelo menos 6 caracteres.'),
+    ];
+};
+
+const deleteAccountValidationRules = () => {
+    return [
+        body('password')
+            .notEmpty().withMessage('Confirme a exclusão informando sua senha (password).'),
+    ];
+};
+
 // Novas regras para Admin criando usuário
 const createUserByAdminValidationRules = () => {
     return [
@@ -57,6 +160,11 @@ const createUserByAdminValidationRules = () => {
             .isString().withMessage('Papel (role) deve ser uma string.')
             .trim()
             .notEmpty().withMessage('Papel (role) não pode ser vazio se fornecido.'),
+
+        body('email')
+            .optional()
+            .trim()
+            .isEmail().withMessage('E-mail inválido.'),
     ];
 };
 
@@ -67,7 +175,354 @@ const generateInviteCodeValidationRules = () => {
         body('quantity')
             .optional()
             .isInt({ min: 1, max: 20 }).withMessage('Quantidade deve ser um número entre 1 e 20.')
-            .toInt() // Converte para inteiro
+            .toInt(), // Converte para inteiro
+
+        body('expiresAt')
+            .optional()
+            .isISO8601().withMessage("'expiresAt' deve ser uma data ISO 8601.")
+            .custom((value) => new Date(value) > new Date()).withMessage("'expiresAt' deve ser uma data futura."),
+
+        body('maxUses')
+            .optional()
+            .isInt({ min: 1, max: 1000 }).withMessage("'maxUses' deve ser um número entre 1 e 1000.")
+            .toInt(),
+
+        // O controller confere se o papel existe
+        body('role')
+            .optional()
+            .isString().withMessage('Papel (role) deve ser uma string.')
+            .trim()
+            .notEmpty().withMessage('Papel (role) não pode ser vazio se fornecido.'),
+
+        body('note')
+            .optional()
+            .isString().withMessage("'note' deve ser uma string.")
+            .trim()
+            .isLength({ max: 255 }).withMessage("'note' deve ter no máximo 255 caracteres."),
+    ];
+};
+
+// Regras para Admin alterando usuário (todos os campos opcionais; o controller exige ao menos um)
+const updateUserByAdminValidationRules = () => {
+    return [
+        body('username')
+            .optional()
+            .isString().withMessage('Nome de usuário deve ser uma string.')
+            .trim()
+            .isLength({ min: 3 }).withMessage('Nome de usuário deve ter pelo menos 3 caracteres.'),
+
+        body('role')
+            .optional()
+            .isString().withMessage('Papel (role) deve ser uma string.')
+            .trim()
+            .notEmpty().withMessage('Papel (role) não pode ser vazio se fornecido.'),
+    ];
+};
+
+// Regras para Admin redefinindo senha (sem 'password', uma senha temporária é gerada)
+const resetPasswordByAdminValidationRules = () => {
+    return [
+        body('password')
+            .optional()
+            .isString().withMessage('Senha deve ser uma string.')
+            .isLength({ min: 6 }).withMessage('Senha deve ter pelo menos 6 caracteres.'),
+    ];
+};
+
+// Regras de papéis e permissões (Admin)
+const roleNameParam = () =>
+    param('name')
+        .trim()
+        .notEmpty().withMessage('Nome do papel é obrigatório.');
+
+const rolePermissionsBody = ({ optional = false } = {}) => [
+    (optional ? body('permissions').optional() : body('permissions'))
+        .isArray().withMessage("'permissions' deve ser uma lista de nomes de permissões."),
+    body('permissions.*')
+        .isString().withMessage('Cada permissão deve ser uma string.')
+        .trim(),
+];
+
+const roleDescriptionBody = () =>
+    body('description')
+        .optional({ values: 'null' })
+        .isString().withMessage('Descrição deve ser uma string.')
+        .trim()
+        .isLength({ max: 255 }).withMessage('Descrição deve ter no máximo 255 caracteres.');
+
+const createRoleValidationRules = () => {
+    return [
+        body('name')
+            .trim()
+            .notEmpty().withMessage('Nome do papel é obrigatório.')
+            .matches(/^[a-z][a-z0-9_-]{1,49}$/).withMessage('Nome do papel deve ter de 2 a 50 caracteres: letras minúsculas, números, "_" ou "-", começando por letra.'),
+        roleDescriptionBody(),
+        body('requireMfa')
+            .optional()
+            .isBoolean({ strict: true }).withMessage('requireMfa deve ser true ou false.')
+            .toBoolean(),
+        ...rolePermissionsBody({ optional: true }),
+    ];
+};
+
+// Regras para Admin configurando um papel
+const updateRoleValidationRules = () => {
+    return [
+        roleNameParam(),
+        roleDescriptionBody(),
+        body('requireMfa')
+            .optional()
+            .isBoolean({ strict: true }).withMessage('requireMfa deve ser true ou false.')
+            .toBoolean(),
+    ];
+};
+
+const setRolePermissionsValidationRules = () => {
+    return [
+        roleNameParam(),
+        ...rolePermissionsBody(),
+    ];
+};
+
+const roleNameParamValidationRules = () => {
+    return [
+        roleNameParam(),
+    ];
+};
+
+// Regras comuns das listagens paginadas (limit, page/cursor, sort, intervalo de datas)
+const paginationValidationRules = () => {
+    return [
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: MAX_LIMIT }).withMessage(`'limit' deve ser um número entre 1 e ${MAX_LIMIT}.`)
+            .toInt(),
+
+        query('page')
+            .optional()
+            .isInt({ min: 1 }).withMessage("'page' deve ser um número maior ou igual a 1.")
+            .toInt(),
+
+        query('cursor')
+            .optional()
+            .isString().withMessage("'cursor' inválido.")
+            .notEmpty().withMessage("'cursor' inválido."),
+
+        query('sort')
+            .optional()
+            .matches(/^-?[A-Za-z_]+$/).withMessage("'sort' inválido. Use 'campo' ou '-campo'."),
+
+        query('created_from')
+            .optional()
+            .isISO8601().withMessage("'created_from' deve ser uma data ISO 8601."),
+
+        query('created_to')
+            .optional()
+            .isISO8601().withMessage("'created_to' deve ser uma data ISO 8601."),
+    ];
+};
+
+const listUsersValidationRules = () => {
+    return [
+        ...paginationValidationRules(),
+
+        query('role')
+            .optional()
+            .isString().withMessage("'role' deve ser uma string.")
+            .trim(),
+
+        query('q')
+            .optional()
+            .isString().withMessage("'q' deve ser uma string.")
+            .trim()
+            .isLength({ max: 100 }).withMessage("'q' deve ter no máximo 100 caracteres."),
+    ];
+};
+
+const listInviteCodesValidationRules = () => {
+    return [
+        ...paginationValidationRules(),
+
+        query('is_used')
+            .optional()
+            .isBoolean().withMessage("'is_used' deve ser true ou false.")
+            .toBoolean(),
+
+        query('status')
+            .optional()
+            .isIn(['active', 'exhausted', 'expired', 'revoked']).withMessage("'status' deve ser active, exhausted, expired ou revoked."),
+
+        query('created_by')
+            .optional()
+            .isInt({ min: 1 }).withMessage("'created_by' deve ser um ID de usuário válido.")
+            .toInt(),
+    ];
+};
+
+// Regras para parâmetros de rota (IDs)
+const sessionIdParamValidationRules = () => {
+    return [
+        param('id')
+            .isUUID().withMessage('ID de sessão inválido.')
+    ];
+};
+
+const inviteCodeParamValidationRules = () => {
+    return [
+        param('code')
+            .trim()
+            .notEmpty().withMessage('Código de convite é obrigatório.')
+    ];
+};
+
+const userIdParamValidationRules = () => {
+    return [
+        param('id')
+            .isInt({ min: 1 }).withMessage('ID de usuário inválido.')
+            .toInt()
+    ];
+};
+
+// Regras do chat do assistente de estudos (sem 'sessionId', 'message' é o tópico de uma nova sessão)
+const aiChatValidationRules = () => {
+    return [
+        body('message')
+            .optional()
+            .isString().withMessage("'message' deve ser um texto.")
+            .trim()
+            .isLength({ max: 2000 }).withMessage("'message' deve ter no máximo 2000 caracteres."),
+
+        body('sessionId')
+            .optional()
+            .isInt({ min: 1 }).withMessage("'sessionId' deve ser um ID de sessão de estudo válido.")
+            .toInt(),
+
+        body('model')
+            .optional()
+            .isString().withMessage("'model' deve ser um texto.")
+            .trim()
+            .isLength({ min: 1, max: 100 }).withMessage("'model' deve ter entre 1 e 100 caracteres."),
+    ];
+};
+
+// Limites diários de IA (null volta a herdar: usuário -> papel -> padrão)
+const aiQuotaLimitsValidationRules = () => {
+    return ['dailyRequests', 'dailyTokens'].map((field) =>
+        body(field)
+            .optional({ values: 'undefined' })
+            .custom((value) => value === null || (Number.isInteger(value) && value >= 0 && value <= 2147483647))
+            .withMessage(`'${field}' deve ser um inteiro maior ou igual a 0, ou null.`)
+    );
+};
+
+// Sessões de estudo do assistente de IA (/api/ai/sessions)
+const studySessionIdParam = () =>
+    param('id')
+        .isInt({ min: 1 }).withMessage('ID de sessão de estudo inválido.')
+        .toInt();
+
+const studySessionTitleBody = ({ optional = false } = {}) =>
+    (optional ? body('title').optional() : body('title'))
+        .isString().withMessage("'title' deve ser um texto.")
+        .trim()
+        .isLength({ min: 1, max: 100 }).withMessage("'title' deve ter entre 1 e 100 caracteres.");
+
+const listStudySessionsValidationRules = () => {
+    return [
+        ...paginationValidationRules(),
+    ];
+};
+
+const createStudySessionValidationRules = () => {
+    return [
+        body('topic')
+            .isString().withMessage("'topic' deve ser um texto.")
+            .trim()
+            .isLength({ min: 1, max: 2000 }).withMessage("'topic' deve ter entre 1 e 2000 caracteres."),
+
+        studySessionTitleBody({ optional: true }),
+    ];
+};
+
+const renameStudySessionValidationRules = () => {
+    return [
+        studySessionIdParam(),
+        studySessionTitleBody(),
+    ];
+};
+
+const studySessionIdParamValidationRules = () => {
+    return [
+        studySessionIdParam(),
+    ];
+};
+
+// Respostas de um quiz da sessão: uma letra por pergunta ('section' escolhe o quiz; padrão: o mais recente)
+const submitQuizAnswersValidationRules = () => {
+    return [
+        studySessionIdParam(),
+        body('answers')
+            .isArray({ min: 1, max: DEFAULT_QUIZ_RULES.maxQuestions })
+            .withMessage(`'answers' deve ser uma lista com 1 a ${DEFAULT_QUIZ_RULES.maxQuestions} respostas.`),
+        body('answers.*')
+            .isString().withMessage('Cada resposta deve ser uma letra (A, B, C...).')
+            .bail()
+            .trim()
+            .toUpperCase()
+            .matches(/^[A-Z]$/).withMessage('Cada resposta deve ser uma letra (A, B, C...).'),
+        body('section')
+            .optional()
+            .isInt({ min: 1 }).withMessage("'section' deve ser um número de seção válido.")
+            .toInt(),
+    ];
+};
+
+// Plano de estudo editado pelo usuário: a lista completa de seções, na nova ordem
+const updateStudyPlanValidationRules = () => {
+    const { maxSections, maxTitleLength, maxObjectives, maxObjectiveLength } = PLAN_LIMITS;
+    return [
+        studySessionIdParam(),
+        body('sections')
+            .isArray({ min: 1, max: maxSections })
+            .withMessage(`'sections' deve ser uma lista com 1 a ${maxSections} seções.`),
+        body('sections.*.title')
+            .isString().withMessage('Cada seção deve ter um título (texto).')
+            .bail()
+            .trim()
+            .isLength({ min: 1, max: maxTitleLength }).withMessage(`O título de cada seção deve ter entre 1 e ${maxTitleLength} caracteres.`),
+        body('sections.*.objectives')
+            .isArray({ min: 1, max: maxObjectives })
+            .withMessage(`Cada seção deve ter uma lista com 1 a ${maxObjectives} objetivos de aprendizagem.`),
+        body('sections.*.objectives.*')
+            .isString().withMessage('Cada objetivo de aprendizagem deve ser um texto.')
+            .bail()
+            .trim()
+            .isLength({ min: 1, max: maxObjectiveLength }).withMessage(`Cada objetivo de aprendizagem deve ter entre 1 e ${maxObjectiveLength} caracteres.`),
+    ];
+};
+
+const listStudyMasteryValidationRules = () => {
+    return [
+        ...paginationValidationRules(),
+        query('topic')
+            .optional()
+            .isString().withMessage("'topic' deve ser um texto.")
+            .trim()
+            .isLength({ min: 1, max: 2000 }).withMessage("'topic' deve ter entre 1 e 2000 caracteres."),
+    ];
+};
+
+const aiUsageValidationRules = () => {
+    return [
+        query('date')
+            .optional()
+            .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage("'date' deve estar no formato YYYY-MM-DD.")
+            .bail()
+            .isISO8601({ strict: true }).withMessage("'date' deve ser uma data válida."),
+        query('userId')
+            .optional()
+            .isInt({ min: 1 }).withMessage("'userId' deve ser um ID de usuário válido.")
+            .toInt(),
     ];
 };
 
@@ -76,6 +531,35 @@ module.exports = {
     registerValidationRules,
     loginValidationRules,
     refreshTokenValidationRules,
+    loginMfaValidationRules,
+    verifyMfaSetupValidationRules,
+    disableMfaValidationRules,
+    updateProfileValidationRules,
+    changePasswordValidationRules,
+    deleteAccountValidationRules,
+    forgotPasswordValidationRules,
+    resetPasswordValidationRules,
     createUserByAdminValidationRules, // Exporta nova regra
     generateInviteCodeValidationRules, // Exporta nova regra
+    updateUserByAdminValidationRules,
+    resetPasswordByAdminValidationRules,
+    createRoleValidationRules,
+    updateRoleValidationRules,
+    setRolePermissionsValidationRules,
+    roleNameParamValidationRules,
+    listUsersValidationRules,
+    listInviteCodesValidationRules,
+    sessionIdParamValidationRules,
+    inviteCodeParamValidationRules,
+    userIdParamValidationRules,
+    aiChatValidationRules,
+    aiQuotaLimitsValidationRules,
+    aiUsageValidationRules,
+    listStudySessionsValidationRules,
+    createStudySessionValidationRules,
+    renameStudySessionValidationRules,
+    studySessionIdParamValidationRules,
+    submitQuizAnswersValidationRules,
+    updateStudyPlanValidationRules,
+    listStudyMasteryValidationRules,
 };
\ No newline at end of file
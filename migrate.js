@@ -0,0 +1,59 @@
+﻿// migrate.js
+// CLI das migrações do banco de dados (ver config/migrator.js).
+//   node migrate.js up           -> aplica todas as migrações pendentes (npm run migrate)
+//   node migrate.js down [N]     -> reverte as últimas N migrações, padrão 1 (npm run migrate:down)
+//   node migrate.js status       -> lista migrações aplicadas e pendentes (npm run migrate:status)
+
+const { Pool } = require('pg');
+const dotenv = require('dotenv');
+const path = require('path');
+const { migrateUp, migrateDown, migrationStatus, migrationLabel } = require('./config/migrator');
+
+// Carrega variáveis do .env para o script
+dotenv.config({ path: path.resolve(__dirname, '.env') });
+
+const DATABASE_URL = process.env.DATABASE_URL;
+
+if (!DATABASE_URL) {
+    console.error('ERRO: URL do banco de dados (DATABASE_URL) não definida no arquivo .env.');
+    process.exit(1);
+}
+
+const [command = 'up', stepsArg] = process.argv.slice(2);
+
+async function run() {
+    const pool = new Pool({ connectionString: DATABASE_URL });
+    try {
+        if (command === 'up') {
+            const applied = await migrateUp(pool);
+            console.log(applied.length > 0
+                ? `✅ [Migrate] ${applied.length} migração(ões) aplicada(s).`
+                : '[Migrate] Banco de dados já está atualizado.');
+        } else if (command === 'down') {
+            const steps = stepsArg === undefined ? 1 : parseInt(stepsArg, 10);
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error(`Quantidade de migrações inválida: '${stepsArg}'.`);
+            }
+            const reverted = await migrateDown(pool, { steps });
+            console.log(reverted.length > 0
+                ? `✅ [Migrate] ${reverted.length} migração(ões) revertida(s).`
+                : '[Migrate] Nenhuma migração aplicada para reverter.');
+        } else if (command === 'status') {
+            const status = await migrationStatus(pool);
+            for (const migration of status) {
+                const label = migrationLabel(migration);
+                const state = migration.appliedAt ? `aplicada em ${migration.appliedAt.toISOString()}` : 'PENDENTE';
+                console.log(`${label.padEnd(45)} ${state}${migration.missingFile ? ' (arquivo não encontrado!)' : ''}`);
+            }
+        } else {
+            throw new Error(`Comando desconhecido: '${command}'. Use up, down [N] ou status.`);
+        }
+    } catch (error) {
+        console.error('[Migrate] ERRO:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+run();
@@ -0,0 +1,38 @@
+﻿// migrations/001_create_users_and_invite_codes.js
+// Tabelas de usuários (com papel) e de códigos de convite.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id SERIAL PRIMARY KEY,
+                username VARCHAR(255) UNIQUE NOT NULL,
+                "passwordHash" TEXT NOT NULL,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+            );
+
+            ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS "role" VARCHAR(50) NOT NULL DEFAULT 'user';
+
+            CREATE TABLE IF NOT EXISTS invite_codes (
+                id SERIAL PRIMARY KEY,
+                code VARCHAR(64) UNIQUE NOT NULL,
+                is_used BOOLEAN DEFAULT false NOT NULL,
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                used_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                used_at TIMESTAMPTZ NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+            CREATE INDEX IF NOT EXISTS idx_invite_codes_code ON invite_codes(code);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS invite_codes;
+            DROP TABLE IF EXISTS users;
+        `);
+    },
+};
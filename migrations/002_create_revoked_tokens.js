@@ -0,0 +1,21 @@
+﻿// migrations/002_create_revoked_tokens.js
+// Blacklist persistente de JTIs revogados.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS revoked_tokens (
+                jti VARCHAR(64) PRIMARY KEY,
+                expires_at TIMESTAMPTZ NOT NULL,
+                revoked_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires_at ON revoked_tokens(expires_at);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS revoked_tokens;
+        `);
+    },
+};
@@ -0,0 +1,28 @@
+﻿// migrations/003_refresh_token_families.js
+// Rotação de Refresh Tokens: família e motivo da revogação + famílias revogadas.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE revoked_tokens
+            ADD COLUMN IF NOT EXISTS family_id VARCHAR(64) NULL,
+            ADD COLUMN IF NOT EXISTS reason VARCHAR(20) NOT NULL DEFAULT 'logout';
+
+            CREATE TABLE IF NOT EXISTS revoked_token_families (
+                family_id VARCHAR(64) PRIMARY KEY,
+                expires_at TIMESTAMPTZ NOT NULL,
+                revoked_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_revoked_token_families_expires_at ON revoked_token_families(expires_at);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS revoked_token_families;
+            ALTER TABLE revoked_tokens
+            DROP COLUMN IF EXISTS family_id,
+            DROP COLUMN IF EXISTS reason;
+        `);
+    },
+};
@@ -0,0 +1,27 @@
+﻿// migrations/004_create_user_sessions.js
+// Registro de sessões (uma por login; id = família dos Refresh Tokens).
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS user_sessions (
+                id VARCHAR(64) PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                current_jti VARCHAR(64) NOT NULL,
+                ip VARCHAR(64) NULL,
+                user_agent TEXT NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                last_used_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                expires_at TIMESTAMPTZ NOT NULL,
+                revoked_at TIMESTAMPTZ NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS user_sessions;
+        `);
+    },
+};
@@ -0,0 +1,20 @@
+﻿// migrations/005_user_token_version_and_disable.js
+// Revogação de Access Tokens: versão de token e desativação de conta.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS "tokenVersion" INTEGER NOT NULL DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS "disabledAt" TIMESTAMPTZ NULL;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE users
+            DROP COLUMN IF EXISTS "tokenVersion",
+            DROP COLUMN IF EXISTS "disabledAt";
+        `);
+    },
+};
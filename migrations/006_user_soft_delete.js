@@ -0,0 +1,18 @@
+﻿// migrations/006_user_soft_delete.js
+// Exclusão lógica (soft delete) de usuários.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS "deletedAt" TIMESTAMPTZ NULL;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE users
+            DROP COLUMN IF EXISTS "deletedAt";
+        `);
+    },
+};
@@ -0,0 +1,30 @@
+﻿// migrations/007_password_reset.js
+// Redefinição de senha: e-mail do usuário e tokens de redefinição (apenas o hash é salvo).
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS email VARCHAR(255) NULL;
+
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                requested_ip VARCHAR(64) NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                expires_at TIMESTAMPTZ NOT NULL,
+                used_at TIMESTAMPTZ NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS password_reset_tokens;
+            ALTER TABLE users
+            DROP COLUMN IF EXISTS email;
+        `);
+    },
+};
@@ -0,0 +1,22 @@
+﻿// migrations/008_login_lockout.js
+// Bloqueio de conta após falhas de login.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS "lastFailedLoginAt" TIMESTAMPTZ NULL,
+            ADD COLUMN IF NOT EXISTS "lockedUntil" TIMESTAMPTZ NULL;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE users
+            DROP COLUMN IF EXISTS "failedLoginAttempts",
+            DROP COLUMN IF EXISTS "lastFailedLoginAt",
+            DROP COLUMN IF EXISTS "lockedUntil";
+        `);
+    },
+};
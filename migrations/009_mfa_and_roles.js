@@ -0,0 +1,39 @@
+﻿// migrations/009_mfa_and_roles.js
+// Autenticação em dois fatores (TOTP), códigos de recuperação e papéis que exigem 2FA.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS "totpSecret" VARCHAR(64) NULL,
+            ADD COLUMN IF NOT EXISTS "totpEnabledAt" TIMESTAMPTZ NULL,
+            ADD COLUMN IF NOT EXISTS "totpLastUsedStep" BIGINT NULL;
+
+            CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                code_hash VARCHAR(64) NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                used_at TIMESTAMPTZ NULL,
+                UNIQUE (user_id, code_hash)
+            );
+
+            CREATE TABLE IF NOT EXISTS roles (
+                name VARCHAR(50) PRIMARY KEY,
+                require_mfa BOOLEAN NOT NULL DEFAULT false
+            );
+            INSERT INTO roles (name) VALUES ('user'), ('admin'), ('moderator') ON CONFLICT (name) DO NOTHING;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS roles;
+            DROP TABLE IF EXISTS mfa_recovery_codes;
+            ALTER TABLE users
+            DROP COLUMN IF EXISTS "totpSecret",
+            DROP COLUMN IF EXISTS "totpEnabledAt",
+            DROP COLUMN IF EXISTS "totpLastUsedStep";
+        `);
+    },
+};
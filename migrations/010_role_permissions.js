@@ -0,0 +1,57 @@
+﻿// migrations/010_role_permissions.js
+// Permissões por papel (os papéis passam a ser gerenciados pelo banco).
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE roles
+            ADD COLUMN IF NOT EXISTS description VARCHAR(255) NULL,
+            ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 0;
+
+            CREATE TABLE IF NOT EXISTS permissions (
+                name VARCHAR(100) PRIMARY KEY,
+                description VARCHAR(255) NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS role_permissions (
+                role_name VARCHAR(50) NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+                permission_name VARCHAR(100) NOT NULL REFERENCES permissions(name) ON DELETE CASCADE,
+                PRIMARY KEY (role_name, permission_name)
+            );
+
+            INSERT INTO permissions (name, description) VALUES
+                ('invites:create', 'Gerar códigos de convite'),
+                ('invites:read', 'Listar códigos de convite'),
+                ('users:create', 'Criar usuários diretamente'),
+                ('users:read', 'Consultar e listar usuários'),
+                ('users:update', 'Alterar, desativar, desbloquear usuários, redefinir senhas e encerrar sessões'),
+                ('users:delete', 'Excluir usuários'),
+                ('roles:manage', 'Criar e editar papéis e suas permissões'),
+                ('ai:chat', 'Usar o assistente de estudos (IA)')
+            ON CONFLICT (name) DO NOTHING;
+
+            INSERT INTO role_permissions (role_name, permission_name)
+            SELECT 'admin', name FROM permissions
+            UNION ALL SELECT 'moderator', p FROM UNNEST(ARRAY['users:read', 'invites:read', 'ai:chat']) AS p
+            UNION ALL SELECT 'user', 'ai:chat'
+            ON CONFLICT DO NOTHING;
+
+            -- O papel de cada usuário precisa existir na tabela roles (papéis em uso não podem ser excluídos)
+            DO $$ BEGIN
+                ALTER TABLE users ADD CONSTRAINT users_role_fkey FOREIGN KEY ("role") REFERENCES roles(name);
+            EXCEPTION WHEN duplicate_object THEN NULL;
+            END $$;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey;
+            DROP TABLE IF EXISTS role_permissions;
+            DROP TABLE IF EXISTS permissions;
+            ALTER TABLE roles
+            DROP COLUMN IF EXISTS description,
+            DROP COLUMN IF EXISTS version;
+        `);
+    },
+};
@@ -0,0 +1,30 @@
+﻿// migrations/011_invite_code_lifecycle.js
+// Ciclo de vida dos convites: validade, múltiplos usos, papel concedido, observação e revogação.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE invite_codes
+            ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ NULL,
+            ADD COLUMN IF NOT EXISTS max_uses INTEGER NOT NULL DEFAULT 1,
+            ADD COLUMN IF NOT EXISTS use_count INTEGER NOT NULL DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS role VARCHAR(50) NULL REFERENCES roles(name),
+            ADD COLUMN IF NOT EXISTS note VARCHAR(255) NULL,
+            ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ NULL;
+            -- Convites usados antes desta versão contam como um uso
+            UPDATE invite_codes SET use_count = 1 WHERE is_used = true AND use_count = 0;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE invite_codes
+            DROP COLUMN IF EXISTS expires_at,
+            DROP COLUMN IF EXISTS max_uses,
+            DROP COLUMN IF EXISTS use_count,
+            DROP COLUMN IF EXISTS role,
+            DROP COLUMN IF EXISTS note,
+            DROP COLUMN IF EXISTS revoked_at;
+        `);
+    },
+};
@@ -0,0 +1,47 @@
+﻿// migrations/012_ai_quota.js
+// Cota diária do assistente de estudos (IA): uso por usuário/dia e limites por usuário e por papel.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            -- Limites (NULL = herda: usuário -> papel -> padrão do .env)
+            ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS "aiDailyRequests" INTEGER NULL,
+            ADD COLUMN IF NOT EXISTS "aiDailyTokens" INTEGER NULL;
+            ALTER TABLE roles
+            ADD COLUMN IF NOT EXISTS ai_daily_requests INTEGER NULL,
+            ADD COLUMN IF NOT EXISTS ai_daily_tokens INTEGER NULL;
+
+            CREATE TABLE IF NOT EXISTS ai_usage (
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                usage_date DATE NOT NULL,
+                request_count INTEGER NOT NULL DEFAULT 0,
+                token_count INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (user_id, usage_date)
+            );
+            CREATE INDEX IF NOT EXISTS idx_ai_usage_usage_date ON ai_usage(usage_date);
+
+            INSERT INTO permissions (name, description) VALUES
+                ('ai:manage', 'Ver o uso do assistente de estudos (IA) e alterar as cotas')
+            ON CONFLICT (name) DO NOTHING;
+            INSERT INTO role_permissions (role_name, permission_name)
+            SELECT name, 'ai:manage' FROM roles WHERE name = 'admin'
+            ON CONFLICT DO NOTHING;
+            -- Tokens já emitidos para admins recebem a nova permissão no próximo refresh
+            UPDATE roles SET version = version + 1 WHERE name = 'admin';
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DELETE FROM permissions WHERE name = 'ai:manage';
+            DROP TABLE IF EXISTS ai_usage;
+            ALTER TABLE roles
+            DROP COLUMN IF EXISTS ai_daily_requests,
+            DROP COLUMN IF EXISTS ai_daily_tokens;
+            ALTER TABLE users
+            DROP COLUMN IF EXISTS "aiDailyRequests",
+            DROP COLUMN IF EXISTS "aiDailyTokens";
+        `);
+    },
+};
@@ -0,0 +1,40 @@
+﻿// migrations/013_study_sessions.js
+// Sessões de estudo do assistente de IA: estado (tópico, próxima etapa, seção) e histórico de mensagens.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS study_sessions (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                title VARCHAR(100) NOT NULL,
+                topic TEXT NOT NULL,
+                next_action VARCHAR(10) NOT NULL DEFAULT 'explain' CHECK (next_action IN ('explain', 'quiz')),
+                section INTEGER NOT NULL DEFAULT 1 CHECK (section >= 1),
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_study_sessions_user_id ON study_sessions(user_id);
+
+            -- Mensagens do usuário (kind = 'message') e respostas da IA ('explanation' com texto, 'quiz' com quiz_data)
+            CREATE TABLE IF NOT EXISTS study_messages (
+                id SERIAL PRIMARY KEY,
+                session_id INTEGER NOT NULL REFERENCES study_sessions(id) ON DELETE CASCADE,
+                sender VARCHAR(10) NOT NULL CHECK (sender IN ('user', 'ai')),
+                kind VARCHAR(20) NOT NULL CHECK (kind IN ('message', 'explanation', 'quiz')),
+                section INTEGER NULL,
+                text TEXT NULL,
+                quiz_data JSONB NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_study_messages_session_id ON study_messages(session_id);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS study_messages;
+            DROP TABLE IF EXISTS study_sessions;
+        `);
+    },
+};
@@ -0,0 +1,31 @@
+﻿// migrations/014_study_quiz_answers.js
+// Respostas dos quizzes das sessões de estudo, corrigidas no servidor (o gabarito não é enviado ao cliente).
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            -- Cada quiz é respondido uma única vez: quiz_answers (letras enviadas), acertos e data da resposta
+            ALTER TABLE study_messages
+                ADD COLUMN IF NOT EXISTS quiz_answers JSONB NULL,
+                ADD COLUMN IF NOT EXISTS quiz_correct INTEGER NULL,
+                ADD COLUMN IF NOT EXISTS answered_at TIMESTAMPTZ NULL;
+
+            -- Placar da sessão: acertos e perguntas respondidas somados em todos os quizzes
+            ALTER TABLE study_sessions
+                ADD COLUMN IF NOT EXISTS quiz_correct INTEGER NOT NULL DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS quiz_answered INTEGER NOT NULL DEFAULT 0;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE study_sessions
+                DROP COLUMN IF EXISTS quiz_answered,
+                DROP COLUMN IF EXISTS quiz_correct;
+            ALTER TABLE study_messages
+                DROP COLUMN IF EXISTS answered_at,
+                DROP COLUMN IF EXISTS quiz_correct,
+                DROP COLUMN IF EXISTS quiz_answers;
+        `);
+    },
+};
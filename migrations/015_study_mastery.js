@@ -0,0 +1,40 @@
+﻿// migrations/015_study_mastery.js
+// Progressão adaptativa das sessões de estudo: etapa 'review' (nova explicação da mesma seção após um quiz
+// com nota baixa) e domínio de cada tópico por usuário, atualizado a cada quiz respondido.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE study_sessions DROP CONSTRAINT IF EXISTS study_sessions_next_action_check;
+            ALTER TABLE study_sessions ADD CONSTRAINT study_sessions_next_action_check
+                CHECK (next_action IN ('explain', 'review', 'quiz'));
+
+            -- topic_key: tópico normalizado (sem espaços extras, minúsculo), para somar sessões do mesmo tópico
+            CREATE TABLE IF NOT EXISTS study_mastery (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                topic_key TEXT NOT NULL,
+                topic TEXT NOT NULL,
+                quizzes INTEGER NOT NULL DEFAULT 0,
+                correct INTEGER NOT NULL DEFAULT 0,
+                answered INTEGER NOT NULL DEFAULT 0,
+                mastery DOUBLE PRECISION NOT NULL DEFAULT 0 CHECK (mastery >= 0 AND mastery <= 1),
+                last_score DOUBLE PRECISION NULL,
+                highest_section INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                UNIQUE (user_id, topic_key)
+            );
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS study_mastery;
+            UPDATE study_sessions SET next_action = 'explain' WHERE next_action = 'review';
+            ALTER TABLE study_sessions DROP CONSTRAINT IF EXISTS study_sessions_next_action_check;
+            ALTER TABLE study_sessions ADD CONSTRAINT study_sessions_next_action_check
+                CHECK (next_action IN ('explain', 'quiz'));
+        `);
+    },
+};
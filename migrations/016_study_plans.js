@@ -0,0 +1,18 @@
+﻿// migrations/016_study_plans.js
+// Plano de estudo das sessões: seções com título e objetivos de aprendizagem, geradas ao iniciar a sessão e
+// editáveis pelo usuário. NULL em sessões ainda não planejadas (o plano é gerado na próxima etapa).
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            -- Lista de seções: [{ "title": "...", "objectives": ["..."] }] (a seção N é o item N - 1)
+            ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS plan JSONB NULL;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE study_sessions DROP COLUMN IF EXISTS plan;
+        `);
+    },
+};
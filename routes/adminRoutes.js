@@ -1,29 +1,54 @@
 ﻿// routes/adminRoutes.js
 const express = require('express');
 const adminController = require('../controllers/adminController');
-const { verifyAccessToken, verifyRoles } = require('../middleware/authMiddleware');
-const { createUserByAdminValidationRules, generateInviteCodeValidationRules } = require('../middleware/validationRules');
+const { verifyAccessToken, requirePermission } = require('../middleware/authMiddleware');
+const {
+    createUserByAdminValidationRules,
+    generateInviteCodeValidationRules,
+    updateUserByAdminValidationRules,
+    resetPasswordByAdminValidationRules,
+    createRoleValidationRules,
+    updateRoleValidationRules,
+    setRolePermissionsValidationRules,
+    roleNameParamValidationRules,
+    userIdParamValidationRules,
+    inviteCodeParamValidationRules,
+    listUsersValidationRules,
+    listInviteCodesValidationRules,
+    aiQuotaLimitsValidationRules,
+    aiUsageValidationRules,
+} = require('../middleware/validationRules');
 const handleValidationErrors = require('../middleware/handleValidationErrors');
 
 const router = express.Router();
 
 // --- Middleware de Proteção ---
-// Garante que todas as rotas neste arquivo exigem login E role 'admin'
-router.use(verifyAccessToken, verifyRoles('admin'));
+// Todas as rotas neste arquivo exigem login; cada rota exige a sua permissão (requirePermission)
+router.use(verifyAccessToken);
 
 // --- Rotas de Administração ---
 
 /**
  * @api {post} /api/admin/invite-codes Gerar Código(s) de Convite
- * @apiVersion 1.1.0
+ * @apiVersion 1.2.0
  * @apiName GenerateInvites
  * @apiGroup Admin
- * @apiPermission admin
- * @apiDescription Gera um ou mais códigos de convite únicos para registro de novos usuários. Requer autenticação de Admin.
+ * @apiPermission invites:create
+ * @apiDescription Gera um ou mais códigos de convite únicos para registro de novos usuários. Todos os códigos gerados
+ * na mesma requisição compartilham as opções (validade, usos, papel e observação). Requer a permissão 'invites:create'
+ * (e 'users:create' para definir o papel).
  * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
  * @apiBody {Number} [quantity=1] Quantidade de códigos a serem gerados (Opcional, 1-20).
+ * @apiBody {String} [expiresAt] Validade do código (ISO 8601, futura). Sem ela, o código não expira.
+ * @apiBody {Number} [maxUses=1] Quantos registros cada código permite (1-1000).
+ * @apiBody {String} [role='user'] Papel concedido a quem se registrar com o código.
+ * @apiBody {String} [note] Observação/identificação do convite (ex: "Turma 2025.2").
  * @apiSuccess {String} message Mensagem de sucesso.
  * @apiSuccess {String[]} codes Array com os códigos gerados.
+ * @apiSuccess {String} expiresAt Validade dos códigos (ou null).
+ * @apiSuccess {Number} maxUses Usos permitidos por código.
+ * @apiSuccess {String} role Papel concedido no registro.
+ * @apiSuccess {String} note Observação (ou null).
  * @apiSuccess {Object[]} [failures] Array de falhas (se houver).
  * @apiSuccessExample {json} Sucesso (201 Created):
  * HTTP/1.1 201 Created
@@ -32,15 +57,20 @@ router.use(verifyAccessToken, verifyRoles('admin'));
  * "codes": [
  * "a1b2c3d4e5f6a1b2c3d4e5f6",
  * "f6e5d4c3b2a1f6e5d4c3b2a1"
- * ]
+ * ],
+ * "expiresAt": "2025-05-31T23:59:59.000Z",
+ * "maxUses": 30,
+ * "role": "user",
+ * "note": "Turma 2025.2"
  * }
- * @apiError (Erro 400) BadRequest Quantidade inválida.
+ * @apiError (Erro 400) BadRequest Quantidade, validade, número de usos ou papel inválidos.
  * @apiError (Erro 401) Unauthorized Admin não autenticado.
- * @apiError (Erro 403) Forbidden Usuário não é admin.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'invites:create' (ou sem 'users:create' ao definir o papel).
  * @apiError (Erro 500) InternalServerError Erro ao gerar/salvar códigos.
  */
 router.post(
     '/invite-codes',
+    requirePermission('invites:create'),
     generateInviteCodeValidationRules(),
     handleValidationErrors,
     adminController.generateInviteCodes
@@ -51,12 +81,13 @@ router.post(
  * @apiVersion 1.1.0
  * @apiName CreateUserAdmin
  * @apiGroup Admin
- * @apiPermission admin
- * @apiDescription Cria uma nova conta de usuário diretamente. Permite definir o papel (role). Requer autenticação de Admin.
+ * @apiPermission users:create
+ * @apiDescription Cria uma nova conta de usuário diretamente. Permite definir o papel (role). Requer a permissão 'users:create'.
  * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
  * @apiBody {String} username Nome de usuário único para a nova conta.
  * @apiBody {String} password Senha para a nova conta.
  * @apiBody {String} [role='user'] Papel a ser atribuído (ex: 'user', 'admin', 'moderator'). Opcional, padrão 'user'.
+ * @apiBody {String} [email] E-mail do usuário (usado para a redefinição de senha).
  * @apiSuccess {String} message Mensagem de sucesso.
  * @apiSuccess {Number} userId ID do novo usuário.
  * @apiSuccess {String} username Nome de usuário criado.
@@ -71,107 +102,799 @@ router.post(
  * }
  * @apiError (Erro 400) BadRequest Dados inválidos (campos faltando, role inválido).
  * @apiError (Erro 401) Unauthorized Admin não autenticado.
- * @apiError (Erro 403) Forbidden Usuário não é admin.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'users:create'.
  * @apiError (Erro 409) Conflict Nome de usuário já existe.
  * @apiError (Erro 500) InternalServerError Erro interno no servidor.
  */
 router.post(
     '/users',
+    requirePermission('users:create'),
     createUserByAdminValidationRules(),
     handleValidationErrors,
     adminController.createUserByAdmin
 );
 
 /**
- * @api {get} /api/admin/users Listar Todos os Usuários
- * @apiVersion 1.1.0
+ * @api {get} /api/admin/users Listar Usuários
+ * @apiVersion 1.2.0
  * @apiName GetAllUsers
  * @apiGroup Admin
- * @apiPermission admin
- * @apiDescription Retorna uma lista de todos os usuários registrados (sem informações sensíveis). Requer autenticação de Admin.
+ * @apiPermission users:read
+ * @apiDescription Retorna uma lista paginada dos usuários registrados (sem informações sensíveis). Requer a permissão 'users:read'.
+ * Suporta paginação por página (`page`) ou por cursor (`cursor`, use o `nextCursor` da resposta anterior). Não combine os dois.
  * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
  *
- * @apiSuccess {Object[]} users Array de objetos de usuário.
- * @apiSuccess {Number} users.id ID do usuário.
- * @apiSuccess {String} users.username Nome de usuário.
- * @apiSuccess {String} users.role Papel do usuário.
- * @apiSuccess {String} users.createdAt Timestamp de criação.
+ * @apiQuery {Number{1-100}} [limit=20] Quantidade de itens por página.
+ * @apiQuery {Number} [page=1] Página (modo página).
+ * @apiQuery {String} [cursor] Cursor da próxima página (modo cursor).
+ * @apiQuery {String="id","-id","username","-username","createdAt","-createdAt"} [sort=id] Ordenação ('-' para decrescente).
+ * @apiQuery {String} [role] Filtra pelo papel (ex: 'admin', 'user').
+ * @apiQuery {String} [q] Busca parcial (sem diferenciar maiúsculas) no nome de usuário.
+ * @apiQuery {String} [created_from] Criados a partir desta data (ISO 8601).
+ * @apiQuery {String} [created_to] Criados até esta data (ISO 8601).
+ *
+ * @apiSuccess {Object[]} data Array de objetos de usuário.
+ * @apiSuccess {Number} data.id ID do usuário.
+ * @apiSuccess {String} data.username Nome de usuário.
+ * @apiSuccess {String} data.email E-mail (ou null).
+ * @apiSuccess {String} data.role Papel do usuário.
+ * @apiSuccess {String} data.createdAt Timestamp de criação.
+ * @apiSuccess {String} data.disabledAt Timestamp da desativação (ou null).
+ * @apiSuccess {String} data.deletedAt Timestamp da exclusão (ou null).
+ * @apiSuccess {Number} data.failedLoginAttempts Falhas de login consecutivas.
+ * @apiSuccess {String} data.lockedUntil Fim do bloqueio de login (ou null).
+ * @apiSuccess {Boolean} data.locked Se o login está bloqueado agora.
+ * @apiSuccess {Boolean} data.mfaEnabled Se o usuário tem 2FA ativo.
+ * @apiSuccess {Object} pagination Metadados da paginação.
+ * @apiSuccess {Number} pagination.total Total de usuários que satisfazem os filtros.
+ * @apiSuccess {Number} pagination.limit Itens por página.
+ * @apiSuccess {String} pagination.sort Ordenação aplicada.
+ * @apiSuccess {String} pagination.nextCursor Cursor da próxima página (ou null se não houver).
+ * @apiSuccess {String} pagination.next Link da próxima página, com os mesmos filtros (ou null).
+ * @apiSuccess {Number} [pagination.page] Página atual (apenas no modo página).
+ * @apiSuccess {Number} [pagination.totalPages] Total de páginas (apenas no modo página).
  *
  * @apiSuccessExample {json} Sucesso (200 OK):
  * HTTP/1.1 200 OK
- * [
+ * {
+ * "data": [
  * {
  * "id": 1,
  * "username": "admin",
+ * "email": null,
  * "role": "admin",
- * "createdAt": "2025-04-26T20:00:00.000Z"
- * },
+ * "createdAt": "2025-04-26T20:00:00.000Z",
+ * "disabledAt": null,
+ * "deletedAt": null,
+ * "failedLoginAttempts": 0,
+ * "lockedUntil": null,
+ * "locked": false,
+ * "mfaEnabled": true
+ * }
+ * ],
+ * "pagination": {
+ * "total": 2,
+ * "limit": 1,
+ * "sort": "id",
+ * "nextCursor": "eyJzIjoiaWQiLCJ2IjoxLCJpZCI6MX0",
+ * "next": "/api/admin/users?limit=1&page=2",
+ * "page": 1,
+ * "totalPages": 2
+ * }
+ * }
+ *
+ * @apiError (Erro 400) BadRequest Parâmetros de listagem inválidos (limit, sort, cursor, datas...).
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'users:read'.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.get(
+    '/users',
+    requirePermission('users:read'),
+    listUsersValidationRules(),
+    handleValidationErrors,
+    adminController.getAllUsers // Controller que busca e retorna os dados
+);
+
+/**
+ * @api {get} /api/admin/users/:id Obter Usuário
+ * @apiVersion 1.1.0
+ * @apiName GetUserById
+ * @apiGroup Admin
+ * @apiPermission users:read
+ * @apiDescription Retorna os dados de um usuário (inclusive desativado ou excluído). Requer a permissão 'users:read'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID do usuário.
+ *
+ * @apiSuccess {Number} id ID do usuário.
+ * @apiSuccess {String} username Nome de usuário.
+ * @apiSuccess {String} role Papel do usuário.
+ * @apiSuccess {String} createdAt Timestamp de criação.
+ * @apiSuccess {String} disabledAt Timestamp da desativação (ou null).
+ * @apiSuccess {String} deletedAt Timestamp da exclusão (ou null).
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
  * {
  * "id": 2,
  * "username": "testuser",
  * "role": "user",
- * "createdAt": "2025-04-26T20:05:10.000Z"
+ * "createdAt": "2025-04-26T20:05:10.000Z",
+ * "disabledAt": null,
+ * "deletedAt": null
  * }
- * ]
  *
+ * @apiError (Erro 400) BadRequest ID de usuário inválido.
  * @apiError (Erro 401) Unauthorized Admin não autenticado.
- * @apiError (Erro 403) Forbidden Usuário não é admin.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'users:read'.
+ * @apiError (Erro 404) NotFound Usuário não encontrado.
  * @apiError (Erro 500) InternalServerError Erro interno no servidor.
  */
 router.get(
-    '/users',
-    adminController.getAllUsers // Controller que busca e retorna os dados
+    '/users/:id',
+    requirePermission('users:read'),
+    userIdParamValidationRules(),
+    handleValidationErrors,
+    adminController.getUserById
 );
 
 /**
- * @api {get} /api/admin/invite-codes Listar Códigos de Convite
+ * @api {patch} /api/admin/users/:id Alterar Usuário
+ * @apiVersion 1.1.0
+ * @apiName UpdateUserAdmin
+ * @apiGroup Admin
+ * @apiPermission users:update
+ * @apiDescription Altera o papel e/ou o username de um usuário. Após mudança de papel, Access Tokens antigos do usuário são recusados até que ele faça refresh. Requer a permissão 'users:update'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID do usuário.
+ * @apiBody {String} [username] Novo nome de usuário (mínimo 3 caracteres).
+ * @apiBody {String} [role] Novo papel ('user', 'admin', 'moderator').
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object} user Usuário atualizado.
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "Usuário atualizado com sucesso.",
+ * "user": {
+ * "id": 2,
+ * "username": "testuser",
+ * "role": "moderator",
+ * "createdAt": "2025-04-26T20:05:10.000Z",
+ * "disabledAt": null,
+ * "deletedAt": null
+ * }
+ * }
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos, nenhum campo informado ou tentativa de alterar o próprio papel.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'users:update'.
+ * @apiError (Erro 404) NotFound Usuário não encontrado ou excluído.
+ * @apiError (Erro 409) Conflict Nome de usuário já existe.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.patch(
+    '/users/:id',
+    requirePermission('users:update'),
+    userIdParamValidationRules(),
+    updateUserByAdminValidationRules(),
+    handleValidationErrors,
+    adminController.updateUserByAdmin
+);
+
+/**
+ * @api {post} /api/admin/users/:id/disable Desativar Usuário
+ * @apiVersion 1.1.0
+ * @apiName DisableUser
+ * @apiGroup Admin
+ * @apiPermission users:update
+ * @apiDescription Desativa a conta: login e refresh passam a ser recusados e todas as sessões/tokens são revogados imediatamente. Requer a permissão 'users:update'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID do usuário.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object} user Usuário atualizado (com disabledAt preenchido).
+ *
+ * @apiError (Erro 400) BadRequest ID inválido ou tentativa de desativar a própria conta.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'users:update'.
+ * @apiError (Erro 404) NotFound Usuário não encontrado ou excluído.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/users/:id/disable',
+    requirePermission('users:update'),
+    userIdParamValidationRules(),
+    handleValidationErrors,
+    adminController.disableUser
+);
+
+/**
+ * @api {post} /api/admin/users/:id/enable Reativar Usuário
+ * @apiVersion 1.1.0
+ * @apiName EnableUser
+ * @apiGroup Admin
+ * @apiPermission users:update
+ * @apiDescription Reativa uma conta desativada. Requer a permissão 'users:update'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID do usuário.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object} user Usuário atualizado (com disabledAt nulo).
+ *
+ * @apiError (Erro 400) BadRequest ID de usuário inválido.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'users:update'.
+ * @apiError (Erro 404) NotFound Usuário não encontrado ou excluído.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/users/:id/enable',
+    requirePermission('users:update'),
+    userIdParamValidationRules(),
+    handleValidationErrors,
+    adminController.enableUser
+);
+
+/**
+ * @api {post} /api/admin/users/:id/unlock Desbloquear Login do Usuário
  * @apiVersion 1.1.0
+ * @apiName UnlockUser
+ * @apiGroup Admin
+ * @apiPermission users:update
+ * @apiDescription Remove o bloqueio temporário aplicado após falhas de login consecutivas e zera o contador de falhas. Requer a permissão 'users:update'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID do usuário.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "Usuário desbloqueado com sucesso."
+ * }
+ *
+ * @apiError (Erro 400) BadRequest ID de usuário inválido.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'users:update'.
+ * @apiError (Erro 404) NotFound Usuário não encontrado ou excluído.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/users/:id/unlock',
+    requirePermission('users:update'),
+    userIdParamValidationRules(),
+    handleValidationErrors,
+    adminController.unlockUser
+);
+
+/**
+ * @api {delete} /api/admin/users/:id Excluir Usuário
+ * @apiVersion 1.1.0
+ * @apiName DeleteUser
+ * @apiGroup Admin
+ * @apiPermission users:delete
+ * @apiDescription Exclui a conta (soft delete): o registro é mantido para histórico, mas o usuário não consegue mais logar e todas as sessões/tokens são revogados. Requer a permissão 'users:delete'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID do usuário.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "Usuário excluído com sucesso."
+ * }
+ *
+ * @apiError (Erro 400) BadRequest ID inválido ou tentativa de excluir a própria conta.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'users:delete'.
+ * @apiError (Erro 404) NotFound Usuário não encontrado ou já excluído.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.delete(
+    '/users/:id',
+    requirePermission('users:delete'),
+    userIdParamValidationRules(),
+    handleValidationErrors,
+    adminController.deleteUser
+);
+
+/**
+ * @api {post} /api/admin/users/:id/reset-password Redefinir Senha
+ * @apiVersion 1.1.0
+ * @apiName ResetUserPassword
+ * @apiGroup Admin
+ * @apiPermission users:update
+ * @apiDescription Redefine a senha de um usuário e encerra todas as sessões dele. Sem 'password', uma senha temporária é gerada e retornada uma única vez. Requer a permissão 'users:update'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID do usuário.
+ * @apiBody {String} [password] Nova senha (mínimo 6 caracteres). Opcional.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {String} [temporaryPassword] Senha temporária gerada (apenas se 'password' não foi enviada).
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "Senha redefinida com sucesso. Todas as sessões do usuário foram encerradas.",
+ * "temporaryPassword": "q3Zk8bP1xY2m"
+ * }
+ *
+ * @apiError (Erro 400) BadRequest ID ou senha inválidos.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'users:update'.
+ * @apiError (Erro 404) NotFound Usuário não encontrado ou excluído.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/users/:id/reset-password',
+    requirePermission('users:update'),
+    userIdParamValidationRules(),
+    resetPasswordByAdminValidationRules(),
+    handleValidationErrors,
+    adminController.resetUserPassword
+);
+
+/**
+ * @api {get} /api/admin/invite-codes Listar Códigos de Convite
+ * @apiVersion 1.2.0
  * @apiName GetAllInviteCodes
  * @apiGroup Admin
- * @apiPermission admin
- * @apiDescription Retorna uma lista de todos os códigos de convite gerados. Requer autenticação de Admin.
+ * @apiPermission invites:read
+ * @apiDescription Retorna uma lista paginada dos códigos de convite gerados, com o nome do criador e de quem usou. Requer a permissão 'invites:read'.
+ * Aceita os mesmos parâmetros de paginação de `GET /api/admin/users`.
  * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
  *
- * @apiSuccess {Object[]} codes Array de objetos de código de convite.
- * @apiSuccess {Number} codes.id ID do código.
- * @apiSuccess {String} codes.code O código em si.
- * @apiSuccess {Boolean} codes.is_used Se o código já foi utilizado.
- * @apiSuccess {Number} codes.created_by ID do admin que criou.
- * @apiSuccess {Number} codes.used_by ID do usuário que usou (ou null).
- * @apiSuccess {String} codes.createdAt Timestamp de criação.
- * @apiSuccess {String} codes.used_at Timestamp de uso (ou null).
+ * @apiQuery {Number{1-100}} [limit=20] Quantidade de itens por página.
+ * @apiQuery {Number} [page=1] Página (modo página).
+ * @apiQuery {String} [cursor] Cursor da próxima página (modo cursor).
+ * @apiQuery {String="id","-id","code","-code","createdAt","-createdAt"} [sort=-createdAt] Ordenação ('-' para decrescente).
+ * @apiQuery {Boolean} [is_used] Filtra por códigos sem usos restantes (true) ou com usos restantes (false).
+ * @apiQuery {String="active","exhausted","expired","revoked"} [status] Filtra pela situação do código.
+ * @apiQuery {Number} [created_by] Filtra pelo ID do admin que criou.
+ * @apiQuery {String} [created_from] Criados a partir desta data (ISO 8601).
+ * @apiQuery {String} [created_to] Criados até esta data (ISO 8601).
+ *
+ * @apiSuccess {Object[]} data Array de objetos de código de convite.
+ * @apiSuccess {Number} data.id ID do código.
+ * @apiSuccess {String} data.code O código em si.
+ * @apiSuccess {Boolean} data.is_used Se o código já atingiu o número máximo de usos.
+ * @apiSuccess {Number} data.created_by ID do admin que criou.
+ * @apiSuccess {String} data.created_by_username Nome do admin que criou (ou null).
+ * @apiSuccess {Number} data.used_by ID do último usuário que usou (ou null).
+ * @apiSuccess {String} data.used_by_username Nome do último usuário que usou (ou null).
+ * @apiSuccess {String} data.created_at Timestamp de criação.
+ * @apiSuccess {String} data.used_at Timestamp do último uso (ou null).
+ * @apiSuccess {String} data.expires_at Validade (ou null).
+ * @apiSuccess {Number} data.max_uses Usos permitidos.
+ * @apiSuccess {Number} data.use_count Usos já feitos.
+ * @apiSuccess {String} data.role Papel concedido no registro (null = 'user').
+ * @apiSuccess {String} data.note Observação (ou null).
+ * @apiSuccess {String} data.revoked_at Timestamp da revogação (ou null).
+ * @apiSuccess {String="active","exhausted","expired","revoked"} data.status Situação do código.
+ * @apiSuccess {Object} pagination Metadados da paginação (ver `GET /api/admin/users`).
  *
  * @apiSuccessExample {json} Sucesso (200 OK):
  * HTTP/1.1 200 OK
- * [
  * {
- * "id": 1,
- * "code": "a1b2c3d4e5f6a1b2c3d4e5f6",
- * "is_used": true,
- * "created_by": 1,
- * "used_by": 3,
- * "createdAt": "2025-04-26T21:00:00.000Z",
- * "used_at": "2025-04-26T21:15:00.000Z"
- * },
+ * "data": [
  * {
  * "id": 2,
  * "code": "f6e5d4c3b2a1f6e5d4c3b2a1",
- * "is_used": false,
+ * "is_used": true,
  * "created_by": 1,
- * "used_by": null,
- * "createdAt": "2025-04-26T21:01:00.000Z",
- * "used_at": null
+ * "created_by_username": "admin",
+ * "used_by": 3,
+ * "used_by_username": "testuser",
+ * "created_at": "2025-04-26T21:01:00.000Z",
+ * "used_at": "2025-04-26T21:15:00.000Z"
+ * }
+ * ],
+ * "pagination": {
+ * "total": 1,
+ * "limit": 20,
+ * "sort": "-createdAt",
+ * "nextCursor": null,
+ * "next": null,
+ * "page": 1,
+ * "totalPages": 1
+ * }
  * }
- * ]
  *
+ * @apiError (Erro 400) BadRequest Parâmetros de listagem inválidos (limit, sort, cursor, datas...).
  * @apiError (Erro 401) Unauthorized Admin não autenticado.
- * @apiError (Erro 403) Forbidden Usuário não é admin.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'invites:read'.
  * @apiError (Erro 500) InternalServerError Erro interno no servidor.
  */
 router.get(
     '/invite-codes',
+    requirePermission('invites:read'),
+    listInviteCodesValidationRules(),
+    handleValidationErrors,
     adminController.getAllInviteCodes // Controller que busca e retorna os dados
 );
 
+/**
+ * @api {delete} /api/admin/invite-codes/:code Revogar Código de Convite
+ * @apiVersion 1.2.0
+ * @apiName RevokeInviteCode
+ * @apiGroup Admin
+ * @apiPermission invites:create
+ * @apiDescription Revoga um código de convite que ainda tenha usos restantes: ele deixa de ser aceito no registro.
+ * Contas já criadas com o código não são afetadas e o código continua na listagem (status 'revoked'). Requer a permissão 'invites:create'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {String} code O código de convite.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object} inviteCode O código revogado.
+ *
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'invites:create'.
+ * @apiError (Erro 404) NotFound Código não encontrado.
+ * @apiError (Erro 409) Conflict Código já revogado ou sem usos restantes.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.delete(
+    '/invite-codes/:code',
+    requirePermission('invites:create'),
+    inviteCodeParamValidationRules(),
+    handleValidationErrors,
+    adminController.revokeInviteCode
+);
+
+/**
+ * @api {delete} /api/admin/users/:id/sessions Encerrar Sessões do Usuário
+ * @apiVersion 1.1.0
+ * @apiName RevokeUserSessions
+ * @apiGroup Admin
+ * @apiPermission users:update
+ * @apiDescription Encerra (revoga) todas as sessões ativas de um usuário. Os Refresh Tokens dessas sessões deixam de funcionar imediatamente. Requer a permissão 'users:update'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID do usuário.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Number} revokedSessions Quantidade de sessões encerradas.
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "2 sessão(ões) encerrada(s) com sucesso.",
+ * "revokedSessions": 2
+ * }
+ *
+ * @apiError (Erro 400) BadRequest ID de usuário inválido.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'users:update'.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.delete(
+    '/users/:id/sessions',
+    requirePermission('users:update'),
+    userIdParamValidationRules(),
+    handleValidationErrors,
+    adminController.revokeUserSessions
+);
+
+
+/**
+ * @api {get} /api/admin/roles Listar Papéis
+ * @apiVersion 1.2.0
+ * @apiName GetRoles
+ * @apiGroup Admin
+ * @apiPermission roles:manage
+ * @apiDescription Lista os papéis, suas configurações e permissões. Requer a permissão 'roles:manage'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ *
+ * @apiSuccess {Object[]} roles Papéis.
+ * @apiSuccess {String} roles.name Nome do papel.
+ * @apiSuccess {String} roles.description Descrição (ou null).
+ * @apiSuccess {Boolean} roles.requireMfa Se usuários do papel são obrigados a usar 2FA.
+ * @apiSuccess {String[]} roles.permissions Permissões concedidas pelo papel.
+ * @apiSuccess {Number} roles.version Versão das permissões (incrementada a cada alteração).
+ * @apiSuccess {Object} roles.aiQuota Limites diários de IA do papel (dailyRequests, dailyTokens; null = padrão da API).
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "roles": [
+ * { "name": "admin", "description": null, "requireMfa": true, "permissions": ["ai:chat", "invites:create", "..."], "version": 0 },
+ * { "name": "moderator", "description": null, "requireMfa": false, "permissions": ["ai:chat", "invites:read", "users:read"], "version": 0 },
+ * { "name": "user", "description": null, "requireMfa": false, "permissions": ["ai:chat"], "version": 0 }
+ * ]
+ * }
+ *
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'roles:manage'.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.get(
+    '/roles',
+    requirePermission('roles:manage'),
+    adminController.getRoles
+);
+
+/**
+ * @api {post} /api/admin/roles Criar Papel
+ * @apiVersion 1.2.0
+ * @apiName CreateRole
+ * @apiGroup Admin
+ * @apiPermission roles:manage
+ * @apiDescription Cria um novo papel, que pode então ser atribuído a usuários. Requer a permissão 'roles:manage'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiBody {String} name Nome do papel (2-50 caracteres: letras minúsculas, números, '_' ou '-').
+ * @apiBody {String} [description] Descrição do papel.
+ * @apiBody {Boolean} [requireMfa=false] Exigir 2FA dos usuários do papel.
+ * @apiBody {String[]} [permissions] Permissões concedidas (veja GET /api/admin/permissions).
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object} role Papel criado (name, description, requireMfa, permissions, version).
+ *
+ * @apiSuccessExample {json} Sucesso (201 Created):
+ * HTTP/1.1 201 Created
+ * {
+ * "message": "Papel criado com sucesso.",
+ * "role": { "name": "support", "description": "Equipe de suporte", "requireMfa": false, "permissions": ["users:read", "users:update"], "version": 0 }
+ * }
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos ou permissão desconhecida.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'roles:manage'.
+ * @apiError (Erro 409) Conflict Já existe um papel com este nome.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/roles',
+    requirePermission('roles:manage'),
+    createRoleValidationRules(),
+    handleValidationErrors,
+    adminController.createRole
+);
+
+/**
+ * @api {patch} /api/admin/roles/:name Configurar Papel
+ * @apiVersion 1.2.0
+ * @apiName UpdateRole
+ * @apiGroup Admin
+ * @apiPermission roles:manage
+ * @apiDescription Altera a descrição do papel e/ou se ele exige autenticação em dois fatores. Usuários do papel sem 2FA precisarão cadastrá-lo
+ * no próximo login (sessões já abertas não são afetadas). Requer a permissão 'roles:manage'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {String} name Nome do papel (ex: 'admin').
+ * @apiBody {String} [description] Descrição do papel (null remove).
+ * @apiBody {Boolean} [requireMfa] Exigir 2FA.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object} role Papel atualizado (name, description, requireMfa, permissions, version, aiQuota).
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos ou nenhum campo informado.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'roles:manage'.
+ * @apiError (Erro 404) NotFound Papel não encontrado.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.patch(
+    '/roles/:name',
+    requirePermission('roles:manage'),
+    updateRoleValidationRules(),
+    handleValidationErrors,
+    adminController.updateRole
+);
+
+/**
+ * @api {put} /api/admin/roles/:name/permissions Definir Permissões do Papel
+ * @apiVersion 1.2.0
+ * @apiName SetRolePermissions
+ * @apiGroup Admin
+ * @apiPermission roles:manage
+ * @apiDescription Substitui a lista de permissões do papel. A versão do papel é incrementada: Access Tokens já emitidos
+ * para usuários do papel passam a ser recusados com 401 e o próximo refresh traz as novas permissões.
+ * Não é possível remover 'roles:manage' do próprio papel. Requer a permissão 'roles:manage'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {String} name Nome do papel.
+ * @apiBody {String[]} permissions Lista completa de permissões do papel (pode ser vazia).
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object} role Papel atualizado (name, description, requireMfa, permissions, version, aiQuota).
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos, permissão desconhecida ou remoção de 'roles:manage' do próprio papel.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'roles:manage'.
+ * @apiError (Erro 404) NotFound Papel não encontrado.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.put(
+    '/roles/:name/permissions',
+    requirePermission('roles:manage'),
+    setRolePermissionsValidationRules(),
+    handleValidationErrors,
+    adminController.setRolePermissions
+);
+
+/**
+ * @api {delete} /api/admin/roles/:name Excluir Papel
+ * @apiVersion 1.2.0
+ * @apiName DeleteRole
+ * @apiGroup Admin
+ * @apiPermission roles:manage
+ * @apiDescription Exclui um papel que não esteja atribuído a nenhum usuário (inclusive contas excluídas). Requer a permissão 'roles:manage'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {String} name Nome do papel.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ *
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'roles:manage'.
+ * @apiError (Erro 404) NotFound Papel não encontrado.
+ * @apiError (Erro 409) Conflict Papel atribuído a usuários.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.delete(
+    '/roles/:name',
+    requirePermission('roles:manage'),
+    roleNameParamValidationRules(),
+    handleValidationErrors,
+    adminController.deleteRole
+);
+
+/**
+ * @api {get} /api/admin/permissions Listar Permissões
+ * @apiVersion 1.2.0
+ * @apiName GetPermissions
+ * @apiGroup Admin
+ * @apiPermission roles:manage
+ * @apiDescription Lista o catálogo de permissões que podem ser atribuídas aos papéis. O catálogo é definido pelas rotas da API
+ * (não é editável). Requer a permissão 'roles:manage'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ *
+ * @apiSuccess {Object[]} permissions Permissões (name, description).
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "permissions": [
+ * { "name": "ai:chat", "description": "Usar o assistente de estudos (IA)" },
+ * { "name": "invites:create", "description": "Gerar códigos de convite" }
+ * ]
+ * }
+ *
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'roles:manage'.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.get(
+    '/permissions',
+    requirePermission('roles:manage'),
+    adminController.getPermissions
+);
+
+// --- Cota do Assistente de IA ---
+
+/**
+ * @api {get} /api/admin/ai/usage Uso do Assistente de IA
+ * @apiVersion 1.2.0
+ * @apiName GetAiUsage
+ * @apiGroup Admin
+ * @apiPermission ai:manage
+ * @apiDescription Lista o uso do assistente de IA (requisições e tokens) de um dia, por usuário, com os limites efetivos de cada um.
+ * Apenas usuários com uso no dia aparecem; os que mais consumiram tokens vêm primeiro. Requer a permissão 'ai:manage'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiQuery {String} [date] Dia no formato YYYY-MM-DD (UTC). Padrão: hoje.
+ * @apiQuery {Number} [userId] Restringe a um usuário.
+ *
+ * @apiSuccess {String} date Dia consultado.
+ * @apiSuccess {Object[]} usage Uso por usuário (userId, username, role, requests, tokens, limits: { dailyRequests, dailyTokens }).
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "date": "2026-10-18",
+ * "usage": [
+ * { "userId": 7, "username": "aluno", "role": "user", "requests": 12, "tokens": 18350, "limits": { "dailyRequests": 50, "dailyTokens": 100000 } }
+ * ]
+ * }
+ *
+ * @apiError (Erro 400) BadRequest Parâmetros inválidos.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'ai:manage'.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.get(
+    '/ai/usage',
+    requirePermission('ai:manage'),
+    aiUsageValidationRules(),
+    handleValidationErrors,
+    adminController.getAiUsage
+);
+
+/**
+ * @api {get} /api/admin/users/:id/ai-quota Consultar Cota de IA do Usuário
+ * @apiVersion 1.2.0
+ * @apiName GetUserAiQuota
+ * @apiGroup Admin
+ * @apiPermission ai:manage
+ * @apiDescription Retorna os limites diários de IA do usuário: os definidos para ele (userLimits), para o seu papel (roleLimits),
+ * o padrão da API (defaultLimits) e os efetivos (limits, nesta ordem de prioridade), além do uso de hoje. Requer a permissão 'ai:manage'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID do usuário.
+ *
+ * @apiSuccess {Object} quota userId, role, userLimits, roleLimits, defaultLimits, limits e usage ({ date, requests, tokens }).
+ *
+ * @apiError (Erro 400) BadRequest ID inválido.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'ai:manage'.
+ * @apiError (Erro 404) NotFound Usuário não encontrado.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.get(
+    '/users/:id/ai-quota',
+    requirePermission('ai:manage'),
+    userIdParamValidationRules(),
+    handleValidationErrors,
+    adminController.getUserAiQuota
+);
+
+/**
+ * @api {put} /api/admin/users/:id/ai-quota Definir Cota de IA do Usuário
+ * @apiVersion 1.2.0
+ * @apiName SetUserAiQuota
+ * @apiGroup Admin
+ * @apiPermission ai:manage
+ * @apiDescription Define os limites diários de IA do usuário, que têm prioridade sobre os do papel. Apenas os campos enviados são
+ * alterados; null volta a usar o limite do papel. Vale já para a próxima requisição. Requer a permissão 'ai:manage'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID do usuário.
+ * @apiBody {Number} [dailyRequests] Requisições por dia (>= 0, ou null).
+ * @apiBody {Number} [dailyTokens] Tokens por dia (>= 0, ou null).
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object} quota Cota atualizada (como em GET /api/admin/users/:id/ai-quota).
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos ou nenhum limite informado.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'ai:manage'.
+ * @apiError (Erro 404) NotFound Usuário não encontrado.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.put(
+    '/users/:id/ai-quota',
+    requirePermission('ai:manage'),
+    userIdParamValidationRules(),
+    aiQuotaLimitsValidationRules(),
+    handleValidationErrors,
+    adminController.setUserAiQuota
+);
+
+/**
+ * @api {put} /api/admin/roles/:name/ai-quota Definir Cota de IA do Papel
+ * @apiVersion 1.2.0
+ * @apiName SetRoleAiQuota
+ * @apiGroup Admin
+ * @apiPermission ai:manage
+ * @apiDescription Define os limites diários de IA dos usuários do papel que não têm limite próprio. Apenas os campos enviados são
+ * alterados; null volta a usar o padrão da API (AI_DAILY_REQUEST_LIMIT / AI_DAILY_TOKEN_LIMIT). Requer a permissão 'ai:manage'.
+ * @apiHeader {String} Authorization Token JWT de acesso do Admin ("Bearer eyJhbGci...").
+ * @apiParam {String} name Nome do papel.
+ * @apiBody {Number} [dailyRequests] Requisições por dia (>= 0, ou null).
+ * @apiBody {Number} [dailyTokens] Tokens por dia (>= 0, ou null).
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object} role Papel atualizado (name, description, requireMfa, permissions, version, aiQuota).
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos ou nenhum limite informado.
+ * @apiError (Erro 401) Unauthorized Admin não autenticado.
+ * @apiError (Erro 403) Forbidden Usuário sem a permissão 'ai:manage'.
+ * @apiError (Erro 404) NotFound Papel não encontrado.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.put(
+    '/roles/:name/ai-quota',
+    requirePermission('ai:manage'),
+    roleNameParamValidationRules(),
+    aiQuotaLimitsValidationRules(),
+    handleValidationErrors,
+    adminController.setRoleAiQuota
+);
 
 module.exports = router;
\ No newline at end of file
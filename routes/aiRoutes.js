@@ -1,10 +1,383 @@
 // Routes for AI chat functionality
 const express = require('express');
-const { handleChatMessage } = require('../controllers/aiController');
+const {
+    loadChatSession,
+    resolveChatModel,
+    handleChatMessage,
+    handleChatStream,
+    listStudySessions,
+    createStudySession,
+    getStudySession,
+    submitQuizAnswers,
+    listStudyMastery,
+    updateStudyPlan,
+    renameStudySession,
+    deleteStudySession,
+} = require('../controllers/aiController');
+const { verifyAccessToken, requirePermission } = require('../middleware/authMiddleware');
+const { enforceAiQuota } = require('../middleware/aiQuotaMiddleware');
+const {
+    aiChatValidationRules,
+    listStudySessionsValidationRules,
+    createStudySessionValidationRules,
+    renameStudySessionValidationRules,
+    studySessionIdParamValidationRules,
+    submitQuizAnswersValidationRules,
+    updateStudyPlanValidationRules,
+    listStudyMasteryValidationRules,
+} = require('../middleware/validationRules');
+const handleValidationErrors = require('../middleware/handleValidationErrors');
 
 const router = express.Router();
 
-// POST route for handling chat messages
-router.post('/chat', handleChatMessage);
+// Every AI route requires login and the 'ai:chat' permission; each chat request counts against the
+// user's daily quota (X-AI-Quota-* headers)
+router.use(verifyAccessToken, requirePermission('ai:chat'));
+
+/**
+ * @api {post} /api/ai/chat Conversar com o Assistente de Estudos
+ * @apiVersion 1.2.0
+ * @apiName AiChat
+ * @apiGroup AI
+ * @apiPermission ai:chat
+ * @apiDescription Avança uma sessão de estudo (explicação da seção -> quiz da seção -> explicação da próxima seção...).
+ * Ao responder o quiz (POST /api/ai/sessions/:id/quiz/answers), a próxima etapa se adapta à nota: 'review' explica a
+ * mesma seção de outro jeito (seguida de um novo quiz) e um bom domínio do tópico pula uma seção.
+ * Sem 'sessionId', 'message' é o tópico e uma nova sessão é criada. Antes da primeira etapa, o modelo gera o plano de
+ * estudo (seções com título e objetivos de aprendizagem, editável em PUT /api/ai/sessions/:id/plan), seguido pelas
+ * explicações e quizzes de cada seção. O estado da sessão fica no servidor; 'studyState' na resposta é apenas
+ * informativo. Cada requisição conta na cota diária do usuário (headers X-AI-Quota-*).
+ * @apiHeader {String} Authorization Token JWT de acesso ("Bearer eyJhbGci...").
+ * @apiBody {Number} [sessionId] Sessão a continuar (veja GET /api/ai/sessions).
+ * @apiBody {String} [message] Tópico de uma nova sessão (obrigatório sem 'sessionId') ou mensagem registrada no histórico.
+ * @apiBody {String} [model] Outro modelo, se permitido para o papel do usuário (LLM_ROLE_MODELS).
+ *
+ * @apiSuccess {String} sender Sempre "ai".
+ * @apiSuccess {String} [text] Explicação gerada.
+ * @apiSuccess {Object} [quizData] Quiz gerado (title, questions com q e opts; sem o gabarito, corrigido em POST /api/ai/sessions/:id/quiz/answers).
+ * @apiSuccess {Object[]} [plan] Plano de estudo, quando gerado nesta requisição: seções (section, title, objectives).
+ * @apiSuccess {Number} sessionId ID da sessão de estudo.
+ * @apiSuccess {Object} studyState Próxima etapa da sessão (topic, nextAction = explain|review|quiz, section).
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "sender": "ai",
+ * "text": "Closures são funções que...",
+ * "plan": [
+ *   { "section": 1, "title": "O que é uma closure", "objectives": ["Definir closure", "Identificar o escopo léxico"] },
+ *   { "section": 2, "title": "Closures na prática", "objectives": ["Criar funções fábrica"] },
+ *   { "section": 3, "title": "Armadilhas comuns", "objectives": ["Evitar closures em laços com var"] }
+ * ],
+ * "sessionId": 12,
+ * "studyState": { "topic": "Closures em JavaScript", "nextAction": "quiz", "section": 1 }
+ * }
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos ou tópico ausente em uma nova sessão.
+ * @apiError (Erro 401) Unauthorized Usuário não autenticado.
+ * @apiError (Erro 403) Forbidden Sem a permissão 'ai:chat' ou modelo não permitido para o papel.
+ * @apiError (Erro 404) NotFound Sessão de estudo não encontrada.
+ * @apiError (Erro 409) Conflict A sessão foi avançada por outra requisição enquanto esta era processada.
+ * @apiError (Erro 429) TooManyRequests Cota diária de IA esgotada (veja Retry-After).
+ * @apiError (Erro 500) InternalServerError Erro ao gerar a resposta (a sessão não é alterada).
+ */
+router.post(
+    '/chat',
+    aiChatValidationRules(),
+    handleValidationErrors,
+    loadChatSession,
+    resolveChatModel,
+    enforceAiQuota,
+    handleChatMessage
+);
+
+/**
+ * @api {post} /api/ai/chat/stream Conversar com o Assistente de Estudos (streaming)
+ * @apiVersion 1.2.0
+ * @apiName AiChatStream
+ * @apiGroup AI
+ * @apiPermission ai:chat
+ * @apiDescription Mesma conversa de POST /api/ai/chat, com a resposta em Server-Sent Events (text/event-stream):
+ * a explicação chega em pedaços à medida que o modelo a gera. Eventos:
+ * - `plan` `{ "plan": [...] }`: o plano de estudo, quando gerado nesta requisição (antes dos demais eventos).
+ * - `chunk` `{ "text": "..." }`: pedaço da explicação, na ordem.
+ * - `quiz` `{ "quizData": {...} }`: o quiz (gerado de uma vez).
+ * - `done` `{ "sessionId": 12, "studyState": {...} }`: etapa salva; próximo estado da sessão.
+ * - `error` `{ "code": "EXPLANATION_FAILED", "error": "...", "sessionId": 12, "studyState": {...} }`: a etapa falhou e a sessão
+ *   não foi alterada. Códigos: PLAN_FAILED, EXPLANATION_FAILED, QUIZ_FAILED, QUIZ_INVALID, AI_UNAVAILABLE,
+ *   SESSION_CONFLICT, INTERNAL_ERROR.
+ *
+ * Comentários `: ping` são enviados periodicamente para manter a conexão aberta. Se o cliente desconectar, a geração
+ * é cancelada e a etapa não é salva (os tokens já consumidos contam na cota). Erros anteriores ao início do stream
+ * (validação, sessão, cota, modelo) são respostas JSON normais, como em POST /api/ai/chat.
+ * @apiHeader {String} Authorization Token JWT de acesso ("Bearer eyJhbGci...").
+ * @apiBody {Number} [sessionId] Sessão a continuar.
+ * @apiBody {String} [message] Tópico de uma nova sessão (obrigatório sem 'sessionId') ou mensagem registrada no histórico.
+ * @apiBody {String} [model] Outro modelo, se permitido para o papel do usuário (LLM_ROLE_MODELS).
+ *
+ * @apiSuccessExample {text} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * Content-Type: text/event-stream; charset=utf-8
+ *
+ * event: chunk
+ * data: {"text":"Closures são "}
+ *
+ * event: chunk
+ * data: {"text":"funções que..."}
+ *
+ * event: done
+ * data: {"sessionId":12,"studyState":{"topic":"Closures em JavaScript","nextAction":"quiz","section":1}}
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos ou tópico ausente em uma nova sessão.
+ * @apiError (Erro 401) Unauthorized Usuário não autenticado.
+ * @apiError (Erro 403) Forbidden Sem a permissão 'ai:chat' ou modelo não permitido para o papel.
+ * @apiError (Erro 404) NotFound Sessão de estudo não encontrada.
+ * @apiError (Erro 429) TooManyRequests Cota diária de IA esgotada (veja Retry-After).
+ */
+router.post(
+    '/chat/stream',
+    aiChatValidationRules(),
+    handleValidationErrors,
+    loadChatSession,
+    resolveChatModel,
+    enforceAiQuota,
+    handleChatStream
+);
+
+/**
+ * @api {get} /api/ai/sessions Listar Sessões de Estudo
+ * @apiVersion 1.2.0
+ * @apiName ListStudySessions
+ * @apiGroup AI
+ * @apiPermission ai:chat
+ * @apiDescription Lista as sessões de estudo do usuário autenticado, no envelope padrão de paginação.
+ * @apiHeader {String} Authorization Token JWT de acesso ("Bearer eyJhbGci...").
+ * @apiQuery {Number{1-100}} [limit=20] Itens por página.
+ * @apiQuery {Number} [page=1] Página (modo página).
+ * @apiQuery {String} [cursor] Cursor da próxima página (modo cursor; não combine com 'page').
+ * @apiQuery {String="updatedAt","-updatedAt","createdAt","-createdAt","title","-title"} [sort=-updatedAt] Ordenação.
+ *
+ * @apiSuccess {Object[]} data Sessões (id, title, topic, studyState, messageCount, createdAt, updatedAt).
+ * @apiSuccess {Object} pagination Metadados de paginação (total, limit, sort, nextCursor, next, page, totalPages).
+ *
+ * @apiError (Erro 400) BadRequest Parâmetros de paginação inválidos.
+ * @apiError (Erro 401) Unauthorized Usuário não autenticado.
+ * @apiError (Erro 403) Forbidden Sem a permissão 'ai:chat'.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.get(
+    '/sessions',
+    listStudySessionsValidationRules(),
+    handleValidationErrors,
+    listStudySessions
+);
+
+/**
+ * @api {post} /api/ai/sessions Criar Sessão de Estudo
+ * @apiVersion 1.2.0
+ * @apiName CreateStudySession
+ * @apiGroup AI
+ * @apiPermission ai:chat
+ * @apiDescription Cria uma sessão de estudo sem chamar o modelo (não conta na cota). A primeira mensagem enviada
+ * com o 'sessionId' para POST /api/ai/chat gera o plano de estudo e a explicação da seção 1.
+ * @apiHeader {String} Authorization Token JWT de acesso ("Bearer eyJhbGci...").
+ * @apiBody {String{1..2000}} topic Tópico de estudo.
+ * @apiBody {String{1..100}} [title] Título (padrão: o início do tópico).
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object} session Sessão criada (id, title, topic, studyState, quizScore, createdAt, updatedAt).
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos.
+ * @apiError (Erro 401) Unauthorized Usuário não autenticado.
+ * @apiError (Erro 403) Forbidden Sem a permissão 'ai:chat'.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/sessions',
+    createStudySessionValidationRules(),
+    handleValidationErrors,
+    createStudySession
+);
+
+/**
+ * @api {get} /api/ai/sessions/:id Retomar Sessão de Estudo
+ * @apiVersion 1.2.0
+ * @apiName GetStudySession
+ * @apiGroup AI
+ * @apiPermission ai:chat
+ * @apiDescription Retorna uma sessão de estudo do usuário com o histórico completo de mensagens (mais antigas primeiro).
+ * @apiHeader {String} Authorization Token JWT de acesso ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID da sessão.
+ *
+ * @apiSuccess {Object} session Sessão (id, title, topic, studyState, quizScore, plan, createdAt, updatedAt).
+ * @apiSuccess {Object} session.quizScore Placar da sessão: acertos (correct) e perguntas respondidas (answered).
+ * @apiSuccess {Object[]} session.plan Plano de estudo: seções (section, title, objectives); null antes da primeira etapa.
+ * @apiSuccess {Object[]} session.messages Histórico (id, sender, kind = message|explanation|quiz, section, text ou quizData, createdAt).
+ * Quizzes já respondidos trazem também quizResult (correct, total, results, answeredAt), com o gabarito.
+ *
+ * @apiError (Erro 400) BadRequest ID inválido.
+ * @apiError (Erro 401) Unauthorized Usuário não autenticado.
+ * @apiError (Erro 403) Forbidden Sem a permissão 'ai:chat'.
+ * @apiError (Erro 404) NotFound Sessão não encontrada (ou de outro usuário).
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.get(
+    '/sessions/:id',
+    studySessionIdParamValidationRules(),
+    handleValidationErrors,
+    getStudySession
+);
+
+/**
+ * @api {post} /api/ai/sessions/:id/quiz/answers Responder Quiz
+ * @apiVersion 1.2.0
+ * @apiName SubmitQuizAnswers
+ * @apiGroup AI
+ * @apiPermission ai:chat
+ * @apiDescription Corrige as respostas de um quiz da sessão com o gabarito guardado no servidor, soma o resultado ao
+ * placar da sessão e ao domínio do tópico (não chama o modelo nem conta na cota) e adapta a próxima etapa: nota abaixo de
+ * AI_REVIEW_THRESHOLD revisa a seção ('review', até AI_MAX_REVIEWS_PER_SECTION vezes); nota e domínio a partir de
+ * AI_SKIP_THRESHOLD pulam uma seção. Cada quiz pode ser respondido uma única vez.
+ * @apiHeader {String} Authorization Token JWT de acesso ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID da sessão.
+ * @apiBody {String[]} answers Letra escolhida em cada pergunta, na ordem (ex: ["A", "C", "B"]).
+ * @apiBody {Number} [section] Seção do quiz (padrão: o quiz mais recente da sessão).
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Number} section Seção do quiz respondido.
+ * @apiSuccess {Number} correct Acertos.
+ * @apiSuccess {Number} total Número de perguntas.
+ * @apiSuccess {Object[]} results Por pergunta: selected, answer (correta), correct (boolean) e explanation.
+ * @apiSuccess {String} progression Próxima etapa escolhida: "review", "advance" ou "skip" (null se a sessão já tinha avançado).
+ * @apiSuccess {Object} session Sessão atualizada (com quizScore e a nova studyState).
+ * @apiSuccess {Object} mastery Domínio do tópico (como em GET /api/ai/mastery).
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos, número de respostas diferente do de perguntas ou letra fora das opções.
+ * @apiError (Erro 401) Unauthorized Usuário não autenticado.
+ * @apiError (Erro 403) Forbidden Sem a permissão 'ai:chat'.
+ * @apiError (Erro 404) NotFound Sessão não encontrada ou sem quiz (na seção pedida).
+ * @apiError (Erro 409) Conflict Quiz já respondido.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/sessions/:id/quiz/answers',
+    submitQuizAnswersValidationRules(),
+    handleValidationErrors,
+    submitQuizAnswers
+);
+
+/**
+ * @api {put} /api/ai/sessions/:id/plan Editar Plano de Estudo
+ * @apiVersion 1.2.0
+ * @apiName UpdateStudyPlan
+ * @apiGroup AI
+ * @apiPermission ai:chat
+ * @apiDescription Substitui o plano de estudo da sessão pela versão do usuário (seções editadas, incluídas, removidas ou
+ * reordenadas). As próximas explicações e quizzes seguem o novo plano pelo número da seção (a seção N é o item N da
+ * lista); as etapas já geradas não mudam. Não chama o modelo nem conta na cota.
+ * @apiHeader {String} Authorization Token JWT de acesso ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID da sessão.
+ * @apiBody {Object[]{1..20}} sections Seções do plano, na ordem de estudo.
+ * @apiBody {String{1..100}} sections.title Título da seção.
+ * @apiBody {String[]{1..5}} sections.objectives Objetivos de aprendizagem (até 300 caracteres cada).
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object} session Sessão atualizada (com o novo plan).
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos.
+ * @apiError (Erro 401) Unauthorized Usuário não autenticado.
+ * @apiError (Erro 403) Forbidden Sem a permissão 'ai:chat'.
+ * @apiError (Erro 404) NotFound Sessão não encontrada.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.put(
+    '/sessions/:id/plan',
+    updateStudyPlanValidationRules(),
+    handleValidationErrors,
+    updateStudyPlan
+);
+
+/**
+ * @api {get} /api/ai/mastery Domínio dos Tópicos
+ * @apiVersion 1.2.0
+ * @apiName ListStudyMastery
+ * @apiGroup AI
+ * @apiPermission ai:chat
+ * @apiDescription Domínio do usuário autenticado em cada tópico estudado, atualizado a cada quiz respondido (média
+ * móvel das notas, favorecendo os quizzes recentes). Sessões com o mesmo tópico (ignorando maiúsculas e espaços extras)
+ * somam no mesmo registro. Envelope padrão de paginação.
+ * @apiHeader {String} Authorization Token JWT de acesso ("Bearer eyJhbGci...").
+ * @apiQuery {String} [topic] Apenas este tópico.
+ * @apiQuery {Number{1-100}} [limit=20] Itens por página.
+ * @apiQuery {Number} [page=1] Página (modo página).
+ * @apiQuery {String} [cursor] Cursor da próxima página (modo cursor; não combine com 'page').
+ * @apiQuery {String="updatedAt","-updatedAt","mastery","-mastery","topic","-topic"} [sort=-updatedAt] Ordenação.
+ *
+ * @apiSuccess {Object[]} data Tópicos: topic, mastery (0 a 1), level (learning|practicing|mastered), quizzes, correct,
+ * answered, lastScore, highestSection e updatedAt.
+ * @apiSuccess {Object} pagination Metadados de paginação (total, limit, sort, nextCursor, next, page, totalPages).
+ *
+ * @apiError (Erro 400) BadRequest Parâmetros inválidos.
+ * @apiError (Erro 401) Unauthorized Usuário não autenticado.
+ * @apiError (Erro 403) Forbidden Sem a permissão 'ai:chat'.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.get(
+    '/mastery',
+    listStudyMasteryValidationRules(),
+    handleValidationErrors,
+    listStudyMastery
+);
+
+/**
+ * @api {patch} /api/ai/sessions/:id Renomear Sessão de Estudo
+ * @apiVersion 1.2.0
+ * @apiName RenameStudySession
+ * @apiGroup AI
+ * @apiPermission ai:chat
+ * @apiHeader {String} Authorization Token JWT de acesso ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID da sessão.
+ * @apiBody {String{1..100}} title Novo título.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object} session Sessão atualizada.
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos.
+ * @apiError (Erro 401) Unauthorized Usuário não autenticado.
+ * @apiError (Erro 403) Forbidden Sem a permissão 'ai:chat'.
+ * @apiError (Erro 404) NotFound Sessão não encontrada.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.patch(
+    '/sessions/:id',
+    renameStudySessionValidationRules(),
+    handleValidationErrors,
+    renameStudySession
+);
+
+/**
+ * @api {delete} /api/ai/sessions/:id Excluir Sessão de Estudo
+ * @apiVersion 1.2.0
+ * @apiName DeleteStudySession
+ * @apiGroup AI
+ * @apiPermission ai:chat
+ * @apiDescription Exclui a sessão e todo o seu histórico de mensagens.
+ * @apiHeader {String} Authorization Token JWT de acesso ("Bearer eyJhbGci...").
+ * @apiParam {Number} id ID da sessão.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ *
+ * @apiError (Erro 400) BadRequest ID inválido.
+ * @apiError (Erro 401) Unauthorized Usuário não autenticado.
+ * @apiError (Erro 403) Forbidden Sem a permissão 'ai:chat'.
+ * @apiError (Erro 404) NotFound Sessão não encontrada.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.delete(
+    '/sessions/:id',
+    studySessionIdParamValidationRules(),
+    handleValidationErrors,
+    deleteStudySession
+);
 
 module.exports = router;
\ No newline at end of file
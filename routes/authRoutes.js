@@ -2,8 +2,21 @@
 
 const express = require('express');
 const authController = require('../controllers/authController');
-const { verifyAccessToken, verifyRoles } = require('../middleware/authMiddleware');
-const { registerValidationRules, loginValidationRules, refreshTokenValidationRules } = require('../middleware/validationRules');
+const { verifyAccessToken, verifyAccessOrMfaEnrollmentToken, verifyRoles } = require('../middleware/authMiddleware');
+const {
+    registerValidationRules,
+    loginValidationRules,
+    refreshTokenValidationRules,
+    loginMfaValidationRules,
+    verifyMfaSetupValidationRules,
+    disableMfaValidationRules,
+    updateProfileValidationRules,
+    changePasswordValidationRules,
+    deleteAccountValidationRules,
+    forgotPasswordValidationRules,
+    resetPasswordValidationRules,
+    sessionIdParamValidationRules,
+} = require('../middleware/validationRules');
 const handleValidationErrors = require('../middleware/handleValidationErrors');
 
 const router = express.Router();
@@ -15,15 +28,18 @@ const router = express.Router();
  * @apiVersion 1.1.0
  * @apiName Register
  * @apiGroup Autenticação
- * @apiDescription Cria uma nova conta de usuário. A role padrão será sempre 'user'.
+ * @apiDescription Cria uma nova conta de usuário usando um código de convite válido (não revogado, não expirado e com usos restantes).
+ * O papel é o definido no convite ('user' se o convite não definir um).
  *
  * @apiBody {String} username Nome de usuário único (mínimo 3 caracteres).
  * @apiBody {String} password Senha (mínimo 6 caracteres).
+ * @apiBody {String} inviteCode Código de convite.
+ * @apiBody {String} [email] E-mail (opcional; usado para a redefinição de senha).
  *
  * @apiSuccess {String} message Mensagem de sucesso.
  * @apiSuccess {Number} userId ID do novo usuário.
  * @apiSuccess {String} username Nome de usuário registrado.
- * @apiSuccess {String} role Papel atribuído ('user').
+ * @apiSuccess {String} role Papel atribuído (o do convite, ou 'user').
  *
  * @apiSuccessExample {json} Sucesso (201 Created):
  * HTTP/1.1 201 Created
@@ -34,7 +50,7 @@ const router = express.Router();
  * "role": "user"
  * }
  *
- * @apiError (Erro 400) BadRequest Dados inválidos (ex: campos faltando, senha curta).
+ * @apiError (Erro 400) BadRequest Dados inválidos (ex: campos faltando, senha curta) ou código de convite inválido, revogado, expirado ou já utilizado.
  * @apiErrorExample {json} Erro 400:
  * HTTP/1.1 400 Bad Request
  * {
@@ -68,6 +84,9 @@ router.post(
  * @apiName Login
  * @apiGroup Autenticação
  * @apiDescription Autentica um usuário com username e password, retornando tokens JWT.
+ * Se o usuário tiver 2FA ativo (ou o papel exigir 2FA), a resposta NÃO traz tokens: traz `mfaRequired: true` e um
+ * `mfaToken` (válido por poucos minutos) para concluir o login em `POST /api/auth/login/2fa`. Com `enrollmentRequired: true`,
+ * o usuário ainda precisa cadastrar o 2FA (`/2fa/setup` e `/2fa/verify` enviando o `mfaToken` no corpo).
  *
  * @apiBody {String} username Nome de usuário registrado.
  * @apiBody {String} password Senha do usuário.
@@ -79,6 +98,9 @@ router.post(
  * @apiSuccess {Number} user.id ID do usuário.
  * @apiSuccess {String} user.username Nome de usuário.
  * @apiSuccess {String} user.role Papel do usuário.
+ * @apiSuccess {Boolean} [mfaRequired] Presente (true) quando o login exige a etapa de 2FA.
+ * @apiSuccess {Boolean} [enrollmentRequired] O papel exige 2FA e o usuário ainda não o cadastrou.
+ * @apiSuccess {String} [mfaToken] Token para concluir o login (2FA).
  *
  * @apiSuccessExample {json} Sucesso (200 OK):
  * HTTP/1.1 200 OK
@@ -107,6 +129,18 @@ router.post(
  * "message": "Credenciais inválidas."
  * }
  *
+ * @apiError (Erro 403) Forbidden Conta desativada.
+ *
+ * @apiError (Erro 429) TooManyRequests Falhas de login recentes nesta conta: aguarde o atraso progressivo ou o fim do bloqueio
+ * temporário (header `Retry-After` e campo `retryAfter`, em segundos). A senha não é conferida enquanto isso.
+ * @apiErrorExample {json} Erro 429:
+ * HTTP/1.1 429 Too Many Requests
+ * Retry-After: 900
+ * {
+ * "message": "Conta temporariamente bloqueada por excesso de tentativas de login. Tente novamente mais tarde.",
+ * "retryAfter": 900
+ * }
+ *
  * @apiError (Erro 500) InternalServerError Erro interno no servidor.
  * @apiErrorExample {json} Erro 500:
  * HTTP/1.1 500 Internal Server Error
@@ -121,21 +155,54 @@ router.post(
     authController.loginUser
 );
 
+/**
+ * @api {post} /api/auth/login/2fa Concluir Login com 2FA
+ * @apiVersion 1.1.0
+ * @apiName LoginMfa
+ * @apiGroup Autenticação
+ * @apiDescription Segunda etapa do login para contas com 2FA. Recebe o `mfaToken` retornado por `/login` e o código de 6 dígitos
+ * do app autenticador (ou um código de recuperação, que só pode ser usado uma vez). Códigos errados contam para o bloqueio de conta.
+ *
+ * @apiBody {String} mfaToken Token retornado por /login.
+ * @apiBody {String} code Código TOTP de 6 dígitos ou código de recuperação (ex: "a1b2c-3d4e5").
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {String} accessToken Token JWT de acesso.
+ * @apiSuccess {String} refreshToken Token JWT de atualização.
+ * @apiSuccess {Object} user Informações básicas do usuário (id, username, role).
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos.
+ * @apiError (Erro 401) Unauthorized mfaToken inválido/expirado ou código incorreto.
+ * @apiError (Erro 403) Forbidden Conta desativada.
+ * @apiError (Erro 429) TooManyRequests Muitas falhas recentes (header `Retry-After`).
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/login/2fa',
+    loginMfaValidationRules(),
+    handleValidationErrors,
+    authController.loginWithMfa
+);
+
 /**
  * @api {post} /api/auth/refresh Renovar Access Token
  * @apiVersion 1.1.0
  * @apiName RefreshToken
  * @apiGroup Autenticação
- * @apiDescription Gera um novo Access Token usando um Refresh Token válido.
+ * @apiDescription Gera um novo Access Token e um novo Refresh Token (rotação) usando um Refresh Token válido.
+ * O Refresh Token enviado é revogado. Se um token já rotacionado for reutilizado, toda a família de tokens
+ * (sessão) é revogada por segurança.
  *
- * @apiBody {String} refreshToken O Refresh Token obtido durante o login.
+ * @apiBody {String} refreshToken O Refresh Token mais recente (obtido no login ou no último refresh).
  *
  * @apiSuccess {String} accessToken Novo token JWT de acesso (curta duração).
+ * @apiSuccess {String} refreshToken Novo token JWT de atualização. Substitui o anterior.
  *
  * @apiSuccessExample {json} Sucesso (200 OK):
  * HTTP/1.1 200 OK
  * {
- * "accessToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.eyJpZCI..."
+ * "accessToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.eyJpZCI...",
+ * "refreshToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.eyJpZCI..."
  * }
  *
  * @apiError (Erro 400) BadRequest Refresh token não fornecido ou formato inválido.
@@ -156,6 +223,11 @@ router.post(
  * {
  * "message": "Refresh token inválido (revogado)."
  * }
+ * @apiErrorExample {json} Erro 401 (Reuso detectado):
+ * HTTP/1.1 401 Unauthorized
+ * {
+ * "message": "Refresh token reutilizado. Sessão revogada por segurança."
+ * }
  *
  * @apiError (Erro 500) InternalServerError Erro interno no servidor.
  * @apiErrorExample {json} Erro 500:
@@ -200,6 +272,14 @@ router.post(
  * "message": "Refresh token é obrigatório para logout."
  * }
  *
+ * @apiError (Erro 401) Unauthorized O token já foi substituído por uma rotação (reuso, como em /refresh):
+ *   toda a família de tokens é revogada e a sessão encerrada.
+ * @apiErrorExample {json} Erro 401:
+ * HTTP/1.1 401 Unauthorized
+ * {
+ * "message": "Refresh token reutilizado. Sessão revogada por segurança."
+ * }
+ *
  * @apiError (Erro 500) InternalServerError Erro interno no servidor.
  * @apiErrorExample {json} Erro 500:
  * HTTP/1.1 500 Internal Server Error
@@ -214,6 +294,69 @@ router.post(
     authController.logoutUser
 );
 
+/**
+ * @api {post} /api/auth/forgot-password Solicitar Redefinição de Senha
+ * @apiVersion 1.1.0
+ * @apiName ForgotPassword
+ * @apiGroup Autenticação
+ * @apiDescription Gera um token de redefinição de senha (uso único, com validade curta) e o envia ao usuário
+ * pelo notifier configurado (e-mail via SMTP ou console/arquivo em desenvolvimento).
+ * A resposta é sempre a mesma, exista ou não o usuário.
+ *
+ * @apiBody {String} username Nome de usuário da conta.
+ *
+ * @apiSuccess {String} message Mensagem genérica.
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "Se a conta existir, as instruções para redefinir a senha foram enviadas."
+ * }
+ *
+ * @apiError (Erro 400) BadRequest Nome de usuário não informado.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/forgot-password',
+    forgotPasswordValidationRules(),
+    handleValidationErrors,
+    authController.forgotPassword
+);
+
+/**
+ * @api {post} /api/auth/reset-password Redefinir Senha com Token
+ * @apiVersion 1.1.0
+ * @apiName ResetPassword
+ * @apiGroup Autenticação
+ * @apiDescription Define uma nova senha usando o token recebido em /forgot-password. O token só pode ser usado uma vez
+ * e apenas o pedido mais recente é válido. Todas as sessões do usuário são encerradas.
+ *
+ * @apiBody {String} token Token de redefinição recebido.
+ * @apiBody {String} newPassword Nova senha (mínimo 6 caracteres).
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "Senha redefinida com sucesso. Faça login com a nova senha."
+ * }
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos ou token inválido, expirado ou já utilizado.
+ * @apiErrorExample {json} Erro 400:
+ * HTTP/1.1 400 Bad Request
+ * {
+ * "message": "Token de redefinição inválido ou expirado."
+ * }
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/reset-password',
+    resetPasswordValidationRules(),
+    handleValidationErrors,
+    authController.resetPassword
+);
+
 
 // --- Rotas Protegidas ---
 
@@ -223,7 +366,7 @@ router.post(
  * @apiName GetUserProfile
  * @apiGroup Usuário
  * @apiPermission user, admin, moderator // Indica que requer autenticação
- * @apiDescription Retorna informações básicas do usuário logado (associado ao Access Token).
+ * @apiDescription Retorna os dados do usuário logado (associado ao Access Token), lidos do banco de dados.
  *
  * @apiHeader {String} Authorization Token JWT de acesso precedido por "Bearer ". Ex: Bearer eyJhbGci...
  *
@@ -231,7 +374,10 @@ router.post(
  * @apiSuccess {Object} user Informações do usuário.
  * @apiSuccess {Number} user.id ID do usuário.
  * @apiSuccess {String} user.username Nome de usuário.
+ * @apiSuccess {String} user.email E-mail cadastrado (ou null).
  * @apiSuccess {String} user.role Papel do usuário.
+ * @apiSuccess {String[]} user.permissions Permissões concedidas pelo papel (ex: 'ai:chat').
+ * @apiSuccess {String} user.createdAt Timestamp de criação da conta.
  *
  * @apiSuccessExample {json} Sucesso (200 OK):
  * HTTP/1.1 200 OK
@@ -240,7 +386,10 @@ router.post(
  * "user": {
  * "id": 1,
  * "username": "admin",
- * "role": "admin"
+ * "email": null,
+ * "role": "admin",
+ * "permissions": ["ai:chat", "invites:create", "invites:read", "roles:manage", "users:create", "users:delete", "users:read", "users:update"],
+ * "createdAt": "2025-04-26T20:00:00.000Z"
  * }
  * }
  *
@@ -251,6 +400,8 @@ router.post(
  * "message": "Acesso não autorizado. Token não fornecido ou inválido."
  * }
  *
+ * @apiError (Erro 404) NotFound Usuário não encontrado.
+ *
  * @apiError (Erro 500) InternalServerError Erro interno no servidor.
  * @apiErrorExample {json} Erro 500:
  * HTTP/1.1 500 Internal Server Error
@@ -264,6 +415,321 @@ router.get(
     authController.getUserProfile // Controller que busca/retorna os dados
 );
 
+/**
+ * @api {patch} /api/auth/profile Alterar Perfil
+ * @apiVersion 1.1.0
+ * @apiName UpdateUserProfile
+ * @apiGroup Usuário
+ * @apiPermission user, admin, moderator
+ * @apiDescription Altera o nome de usuário e/ou o e-mail do usuário logado (informe ao menos um). O papel (role) só pode ser alterado por um admin.
+ *
+ * @apiHeader {String} Authorization Token JWT de acesso precedido por "Bearer ".
+ * @apiBody {String} [username] Novo nome de usuário (mínimo 3 caracteres).
+ * @apiBody {String} [email] Novo e-mail (null remove o e-mail cadastrado).
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object} user Dados atualizados (id, username, email, role, createdAt).
+ * @apiSuccess {String} [accessToken] Novo Access Token para a sessão atual, quando o username muda
+ *   (os Access Tokens anteriores são invalidados).
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "Perfil atualizado com sucesso.",
+ * "user": {
+ * "id": 2,
+ * "username": "novo_nome",
+ * "email": "novo_nome@exemplo.com",
+ * "role": "user",
+ * "createdAt": "2025-04-26T20:05:10.000Z"
+ * },
+ * "accessToken": "eyJhbGci..."
+ * }
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos.
+ * @apiError (Erro 401) Unauthorized Token ausente, inválido ou expirado.
+ * @apiError (Erro 409) Conflict Nome de usuário já está em uso.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.patch(
+    '/profile',
+    verifyAccessToken,
+    updateProfileValidationRules(),
+    handleValidationErrors,
+    authController.updateProfile
+);
+
+/**
+ * @api {post} /api/auth/change-password Trocar Senha
+ * @apiVersion 1.1.0
+ * @apiName ChangePassword
+ * @apiGroup Usuário
+ * @apiPermission user, admin, moderator
+ * @apiDescription Troca a senha do usuário logado. Exige a senha atual. Todas as OUTRAS sessões são encerradas e os Access Tokens
+ * emitidos anteriormente deixam de valer; a sessão atual continua ativa e recebe um novo Access Token (o Refresh Token atual segue válido).
+ *
+ * @apiHeader {String} Authorization Token JWT de acesso precedido por "Bearer ".
+ * @apiBody {String} currentPassword Senha atual.
+ * @apiBody {String} newPassword Nova senha (mínimo 6 caracteres, diferente da atual).
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {String} accessToken Novo Access Token para a sessão atual.
+ * @apiSuccess {Number} revokedSessions Quantidade de outras sessões encerradas.
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "Senha alterada com sucesso. As demais sessões foram encerradas.",
+ * "accessToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ * "revokedSessions": 2
+ * }
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos (ex: nova senha curta ou igual à atual).
+ * @apiError (Erro 401) Unauthorized Token inválido ou senha atual incorreta.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/change-password',
+    verifyAccessToken,
+    changePasswordValidationRules(),
+    handleValidationErrors,
+    authController.changePassword
+);
+
+/**
+ * @api {delete} /api/auth/account Excluir Minha Conta
+ * @apiVersion 1.1.0
+ * @apiName DeleteAccount
+ * @apiGroup Usuário
+ * @apiPermission user, admin, moderator
+ * @apiDescription Exclui (soft delete) a conta do usuário logado. Exige a reconfirmação da senha. Todas as sessões são encerradas.
+ *
+ * @apiHeader {String} Authorization Token JWT de acesso precedido por "Bearer ".
+ * @apiBody {String} password Senha atual, para confirmar a exclusão.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "Conta excluída com sucesso."
+ * }
+ *
+ * @apiError (Erro 400) BadRequest Senha não informada.
+ * @apiError (Erro 401) Unauthorized Token inválido ou senha incorreta.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.delete(
+    '/account',
+    verifyAccessToken,
+    deleteAccountValidationRules(),
+    handleValidationErrors,
+    authController.deleteAccount
+);
+
+/**
+ * @api {get} /api/auth/sessions Listar Minhas Sessões
+ * @apiVersion 1.1.0
+ * @apiName GetSessions
+ * @apiGroup Usuário
+ * @apiPermission user, admin, moderator
+ * @apiDescription Lista as sessões ativas (logins com Refresh Token válido) do usuário logado.
+ *
+ * @apiHeader {String} Authorization Token JWT de acesso precedido por "Bearer ".
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Object[]} sessions Sessões ativas, da mais recentemente usada para a mais antiga.
+ * @apiSuccess {String} sessions.id ID da sessão.
+ * @apiSuccess {String} sessions.ip IP do último uso.
+ * @apiSuccess {String} sessions.userAgent User agent do último uso.
+ * @apiSuccess {String} sessions.createdAt Início da sessão (login).
+ * @apiSuccess {String} sessions.lastUsedAt Último refresh de token.
+ * @apiSuccess {String} sessions.expiresAt Expiração do Refresh Token atual.
+ * @apiSuccess {Boolean} sessions.current Se é a sessão do token usado nesta requisição.
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "Sessões ativas obtidas com sucesso.",
+ * "sessions": [
+ * {
+ * "id": "0b9d4c3e-2f1a-4c7e-9a55-1f0c2d3e4b5a",
+ * "ip": "203.0.113.10",
+ * "userAgent": "Mozilla/5.0 ...",
+ * "createdAt": "2025-04-26T20:00:00.000Z",
+ * "lastUsedAt": "2025-04-27T09:15:00.000Z",
+ * "expiresAt": "2025-05-04T09:15:00.000Z",
+ * "current": true
+ * }
+ * ]
+ * }
+ *
+ * @apiError (Erro 401) Unauthorized Token ausente, inválido ou expirado.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.get(
+    '/sessions',
+    verifyAccessToken,
+    authController.getSessions
+);
+
+/**
+ * @api {delete} /api/auth/sessions/:id Encerrar Sessão
+ * @apiVersion 1.1.0
+ * @apiName RevokeSession
+ * @apiGroup Usuário
+ * @apiPermission user, admin, moderator
+ * @apiDescription Encerra remotamente uma sessão do usuário logado. O Refresh Token dela deixa de funcionar.
+ *
+ * @apiHeader {String} Authorization Token JWT de acesso precedido por "Bearer ".
+ * @apiParam {String} id ID da sessão (obtido em GET /api/auth/sessions).
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "Sessão encerrada com sucesso."
+ * }
+ *
+ * @apiError (Erro 400) BadRequest ID de sessão inválido.
+ * @apiError (Erro 401) Unauthorized Token ausente, inválido ou expirado.
+ * @apiError (Erro 404) NotFound Sessão não encontrada, de outro usuário ou já encerrada.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.delete(
+    '/sessions/:id',
+    verifyAccessToken,
+    sessionIdParamValidationRules(),
+    handleValidationErrors,
+    authController.revokeSession
+);
+
+/**
+ * @api {post} /api/auth/logout-all Encerrar Todas as Sessões
+ * @apiVersion 1.1.0
+ * @apiName LogoutAll
+ * @apiGroup Usuário
+ * @apiPermission user, admin, moderator
+ * @apiDescription Encerra todas as sessões do usuário logado, incluindo a atual. Access Tokens já emitidos também deixam de ser aceitos imediatamente.
+ *
+ * @apiHeader {String} Authorization Token JWT de acesso precedido por "Bearer ".
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {Number} revokedSessions Quantidade de sessões encerradas.
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "Todas as sessões foram encerradas.",
+ * "revokedSessions": 3
+ * }
+ *
+ * @apiError (Erro 401) Unauthorized Token ausente, inválido ou expirado.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/logout-all',
+    verifyAccessToken,
+    authController.logoutAll
+);
+
+/**
+ * @api {post} /api/auth/2fa/setup Iniciar Cadastro do 2FA
+ * @apiVersion 1.1.0
+ * @apiName SetupMfa
+ * @apiGroup Usuário
+ * @apiPermission user, admin, moderator
+ * @apiDescription Gera um segredo TOTP (RFC 6238) e a URI `otpauth://` para exibir como QR Code no app autenticador.
+ * O 2FA só é ativado após a confirmação em `/2fa/verify`. Autentique com o Access Token OU, no cadastro obrigatório
+ * durante o login, com o `mfaToken` no corpo.
+ *
+ * @apiHeader {String} [Authorization] Token JWT de acesso precedido por "Bearer ".
+ * @apiBody {String} [mfaToken] Token retornado por /login com `enrollmentRequired: true` (em vez do Authorization).
+ *
+ * @apiSuccess {String} message Instruções.
+ * @apiSuccess {String} secret Segredo em base32 (para digitação manual no app).
+ * @apiSuccess {String} otpauthUri URI para o QR Code.
+ *
+ * @apiSuccessExample {json} Sucesso (200 OK):
+ * HTTP/1.1 200 OK
+ * {
+ * "message": "Escaneie o QR Code (otpauthUri) no app autenticador e confirme com um código em /2fa/verify.",
+ * "secret": "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP",
+ * "otpauthUri": "otpauth://totp/Auth%20API%3Aadmin?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Auth%20API&algorithm=SHA1&digits=6&period=30"
+ * }
+ *
+ * @apiError (Erro 401) Unauthorized Token ausente, inválido ou expirado.
+ * @apiError (Erro 409) Conflict O 2FA já está ativo.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/2fa/setup',
+    verifyAccessOrMfaEnrollmentToken,
+    authController.setupMfa
+);
+
+/**
+ * @api {post} /api/auth/2fa/verify Confirmar Cadastro do 2FA
+ * @apiVersion 1.1.0
+ * @apiName VerifyMfaSetup
+ * @apiGroup Usuário
+ * @apiPermission user, admin, moderator
+ * @apiDescription Confirma o cadastro com o primeiro código do app autenticador, ativa o 2FA e retorna 10 códigos de recuperação
+ * (exibidos apenas uma vez; cada um pode ser usado uma vez no lugar do código do app). No cadastro obrigatório durante o login
+ * (autenticado com `mfaToken`), a resposta também traz os tokens, concluindo o login.
+ *
+ * @apiHeader {String} [Authorization] Token JWT de acesso precedido por "Bearer ".
+ * @apiBody {String} [mfaToken] Token retornado por /login com `enrollmentRequired: true` (em vez do Authorization).
+ * @apiBody {String} code Código de 6 dígitos exibido no app.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ * @apiSuccess {String[]} recoveryCodes Códigos de recuperação.
+ * @apiSuccess {String} [accessToken] Apenas no cadastro durante o login.
+ * @apiSuccess {String} [refreshToken] Apenas no cadastro durante o login.
+ * @apiSuccess {Object} [user] Apenas no cadastro durante o login.
+ *
+ * @apiError (Erro 400) BadRequest Código inválido ou nenhum cadastro em andamento.
+ * @apiError (Erro 401) Unauthorized Token ausente, inválido ou expirado.
+ * @apiError (Erro 409) Conflict O 2FA já está ativo.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/2fa/verify',
+    verifyAccessOrMfaEnrollmentToken,
+    verifyMfaSetupValidationRules(),
+    handleValidationErrors,
+    authController.verifyMfaSetup
+);
+
+/**
+ * @api {post} /api/auth/2fa/disable Desativar 2FA
+ * @apiVersion 1.1.0
+ * @apiName DisableMfa
+ * @apiGroup Usuário
+ * @apiPermission user, admin, moderator
+ * @apiDescription Desativa o 2FA do usuário logado e apaga os códigos de recuperação. Exige a senha e um código válido
+ * (do app ou de recuperação). Não é permitido se o papel do usuário exige 2FA.
+ *
+ * @apiHeader {String} Authorization Token JWT de acesso precedido por "Bearer ".
+ * @apiBody {String} password Senha atual.
+ * @apiBody {String} code Código TOTP ou código de recuperação.
+ *
+ * @apiSuccess {String} message Mensagem de sucesso.
+ *
+ * @apiError (Erro 400) BadRequest Dados inválidos ou 2FA não está ativo.
+ * @apiError (Erro 401) Unauthorized Token inválido, senha ou código incorretos.
+ * @apiError (Erro 403) Forbidden O papel do usuário exige 2FA.
+ * @apiError (Erro 500) InternalServerError Erro interno no servidor.
+ */
+router.post(
+    '/2fa/disable',
+    verifyAccessToken,
+    disableMfaValidationRules(),
+    handleValidationErrors,
+    authController.disableMfa
+);
+
 /**
  * @api {get} /api/auth/admin-only Rota Restrita Admin
  * @apiVersion 1.1.0
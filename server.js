@@ -26,6 +26,8 @@ const rateLimit = require('express-rate-limit');
 const authRoutes = require('./routes/authRoutes'); // Rotas de autenticação/usuário
 const adminRoutes = require('./routes/adminRoutes'); // Rotas de administração
 const aiRoutes = require('./routes/aiRoutes'); // Rotas de AI Chat
+const bcrypt = require('bcrypt');
+const db = require('./config/database'); // Repositório de dados (PostgreSQL ou memória, ver DATABASE_STORE)
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -54,6 +56,9 @@ const corsOptions = {
         }
     },
     credentials: true, // Permite cookies/authorization headers (importante para tokens/sessões)
+    // Headers que o frontend pode ler (cota restante do assistente de IA e espera após um 429)
+    exposedHeaders: ['Retry-After', 'X-AI-Quota-Requests-Limit', 'X-AI-Quota-Requests-Remaining',
+        'X-AI-Quota-Tokens-Limit', 'X-AI-Quota-Tokens-Remaining', 'X-AI-Quota-Reset'],
     optionsSuccessStatus: 200 // Para browsers legados
 };
 app.use(cors(corsOptions));
@@ -138,19 +143,52 @@ app.use((err, req, res, next) => {
 
 
 // --- Inicialização do Servidor ---
-app.listen(PORT, () => {
-    console.log('-------------------------------------------------------');
-    console.log(`✅ Servidor da API iniciado com sucesso!`);
-    console.log(`🚀 Escutando em: http://localhost:${PORT}`);
-    // Log da documentação removido
-    console.log(`🌱 Ambiente: ${process.env.NODE_ENV || 'development'}`);
-    console.log('-------------------------------------------------------');
-    // Alerta de segurança para JWT_SECRET
-    if (!process.env.JWT_SECRET || process.env.JWT_SECRET === 'seu_segredo_super_secreto_e_longo_aqui_troque_isso') {
-        console.warn("⚠️ ALERTA DE SEGURANÇA: JWT_SECRET não está definido ou está usando o valor padrão! Defina uma chave secreta forte.");
+
+/**
+ * Com o repositório em memória não há banco para o `npm run seed:admin`: o admin inicial é criado na subida.
+ */
+async function seedMemoryAdmin() {
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    if (!process.env.ADMIN_PASSWORD) {
+        console.warn('[SeedAdmin] ADMIN_PASSWORD não definida: nenhum admin criado no repositório em memória.');
+        return;
     }
-    // Alerta de segurança para JWT_REFRESH_SECRET
-    if (!process.env.JWT_REFRESH_SECRET || process.env.JWT_REFRESH_SECRET === 'outro_segredo_diferente_super_secreto_e_longo_aqui') {
-        console.warn("⚠️ ALERTA DE SEGURANÇA: JWT_REFRESH_SECRET não está definido ou está usando o valor padrão! Defina uma chave secreta forte e diferente.");
+    const passwordHash = await bcrypt.hash(process.env.ADMIN_PASSWORD, parseInt(process.env.BCRYPT_SALT_ROUNDS || '10'));
+    await db.addUser({ username, passwordHash, role: 'admin' });
+    console.log(`✅ [SeedAdmin] Usuário admin '${username}' criado no repositório em memória.`);
+}
+
+async function startServer() {
+    // Cria o repositório já na subida: configuração inválida (ex: sem DATABASE_URL) falha aqui, não na primeira requisição
+    db.getRepository();
+    if (db.DATABASE_STORE === 'memory') {
+        await seedMemoryAdmin();
     }
-});
\ No newline at end of file
+
+    app.listen(PORT, () => {
+        console.log('-------------------------------------------------------');
+        console.log(`✅ Servidor da API iniciado com sucesso!`);
+        console.log(`🚀 Escutando em: http://localhost:${PORT}`);
+        // Log da documentação removido
+        console.log(`🌱 Ambiente: ${process.env.NODE_ENV || 'development'}`);
+        console.log('-------------------------------------------------------');
+        // Alerta de segurança para JWT_SECRET
+        if (!process.env.JWT_SECRET || process.env.JWT_SECRET === 'seu_segredo_super_secreto_e_longo_aqui_troque_isso') {
+            console.warn("⚠️ ALERTA DE SEGURANÇA: JWT_SECRET não está definido ou está usando o valor padrão! Defina uma chave secreta forte.");
+        }
+        // Alerta de segurança para JWT_REFRESH_SECRET
+        if (!process.env.JWT_REFRESH_SECRET || process.env.JWT_REFRESH_SECRET === 'outro_segredo_diferente_super_secreto_e_longo_aqui') {
+            console.warn("⚠️ ALERTA DE SEGURANÇA: JWT_REFRESH_SECRET não está definido ou está usando o valor padrão! Defina uma chave secreta forte e diferente.");
+        }
+    });
+}
+
+// Só inicia o servidor quando executado diretamente (node server.js); os testes importam apenas o app
+if (require.main === module) {
+    startServer().catch((error) => {
+        console.error(`[Startup] ERRO FATAL ao iniciar o servidor: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,101 @@
+﻿// test/aiQuota.test.js
+// Cota diária de IA (config/aiQuota.js) sobre o repositório em memória e, se TEST_DATABASE_URL estiver
+// definida, também sobre um PostgreSQL descartável com o schema aplicado. Rodar com: npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// Variáveis lidas na importação dos módulos
+process.env.AI_DAILY_REQUEST_LIMIT = '5';
+process.env.AI_DAILY_TOKEN_LIMIT = '1000';
+
+const stores = [
+    { name: 'memória', skip: false },
+    { name: 'PostgreSQL', skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL não definida' },
+];
+
+for (const store of stores) {
+    describe(`cota de IA (${store.name})`, { skip: store.skip }, () => {
+        let db;
+        let aiQuota;
+        let pool;
+        const suffix = Date.now().toString(36);
+        const roleName = `quota_${suffix}`;
+        const userIds = [];
+
+        before(() => {
+            db = require('../config/database');
+            aiQuota = require('../config/aiQuota');
+            if (store.name === 'PostgreSQL') {
+                const { Pool } = require('pg');
+                const { createPostgresRepository } = require('../config/postgresRepository');
+                pool = new Pool({ connectionString: TEST_DATABASE_URL });
+                db.setRepository(createPostgresRepository(pool));
+            } else {
+                const { createMemoryRepository } = require('../config/memoryRepository');
+                db.setRepository(createMemoryRepository());
+            }
+        });
+
+        after(async () => {
+            if (pool) {
+                await pool.query('DELETE FROM users WHERE id = ANY($1::int[])', [userIds]);
+                await pool.query('DELETE FROM roles WHERE name = $1', [roleName]);
+                await pool.end();
+            }
+        });
+
+        async function createUser(name, role) {
+            const user = await db.addUser({ username: `${name}_${suffix}`, passwordHash: 'x', role });
+            userIds.push(user.id);
+            return user;
+        }
+
+        it('requisições simultâneas não ultrapassam o limite diário', async () => {
+            const user = await createUser('race');
+            await db.setUserAiQuota(user.id, { dailyRequests: 3 });
+
+            const results = await Promise.all(Array.from({ length: 10 }, () => aiQuota.reserveRequest(user.id)));
+            assert.strictEqual(results.filter((r) => r.allowed).length, 3);
+            assert.deepStrictEqual(await db.findAiUsage(user.id, aiQuota.usageDate()), { requests: 3, tokens: 0 });
+        });
+
+        it('usa o limite do usuário, depois o do papel e por fim o padrão', async () => {
+            await db.addRole({ name: roleName, permissions: ['ai:chat'] });
+            const user = await createUser('limits', roleName);
+
+            let quota = await aiQuota.getUserQuota(user.id);
+            assert.deepStrictEqual(quota.limits, { dailyRequests: 5, dailyTokens: 1000 });
+
+            const role = await db.setRoleAiQuota(roleName, { dailyRequests: 10 });
+            assert.strictEqual(role.ai_daily_requests, 10);
+            await db.setUserAiQuota(user.id, { dailyRequests: 20, dailyTokens: 0 });
+            quota = await aiQuota.getUserQuota(user.id);
+            assert.deepStrictEqual(quota.roleLimits, { dailyRequests: 10, dailyTokens: null });
+            assert.deepStrictEqual(quota.limits, { dailyRequests: 20, dailyTokens: 0 });
+
+            await db.setUserAiQuota(user.id, { dailyRequests: null });
+            quota = await aiQuota.getUserQuota(user.id);
+            assert.deepStrictEqual(quota.userLimits, { dailyRequests: null, dailyTokens: 0 });
+            assert.deepStrictEqual(quota.limits, { dailyRequests: 10, dailyTokens: 0 });
+
+            assert.strictEqual(await db.setUserAiQuota(999999, { dailyRequests: 1 }), null);
+            assert.strictEqual(await db.setRoleAiQuota('nao_existe', { dailyRequests: 1 }), null);
+        });
+
+        it('recusa novas requisições depois que os tokens do dia acabam, sem contá-las', async () => {
+            const user = await createUser('tokens');
+            assert.strictEqual((await aiQuota.reserveRequest(user.id)).allowed, true);
+            assert.deepStrictEqual(await aiQuota.recordTokens(user.id, 1200), { requests: 1, tokens: 1200 });
+
+            const denied = await aiQuota.reserveRequest(user.id);
+            assert.strictEqual(denied.allowed, false);
+            assert.deepStrictEqual(denied.usage, { requests: 1, tokens: 1200 });
+
+            const listed = await db.listAiUsage({ date: aiQuota.usageDate(), userId: user.id });
+            assert.deepStrictEqual(listed.map((row) => [row.username, row.requests, row.tokens]), [[`tokens_${suffix}`, 1, 1200]]);
+            assert.deepStrictEqual(await db.listAiUsage({ date: '2000-01-01', userId: user.id }), []);
+        });
+    });
+}
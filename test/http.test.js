@@ -0,0 +1,1249 @@
+﻿// test/http.test.js
+// Testes de integração HTTP: o app exportado por server.js (sem o app.listen da inicialização), com o
+// repositório e a blacklist em memória (DATABASE_STORE=memory), servido em uma porta livre. Não precisa
+// de PostgreSQL. Rodar com: npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const totp = require('../config/totp');
+
+const PASSWORD = 'secret12';
+const ALLOWED_ORIGIN = 'http://frontend.test';
+
+describe('API HTTP', () => {
+    let server;
+    let baseUrl;
+    let db;
+    const ids = {}; // username -> id
+    const tokens = {}; // username -> { accessToken, refreshToken }
+
+    // Faz uma requisição ao app e devolve { status, headers, body }
+    async function request(method, path, { token, body, headers = {} } = {}) {
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: {
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...headers,
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    }
+
+    const login = (username, password = PASSWORD) => request('POST', '/api/auth/login', { body: { username, password } });
+
+    async function createUser(username, role) {
+        const bcrypt = require('bcrypt');
+        const user = await db.addUser({ username, passwordHash: await bcrypt.hash(PASSWORD, 4), role });
+        ids[username] = user.id;
+        return user;
+    }
+
+    before(async () => {
+        // Variáveis lidas na importação dos módulos (têm prioridade sobre o .env)
+        Object.assign(process.env, {
+            DATABASE_STORE: 'memory',
+            TOKEN_BLACKLIST_STORE: 'memory',
+            JWT_SECRET: 'test-access-secret',
+            JWT_REFRESH_SECRET: 'test-refresh-secret',
+            BCRYPT_SALT_ROUNDS: '4',
+            AUTH_STATE_CACHE_TTL_MS: '0', // Alterações de usuário/papel valem na próxima requisição
+            LOGIN_BACKOFF_BASE_MS: '0',
+            RATE_LIMIT_MAX_REQUESTS: '100000',
+            CORS_ALLOWED_ORIGINS: ALLOWED_ORIGIN,
+            NOTIFIER: 'console',
+            GOOGLE_API_KEY: '', // Nunca chama a API real nos testes
+            LLM_ROLE_MODELS: 'moderator=outro-modelo',
+        });
+        const app = require('../server');
+        db = require('../config/database');
+
+        await createUser('admin', 'admin');
+        await createUser('mod', 'moderator');
+        await createUser('usr', 'user');
+        await createUser('aluno', 'user'); // Usa o assistente de IA (cota própria)
+
+        server = app.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        for (const username of ['admin', 'mod', 'usr', 'aluno']) {
+            const response = await login(username);
+            assert.strictEqual(response.status, 200);
+            tokens[username] = response.body;
+        }
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    describe('autenticação', () => {
+        it('registra com código de convite, faz login e lê o perfil', async () => {
+            const invite = await request('POST', '/api/admin/invite-codes', { token: tokens.admin.accessToken, body: { quantity: 1 } });
+            assert.strictEqual(invite.status, 201);
+
+            const register = await request('POST', '/api/auth/register', {
+                body: { username: 'novato', password: PASSWORD, inviteCode: invite.body.codes[0] },
+            });
+            assert.strictEqual(register.status, 201);
+            assert.strictEqual(register.body.role, 'user');
+
+            const reused = await request('POST', '/api/auth/register', {
+                body: { username: 'outro', password: PASSWORD, inviteCode: invite.body.codes[0] },
+            });
+            assert.deepStrictEqual([reused.status, reused.body.message], [400, 'Código de convite já utilizado.']);
+
+            const loggedIn = await login('novato');
+            assert.strictEqual(loggedIn.status, 200);
+            assert.ok(loggedIn.body.accessToken && loggedIn.body.refreshToken);
+
+            const profile = await request('GET', '/api/auth/profile', { token: loggedIn.body.accessToken });
+            assert.strictEqual(profile.status, 200);
+            assert.strictEqual(profile.body.user.username, 'novato');
+            assert.deepStrictEqual(profile.body.user.permissions, ['ai:chat']);
+        });
+
+        it('recusa código de convite inexistente e senha errada', async () => {
+            const register = await request('POST', '/api/auth/register', {
+                body: { username: 'intruso', password: PASSWORD, inviteCode: 'nao-existe' },
+            });
+            assert.deepStrictEqual([register.status, register.body.message], [400, 'Código de convite inválido.']);
+
+            const wrong = await login('usr', 'senha-errada');
+            assert.deepStrictEqual([wrong.status, wrong.body.message], [401, 'Credenciais inválidas.']);
+        });
+
+        it('tentativas simultâneas com senha errada: no máximo LOGIN_MAX_FAILED_ATTEMPTS conferem a senha', async (t) => {
+            const maxAttempts = 5; // Padrão de LOGIN_MAX_FAILED_ATTEMPTS (sem atraso progressivo neste arquivo)
+            await createUser('alvo_rajada', 'user');
+            const bcrypt = require('bcrypt');
+            const compare = t.mock.method(bcrypt, 'compare');
+
+            const responses = await Promise.all(Array.from({ length: maxAttempts * 2 }, () => login('alvo_rajada', 'senha-errada')));
+            const statuses = responses.map((response) => response.status);
+            assert.strictEqual(statuses.filter((status) => status === 401).length, maxAttempts);
+            assert.strictEqual(statuses.filter((status) => status === 429).length, maxAttempts);
+            assert.strictEqual(compare.mock.callCount(), maxAttempts);
+            assert.strictEqual((await login('alvo_rajada')).status, 429); // Bloqueada também para a senha correta
+        });
+
+        it('exige um Access Token válido nas rotas protegidas', async () => {
+            const missing = await request('GET', '/api/auth/profile');
+            assert.strictEqual(missing.status, 401);
+            const invalid = await request('GET', '/api/auth/profile', { token: 'nao.e.jwt' });
+            assert.deepStrictEqual([invalid.status, invalid.body.message], [403, 'Token inválido.']);
+        });
+
+        it('rotaciona o Refresh Token e revoga a sessão quando um token antigo é reutilizado', async () => {
+            const { body: session } = await login('usr');
+            const refreshed = await request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } });
+            assert.strictEqual(refreshed.status, 200);
+            assert.notStrictEqual(refreshed.body.refreshToken, session.refreshToken);
+
+            const reused = await request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } });
+            assert.deepStrictEqual([reused.status, reused.body.message], [401, 'Refresh token reutilizado. Sessão revogada por segurança.']);
+            const afterReuse = await request('POST', '/api/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+            assert.strictEqual(afterReuse.status, 401);
+        });
+
+        it('logout invalida o Refresh Token', async () => {
+            const { body: session } = await login('usr');
+            const logout = await request('POST', '/api/auth/logout', { body: { refreshToken: session.refreshToken } });
+            assert.deepStrictEqual([logout.status, logout.body.message], [200, 'Logout bem-sucedido!']);
+
+            const refresh = await request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } });
+            assert.strictEqual(refresh.status, 401);
+        });
+
+        it('logout com um Refresh Token já rotacionado é tratado como reuso e revoga a sessão', async () => {
+            const { body: session } = await login('usr');
+            const refreshed = await request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } });
+            assert.strictEqual(refreshed.status, 200);
+
+            const stale = await request('POST', '/api/auth/logout', { body: { refreshToken: session.refreshToken } });
+            assert.deepStrictEqual([stale.status, stale.body.message], [401, 'Refresh token reutilizado. Sessão revogada por segurança.']);
+
+            const current = await request('POST', '/api/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+            assert.deepStrictEqual([current.status, current.body.message], [401, 'Refresh token inválido (revogado).']);
+        });
+    });
+
+    describe('2FA', () => {
+        // Código do passo seguinte (aceito pela janela de 1 passo): o código do passo atual já foi usado no cadastro
+        const nextCode = (secret) => totp.generateCode(secret, totp.currentStep() + 1);
+
+        it('cadastra o 2FA, exige o código no login e o desativa com senha e código', async () => {
+            await createUser('dois_fatores', 'user');
+            const { body: session } = await login('dois_fatores');
+            const token = session.accessToken;
+
+            const setup = await request('POST', '/api/auth/2fa/setup', { token });
+            assert.strictEqual(setup.status, 200);
+            assert.ok(setup.body.otpauthUri.startsWith('otpauth://totp/'));
+            const { secret } = setup.body;
+
+            const wrong = await request('POST', '/api/auth/2fa/verify', { token, body: { code: '000000' } });
+            assert.deepStrictEqual([wrong.status, wrong.body.message], [400, 'Código de verificação inválido.']);
+            const verified = await request('POST', '/api/auth/2fa/verify', {
+                token, body: { code: totp.generateCode(secret, totp.currentStep()) },
+            });
+            assert.strictEqual(verified.status, 200);
+            assert.strictEqual(verified.body.recoveryCodes.length, 10);
+            assert.strictEqual(verified.body.accessToken, undefined); // Já estava logado: não abre outra sessão
+            assert.strictEqual((await request('POST', '/api/auth/2fa/setup', { token })).status, 409);
+
+            const pending = await login('dois_fatores');
+            assert.deepStrictEqual(
+                [pending.status, pending.body.mfaRequired, pending.body.enrollmentRequired, pending.body.accessToken],
+                [200, true, false, undefined]
+            );
+            const { mfaToken } = pending.body;
+            const badCode = await request('POST', '/api/auth/login/2fa', { body: { mfaToken, code: '000000' } });
+            assert.deepStrictEqual([badCode.status, badCode.body.message], [401, 'Código de verificação inválido.']);
+            const badToken = await request('POST', '/api/auth/login/2fa', { body: { mfaToken: session.accessToken, code: nextCode(secret) } });
+            assert.strictEqual(badToken.status, 401);
+
+            const code = nextCode(secret);
+            const loggedIn = await request('POST', '/api/auth/login/2fa', { body: { mfaToken, code } });
+            assert.strictEqual(loggedIn.status, 200);
+            assert.ok(loggedIn.body.accessToken && loggedIn.body.refreshToken);
+
+            // O mesmo código (mesmo passo de tempo) não vale para outro login
+            const replayed = await request('POST', '/api/auth/login/2fa', { body: { mfaToken: (await login('dois_fatores')).body.mfaToken, code } });
+            assert.deepStrictEqual([replayed.status, replayed.body.message], [401, 'Código de verificação inválido.']);
+
+            const [recoveryCode, otherRecoveryCode] = verified.body.recoveryCodes;
+            const disableBody = { password: PASSWORD, code: otherRecoveryCode };
+            const wrongPassword = await request('POST', '/api/auth/2fa/disable', { token, body: { ...disableBody, password: 'senha-errada' } });
+            assert.deepStrictEqual([wrongPassword.status, wrongPassword.body.message], [401, 'Senha incorreta.']);
+            const wrongCode = await request('POST', '/api/auth/2fa/disable', { token, body: { ...disableBody, code: '000000' } });
+            assert.deepStrictEqual([wrongCode.status, wrongCode.body.message], [401, 'Código de verificação inválido.']);
+
+            // Código de recuperação: vale para um único login
+            const recovered = await request('POST', '/api/auth/login/2fa', {
+                body: { mfaToken: (await login('dois_fatores')).body.mfaToken, code: recoveryCode },
+            });
+            assert.strictEqual(recovered.status, 200);
+            const recoveryReused = await request('POST', '/api/auth/login/2fa', {
+                body: { mfaToken: (await login('dois_fatores')).body.mfaToken, code: recoveryCode },
+            });
+            assert.strictEqual(recoveryReused.status, 401);
+
+            const disabled = await request('POST', '/api/auth/2fa/disable', { token, body: disableBody });
+            assert.deepStrictEqual([disabled.status, disabled.body.message], [200, 'Autenticação em dois fatores desativada.']);
+            const plain = await login('dois_fatores');
+            assert.deepStrictEqual([plain.status, plain.body.mfaRequired], [200, undefined]);
+            assert.ok(plain.body.accessToken);
+            assert.strictEqual((await request('POST', '/api/auth/2fa/disable', { token, body: disableBody })).status, 400);
+        });
+
+        it('obriga o cadastro do 2FA no login quando o papel exige', async () => {
+            const admin = tokens.admin.accessToken;
+            const role = await request('POST', '/api/admin/roles', { token: admin, body: { name: 'cofre', permissions: ['users:read'] } });
+            assert.strictEqual(role.status, 201);
+            assert.strictEqual((await request('PATCH', '/api/admin/roles/cofre', { token: admin, body: { requireMfa: true } })).status, 200);
+            await createUser('tesoureiro', 'cofre');
+
+            const pending = await login('tesoureiro');
+            assert.deepStrictEqual(
+                [pending.status, pending.body.mfaRequired, pending.body.enrollmentRequired, pending.body.accessToken],
+                [200, true, true, undefined]
+            );
+            const { mfaToken } = pending.body;
+            // O token de cadastro só serve para /2fa/setup e /2fa/verify
+            const notEnrolled = await request('POST', '/api/auth/login/2fa', { body: { mfaToken, code: '000000' } });
+            assert.strictEqual(notEnrolled.status, 401);
+            assert.strictEqual((await request('GET', '/api/auth/profile', { token: mfaToken })).status, 403);
+
+            const setup = await request('POST', '/api/auth/2fa/setup', { body: { mfaToken } });
+            assert.strictEqual(setup.status, 200);
+            const enrolled = await request('POST', '/api/auth/2fa/verify', {
+                body: { mfaToken, code: totp.generateCode(setup.body.secret, totp.currentStep()) },
+            });
+            assert.strictEqual(enrolled.status, 200);
+            assert.strictEqual(enrolled.body.recoveryCodes.length, 10);
+            assert.strictEqual(enrolled.body.user.username, 'tesoureiro');
+
+            const profile = await request('GET', '/api/auth/profile', { token: enrolled.body.accessToken });
+            assert.deepStrictEqual([profile.status, profile.body.user.role], [200, 'cofre']);
+
+            // Papel que exige 2FA: não pode ser desativado
+            const disable = await request('POST', '/api/auth/2fa/disable', {
+                token: enrolled.body.accessToken, body: { password: PASSWORD, code: enrolled.body.recoveryCodes[0] },
+            });
+            assert.deepStrictEqual([disable.status, disable.body.message], [403, "O 2FA é obrigatório para o papel 'cofre' e não pode ser desativado."]);
+
+            const next = await login('tesoureiro');
+            assert.deepStrictEqual([next.body.mfaRequired, next.body.enrollmentRequired], [true, false]);
+            const loggedIn = await request('POST', '/api/auth/login/2fa', {
+                body: { mfaToken: next.body.mfaToken, code: nextCode(setup.body.secret) },
+            });
+            assert.strictEqual(loggedIn.status, 200);
+        });
+    });
+
+    describe('redefinição de senha', () => {
+        const sent = []; // Mensagens capturadas no lugar do notifier do console
+        let notifier;
+
+        before(async () => {
+            notifier = require('../config/notifier');
+            notifier.setNotifier({ async send(message) { sent.push(message); } });
+            await createUser('esquecido', 'user');
+        });
+
+        after(() => {
+            notifier.setNotifier(notifier.createConsoleNotifier());
+        });
+
+        // Pede a redefinição e devolve o token enviado ao usuário (com ou sem PASSWORD_RESET_URL)
+        async function requestResetToken(username) {
+            const response = await request('POST', '/api/auth/forgot-password', { body: { username } });
+            assert.strictEqual(response.status, 200);
+            const [, token] = sent.at(-1).text.match(/nova senha:\n(?:\S*token=)?(\S+)/);
+            return decodeURIComponent(token);
+        }
+
+        it('responde da mesma forma para contas existentes e inexistentes', async () => {
+            const existing = await request('POST', '/api/auth/forgot-password', { body: { username: 'esquecido' } });
+            const missing = await request('POST', '/api/auth/forgot-password', { body: { username: 'nao_existe' } });
+            assert.deepStrictEqual([missing.status, missing.body], [existing.status, existing.body]);
+            assert.strictEqual(existing.body.message, 'Se a conta existir, as instruções para redefinir a senha foram enviadas.');
+            // Só a conta existente recebe a mensagem
+            assert.deepStrictEqual(sent.map((message) => message.user.username), ['esquecido']);
+        });
+
+        it('o token vale uma única vez e encerra as sessões e os Access Tokens da conta', async () => {
+            const { body: session } = await login('esquecido');
+            const token = await requestResetToken('esquecido');
+
+            const reset = await request('POST', '/api/auth/reset-password', { body: { token, newPassword: 'novaSenha1' } });
+            assert.deepStrictEqual([reset.status, reset.body.message], [200, 'Senha redefinida com sucesso. Faça login com a nova senha.']);
+
+            assert.strictEqual((await request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } })).status, 401);
+            assert.strictEqual((await request('GET', '/api/auth/profile', { token: session.accessToken })).status, 401);
+            assert.strictEqual((await login('esquecido')).status, 401);
+            assert.strictEqual((await login('esquecido', 'novaSenha1')).status, 200);
+
+            const reused = await request('POST', '/api/auth/reset-password', { body: { token, newPassword: 'outraSenha1' } });
+            assert.deepStrictEqual([reused.status, reused.body.message], [400, 'Token de redefinição inválido ou expirado.']);
+            assert.strictEqual((await login('esquecido', 'novaSenha1')).status, 200);
+        });
+
+        it('recusa tokens expirados ou desconhecidos', async () => {
+            const crypto = require('crypto');
+            const token = 'token-expirado';
+            await db.addPasswordResetToken({
+                userId: ids.esquecido,
+                tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+                expiresAt: new Date(Date.now() - 1000),
+            });
+
+            const expired = await request('POST', '/api/auth/reset-password', { body: { token, newPassword: 'outraSenha1' } });
+            assert.deepStrictEqual([expired.status, expired.body.message], [400, 'Token de redefinição inválido ou expirado.']);
+            const unknown = await request('POST', '/api/auth/reset-password', { body: { token: 'nao-existe', newPassword: 'outraSenha1' } });
+            assert.strictEqual(unknown.status, 400);
+            assert.strictEqual((await login('esquecido', 'novaSenha1')).status, 200);
+        });
+    });
+
+    describe('sessões', () => {
+        const loginFrom = (username, userAgent) => request('POST', '/api/auth/login', {
+            body: { username, password: PASSWORD }, headers: { 'User-Agent': userAgent },
+        });
+        const refresh = (session) => request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } });
+
+        it('lista apenas as sessões do usuário e encerra uma delas', async () => {
+            await createUser('viajante', 'user');
+            await createUser('vizinho', 'user');
+            const { body: laptop } = await loginFrom('viajante', 'Notebook');
+            const { body: phone } = await loginFrom('viajante', 'Celular');
+            const { body: neighbour } = await loginFrom('vizinho', 'Vizinho');
+
+            const list = await request('GET', '/api/auth/sessions', { token: laptop.accessToken });
+            assert.strictEqual(list.status, 200);
+            assert.deepStrictEqual(
+                list.body.sessions.map((session) => [session.userAgent, session.current]).sort(),
+                [['Celular', false], ['Notebook', true]]
+            );
+            const [laptopSession, phoneSession] = ['Notebook', 'Celular']
+                .map((userAgent) => list.body.sessions.find((session) => session.userAgent === userAgent));
+            const [neighbourSession] = (await request('GET', '/api/auth/sessions', { token: neighbour.accessToken })).body.sessions;
+            assert.strictEqual(neighbourSession.userAgent, 'Vizinho');
+
+            const revoked = await request('DELETE', `/api/auth/sessions/${phoneSession.id}`, { token: laptop.accessToken });
+            assert.deepStrictEqual([revoked.status, revoked.body.message], [200, 'Sessão encerrada com sucesso.']);
+            assert.strictEqual((await refresh(phone)).status, 401);
+            assert.strictEqual((await refresh(laptop)).status, 200);
+            const remaining = await request('GET', '/api/auth/sessions', { token: laptop.accessToken });
+            assert.deepStrictEqual(remaining.body.sessions.map((session) => session.id), [laptopSession.id]);
+
+            const again = await request('DELETE', `/api/auth/sessions/${phoneSession.id}`, { token: laptop.accessToken });
+            assert.deepStrictEqual([again.status, again.body.message], [404, 'Sessão não encontrada ou já encerrada.']);
+        });
+
+        it('não encerra sessões de outros usuários', async () => {
+            const { body: own } = await loginFrom('viajante', 'Notebook');
+            const { body: neighbour } = await loginFrom('vizinho', 'Vizinho');
+            const { sessions } = (await request('GET', '/api/auth/sessions', { token: neighbour.accessToken })).body;
+            const neighbourSession = sessions.find((session) => session.current);
+
+            const foreign = await request('DELETE', `/api/auth/sessions/${neighbourSession.id}`, { token: own.accessToken });
+            assert.deepStrictEqual([foreign.status, foreign.body.message], [404, 'Sessão não encontrada ou já encerrada.']);
+            assert.strictEqual((await refresh(neighbour)).status, 200);
+
+            const invalid = await request('DELETE', '/api/auth/sessions/nao-e-uuid', { token: own.accessToken });
+            assert.deepStrictEqual([invalid.status, invalid.body.message], [400, 'ID de sessão inválido.']);
+        });
+
+        it('logout-all encerra todas as sessões e invalida os Access Tokens já emitidos', async () => {
+            await createUser('nomade', 'user');
+            const sessions = [];
+            for (const userAgent of ['Notebook', 'Celular', 'Tablet']) {
+                sessions.push((await loginFrom('nomade', userAgent)).body);
+            }
+            const { body: neighbour } = await loginFrom('vizinho', 'Vizinho');
+
+            const logoutAll = await request('POST', '/api/auth/logout-all', { token: sessions[0].accessToken });
+            assert.deepStrictEqual([logoutAll.status, logoutAll.body.revokedSessions], [200, 3]);
+
+            for (const session of sessions) {
+                assert.strictEqual((await request('GET', '/api/auth/profile', { token: session.accessToken })).status, 401);
+                assert.strictEqual((await refresh(session)).status, 401);
+            }
+            // Outros usuários não são afetados e a conta continua podendo logar
+            assert.strictEqual((await refresh(neighbour)).status, 200);
+            const { body: fresh } = await loginFrom('nomade', 'Notebook');
+            assert.strictEqual((await request('GET', '/api/auth/profile', { token: fresh.accessToken })).status, 200);
+        });
+    });
+
+    describe('conta', () => {
+        const refresh = (session) => request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } });
+        const profile = (accessToken) => request('GET', '/api/auth/profile', { token: accessToken });
+
+        it('troca a senha confirmando a atual, encerra as outras sessões e renova o Access Token da atual', async () => {
+            await createUser('trocador', 'user');
+            const { body: current } = await login('trocador');
+            const { body: other } = await login('trocador');
+            const token = current.accessToken;
+
+            const missing = await request('POST', '/api/auth/change-password', { token, body: { newPassword: 'novaSenha1' } });
+            assert.deepStrictEqual([missing.status, missing.body.message], [400, 'Senha atual (currentPassword) é obrigatória.']);
+            const wrong = await request('POST', '/api/auth/change-password', {
+                token, body: { currentPassword: 'senha-errada', newPassword: 'novaSenha1' },
+            });
+            assert.deepStrictEqual([wrong.status, wrong.body.message], [401, 'Senha atual incorreta.']);
+            assert.strictEqual((await login('trocador', 'novaSenha1')).status, 401);
+
+            const changed = await request('POST', '/api/auth/change-password', {
+                token, body: { currentPassword: PASSWORD, newPassword: 'novaSenha1' },
+            });
+            assert.strictEqual(changed.status, 200);
+            assert.strictEqual(changed.body.revokedSessions, 1);
+
+            // Sessão atual: novo Access Token válido, o anterior não; o Refresh Token continua valendo
+            assert.strictEqual((await profile(changed.body.accessToken)).status, 200);
+            assert.strictEqual((await profile(token)).status, 401);
+            assert.strictEqual((await refresh(current)).status, 200);
+            // Outra sessão: encerrada
+            assert.strictEqual((await profile(other.accessToken)).status, 401);
+            assert.strictEqual((await refresh(other)).status, 401);
+
+            assert.strictEqual((await login('trocador')).status, 401);
+            assert.strictEqual((await login('trocador', 'novaSenha1')).status, 200);
+        });
+
+        it('altera o nome de usuário e o e-mail do próprio perfil', async () => {
+            await createUser('perfil_antigo', 'user');
+            const { body: session } = await login('perfil_antigo');
+            const token = session.accessToken;
+
+            const empty = await request('PATCH', '/api/auth/profile', { token, body: {} });
+            assert.deepStrictEqual([empty.status, empty.body.message], [400, 'Informe ao menos um campo para alterar (username, email).']);
+            const taken = await request('PATCH', '/api/auth/profile', { token, body: { username: 'usr' } });
+            assert.deepStrictEqual([taken.status, taken.body.message], [409, 'Nome de usuário já está em uso.']);
+
+            const updated = await request('PATCH', '/api/auth/profile', { token, body: { username: 'perfil_novo', email: 'novo@example.com' } });
+            assert.strictEqual(updated.status, 200);
+            assert.deepStrictEqual([updated.body.user.username, updated.body.user.email], ['perfil_novo', 'novo@example.com']);
+            // O Access Token anterior (com o username antigo) é invalidado; a sessão continua com o novo
+            assert.strictEqual((await profile(token)).status, 401);
+            const newToken = updated.body.accessToken;
+            assert.strictEqual((await profile(newToken)).body.user.username, 'perfil_novo');
+            assert.strictEqual((await refresh(session)).status, 200);
+            assert.strictEqual((await login('perfil_antigo')).status, 401);
+            assert.strictEqual((await login('perfil_novo')).status, 200);
+
+            // null remove o e-mail cadastrado; sem mudar o username o Access Token continua valendo
+            const cleared = await request('PATCH', '/api/auth/profile', { token: newToken, body: { email: null } });
+            assert.deepStrictEqual([cleared.status, cleared.body.user.email, cleared.body.accessToken], [200, null, undefined]);
+            assert.strictEqual((await profile(newToken)).status, 200);
+        });
+
+        it('exige login nas rotas de conta, sessões e 2FA', async () => {
+            const routes = [
+                ['PATCH', '/api/auth/profile'],
+                ['POST', '/api/auth/change-password'],
+                ['DELETE', '/api/auth/account'],
+                ['GET', '/api/auth/sessions'],
+                ['DELETE', '/api/auth/sessions/00000000-0000-4000-8000-000000000000'],
+                ['POST', '/api/auth/logout-all'],
+                ['POST', '/api/auth/2fa/setup'],
+                ['POST', '/api/auth/2fa/verify'],
+                ['POST', '/api/auth/2fa/disable'],
+            ];
+            for (const [method, path] of routes) {
+                const response = await request(method, path, method === 'GET' ? {} : { body: {} });
+                assert.strictEqual(response.status, 401, `${method} ${path}`);
+            }
+        });
+
+        it('exclui a conta somente com a senha e impede novos logins e refresh', async () => {
+            await createUser('de_saida', 'user');
+            const { body: session } = await login('de_saida');
+            const token = session.accessToken;
+
+            const missing = await request('DELETE', '/api/auth/account', { token, body: {} });
+            assert.deepStrictEqual([missing.status, missing.body.message], [400, 'Confirme a exclusão informando sua senha (password).']);
+            const wrong = await request('DELETE', '/api/auth/account', { token, body: { password: 'senha-errada' } });
+            assert.deepStrictEqual([wrong.status, wrong.body.message], [401, 'Senha incorreta.']);
+            assert.strictEqual((await profile(token)).status, 200);
+
+            const deleted = await request('DELETE', '/api/auth/account', { token, body: { password: PASSWORD } });
+            assert.deepStrictEqual([deleted.status, deleted.body.message], [200, 'Conta excluída com sucesso.']);
+
+            assert.strictEqual((await login('de_saida')).status, 401);
+            assert.strictEqual((await refresh(session)).status, 401);
+            assert.strictEqual((await profile(token)).status, 401);
+        });
+    });
+
+    describe('papéis (verifyRoles)', () => {
+        it('admin-only aceita apenas admin', async () => {
+            assert.strictEqual((await request('GET', '/api/auth/admin-only', { token: tokens.admin.accessToken })).status, 200);
+            const denied = await request('GET', '/api/auth/admin-only', { token: tokens.mod.accessToken });
+            assert.deepStrictEqual([denied.status, denied.body.message], [403, 'Acesso proibido. Permissões insuficientes.']);
+        });
+
+        it('staff-area aceita admin e moderator, mas não user', async () => {
+            assert.strictEqual((await request('GET', '/api/auth/staff-area', { token: tokens.admin.accessToken })).status, 200);
+            const staff = await request('GET', '/api/auth/staff-area', { token: tokens.mod.accessToken });
+            assert.deepStrictEqual([staff.status, staff.body.role], [200, 'moderator']);
+            assert.strictEqual((await request('GET', '/api/auth/staff-area', { token: tokens.usr.accessToken })).status, 403);
+        });
+    });
+
+    describe('validação (handleValidationErrors)', () => {
+        it('responde 400 com a mensagem da primeira regra violada', async () => {
+            const cases = [
+                ['POST', '/api/auth/register', { body: { username: 'ab', password: PASSWORD, inviteCode: 'x' } }, 'Nome de usuário deve ter pelo menos 3 caracteres.'],
+                ['POST', '/api/auth/login', { body: { username: 'usr' } }, 'Senha é obrigatória.'],
+                ['GET', '/api/admin/users/abc', { token: tokens.admin.accessToken }, 'ID de usuário inválido.'],
+                ['GET', '/api/admin/invite-codes?status=bogus', { token: tokens.admin.accessToken }, "'status' deve ser active, exhausted, expired ou revoked."],
+                ['POST', '/api/auth/forgot-password', { body: { username: ' ' } }, 'Nome de usuário é obrigatório.'],
+                ['POST', '/api/auth/reset-password', { body: { newPassword: 'novaSenha1' } }, 'Token de redefinição (token) é obrigatório.'],
+                ['POST', '/api/auth/reset-password', { body: { token: 'x', newPassword: '123' } }, 'Nova senha deve ter pelo menos 6 caracteres.'],
+                ['POST', '/api/auth/login/2fa', { body: { mfaToken: 'nao-e-jwt', code: '123456' } }, 'Formato de mfaToken inválido.'],
+                ['PATCH', '/api/auth/profile', { token: tokens.usr.accessToken, body: { email: 'invalido' } }, 'E-mail inválido.'],
+                [
+                    'POST', '/api/auth/change-password',
+                    { token: tokens.usr.accessToken, body: { currentPassword: PASSWORD, newPassword: PASSWORD } },
+                    'A nova senha deve ser diferente da atual.',
+                ],
+                ['POST', '/api/auth/2fa/verify', { token: tokens.usr.accessToken, body: { code: '12345' } }, 'O código de verificação deve ter 6 dígitos.'],
+                ['POST', '/api/auth/2fa/disable', { token: tokens.usr.accessToken, body: { code: '123456' } }, 'Senha (password) é obrigatória.'],
+            ];
+            for (const [method, path, options, message] of cases) {
+                const response = await request(method, path, options);
+                assert.deepStrictEqual([response.status, response.body.message], [400, message], `${method} ${path}`);
+            }
+        });
+
+        it('recusa nomes de papel inválidos', async () => {
+            const response = await request('POST', '/api/admin/roles', { token: tokens.admin.accessToken, body: { name: 'Com Espaço' } });
+            assert.strictEqual(response.status, 400);
+        });
+    });
+
+    describe('admin', () => {
+        it('exige as permissões de cada rota (requirePermission)', async () => {
+            const cases = [
+                ['usr', 'GET', '/api/admin/users'],
+                ['mod', 'POST', '/api/admin/invite-codes'],
+                ['mod', 'POST', '/api/admin/users'],
+                ['mod', 'DELETE', `/api/admin/users/${ids.usr}`],
+                ['mod', 'GET', '/api/admin/roles'],
+                ['mod', 'GET', '/api/admin/permissions'],
+                ['mod', 'GET', '/api/admin/ai/usage'],
+                ['mod', 'PUT', `/api/admin/users/${ids.usr}/ai-quota`],
+            ];
+            for (const [username, method, path] of cases) {
+                const response = await request(method, path, { token: tokens[username].accessToken });
+                assert.strictEqual(response.status, 403, `${username} ${method} ${path}`);
+            }
+            assert.strictEqual((await request('GET', '/api/admin/users')).status, 401);
+        });
+
+        it('gera, lista e revoga códigos de convite', async () => {
+            const token = tokens.admin.accessToken;
+            const generated = await request('POST', '/api/admin/invite-codes', {
+                token, body: { quantity: 2, maxUses: 3, role: 'moderator', note: 'equipe' },
+            });
+            assert.strictEqual(generated.status, 201);
+            assert.strictEqual(generated.body.codes.length, 2);
+            const [code, other] = generated.body.codes;
+
+            const revoked = await request('DELETE', `/api/admin/invite-codes/${code}`, { token });
+            assert.strictEqual(revoked.status, 200);
+            assert.strictEqual((await request('DELETE', `/api/admin/invite-codes/${code}`, { token })).status, 409);
+            assert.strictEqual((await request('DELETE', '/api/admin/invite-codes/nao-existe', { token })).status, 404);
+
+            // moderator tem invites:read
+            const listed = await request('GET', '/api/admin/invite-codes?status=revoked', { token: tokens.mod.accessToken });
+            assert.strictEqual(listed.status, 200);
+            assert.deepStrictEqual(listed.body.data.map((invite) => invite.code), [code]);
+            const active = await request('GET', '/api/admin/invite-codes?status=active', { token });
+            assert.ok(active.body.data.some((invite) => invite.code === other));
+        });
+
+        it('cria, lista, consulta e altera usuários', async () => {
+            const token = tokens.admin.accessToken;
+            const created = await request('POST', '/api/admin/users', { token, body: { username: 'gerida', password: PASSWORD } });
+            assert.deepStrictEqual([created.status, created.body.role], [201, 'user']);
+            ids.gerida = created.body.userId;
+            assert.strictEqual((await request('POST', '/api/admin/users', { token, body: { username: 'gerida', password: PASSWORD } })).status, 409);
+            const badRole = await request('POST', '/api/admin/users', { token, body: { username: 'semPapel', password: PASSWORD, role: 'inexistente' } });
+            assert.strictEqual(badRole.status, 400);
+
+            const list = await request('GET', '/api/admin/users?q=geri&limit=5', { token: tokens.mod.accessToken });
+            assert.strictEqual(list.status, 200);
+            assert.deepStrictEqual(list.body.data.map((user) => user.username), ['gerida']);
+            assert.strictEqual(list.body.pagination.total, 1);
+
+            const found = await request('GET', `/api/admin/users/${ids.gerida}`, { token });
+            assert.deepStrictEqual([found.status, found.body.username], [200, 'gerida']);
+            assert.strictEqual((await request('GET', '/api/admin/users/99999', { token })).status, 404);
+
+            const updated = await request('PATCH', `/api/admin/users/${ids.gerida}`, { token, body: { role: 'moderator' } });
+            assert.deepStrictEqual([updated.status, updated.body.user.role], [200, 'moderator']);
+            const ownRole = await request('PATCH', `/api/admin/users/${ids.admin}`, { token, body: { role: 'user' } });
+            assert.deepStrictEqual([ownRole.status, ownRole.body.message], [400, 'Você não pode alterar o próprio papel.']);
+        });
+
+        it('desativa, reativa e desbloqueia usuários', async () => {
+            const token = tokens.admin.accessToken;
+            assert.strictEqual((await request('POST', `/api/admin/users/${ids.gerida}/disable`, { token })).status, 200);
+            const blocked = await login('gerida');
+            assert.deepStrictEqual([blocked.status, blocked.body.message], [403, 'Conta desativada. Contate um administrador.']);
+
+            assert.strictEqual((await request('POST', `/api/admin/users/${ids.gerida}/enable`, { token })).status, 200);
+            assert.strictEqual((await login('gerida')).status, 200);
+
+            await login('gerida', 'senha-errada');
+            const unlocked = await request('POST', `/api/admin/users/${ids.gerida}/unlock`, { token });
+            assert.strictEqual(unlocked.status, 200);
+            assert.strictEqual((await db.findUserById(ids.gerida)).failedLoginAttempts, 0);
+            assert.strictEqual((await request('POST', '/api/admin/users/99999/unlock', { token })).status, 404);
+        });
+
+        it('redefine a senha e encerra as sessões do usuário', async () => {
+            const token = tokens.admin.accessToken;
+            const { body: session } = await login('gerida');
+
+            const reset = await request('POST', `/api/admin/users/${ids.gerida}/reset-password`, { token, body: {} });
+            assert.strictEqual(reset.status, 200);
+            assert.ok(reset.body.temporaryPassword);
+            assert.strictEqual((await request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } })).status, 401);
+            assert.strictEqual((await login('gerida')).status, 401);
+            assert.strictEqual((await login('gerida', reset.body.temporaryPassword)).status, 200);
+
+            const revoked = await request('DELETE', `/api/admin/users/${ids.gerida}/sessions`, { token });
+            assert.strictEqual(revoked.status, 200);
+            assert.strictEqual(revoked.body.revokedSessions, 1);
+        });
+
+        it('exclui usuários (exceto a própria conta)', async () => {
+            const token = tokens.admin.accessToken;
+            assert.strictEqual((await request('DELETE', `/api/admin/users/${ids.admin}`, { token })).status, 400);
+            assert.strictEqual((await request('DELETE', `/api/admin/users/${ids.gerida}`, { token })).status, 200);
+            assert.strictEqual((await request('DELETE', `/api/admin/users/${ids.gerida}`, { token })).status, 404);
+            assert.strictEqual((await login('gerida')).status, 401);
+        });
+
+        it('gerencia papéis e permissões', async () => {
+            const token = tokens.admin.accessToken;
+            const permissions = await request('GET', '/api/admin/permissions', { token });
+            assert.strictEqual(permissions.status, 200);
+            assert.ok(permissions.body.permissions.some((permission) => permission.name === 'ai:chat'));
+
+            const created = await request('POST', '/api/admin/roles', {
+                token, body: { name: 'auditor', description: 'Somente leitura', permissions: ['users:read'] },
+            });
+            assert.deepStrictEqual([created.status, created.body.role.permissions], [201, ['users:read']]);
+            assert.strictEqual((await request('POST', '/api/admin/roles', { token, body: { name: 'auditor' } })).status, 409);
+
+            const configured = await request('PATCH', '/api/admin/roles/auditor', { token, body: { requireMfa: true } });
+            assert.deepStrictEqual([configured.status, configured.body.role.requireMfa], [200, true]);
+            const changed = await request('PUT', '/api/admin/roles/auditor/permissions', { token, body: { permissions: ['users:read', 'invites:read'] } });
+            assert.deepStrictEqual([changed.status, changed.body.role.version], [200, 1]);
+
+            const roles = await request('GET', '/api/admin/roles', { token });
+            assert.strictEqual(roles.status, 200);
+            assert.ok(roles.body.roles.some((role) => role.name === 'auditor'));
+
+            assert.strictEqual((await request('DELETE', '/api/admin/roles/user', { token })).status, 409); // em uso
+            assert.strictEqual((await request('DELETE', '/api/admin/roles/auditor', { token })).status, 200);
+            assert.strictEqual((await request('DELETE', '/api/admin/roles/auditor', { token })).status, 404);
+        });
+    });
+
+    describe('AI', () => {
+        const chat = (username, body) => request('POST', '/api/ai/chat', { token: tokens[username].accessToken, body });
+
+        it('exige login', async () => {
+            const response = await request('POST', '/api/ai/chat', { body: { message: 'Node.js' } });
+            assert.strictEqual(response.status, 401);
+        });
+
+        it('pede um tópico para iniciar a sessão de estudo', async () => {
+            const response = await chat('usr', {});
+            assert.strictEqual(response.status, 400);
+        });
+
+        it('responde com erro quando o modelo não está configurado', async () => {
+            const response = await chat('usr', { message: 'Node.js' });
+            assert.strictEqual(response.status, 500);
+            assert.match(response.body.text, /unavailable/);
+        });
+
+        it('conduz a sessão de estudo (explicação -> quiz -> explicação) com o provedor configurado', async () => {
+            const { setLlmProvider, createFakeProvider } = require('../config/llmProvider');
+            setLlmProvider(createFakeProvider());
+
+            const explanation = await chat('usr', { message: 'Node.js' });
+            assert.strictEqual(explanation.status, 200);
+            assert.match(explanation.body.text, /^\[fake-model\] .*section 1 of the topic: "Node.js"/);
+            assert.deepStrictEqual(explanation.body.studyState, { topic: 'Node.js', nextAction: 'quiz', section: 1 });
+            assert.deepStrictEqual(explanation.body.plan.map((s) => [s.section, s.title]), [
+                [1, '[fake-model] Seção 1'], [2, '[fake-model] Seção 2'], [3, '[fake-model] Seção 3'],
+            ]);
+            const { sessionId } = explanation.body;
+            assert.ok(Number.isInteger(sessionId));
+
+            // O estado enviado pelo cliente é ignorado: vale o da sessão no servidor
+            const quiz = await chat('usr', { sessionId, studyState: { topic: 'Outro', nextAction: 'explain', section: 9 } });
+            assert.strictEqual(quiz.status, 200);
+            assert.ok(Array.isArray(quiz.body.quizData.questions));
+            assert.deepStrictEqual(quiz.body.studyState, { topic: 'Node.js', nextAction: 'explain', section: 2 });
+            assert.strictEqual(quiz.body.plan, undefined); // Só na requisição que gerou o plano
+
+            const next = await chat('usr', { sessionId, message: 'Pode continuar' });
+            assert.match(next.body.text, /section 2 of the topic: "Node.js"/);
+
+            const history = await request('GET', `/api/ai/sessions/${sessionId}`, { token: tokens.usr.accessToken });
+            assert.strictEqual(history.status, 200);
+            assert.deepStrictEqual(history.body.session.studyState, { topic: 'Node.js', nextAction: 'quiz', section: 2 });
+            assert.deepStrictEqual(
+                history.body.session.messages.map((m) => [m.sender, m.kind, m.section]),
+                [['user', 'message', null], ['ai', 'explanation', 1], ['ai', 'quiz', 1], ['user', 'message', null], ['ai', 'explanation', 2]]
+            );
+            assert.strictEqual(history.body.session.messages[0].text, 'Node.js');
+            assert.deepStrictEqual(history.body.session.messages[2].quizData, quiz.body.quizData);
+            assert.deepStrictEqual(history.body.session.plan, explanation.body.plan);
+        });
+
+        it('lista, cria, renomeia e exclui sessões de estudo do próprio usuário', async () => {
+            const token = tokens.mod.accessToken;
+            const created = await request('POST', '/api/ai/sessions', { token, body: { topic: '  Recursão  ' } });
+            assert.strictEqual(created.status, 201);
+            assert.deepStrictEqual(created.body.session.studyState, { topic: 'Recursão', nextAction: 'explain', section: 1 });
+            assert.strictEqual(created.body.session.title, 'Recursão');
+            const { id } = created.body.session;
+
+            // Primeira mensagem da sessão criada: explicação da seção 1
+            const first = await chat('mod', { sessionId: id });
+            assert.deepStrictEqual([first.status, first.body.sessionId], [200, id]);
+            assert.match(first.body.text, /section 1 of the topic: "Recursão"/);
+            assert.strictEqual(created.body.session.plan, null);
+            assert.strictEqual(first.body.plan.length, 3);
+
+            const renamed = await request('PATCH', `/api/ai/sessions/${id}`, { token, body: { title: 'Estudo de recursão' } });
+            assert.deepStrictEqual([renamed.status, renamed.body.session.title], [200, 'Estudo de recursão']);
+
+            const list = await request('GET', '/api/ai/sessions?limit=1', { token });
+            assert.strictEqual(list.status, 200);
+            assert.deepStrictEqual(list.body.data.map((s) => [s.id, s.title, s.messageCount]), [[id, 'Estudo de recursão', 1]]);
+            assert.strictEqual(list.body.pagination.sort, '-updatedAt');
+
+            // Sessões de outro usuário não são visíveis nem utilizáveis (e não contam na cota)
+            const other = tokens.usr.accessToken;
+            assert.strictEqual((await request('GET', `/api/ai/sessions/${id}`, { token: other })).status, 404);
+            assert.strictEqual((await request('PATCH', `/api/ai/sessions/${id}`, { token: other, body: { title: 'x' } })).status, 404);
+            assert.strictEqual((await request('DELETE', `/api/ai/sessions/${id}`, { token: other })).status, 404);
+            const foreign = await chat('usr', { sessionId: id });
+            assert.deepStrictEqual([foreign.status, foreign.headers.get('x-ai-quota-requests-limit')], [404, null]);
+
+            assert.strictEqual((await request('DELETE', `/api/ai/sessions/${id}`, { token })).status, 200);
+            assert.strictEqual((await request('GET', `/api/ai/sessions/${id}`, { token })).status, 404);
+            assert.strictEqual((await chat('mod', { sessionId: id })).status, 404);
+        });
+
+        it('valida os dados das sessões de estudo', async () => {
+            const token = tokens.usr.accessToken;
+            const cases = [
+                ['POST', '/api/ai/sessions', { topic: '' }, "'topic' deve ter entre 1 e 2000 caracteres."],
+                ['POST', '/api/ai/sessions', { topic: 'Node.js', title: 'x'.repeat(101) }, "'title' deve ter entre 1 e 100 caracteres."],
+                ['PATCH', '/api/ai/sessions/abc', { title: 'Novo' }, 'ID de sessão de estudo inválido.'],
+                ['GET', '/api/ai/sessions?sort=topic', undefined, 'Ordenação inválida. Campos permitidos: updatedAt, createdAt, title (prefixe com \'-\' para ordem decrescente).'],
+                ['POST', '/api/ai/chat', { sessionId: 'abc' }, "'sessionId' deve ser um ID de sessão de estudo válido."],
+            ];
+            for (const [method, path, body, message] of cases) {
+                const response = await request(method, path, { token, body });
+                assert.deepStrictEqual([response.status, response.body.message], [400, message], `${method} ${path}`);
+            }
+            assert.strictEqual((await request('GET', '/api/ai/sessions')).status, 401);
+        });
+
+        describe('plano de estudo', () => {
+            const { setLlmProvider, createFakeProvider } = require('../config/llmProvider');
+            const isPlanPrompt = (prompt) => /study plan/i.test(prompt.split('\n')[0]);
+            const plan = {
+                sections: [
+                    { title: '  Funções puras ', objectives: ['Reconhecer efeitos colaterais', 'Escrever funções determinísticas'] },
+                    { title: 'Imutabilidade', objectives: ['Copiar em vez de alterar'] },
+                    { title: 'Composição', objectives: ['Compor funções pequenas'] },
+                ],
+            };
+            const quiz = {
+                title: 'Quiz',
+                questions: [1, 2, 3].map((n) => ({ q: `Pergunta ${n}?`, opts: ['Sim', 'Não'], ans: 'A', exp: `Porque ${n}.` })),
+            };
+
+            it('gera o plano ao iniciar a sessão e usa o título e os objetivos da seção nos prompts', async () => {
+                const provider = createFakeProvider({
+                    respond: (prompt, { json }) => (!json ? 'Explicação' : isPlanPrompt(prompt) ? plan : quiz),
+                });
+                setLlmProvider(provider);
+                const token = tokens.mod.accessToken;
+
+                const first = await chat('mod', { message: 'Programação funcional' });
+                assert.strictEqual(first.status, 200);
+                assert.deepStrictEqual(first.body.plan[0], {
+                    section: 1,
+                    title: 'Funções puras',
+                    objectives: ['Reconhecer efeitos colaterais', 'Escrever funções determinísticas'],
+                });
+                const { sessionId } = first.body;
+                const [planCall, explanationCall] = provider.calls;
+                assert.match(planCall.prompt, /Create a study plan for the topic: "Programação funcional"/);
+                assert.match(explanationCall.prompt, /This section is "Funções puras"\. Its learning objectives are:\n- Reconhecer efeitos colaterais\n- Escrever funções determinísticas/);
+                assert.match(explanationCall.prompt, /1\. Funções puras\n2\. Imutabilidade\n3\. Composição/);
+
+                await chat('mod', { sessionId });
+                const quizCall = provider.calls[provider.calls.length - 1];
+                assert.match(quizCall.prompt, /This section is "Funções puras"[\s\S]*must check the learning objectives of this section/);
+                assert.strictEqual(provider.calls.filter((call) => isPlanPrompt(call.prompt)).length, 1); // Gerado uma única vez
+
+                // O usuário reordena o plano: a seção 2 passa a ser "Composição"
+                const sections = [plan.sections[0], plan.sections[2], { title: 'Imutabilidade', objectives: ['  Usar spread  '] }];
+                const updated = await request('PUT', `/api/ai/sessions/${sessionId}/plan`, { token, body: { sections } });
+                assert.strictEqual(updated.status, 200);
+                assert.deepStrictEqual(updated.body.session.plan.map((s) => [s.section, s.title, s.objectives.length]), [
+                    [1, 'Funções puras', 2], [2, 'Composição', 1], [3, 'Imutabilidade', 1],
+                ]);
+                assert.deepStrictEqual(updated.body.session.plan[2].objectives, ['Usar spread']);
+
+                await chat('mod', { sessionId });
+                assert.match(provider.calls[provider.calls.length - 1].prompt, /section 2 of the topic[\s\S]*This section is "Composição"/);
+                const session = await request('GET', `/api/ai/sessions/${sessionId}`, { token });
+                assert.deepStrictEqual(session.body.session.plan, updated.body.session.plan);
+
+                // Seções além do plano continuam o tópico sem repetir o que ele cobre
+                const beyond = await request('PUT', `/api/ai/sessions/${sessionId}/plan`, { token, body: { sections: sections.slice(0, 1) } });
+                assert.strictEqual(beyond.status, 200);
+                await chat('mod', { sessionId });
+                assert.match(provider.calls[provider.calls.length - 1].prompt, /has 1 sections, all of them covered already/);
+            });
+
+            it('valida o plano editado e não altera planos de outros usuários', async () => {
+                setLlmProvider(createFakeProvider());
+                const { body } = await chat('mod', { message: 'Planos' });
+                const path = `/api/ai/sessions/${body.sessionId}/plan`;
+                const token = tokens.mod.accessToken;
+                const cases = [
+                    [{}, "'sections' deve ser uma lista com 1 a 20 seções."],
+                    [{ sections: [] }, "'sections' deve ser uma lista com 1 a 20 seções."],
+                    [{ sections: [{ title: ' ', objectives: ['Algo'] }] }, 'O título de cada seção deve ter entre 1 e 100 caracteres.'],
+                    [{ sections: [{ title: 'Seção', objectives: [] }] }, 'Cada seção deve ter uma lista com 1 a 5 objetivos de aprendizagem.'],
+                    [{ sections: [{ title: 'Seção', objectives: [42] }] }, 'Cada objetivo de aprendizagem deve ser um texto.'],
+                ];
+                for (const [sectionsBody, message] of cases) {
+                    const response = await request('PUT', path, { token, body: sectionsBody });
+                    assert.deepStrictEqual([response.status, response.body.message], [400, message]);
+                }
+                const foreign = await request('PUT', path, { token: tokens.usr.accessToken, body: { sections: plan.sections } });
+                assert.strictEqual(foreign.status, 404);
+            });
+
+            it('pede ao modelo a correção do plano e desiste sem criar a sessão', async () => {
+                const plans = [{ sections: plan.sections.slice(0, 2) }, 'não é JSON', { sections: [plan.sections[1], plan.sections[1], plan.sections[2]] }];
+                const provider = createFakeProvider({ respond: (prompt, { json }) => (json ? plans.shift() : 'Explicação') });
+                setLlmProvider(provider);
+                const before = (await request('GET', '/api/ai/sessions', { token: tokens.usr.accessToken })).body.pagination.total;
+
+                const response = await chat('usr', { message: 'Sem plano' });
+                assert.deepStrictEqual([response.status, response.body.sessionId], [500, null]);
+                assert.match(response.body.text, /error planning the study session/);
+                assert.strictEqual(provider.calls.length, 3); // 1 + AI_PLAN_REPAIR_ATTEMPTS (padrão 2), sem explicação
+                assert.match(provider.calls[1].prompt, /"sections" must be an array with 3 to 8 sections \(got 2\)/);
+                assert.match(provider.calls[2].prompt, /rejected:\nnão é JSON/);
+                const after = (await request('GET', '/api/ai/sessions', { token: tokens.usr.accessToken })).body.pagination.total;
+                assert.strictEqual(after, before);
+            });
+        });
+
+        describe('quiz', () => {
+            const { setLlmProvider, createFakeProvider } = require('../config/llmProvider');
+            const valid = {
+                title: 'Quiz',
+                questions: [1, 2, 3].map((n) => ({ q: `Pergunta ${n}?`, opts: ['Sim', 'Não'], ans: n === 2 ? 'a' : 'b', exp: `Porque ${n}.` })),
+            };
+
+            const isPlanPrompt = (prompt) => /study plan/i.test(prompt.split('\n')[0]);
+            const plan = { sections: ['Base', 'Prática', 'Avançado'].map((title) => ({ title, objectives: [`Dominar ${title}`] })) };
+
+            // Sessão cuja próxima etapa é o quiz, com o provedor que responde os quizzes com `quizzes` em sequência
+            const sessionAtQuiz = async (quizzes, topic = 'Quizzes') => {
+                const provider = createFakeProvider({
+                    respond: (prompt, { json }) => (!json ? 'Explicação' : isPlanPrompt(prompt) ? plan : quizzes.shift()),
+                });
+                setLlmProvider(provider);
+                const { body } = await chat('mod', { message: topic });
+                return { provider, sessionId: body.sessionId };
+            };
+            const quizCalls = (provider) => provider.calls.filter((call) => call.json && !isPlanPrompt(call.prompt));
+
+            it('devolve ao modelo os problemas do quiz e usa a resposta corrigida', async () => {
+                const broken = { ...valid, questions: [...valid.questions.slice(0, 2), { ...valid.questions[2], opts: ['Sim', 'Não', 'Talvez'], ans: 'D' }] };
+                const { provider, sessionId } = await sessionAtQuiz([`\`\`\`json\n${JSON.stringify(broken)}\n\`\`\``, valid]);
+
+                const response = await chat('mod', { sessionId });
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(response.body.quizData.questions[0], { q: 'Pergunta 1?', opts: ['Sim', 'Não'] });
+
+                const [first, repair] = quizCalls(provider);
+                assert.ok(repair.prompt.startsWith(first.prompt));
+                assert.match(repair.prompt, /Problems found:\n- Question 3: "ans" must be a single letter from A to C \(got "D"\)\./);
+            });
+
+            it('envia o quiz sem gabarito e corrige as respostas no servidor, uma única vez', async () => {
+                const { sessionId } = await sessionAtQuiz([valid]);
+                const token = tokens.mod.accessToken;
+                const answer = (body) => request('POST', `/api/ai/sessions/${sessionId}/quiz/answers`, { token, body });
+
+                const quiz = await chat('mod', { sessionId });
+                assert.ok(quiz.body.quizData.questions.every((q) => !('ans' in q) && !('exp' in q)));
+                const before = await request('GET', `/api/ai/sessions/${sessionId}`, { token });
+                assert.deepStrictEqual(before.body.session.messages[2].quizData, quiz.body.quizData);
+
+                assert.deepStrictEqual((await answer({ answers: ['B', 'A'] })).body.message, 'Expected 3 answers, one per question.');
+                assert.deepStrictEqual((await answer({ answers: ['B', 'A', 'C'] })).body.message, 'Answer 3 must be a letter from A to B.');
+                assert.strictEqual((await answer({ answers: ['B', 'A', 'B'], section: 2 })).status, 404);
+
+                const graded = await answer({ answers: ['b', 'B', 'B'] });
+                assert.strictEqual(graded.status, 200);
+                assert.deepStrictEqual([graded.body.section, graded.body.correct, graded.body.total], [1, 2, 3]);
+                assert.deepStrictEqual(graded.body.results[1], { selected: 'B', answer: 'A', correct: false, explanation: 'Porque 2.' });
+                assert.deepStrictEqual(graded.body.session.quizScore, { correct: 2, answered: 3 });
+
+                assert.strictEqual((await answer({ answers: ['B', 'A', 'B'] })).status, 409);
+                const after = await request('GET', `/api/ai/sessions/${sessionId}`, { token });
+                const { quizResult } = after.body.session.messages[2];
+                assert.deepStrictEqual([quizResult.correct, quizResult.results.map((r) => r.answer)], [2, ['B', 'A', 'B']]);
+                assert.deepStrictEqual(after.body.session.quizScore, { correct: 2, answered: 3 });
+            });
+
+            it('valida as respostas e não expõe quizzes de outros usuários', async () => {
+                const { sessionId } = await sessionAtQuiz([valid]);
+                const answer = (username, body) =>
+                    request('POST', `/api/ai/sessions/${sessionId}/quiz/answers`, { token: tokens[username].accessToken, body });
+
+                assert.deepStrictEqual((await answer('mod', { answers: ['A', 'B', 'A'] })).body.message, 'This study session has no quiz yet.');
+                await chat('mod', { sessionId });
+                const cases = [
+                    [{}, "'answers' deve ser uma lista com 1 a 5 respostas."],
+                    [{ answers: ['A', 'BB', 'A'] }, 'Cada resposta deve ser uma letra (A, B, C...).'],
+                    [{ answers: ['A', 1, 'A'] }, 'Cada resposta deve ser uma letra (A, B, C...).'],
+                    [{ answers: ['A', 'B', 'A'], section: 0 }, "'section' deve ser um número de seção válido."],
+                ];
+                for (const [body, message] of cases) {
+                    const response = await answer('mod', body);
+                    assert.deepStrictEqual([response.status, response.body.message], [400, message]);
+                }
+                assert.strictEqual((await answer('usr', { answers: ['A', 'B', 'A'] })).status, 404);
+            });
+
+            it('revisa a seção após uma nota baixa e registra o domínio do tópico', async () => {
+                const topic = 'Recursão de cauda';
+                const { provider, sessionId } = await sessionAtQuiz([valid, valid], topic);
+                const token = tokens.mod.accessToken;
+                const answer = (answers) => request('POST', `/api/ai/sessions/${sessionId}/quiz/answers`, { token, body: { answers } });
+
+                await chat('mod', { sessionId });
+                const low = await answer(['A', 'B', 'A']); // Gabarito: B, A, B
+                assert.deepStrictEqual([low.body.correct, low.body.progression], [0, 'review']);
+                assert.deepStrictEqual(low.body.session.studyState, { topic, nextAction: 'review', section: 1 });
+                assert.deepStrictEqual([low.body.mastery.mastery, low.body.mastery.level], [0, 'learning']);
+
+                const review = await chat('mod', { sessionId });
+                assert.deepStrictEqual(review.body.studyState, { topic, nextAction: 'quiz', section: 1 });
+                const { prompt } = provider.calls[provider.calls.length - 1];
+                assert.match(prompt, /did not understand section 1 of the topic: "Recursão de cauda" well enough to pass its quiz \(they scored 0\/3\)/);
+                assert.match(prompt, /- Pergunta 2\? \(correct answer: Sim\)/);
+
+                // Novo quiz da mesma seção: acertou tudo, mas o domínio (0 -> 0.5) ainda não permite pular
+                await chat('mod', { sessionId });
+                const perfect = await answer(['B', 'A', 'B']);
+                assert.deepStrictEqual([perfect.body.progression, perfect.body.session.studyState.section], ['advance', 2]);
+
+                const mastery = await request('GET', `/api/ai/mastery?topic=${encodeURIComponent('  recursão   DE cauda ')}`, { token });
+                assert.strictEqual(mastery.status, 200);
+                assert.deepStrictEqual(mastery.body.data.map((m) => [m.topic, m.mastery, m.level, m.quizzes, m.correct, m.answered, m.lastScore]), [
+                    [topic, 0.5, 'practicing', 2, 3, 6, 1],
+                ]);
+                assert.strictEqual((await request('GET', '/api/ai/mastery', { token: tokens.usr.accessToken })).body.pagination.total, 0);
+            });
+
+            it('pula uma seção quando o domínio do tópico é alto', async () => {
+                const { sessionId } = await sessionAtQuiz([valid], 'Pilhas');
+                const token = tokens.mod.accessToken;
+                await chat('mod', { sessionId });
+                const graded = await request('POST', `/api/ai/sessions/${sessionId}/quiz/answers`, { token, body: { answers: ['B', 'A', 'B'] } });
+                assert.deepStrictEqual([graded.body.progression, graded.body.mastery.level], ['skip', 'mastered']);
+                assert.deepStrictEqual(graded.body.session.studyState, { topic: 'Pilhas', nextAction: 'explain', section: 3 });
+
+                const list = await request('GET', '/api/ai/mastery?sort=-mastery', { token });
+                assert.deepStrictEqual(list.body.data[0].topic, 'Pilhas');
+                assert.strictEqual((await request('GET', '/api/ai/mastery?sort=quizzes', { token })).status, 400);
+            });
+
+            it('desiste após o número máximo de tentativas sem avançar a sessão', async () => {
+                const { provider, sessionId } = await sessionAtQuiz(['não é JSON', { title: 'Quiz' }, 'não é JSON']);
+
+                const response = await chat('mod', { sessionId });
+                assert.strictEqual(response.status, 500);
+                assert.match(response.body.text, /issue processing the quiz data/);
+                assert.deepStrictEqual(response.body.studyState, { topic: 'Quizzes', nextAction: 'quiz', section: 1 });
+
+                const calls = quizCalls(provider);
+                assert.strictEqual(calls.length, 3); // 1 + AI_QUIZ_REPAIR_ATTEMPTS (padrão 2)
+                assert.match(calls[1].prompt, /rejected:\nnão é JSON\n\nProblems found:\n- The response is not valid JSON\./);
+                assert.match(calls[2].prompt, /"questions" must be an array with 3 to 5 questions \(got none\)/);
+            });
+        });
+
+        describe('streaming (Server-Sent Events)', () => {
+            const { setLlmProvider, createFakeProvider, createGeminiProvider } = require('../config/llmProvider');
+
+            const openStream = (username, body, signal) => fetch(`${baseUrl}/api/ai/chat/stream`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokens[username].accessToken}` },
+                body: JSON.stringify(body),
+                signal,
+            });
+
+            // Lê o stream inteiro e devolve os eventos ({ event, data }), na ordem
+            async function streamChat(username, body) {
+                const response = await openStream(username, body);
+                const events = (await response.text()).split('\n\n')
+                    .filter((block) => block.startsWith('event: '))
+                    .map((block) => {
+                        const [eventLine, dataLine] = block.split('\n');
+                        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+                    });
+                return { response, events };
+            }
+
+            after(() => {
+                setLlmProvider(createFakeProvider());
+            });
+
+            it('envia a explicação em pedaços e o novo estado ao final', async () => {
+                setLlmProvider(createFakeProvider());
+                const { response, events } = await streamChat('admin', { message: 'Streams' });
+                assert.strictEqual(response.status, 200);
+                assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+                assert.strictEqual(response.headers.get('x-ai-quota-requests-limit'), '50');
+
+                assert.strictEqual(events[0].event, 'plan'); // Sessão nova: o plano chega antes da explicação
+                assert.strictEqual(events[0].data.plan.length, 3);
+                const chunks = events.filter((e) => e.event === 'chunk');
+                assert.ok(chunks.length > 1);
+                const text = chunks.map((e) => e.data.text).join('');
+                assert.match(text, /^\[fake-model\] .*section 1 of the topic: "Streams"/);
+                const done = events[events.length - 1];
+                assert.strictEqual(done.event, 'done');
+                assert.deepStrictEqual(done.data.studyState, { topic: 'Streams', nextAction: 'quiz', section: 1 });
+
+                const quiz = await streamChat('admin', { sessionId: done.data.sessionId });
+                assert.deepStrictEqual(quiz.events.map((e) => e.event), ['quiz', 'done']);
+                assert.ok(Array.isArray(quiz.events[0].data.quizData.questions));
+                assert.deepStrictEqual(quiz.events[1].data.studyState, { topic: 'Streams', nextAction: 'explain', section: 2 });
+
+                const history = await request('GET', `/api/ai/sessions/${done.data.sessionId}`, { token: tokens.admin.accessToken });
+                assert.strictEqual(history.body.session.messages[1].text, text);
+            });
+
+            it('informa falhas em um evento de erro, sem alterar a sessão', async () => {
+                const adminToken = tokens.admin.accessToken;
+                const created = await request('POST', '/api/ai/sessions', { token: adminToken, body: { topic: 'Buffers' } });
+                setLlmProvider(createGeminiProvider({})); // Sem chave: indisponível
+
+                const { response, events } = await streamChat('admin', { sessionId: created.body.session.id });
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(events.map((e) => [e.event, e.data.code]), [['error', 'AI_UNAVAILABLE']]);
+                assert.deepStrictEqual(events[0].data.studyState, { topic: 'Buffers', nextAction: 'explain', section: 1 });
+
+                // Erros anteriores ao stream continuam sendo respostas JSON
+                const missing = await openStream('admin', { sessionId: 999999 });
+                assert.deepStrictEqual([missing.status, (await missing.json()).error], [404, 'Study session not found.']);
+            });
+
+            it('cancela a geração quando o cliente desconecta', async () => {
+                const adminToken = tokens.admin.accessToken;
+                const created = await request('POST', '/api/ai/sessions', { token: adminToken, body: { topic: 'Cancelamento' } });
+                const { id } = created.body.session;
+
+                let providerCancelled;
+                const cancelled = new Promise((resolve) => { providerCancelled = resolve; });
+                setLlmProvider({
+                    ...createFakeProvider(),
+                    // Envia um pedaço e espera até a geração ser cancelada
+                    async *stream(prompt, { signal, onUsage }) {
+                        yield 'Primeiro pedaço ';
+                        await new Promise((resolve) => signal.addEventListener('abort', resolve, { once: true }));
+                        onUsage({ totalTokens: 7 });
+                        providerCancelled(signal.aborted);
+                        signal.throwIfAborted();
+                    },
+                });
+
+                const client = new AbortController();
+                const response = await openStream('admin', { sessionId: id }, client.signal);
+                const reader = response.body.getReader();
+                const { value } = await reader.read();
+                assert.match(new TextDecoder().decode(value), /Primeiro pedaço/);
+                client.abort();
+
+                assert.strictEqual(await cancelled, true);
+                await new Promise((resolve) => setTimeout(resolve, 50)); // O handler termina após o cancelamento
+                const session = await request('GET', `/api/ai/sessions/${id}`, { token: adminToken });
+                assert.deepStrictEqual(session.body.session.studyState, { topic: 'Cancelamento', nextAction: 'explain', section: 1 });
+                assert.deepStrictEqual(session.body.session.messages, []);
+            });
+        });
+
+        it('aceita outro modelo apenas para os papéis de LLM_ROLE_MODELS', async () => {
+            const adminToken = tokens.admin.accessToken;
+            const usageOf = async () => (await request('GET', `/api/admin/users/${ids.usr}/ai-quota`, { token: adminToken })).body.quota.usage;
+            const before = await usageOf();
+            const denied = await chat('usr', { message: 'Node.js', model: 'outro-modelo' });
+            assert.deepStrictEqual([denied.status, denied.headers.get('x-ai-quota-requests-limit')], [403, null]);
+            const deniedStream = await request('POST', '/api/ai/chat/stream', { token: tokens.usr.accessToken, body: { message: 'Node.js', model: 'outro-modelo' } });
+            assert.strictEqual(deniedStream.status, 403);
+            // O modelo é recusado antes da cota: nada é contado
+            assert.deepStrictEqual(await usageOf(), before);
+
+            const allowed = await chat('mod', { message: 'Node.js', model: 'outro-modelo' });
+            assert.deepStrictEqual([allowed.status, allowed.body.text.startsWith('[outro-modelo]')], [200, true]);
+            const invalid = await chat('usr', { message: 'Node.js', model: 42 });
+            assert.deepStrictEqual([invalid.status, invalid.body.message], [400, "'model' deve ser um texto."]);
+        });
+
+        it('conta requisições e tokens na cota diária e responde 429 quando ela acaba', async () => {
+            const adminToken = tokens.admin.accessToken;
+            const limited = await request('PUT', `/api/admin/users/${ids.aluno}/ai-quota`, { token: adminToken, body: { dailyRequests: 2 } });
+            assert.strictEqual(limited.status, 200);
+            assert.deepStrictEqual(limited.body.quota.limits, { dailyRequests: 2, dailyTokens: 100000 });
+
+            const first = await chat('aluno', { message: 'Node.js' });
+            assert.strictEqual(first.status, 200);
+            assert.strictEqual(first.headers.get('x-ai-quota-requests-limit'), '2');
+            assert.strictEqual(first.headers.get('x-ai-quota-requests-remaining'), '1');
+            const tokensRemaining = Number(first.headers.get('x-ai-quota-tokens-remaining'));
+            assert.ok(tokensRemaining > 0 && tokensRemaining < 100000);
+            assert.ok(Number(first.headers.get('x-ai-quota-reset')) <= 24 * 60 * 60);
+
+            assert.strictEqual((await chat('aluno', { message: 'Node.js' })).status, 200);
+            const exceeded = await chat('aluno', { message: 'Node.js' });
+            assert.strictEqual(exceeded.status, 429);
+            assert.strictEqual(exceeded.headers.get('x-ai-quota-requests-remaining'), '0');
+            assert.ok(Number(exceeded.headers.get('retry-after')) > 0);
+
+            // Requisições inválidas não consomem a cota
+            assert.strictEqual((await chat('aluno', { message: 'Node.js', model: 42 })).status, 400);
+
+            const quota = await request('GET', `/api/admin/users/${ids.aluno}/ai-quota`, { token: adminToken });
+            assert.strictEqual(quota.status, 200);
+            assert.strictEqual(quota.body.quota.usage.requests, 2);
+            assert.ok(quota.body.quota.usage.tokens > 100000 - tokensRemaining); // Tokens das duas requisições
+
+            const usage = await request('GET', `/api/admin/ai/usage?userId=${ids.aluno}`, { token: adminToken });
+            assert.strictEqual(usage.status, 200);
+            assert.deepStrictEqual(usage.body.usage.map((row) => [row.username, row.requests]), [['aluno', 2]]);
+            assert.strictEqual(usage.body.usage[0].tokens, quota.body.quota.usage.tokens);
+
+            // Aumentar o limite libera novas requisições no mesmo dia
+            await request('PUT', `/api/admin/users/${ids.aluno}/ai-quota`, { token: adminToken, body: { dailyRequests: 3 } });
+            assert.strictEqual((await chat('aluno', { message: 'Node.js' })).status, 200);
+        });
+
+        it('aplica os limites do papel aos usuários sem limite próprio', async () => {
+            const adminToken = tokens.admin.accessToken;
+            const role = await request('PUT', '/api/admin/roles/user/ai-quota', { token: adminToken, body: { dailyTokens: 1 } });
+            assert.deepStrictEqual([role.status, role.body.role.aiQuota], [200, { dailyRequests: null, dailyTokens: 1 }]);
+
+            // usr já consumiu tokens hoje; aluno tem limite próprio só de requisições
+            assert.strictEqual((await chat('usr', { message: 'Node.js' })).status, 429);
+            await request('PUT', `/api/admin/users/${ids.usr}/ai-quota`, { token: adminToken, body: { dailyTokens: 1000000 } });
+            assert.strictEqual((await chat('usr', { message: 'Node.js' })).status, 200);
+
+            const reset = await request('PUT', '/api/admin/roles/user/ai-quota', { token: adminToken, body: { dailyTokens: null } });
+            assert.deepStrictEqual(reset.body.role.aiQuota, { dailyRequests: null, dailyTokens: null });
+        });
+
+        it('valida os limites e a data das rotas de cota', async () => {
+            const adminToken = tokens.admin.accessToken;
+            const cases = [
+                ['PUT', `/api/admin/users/${ids.usr}/ai-quota`, { dailyRequests: -1 }, "'dailyRequests' deve ser um inteiro maior ou igual a 0, ou null."],
+                ['PUT', `/api/admin/users/${ids.usr}/ai-quota`, {}, 'Informe ao menos um limite para alterar (dailyRequests, dailyTokens).'],
+                ['GET', '/api/admin/ai/usage?date=2026-02-30', undefined, "'date' deve ser uma data válida."],
+            ];
+            for (const [method, path, body, message] of cases) {
+                const response = await request(method, path, { token: adminToken, body });
+                assert.deepStrictEqual([response.status, response.body.message], [400, message], `${method} ${path}`);
+            }
+            assert.strictEqual((await request('PUT', '/api/admin/roles/nao-existe/ai-quota', { token: adminToken, body: { dailyTokens: 5 } })).status, 404);
+            assert.strictEqual((await request('GET', '/api/admin/users/99999/ai-quota', { token: adminToken })).status, 404);
+        });
+    });
+
+    describe('CORS', () => {
+        it('aceita a origem configurada e requisições sem origem', async () => {
+            const allowed = await request('GET', '/', { headers: { Origin: ALLOWED_ORIGIN } });
+            assert.strictEqual(allowed.status, 200);
+            assert.strictEqual(allowed.headers.get('access-control-allow-origin'), ALLOWED_ORIGIN);
+            assert.strictEqual((await request('GET', '/')).status, 200);
+        });
+
+        it('recusa origens não permitidas', async () => {
+            const response = await request('GET', '/api/auth/profile', { headers: { Origin: 'http://malicioso.test' } });
+            assert.deepStrictEqual([response.status, response.body.message], [403, 'Origem não permitida por CORS.']);
+        });
+    });
+});
@@ -0,0 +1,158 @@
+﻿// test/llmProvider.test.js
+// Provedores de LLM (config/llmProvider.js): fake, OpenAI-compatível contra um servidor HTTP local e as regras
+// de modelo por papel. Não acessa a internet. Rodar com: npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const {
+    createFakeProvider,
+    createOpenAICompatibleProvider,
+    createGeminiProvider,
+    resolveModel,
+    parseJSONResponse,
+    estimateTokens,
+} = require('../config/llmProvider');
+
+async function collect(iterable) {
+    const pieces = [];
+    for await (const piece of iterable) pieces.push(piece);
+    return pieces;
+}
+
+describe('provedor fake', () => {
+    it('responde de forma determinística e registra as chamadas', async () => {
+        const provider = createFakeProvider();
+        const first = await provider.generateText('Explique closures\nmais detalhes');
+        assert.strictEqual(first, await provider.generateText('Explique closures\nmais detalhes'));
+        assert.strictEqual(first, '[fake-model] Explique closures');
+        assert.strictEqual((await provider.generateJSON('Quiz', { model: 'outro' })).title, '[outro] Quiz');
+        assert.strictEqual((await collect(provider.stream('um dois três'))).join(''), '[fake-model] um dois três');
+        assert.deepStrictEqual(provider.calls.map((call) => call.model), ['fake-model', 'fake-model', 'outro', 'fake-model']);
+
+        let reported;
+        await provider.generateText('abcdefgh', { onUsage: (usage) => { reported = usage; } });
+        assert.deepStrictEqual(reported, { totalTokens: estimateTokens('abcdefgh', '[fake-model] abcdefgh') });
+    });
+
+    it('aceita respostas personalizadas', async () => {
+        const provider = createFakeProvider({ respond: (prompt, { json }) => (json ? '```json\n{"ok": true}\n```' : 'texto') });
+        assert.strictEqual(await provider.generateText('x'), 'texto');
+        assert.deepStrictEqual(await provider.generateJSON('x'), { ok: true });
+    });
+});
+
+describe('provedor OpenAI-compatível', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+
+    before(async () => {
+        // Servidor local no formato de /v1/chat/completions (como Ollama/llama.cpp)
+        server = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', (chunk) => { raw += chunk; });
+            req.on('end', () => {
+                const body = JSON.parse(raw);
+                requests.push({ url: req.url, authorization: req.headers.authorization, body });
+                if (body.model === 'quebrado') {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    return res.end('{"error":"falhou"}');
+                }
+                if (body.stream && body.model === 'lento') {
+                    // Envia um pedaço e só termina quando o cliente desconectar
+                    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Olá' } }] })}\n\n`);
+                    return res.on('close', () => res.end());
+                }
+                if (body.stream) {
+                    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                    for (const content of ['Olá', ', ', 'mundo']) {
+                        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+                    }
+                    return res.end('data: [DONE]\n\n');
+                }
+                const content = body.response_format ? '```json\n{"title":"T","questions":[]}\n```' : `resposta de ${body.model}`;
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }], usage: { total_tokens: 42 } }));
+            });
+        });
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    it('gera texto, JSON e stream pelo endpoint de chat', async () => {
+        const provider = createOpenAICompatibleProvider({ baseUrl, model: 'llama3.1', apiKey: 'chave' });
+        assert.strictEqual(provider.available, true);
+
+        const usage = [];
+        assert.strictEqual(await provider.generateText('oi', { onUsage: (u) => usage.push(u) }), 'resposta de llama3.1');
+        assert.strictEqual(await provider.generateText('oi', { model: 'qwen2.5' }), 'resposta de qwen2.5');
+        assert.deepStrictEqual(await provider.generateJSON('quiz'), { title: 'T', questions: [] });
+        assert.deepStrictEqual(await collect(provider.stream('oi', { onUsage: (u) => usage.push(u) })), ['Olá', ', ', 'mundo']);
+        // Uso informado pelo servidor; no stream sem 'usage', estimado
+        assert.deepStrictEqual(usage, [{ totalTokens: 42 }, { totalTokens: 1 + 3 }]);
+
+        assert.strictEqual(requests[0].url, '/v1/chat/completions');
+        assert.strictEqual(requests[0].authorization, 'Bearer chave');
+        assert.deepStrictEqual(requests[0].body.messages, [{ role: 'user', content: 'oi' }]);
+        assert.deepStrictEqual(requests[2].body.response_format, { type: 'json_object' });
+    });
+
+    it('cancela o stream pelo signal e informa o uso estimado até ali', async () => {
+        const provider = createOpenAICompatibleProvider({ baseUrl, model: 'lento' });
+        const controller = new AbortController();
+        const pieces = [];
+        const usage = [];
+        await assert.rejects(async () => {
+            for await (const piece of provider.stream('oi', { signal: controller.signal, onUsage: (u) => usage.push(u) })) {
+                pieces.push(piece);
+                controller.abort();
+            }
+        }, { name: 'AbortError' });
+        assert.deepStrictEqual(pieces, ['Olá']);
+        assert.deepStrictEqual(usage, [{ totalTokens: estimateTokens('oi', 'Olá') }]);
+    });
+
+    it('propaga erros HTTP do servidor', async () => {
+        const provider = createOpenAICompatibleProvider({ baseUrl, model: 'quebrado' });
+        await assert.rejects(provider.generateText('oi'), /respondeu 500/);
+    });
+
+    it('fica indisponível sem URL ou modelo', async () => {
+        const provider = createOpenAICompatibleProvider({ model: 'llama3.1' });
+        assert.strictEqual(provider.available, false);
+        await assert.rejects(provider.generateText('oi'), /não configurado/);
+        assert.strictEqual(createGeminiProvider({}).available, false);
+    });
+});
+
+describe('resolveModel e parseJSONResponse', () => {
+    before(() => {
+        process.env.LLM_ROLE_MODELS = 'admin=*; moderator=llama3.1, qwen2.5';
+    });
+
+    after(() => {
+        delete process.env.LLM_ROLE_MODELS;
+    });
+
+    it('libera modelos conforme LLM_ROLE_MODELS', () => {
+        assert.strictEqual(resolveModel(undefined, 'user', 'padrao'), undefined);
+        assert.strictEqual(resolveModel('padrao', 'user', 'padrao'), undefined);
+        assert.strictEqual(resolveModel('qualquer', 'admin', 'padrao'), 'qualquer');
+        assert.strictEqual(resolveModel('qwen2.5', 'moderator', 'padrao'), 'qwen2.5');
+        assert.throws(() => resolveModel('gpt-4o', 'moderator', 'padrao'), /não permitido/);
+        assert.throws(() => resolveModel('qwen2.5', 'user', 'padrao'), /não permitido/);
+        assert.throws(() => resolveModel('qwen2.5', undefined, 'padrao'), /anônimo/);
+    });
+
+    it('marca respostas que não são JSON', () => {
+        assert.deepStrictEqual(parseJSONResponse('```\n[1, 2]\n```'), [1, 2]);
+        assert.throws(() => parseJSONResponse('Claro! Aqui está o quiz:'), { code: 'INVALID_JSON' });
+    });
+});
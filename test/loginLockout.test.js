@@ -0,0 +1,223 @@
+﻿// test/loginLockout.test.js
+// Atraso progressivo e bloqueio de login por conta (config/loginLockout.js). Arquivo próprio: os limites são lidos
+// na importação e test/http.test.js desativa o atraso. Usa o repositório em memória e, na reserva de tentativas,
+// também o PostgreSQL se TEST_DATABASE_URL estiver definida. Rodar com: npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { setTimeout: sleep } = require('timers/promises');
+
+const PASSWORD = 'secret12';
+const MAX_FAILED_ATTEMPTS = 3;
+const LOCKOUT_SECONDS = 15 * 60;
+
+describe('bloqueio de login por conta', () => {
+    let server;
+    let baseUrl;
+    let db;
+    let getLoginThrottle;
+
+    async function login(username, password) {
+        const response = await fetch(`${baseUrl}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password }),
+        });
+        return { status: response.status, retryAfter: response.headers.get('retry-after'), body: await response.json() };
+    }
+
+    async function createUser(username) {
+        const bcrypt = require('bcrypt');
+        return db.addUser({ username, passwordHash: await bcrypt.hash(PASSWORD, 4), role: 'user' });
+    }
+
+    before(async () => {
+        Object.assign(process.env, {
+            DATABASE_STORE: 'memory',
+            TOKEN_BLACKLIST_STORE: 'memory',
+            JWT_SECRET: 'test-access-secret',
+            JWT_REFRESH_SECRET: 'test-refresh-secret',
+            BCRYPT_SALT_ROUNDS: '4',
+            RATE_LIMIT_MAX_REQUESTS: '100000',
+            LOGIN_MAX_FAILED_ATTEMPTS: String(MAX_FAILED_ATTEMPTS),
+            LOGIN_LOCKOUT_DURATION: '15m',
+            LOGIN_BACKOFF_BASE_MS: '1000',
+            LOGIN_BACKOFF_MAX_MS: '1800',
+        });
+        const app = require('../server');
+        db = require('../config/database');
+        ({ getLoginThrottle } = require('../config/loginLockout'));
+        server = app.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    describe('getLoginThrottle', () => {
+        const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000);
+        const inRange = (value, min, max) => assert.ok(value > min && value <= max, `${value} fora de (${min}, ${max}]`);
+
+        it('libera contas sem falhas recentes', () => {
+            assert.deepStrictEqual(getLoginThrottle({ failedLoginAttempts: 0 }), { locked: false, retryAfterMs: 0 });
+            assert.deepStrictEqual(
+                getLoginThrottle({ failedLoginAttempts: 1, lastFailedLoginAt: secondsAgo(5) }),
+                { locked: false, retryAfterMs: 0 }
+            );
+        });
+
+        it('dobra o atraso a cada falha, até LOGIN_BACKOFF_MAX_MS', () => {
+            const first = getLoginThrottle({ failedLoginAttempts: 1, lastFailedLoginAt: new Date() });
+            assert.strictEqual(first.locked, false);
+            inRange(first.retryAfterMs, 900, 1000);
+            inRange(getLoginThrottle({ failedLoginAttempts: 2, lastFailedLoginAt: new Date() }).retryAfterMs, 1700, 1800);
+            inRange(getLoginThrottle({ failedLoginAttempts: 2, lastFailedLoginAt: secondsAgo(1) }).retryAfterMs, 700, 800);
+        });
+
+        it('bloqueia até lockedUntil e libera depois', () => {
+            const locked = getLoginThrottle({
+                failedLoginAttempts: MAX_FAILED_ATTEMPTS,
+                lastFailedLoginAt: new Date(),
+                lockedUntil: new Date(Date.now() + 60000),
+            });
+            assert.strictEqual(locked.locked, true);
+            inRange(locked.retryAfterMs, 59000, 60000);
+            assert.deepStrictEqual(
+                getLoginThrottle({ failedLoginAttempts: MAX_FAILED_ATTEMPTS, lastFailedLoginAt: secondsAgo(61), lockedUntil: secondsAgo(1) }),
+                { locked: false, retryAfterMs: 0 }
+            );
+        });
+    });
+
+    it('responde 429 com Retry-After crescente e bloqueia a conta após LOGIN_MAX_FAILED_ATTEMPTS falhas', async () => {
+        await createUser('alvo');
+
+        assert.strictEqual((await login('alvo', 'senha-errada')).status, 401);
+        // Durante o atraso nem a senha correta é conferida
+        const first = await login('alvo', PASSWORD);
+        assert.deepStrictEqual([first.status, first.retryAfter, first.body], [429, '1', {
+            message: 'Muitas tentativas de login. Aguarde alguns segundos e tente novamente.',
+            retryAfter: 1,
+        }]);
+
+        await sleep(1000);
+        assert.strictEqual((await login('alvo', 'senha-errada')).status, 401);
+        const second = await login('alvo', PASSWORD);
+        assert.deepStrictEqual([second.status, second.retryAfter], [429, '2']);
+
+        await sleep(1800);
+        assert.strictEqual((await login('alvo', 'senha-errada')).status, 401);
+        const locked = await login('alvo', PASSWORD);
+        assert.deepStrictEqual([locked.status, locked.retryAfter, locked.body], [429, String(LOCKOUT_SECONDS), {
+            message: 'Conta temporariamente bloqueada por excesso de tentativas de login. Tente novamente mais tarde.',
+            retryAfter: LOCKOUT_SECONDS,
+        }]);
+    });
+
+    it('requisições simultâneas não escapam do atraso: só uma confere a senha', async (t) => {
+        await createUser('rajada');
+        const bcrypt = require('bcrypt');
+        const compare = t.mock.method(bcrypt, 'compare');
+
+        const responses = await Promise.all(Array.from({ length: MAX_FAILED_ATTEMPTS + 3 }, () => login('rajada', 'senha-errada')));
+        const statuses = responses.map((response) => response.status).sort();
+        assert.deepStrictEqual(statuses, [401, ...Array(MAX_FAILED_ATTEMPTS + 2).fill(429)]);
+        assert.strictEqual(compare.mock.callCount(), 1);
+    });
+
+    it('um login bem-sucedido zera o contador de falhas', async () => {
+        const user = await createUser('distraido');
+
+        assert.strictEqual((await login('distraido', 'senha-errada')).status, 401);
+        await sleep(1000);
+        assert.strictEqual((await login('distraido', PASSWORD)).status, 200);
+        assert.strictEqual((await db.findUserById(user.id)).failedLoginAttempts, 0);
+
+        // A próxima falha volta ao primeiro atraso (1s), não ao segundo
+        assert.strictEqual((await login('distraido', 'senha-errada')).status, 401);
+        const throttled = await login('distraido', PASSWORD);
+        assert.deepStrictEqual([throttled.status, throttled.retryAfter], [429, '1']);
+    });
+});
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+const stores = [
+    { name: 'memória', skip: false },
+    { name: 'PostgreSQL', skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL não definida' },
+];
+
+for (const store of stores) {
+    describe(`reserva de tentativas de login (${store.name})`, { skip: store.skip }, () => {
+        let repository;
+        let pool;
+        const suffix = Date.now().toString(36);
+        const userIds = [];
+        const options = { maxAttempts: MAX_FAILED_ATTEMPTS, lockoutMs: 60000, backoffBaseMs: 0, backoffMaxMs: 0 };
+
+        before(() => {
+            if (store.name === 'PostgreSQL') {
+                const { Pool } = require('pg');
+                const { createPostgresRepository } = require('../config/postgresRepository');
+                pool = new Pool({ connectionString: TEST_DATABASE_URL });
+                repository = createPostgresRepository(pool);
+            } else {
+                const { createMemoryRepository } = require('../config/memoryRepository');
+                repository = createMemoryRepository();
+            }
+        });
+
+        after(async () => {
+            if (pool) {
+                await pool.query('DELETE FROM users WHERE id = ANY($1::int[])', [userIds]);
+                await pool.end();
+            }
+        });
+
+        async function addUser(name) {
+            const user = await repository.addUser({ username: `${name}_${suffix}`, passwordHash: 'x' });
+            userIds.push(user.id);
+            return user;
+        }
+
+        const claimAll = (userId, count, claimOptions) => Promise.all(
+            Array.from({ length: count }, () => repository.claimLoginAttempt(userId, claimOptions))
+        );
+
+        it('reserva no máximo maxAttempts tentativas simultâneas e bloqueia a conta', async () => {
+            const user = await addUser('rajada');
+            const claims = await claimAll(user.id, MAX_FAILED_ATTEMPTS + 5, options);
+            assert.strictEqual(claims.filter((claim) => claim.claimed).length, MAX_FAILED_ATTEMPTS);
+            for (const refused of claims.filter((claim) => !claim.claimed)) {
+                assert.strictEqual(refused.state.failedLoginAttempts, MAX_FAILED_ATTEMPTS);
+                assert.ok(new Date(refused.state.lockedUntil) > new Date());
+            }
+        });
+
+        it('durante o atraso progressivo, reserva uma única tentativa', async () => {
+            const user = await addUser('atraso');
+            const claims = await claimAll(user.id, 5, { ...options, backoffBaseMs: 60000, backoffMaxMs: 60000 });
+            assert.strictEqual(claims.filter((claim) => claim.claimed).length, 1);
+        });
+
+        it('desfaz a tentativa (senha correta) restaurando o contador anterior', async () => {
+            const user = await addUser('desfaz');
+            const first = await repository.claimLoginAttempt(user.id, options);
+            const second = await repository.claimLoginAttempt(user.id, options);
+            assert.deepStrictEqual([first.state.failedLoginAttempts, second.state.failedLoginAttempts], [1, 2]);
+
+            // Outra tentativa já foi contada depois da primeira: nada a desfazer
+            assert.strictEqual(await repository.releaseLoginAttempt(user.id, first), false);
+
+            assert.strictEqual(await repository.releaseLoginAttempt(user.id, second), true);
+            const state = await repository.findUserByUsername(user.username);
+            assert.strictEqual(state.failedLoginAttempts, 1);
+            assert.strictEqual(new Date(state.lastFailedLoginAt).getTime(), new Date(first.state.lastFailedLoginAt).getTime());
+
+            assert.strictEqual(await repository.claimLoginAttempt(99999999, options), null);
+        });
+    });
+}
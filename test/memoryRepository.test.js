@@ -0,0 +1,111 @@
+﻿// test/memoryRepository.test.js
+// Repositório em memória (DATABASE_STORE=memory): as mesmas regras do PostgreSQL, sem banco. Rodar com: npm test
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+describe('repositório em memória', () => {
+    let db;
+    let createMemoryRepository;
+    let registerUser;
+
+    before(() => {
+        // Variáveis lidas na importação dos módulos
+        process.env.DATABASE_STORE = 'memory';
+        process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-access-secret';
+        process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+        process.env.BCRYPT_SALT_ROUNDS = '4';
+        db = require('../config/database');
+        ({ createMemoryRepository } = require('../config/memoryRepository'));
+        ({ registerUser } = require('../controllers/authController'));
+    });
+
+    beforeEach(() => {
+        db.setRepository(createMemoryRepository());
+    });
+
+    // Chama o controller com req/res mínimos e devolve { status, body }
+    function register(username, inviteCode) {
+        return new Promise((resolve) => {
+            const res = {
+                status(code) { this.statusCode = code; return this; },
+                json(body) { resolve({ status: this.statusCode, body }); return this; },
+            };
+            registerUser({ body: { username, password: 'secret12', inviteCode } }, res);
+        });
+    }
+
+    it('registros concorrentes consomem exatamente max_uses do código', async () => {
+        await db.addInviteCode('multi', null, { maxUses: 3, role: 'moderator' });
+        const results = await Promise.all(
+            Array.from({ length: 8 }, (_, i) => register(`user_${i}`, 'multi'))
+        );
+
+        assert.strictEqual(results.filter((r) => r.status === 201).length, 3);
+        results.filter((r) => r.status !== 201)
+            .forEach((r) => assert.deepStrictEqual(r, { status: 400, body: { message: 'Código de convite já utilizado.' } }));
+        const codeData = await db.findInviteCode('multi');
+        assert.strictEqual(codeData.use_count, 3);
+        assert.strictEqual(codeData.is_used, true);
+        const created = await db.findUserByUsername(results.find((r) => r.status === 201).body.username);
+        assert.strictEqual(created.role, 'moderator');
+    });
+
+    it('erro dentro da transação desfaz as alterações feitas com o client', async () => {
+        await db.addInviteCode('once', null);
+        await assert.rejects(db.withTransaction(async (client) => {
+            const user = await db.addUser({ username: 'rollback', passwordHash: 'x' }, client);
+            assert.strictEqual(await db.markInviteCodeAsUsed('once', user.id, client), true);
+            throw new Error('falha simulada');
+        }), /falha simulada/);
+
+        assert.strictEqual(await db.findUserByUsername('rollback'), null);
+        const codeData = await db.findInviteCode('once');
+        assert.strictEqual(codeData.use_count, 0);
+        assert.strictEqual(codeData.used_by, null);
+    });
+
+    it('mantém as mesmas mensagens de erro do PostgreSQL', async () => {
+        await db.addUser({ username: 'ana', passwordHash: 'x', role: 'moderator' });
+        await assert.rejects(db.addUser({ username: 'ana', passwordHash: 'y' }), { message: 'Nome de usuário já existe.' });
+        await assert.rejects(db.addRole({ name: 'moderator' }), { message: 'Papel já existe.' });
+        await assert.rejects(db.deleteRole('moderator'), { message: 'Papel em uso.' });
+        await assert.rejects(db.revokeSessions({}), { message: 'revokeSessions requer id ou userId.' });
+    });
+
+    it('reserva tentativas de login até maxAttempts, desfaz a última e recomeça após o reset', async () => {
+        const user = await db.addUser({ username: 'bia', passwordHash: 'x' });
+        const options = { maxAttempts: 3, lockoutMs: 60000, backoffBaseMs: 0, backoffMaxMs: 0 };
+        assert.strictEqual((await db.claimLoginAttempt(user.id, options)).claimed, true);
+        assert.strictEqual((await db.claimLoginAttempt(user.id, options)).claimed, true);
+        const locked = await db.claimLoginAttempt(String(user.id), options); // IDs podem chegar como string (req.params)
+        assert.strictEqual(locked.claimed, true);
+        assert.strictEqual(locked.state.failedLoginAttempts, 3);
+        assert.ok(locked.state.lockedUntil > new Date());
+        assert.strictEqual((await db.claimLoginAttempt(user.id, options)).claimed, false);
+
+        // Senha correta na tentativa que bloqueou: o contador volta ao estado anterior
+        assert.strictEqual(await db.releaseLoginAttempt(user.id, locked), true);
+        const released = await db.findUserById(user.id);
+        assert.deepStrictEqual([released.failedLoginAttempts, released.lockedUntil], [2, null]);
+        assert.strictEqual(await db.releaseLoginAttempt(user.id, locked), false);
+
+        assert.strictEqual(await db.resetFailedLogins(user.id), true);
+        const state = await db.findUserById(user.id);
+        assert.strictEqual(state.failedLoginAttempts, 0);
+        assert.strictEqual(state.lockedUntil, null);
+    });
+
+    it('pagina por cursor na ordem pedida, como o keyset do PostgreSQL', async () => {
+        for (const username of ['carla', 'ana', 'bruno', 'davi']) {
+            await db.addUser({ username, passwordHash: 'x' });
+        }
+        const sort = { field: 'username', direction: 'DESC' };
+        const first = await db.listUsers({ sort, limit: 2 });
+        assert.strictEqual(first.total, 4);
+        assert.deepStrictEqual(first.rows.map((u) => u.username), ['davi', 'carla', 'bruno']); // limit + 1
+
+        const last = first.rows[1];
+        const next = await db.listUsers({ sort, limit: 2, cursor: { value: last.username, id: last.id } });
+        assert.deepStrictEqual(next.rows.map((u) => u.username), ['bruno', 'ana']);
+    });
+});
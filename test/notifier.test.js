@@ -0,0 +1,124 @@
+﻿// test/notifier.test.js
+// Notifier SMTP (config/notifier.js) contra um servidor SMTP mínimo local, sem serviço externo. Rodar com: npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { once } = require('events');
+const notifier = require('../config/notifier');
+
+/**
+ * Servidor SMTP de teste: aceita qualquer remetente, recusa destinatários "recusado@..." e guarda as mensagens.
+ * Não anuncia STARTTLS, então o nodemailer envia em texto puro. Respostas sem acentos (o SMTP espera ASCII).
+ */
+function createStubSmtpServer() {
+    const messages = [];
+    let connections = 0;
+    const server = net.createServer((socket) => {
+        connections++;
+        const message = { from: null, to: [], data: '' };
+        let buffer = '';
+        let inData = false;
+        socket.write('220 stub ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push({ ...message, to: [...message.to] });
+                        socket.write('250 2.0.0 Aceita\r\n');
+                    } else {
+                        message.data += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+                    }
+                    continue;
+                }
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250 stub\r\n');
+                } else if (command === 'MAIL') {
+                    message.from = line.match(/<(.*)>/)[1];
+                    socket.write('250 2.1.0 OK\r\n');
+                } else if (command === 'RCPT') {
+                    const recipient = line.match(/<(.*)>/)[1];
+                    if (recipient.startsWith('recusado@')) {
+                        socket.write('550 5.1.1 Destinatario inexistente\r\n');
+                    } else {
+                        message.to.push(recipient);
+                        socket.write('250 2.1.5 OK\r\n');
+                    }
+                } else if (command === 'DATA') {
+                    inData = true;
+                    socket.write('354 Envie a mensagem\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 2.0.0 Ate logo\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    return { server, messages, connections: () => connections };
+}
+
+// Decodifica o corpo quoted-printable gerado pelo nodemailer para textos com acentos
+const decodeQuotedPrintable = (text) => Buffer.from(
+    text.replace(/=\n/g, '').replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+    'latin1'
+).toString('utf8');
+
+describe('notifier SMTP', () => {
+    let stub;
+    let smtpNotifier;
+    const user = { id: 7, username: 'ana', email: 'ana@example.com' };
+
+    before(async () => {
+        delete process.env.PASSWORD_RESET_URL; // Mensagem com o token em texto, não com o link
+        stub = createStubSmtpServer();
+        stub.server.listen(0, '127.0.0.1');
+        await once(stub.server, 'listening');
+        smtpNotifier = notifier.createSmtpNotifier({
+            host: '127.0.0.1',
+            port: stub.server.address().port,
+            from: 'Auth API <no-reply@example.com>',
+        });
+        notifier.setNotifier(smtpNotifier);
+    });
+
+    after(() => {
+        notifier.setNotifier(notifier.createConsoleNotifier());
+        stub.server.close();
+    });
+
+    it('envia o token de redefinição de senha por e-mail', async () => {
+        const expiresAt = new Date('2030-01-01T00:00:00.000Z');
+        await notifier.sendPasswordReset(user, 'token-de-teste_123', expiresAt);
+
+        assert.strictEqual(stub.messages.length, 1);
+        const [message] = stub.messages;
+        assert.deepStrictEqual([message.from, message.to], ['no-reply@example.com', ['ana@example.com']]);
+        assert.match(message.data, /^To: ana@example\.com$/m);
+        assert.match(message.data, /^Subject: .*Redefini/m);
+        const body = decodeQuotedPrintable(message.data);
+        assert.match(body, /Olá, ana\./);
+        assert.match(body, /nova senha:\ntoken-de-teste_123\n/);
+        assert.match(body, /expira em 2030-01-01T00:00:00\.000Z/);
+    });
+
+    it('não conecta ao servidor quando o usuário não tem e-mail', async () => {
+        const before = stub.connections();
+        await smtpNotifier.send({ to: null, user: { id: 8 }, subject: 'Teste', text: 'Sem destinatário' });
+        assert.strictEqual(stub.connections(), before);
+    });
+
+    it('informa falha quando o servidor recusa a mensagem', async () => {
+        const sent = stub.messages.length;
+        await assert.rejects(
+            smtpNotifier.send({ to: 'recusado@example.com', user: { id: 9 }, subject: 'Teste', text: 'Recusada' }),
+            { message: 'Erro ao enviar notificação.' }
+        );
+        assert.strictEqual(stub.messages.length, sent);
+    });
+});
@@ -0,0 +1,97 @@
+﻿// test/quizSchema.test.js
+// Schema estrito e correção dos quizzes do assistente de estudos (config/quizSchema.js). Rodar com: npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { validateQuiz, publicQuiz, gradeQuiz } = require('../config/quizSchema');
+
+const question = (n, overrides = {}) => ({ q: `Pergunta ${n}?`, opts: ['Sim', 'Não', 'Talvez'], ans: 'A', exp: `Porque ${n}.`, ...overrides });
+const quizWith = (...questions) => ({ title: 'Quiz', questions });
+
+describe('validateQuiz', () => {
+    it('aceita um quiz válido e o normaliza', () => {
+        const result = validateQuiz({
+            title: ' Quiz ',
+            extra: true,
+            questions: [question(1, { ans: ' c ', note: 'x' }), question(2, { opts: [' Sim', 'Não '] }), question(3)],
+        });
+        assert.deepStrictEqual(result.errors, []);
+        assert.strictEqual(result.valid, true);
+        assert.deepStrictEqual(result.quiz, {
+            title: 'Quiz',
+            questions: [
+                { q: 'Pergunta 1?', opts: ['Sim', 'Não', 'Talvez'], ans: 'C', exp: 'Porque 1.' },
+                { q: 'Pergunta 2?', opts: ['Sim', 'Não'], ans: 'A', exp: 'Porque 2.' },
+                { q: 'Pergunta 3?', opts: ['Sim', 'Não', 'Talvez'], ans: 'A', exp: 'Porque 3.' },
+            ],
+        });
+    });
+
+    it('rejeita estrutura e quantidade de perguntas inválidas', () => {
+        assert.deepStrictEqual(validateQuiz(null).errors, ['The quiz must be a JSON object with "title" and "questions".']);
+        assert.deepStrictEqual(validateQuiz({ questions: [] }).errors, [
+            '"title" must be a non-empty string.',
+            '"questions" must be an array with 3 to 5 questions (got 0).',
+        ]);
+        assert.deepStrictEqual(validateQuiz({ title: 'Quiz' }).errors, ['"questions" must be an array with 3 to 5 questions (got none).']);
+        const six = Array.from({ length: 6 }, (_, i) => question(i + 1));
+        assert.strictEqual(validateQuiz(quizWith(...six)).valid, false);
+    });
+
+    it('aponta cada problema das perguntas', () => {
+        const result = validateQuiz(quizWith(
+            question(1, { ans: 'D' }),
+            question(2, { opts: undefined }),
+            question(3, { opts: ['Sim', ' sim '] }),
+            question(1, { q: '  pergunta 1? ' }),
+            'texto'
+        ));
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.quiz, null);
+        assert.deepStrictEqual(result.errors, [
+            'Question 1: "ans" must be a single letter from A to C (got "D").',
+            'Question 2: "opts" must be an array with 2 to 6 options (got none).',
+            'Question 2: "ans" must be a single letter matching one of the options (got "A").',
+            'Question 3: duplicate option "sim".',
+            'Question 4: duplicate of question 1.',
+            'Question 5: must be an object with "q", "opts", "ans" and "exp".',
+        ]);
+    });
+
+    it('exige textos, resposta com uma única letra e explicação', () => {
+        const result = validateQuiz(quizWith(
+            question(1, { q: '' }),
+            question(2, { opts: ['Sim', 2] }),
+            question(3, { ans: 'AB' }),
+            question(4, { exp: ' ' })
+        ));
+        assert.deepStrictEqual(result.errors, [
+            'Question 1: "q" must be a non-empty string.',
+            'Question 2: every option in "opts" must be a non-empty string.',
+            'Question 3: "ans" must be a single letter from A to C (got "AB").',
+            'Question 4: "exp" must be a non-empty string explaining the correct answer.',
+        ]);
+    });
+});
+
+describe('publicQuiz e gradeQuiz', () => {
+    const quiz = validateQuiz(quizWith(question(1), question(2, { ans: 'B' }), question(3, { ans: 'C' }))).quiz;
+
+    it('envia o quiz ao cliente sem o gabarito', () => {
+        assert.deepStrictEqual(publicQuiz(quiz), {
+            title: 'Quiz',
+            questions: [1, 2, 3].map((n) => ({ q: `Pergunta ${n}?`, opts: ['Sim', 'Não', 'Talvez'] })),
+        });
+    });
+
+    it('corrige as respostas com a explicação de cada pergunta', () => {
+        assert.deepStrictEqual(gradeQuiz(quiz, ['A', 'C', 'C']), {
+            correct: 2,
+            total: 3,
+            results: [
+                { selected: 'A', answer: 'A', correct: true, explanation: 'Porque 1.' },
+                { selected: 'C', answer: 'B', correct: false, explanation: 'Porque 2.' },
+                { selected: 'C', answer: 'C', correct: true, explanation: 'Porque 3.' },
+            ],
+        });
+    });
+});
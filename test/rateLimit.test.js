@@ -0,0 +1,53 @@
+﻿// test/rateLimit.test.js
+// Rate limiting das rotas /api (arquivo próprio: o limite é lido na importação de server.js e cada arquivo de
+// teste roda em um processo separado). Usa o repositório em memória. Rodar com: npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+
+const MAX_REQUESTS = 3;
+
+describe('rate limiting', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        Object.assign(process.env, {
+            DATABASE_STORE: 'memory',
+            TOKEN_BLACKLIST_STORE: 'memory',
+            JWT_SECRET: 'test-access-secret',
+            JWT_REFRESH_SECRET: 'test-refresh-secret',
+            RATE_LIMIT_MAX_REQUESTS: String(MAX_REQUESTS),
+            RATE_LIMIT_WINDOW_MS: '15',
+        });
+        const app = require('../server');
+        server = app.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('responde 429 depois de RATE_LIMIT_MAX_REQUESTS requisições a /api', async () => {
+        for (let i = 0; i < MAX_REQUESTS; i++) {
+            const response = await fetch(`${baseUrl}/api/auth/profile`);
+            assert.strictEqual(response.status, 401);
+            assert.strictEqual(response.headers.get('ratelimit-remaining'), String(MAX_REQUESTS - i - 1));
+        }
+
+        const limited = await fetch(`${baseUrl}/api/auth/profile`);
+        assert.strictEqual(limited.status, 429);
+        assert.deepStrictEqual(await limited.json(), {
+            message: 'Muitas requisições originadas deste IP, por favor tente novamente mais tarde.',
+        });
+    });
+
+    it('não limita rotas fora de /api', async () => {
+        const response = await fetch(`${baseUrl}/`);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers.get('ratelimit-limit'), null);
+    });
+});
@@ -0,0 +1,99 @@
+﻿// test/registration.test.js
+// Registro com código de convite sob concorrência. Precisa de um PostgreSQL descartável com o schema
+// aplicado: defina TEST_DATABASE_URL (os testes são ignorados sem ela). Rodar com: npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+describe('registerUser (transacional)', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL não definida' }, () => {
+    let db;
+    let registerUser;
+    const prefix = `race_${Date.now().toString(36)}_`;
+    const codes = [];
+
+    before(() => {
+        // Variáveis lidas na importação dos módulos
+        process.env.DATABASE_STORE = 'postgres';
+        process.env.DATABASE_URL = TEST_DATABASE_URL;
+        process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-access-secret';
+        process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+        process.env.BCRYPT_SALT_ROUNDS = '4';
+        db = require('../config/database');
+        ({ registerUser } = require('../controllers/authController'));
+    });
+
+    after(async () => {
+        await db.pool.query('DELETE FROM users WHERE username LIKE $1', [`${prefix}%`]);
+        await db.pool.query('DELETE FROM invite_codes WHERE code = ANY($1::text[])', [codes]);
+        await db.pool.end();
+    });
+
+    async function createCode(options) {
+        const code = crypto.randomBytes(12).toString('hex');
+        codes.push(code);
+        await db.addInviteCode(code, null, options);
+        return code;
+    }
+
+    // Chama o controller com req/res mínimos e devolve { status, body }
+    function register(username, inviteCode) {
+        return new Promise((resolve) => {
+            const res = {
+                status(code) { this.statusCode = code; return this; },
+                json(body) { resolve({ status: this.statusCode, body }); return this; },
+            };
+            registerUser({ body: { username, password: 'secret12', inviteCode } }, res);
+        });
+    }
+
+    it('apenas um registro concorrente vence com um código de uso único', async () => {
+        const code = await createCode();
+        const results = await Promise.all(
+            Array.from({ length: 8 }, (_, i) => register(`${prefix}single_${i}`, code))
+        );
+
+        const created = results.filter((r) => r.status === 201);
+        const rejected = results.filter((r) => r.status === 400);
+        assert.strictEqual(created.length, 1);
+        assert.strictEqual(rejected.length, 7);
+        rejected.forEach((r) => assert.strictEqual(r.body.message, 'Código de convite já utilizado.'));
+
+        const codeData = await db.findInviteCode(code);
+        assert.strictEqual(codeData.use_count, 1);
+        assert.strictEqual(codeData.is_used, true);
+        assert.strictEqual(codeData.used_by, created[0].body.userId);
+        const users = await db.pool.query('SELECT id FROM users WHERE username LIKE $1', [`${prefix}single_%`]);
+        assert.strictEqual(users.rowCount, 1);
+    });
+
+    it('um código de vários usos aceita exatamente max_uses registros concorrentes', async () => {
+        const code = await createCode({ maxUses: 3 });
+        const results = await Promise.all(
+            Array.from({ length: 8 }, (_, i) => register(`${prefix}multi_${i}`, code))
+        );
+
+        assert.strictEqual(results.filter((r) => r.status === 201).length, 3);
+        assert.strictEqual(results.filter((r) => r.status === 400).length, 5);
+        const codeData = await db.findInviteCode(code);
+        assert.strictEqual(codeData.use_count, 3);
+        const users = await db.pool.query('SELECT id FROM users WHERE username LIKE $1', [`${prefix}multi_%`]);
+        assert.strictEqual(users.rowCount, 3);
+    });
+
+    it('falha ao criar o usuário desfaz a transação e não consome o código', async () => {
+        const takenCode = await createCode();
+        const first = await register(`${prefix}taken`, takenCode);
+        assert.strictEqual(first.status, 201);
+
+        const code = await createCode();
+        const duplicate = await register(`${prefix}taken`, code);
+        assert.strictEqual(duplicate.status, 409);
+
+        const codeData = await db.findInviteCode(code);
+        assert.strictEqual(codeData.use_count, 0);
+        assert.strictEqual(codeData.is_used, false);
+        assert.strictEqual(codeData.used_by, null);
+    });
+});
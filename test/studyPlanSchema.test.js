@@ -0,0 +1,55 @@
+﻿// test/studyPlanSchema.test.js
+// Schema do plano de estudo gerado pelo assistente de estudos (config/studyPlanSchema.js). Rodar com: npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { validateStudyPlan, DEFAULT_PLAN_RULES } = require('../config/studyPlanSchema');
+
+const section = (n, overrides = {}) => ({ title: `Seção ${n}`, objectives: [`Objetivo ${n}`], ...overrides });
+const planWith = (...sections) => ({ sections });
+
+describe('validateStudyPlan', () => {
+    it('aceita um plano válido e o normaliza', () => {
+        const result = validateStudyPlan({
+            extra: true,
+            sections: [section(1, { title: ' Seção 1 ', note: 'x' }), section(2, { objectives: [' A ', 'B '] }), section(3)],
+        });
+        assert.deepStrictEqual(result.errors, []);
+        assert.strictEqual(result.valid, true);
+        assert.deepStrictEqual(result.sections, [
+            { title: 'Seção 1', objectives: ['Objetivo 1'] },
+            { title: 'Seção 2', objectives: ['A', 'B'] },
+            { title: 'Seção 3', objectives: ['Objetivo 3'] },
+        ]);
+    });
+
+    it('rejeita estrutura e quantidade de seções inválidas', () => {
+        assert.deepStrictEqual(validateStudyPlan([]).errors, ['The study plan must be a JSON object with "sections".']);
+        assert.deepStrictEqual(validateStudyPlan({}).errors, ['"sections" must be an array with 3 to 8 sections (got none).']);
+        assert.deepStrictEqual(validateStudyPlan(planWith(section(1))).errors, ['"sections" must be an array with 3 to 8 sections (got 1).']);
+        const nine = Array.from({ length: 9 }, (_, i) => section(i + 1));
+        assert.strictEqual(validateStudyPlan(planWith(...nine)).valid, false);
+        assert.strictEqual(validateStudyPlan(planWith(...nine), { ...DEFAULT_PLAN_RULES, maxSections: 10 }).valid, true);
+    });
+
+    it('aponta cada problema das seções, inclusive títulos repetidos', () => {
+        const result = validateStudyPlan(planWith(
+            section(1, { title: '' }),
+            section(2, { objectives: [] }),
+            section(3, { objectives: ['Ok', ' '] }),
+            section(4, { title: '  seção 2 ', objectives: 'texto' }),
+            section(5, { title: 'x'.repeat(101) }),
+            'texto'
+        ));
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.sections, null);
+        assert.deepStrictEqual(result.errors, [
+            'Section 1: "title" must be a non-empty string of at most 100 characters.',
+            'Section 2: "objectives" must be an array with 1 to 5 learning objectives (got 0).',
+            'Section 3: every objective must be a non-empty string of at most 300 characters.',
+            'Section 4: "objectives" must be an array with 1 to 5 learning objectives (got none).',
+            'Section 4: same title as section 2; every section must cover different content.',
+            'Section 5: "title" must be a non-empty string of at most 100 characters.',
+            'Section 6: must be an object with "title" and "objectives".',
+        ]);
+    });
+});
@@ -0,0 +1,210 @@
+﻿// test/studySessions.test.js
+// Sessões de estudo do assistente de IA no repositório em memória e, se TEST_DATABASE_URL estiver definida,
+// também em um PostgreSQL descartável com o schema aplicado. Rodar com: npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+const stores = [
+    { name: 'memória', skip: false },
+    { name: 'PostgreSQL', skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL não definida' },
+];
+
+for (const store of stores) {
+    describe(`sessões de estudo (${store.name})`, { skip: store.skip }, () => {
+        let db;
+        let pool;
+        let owner;
+        let stranger;
+        const suffix = Date.now().toString(36);
+        const userIds = [];
+
+        before(async () => {
+            db = require('../config/database');
+            if (store.name === 'PostgreSQL') {
+                const { Pool } = require('pg');
+                const { createPostgresRepository } = require('../config/postgresRepository');
+                pool = new Pool({ connectionString: TEST_DATABASE_URL });
+                db.setRepository(createPostgresRepository(pool));
+            } else {
+                const { createMemoryRepository } = require('../config/memoryRepository');
+                db.setRepository(createMemoryRepository());
+            }
+            owner = await db.addUser({ username: `estudante_${suffix}`, passwordHash: 'x' });
+            stranger = await db.addUser({ username: `outro_${suffix}`, passwordHash: 'x' });
+            userIds.push(owner.id, stranger.id);
+        });
+
+        after(async () => {
+            if (pool) {
+                await pool.query('DELETE FROM users WHERE id = ANY($1::int[])', [userIds]);
+                await pool.end();
+            }
+        });
+
+        const quiz = { title: 'Quiz', questions: [{ q: 'Pergunta?', opts: ['A', 'B'], ans: 'A' }] };
+
+        it('guarda a sessão e o histórico na ordem, visíveis apenas ao dono', async () => {
+            const session = await db.addStudySession({
+                userId: owner.id,
+                title: 'Closures',
+                topic: 'Closures em JavaScript',
+                nextAction: 'quiz',
+                section: 1,
+                messages: [
+                    { sender: 'user', kind: 'message', text: 'Closures em JavaScript' },
+                    { sender: 'ai', kind: 'explanation', section: 1, text: 'Explicação' },
+                ],
+            });
+            assert.deepStrictEqual([session.next_action, session.section, session.user_id], ['quiz', 1, owner.id]);
+
+            const advanced = await db.advanceStudySession(session.id, owner.id, {
+                from: { nextAction: 'quiz', section: 1 },
+                to: { nextAction: 'explain', section: 2 },
+                messages: [{ sender: 'ai', kind: 'quiz', section: 1, quizData: quiz }],
+            });
+            assert.deepStrictEqual([advanced.next_action, advanced.section], ['explain', 2]);
+
+            const messages = await db.listStudyMessages(session.id);
+            assert.deepStrictEqual(messages.map((m) => [m.sender, m.kind, m.section, m.text]), [
+                ['user', 'message', null, 'Closures em JavaScript'],
+                ['ai', 'explanation', 1, 'Explicação'],
+                ['ai', 'quiz', 1, null],
+            ]);
+            assert.deepStrictEqual(messages[2].quiz_data, quiz);
+
+            assert.strictEqual(await db.findStudySession(session.id, stranger.id), null);
+            assert.strictEqual(await db.renameStudySession(session.id, stranger.id, 'x'), null);
+            assert.strictEqual(await db.deleteStudySession(session.id, stranger.id), false);
+            assert.strictEqual((await db.renameStudySession(session.id, owner.id, 'Novo título')).title, 'Novo título');
+        });
+
+        it('avança a etapa apenas uma vez com requisições simultâneas', async () => {
+            const session = await db.addStudySession({ userId: owner.id, title: 'Corrida', topic: 'Corrida' });
+            const change = {
+                from: { nextAction: 'explain', section: 1 },
+                to: { nextAction: 'quiz', section: 1 },
+                messages: [{ sender: 'ai', kind: 'explanation', section: 1, text: 'Explicação' }],
+            };
+            const results = await Promise.all(Array.from({ length: 5 }, () => db.advanceStudySession(session.id, owner.id, change)));
+            assert.strictEqual(results.filter(Boolean).length, 1);
+            assert.strictEqual((await db.listStudyMessages(session.id)).length, 1);
+        });
+
+        it('registra as respostas de um quiz uma única vez, adapta a etapa e atualiza o domínio do tópico', async () => {
+            const session = await db.addStudySession({
+                userId: owner.id,
+                title: 'Placar',
+                topic: 'Placar',
+                nextAction: 'explain',
+                section: 2,
+                messages: [{ sender: 'ai', kind: 'quiz', section: 1, quizData: quiz }, { sender: 'user', kind: 'message', text: 'Oi' }],
+            });
+            const [quizMessage, userMessage] = await db.listStudyMessages(session.id);
+            const result = {
+                answers: ['B'],
+                correct: 0,
+                next: { from: { nextAction: 'explain', section: 2 }, to: { nextAction: 'review', section: 1 } },
+                mastery: { topicKey: 'placar', topic: 'Placar', section: 1, value: 0 },
+            };
+
+            assert.strictEqual(await db.answerStudyQuiz(session.id, stranger.id, quizMessage.id, result), null);
+            assert.strictEqual(await db.answerStudyQuiz(session.id, owner.id, userMessage.id, result), null);
+            const attempts = await Promise.all(Array.from({ length: 3 }, () => db.answerStudyQuiz(session.id, owner.id, quizMessage.id, result)));
+            assert.strictEqual(attempts.filter(Boolean).length, 1);
+            const [{ session: updated, mastery }] = attempts.filter(Boolean);
+            assert.deepStrictEqual(
+                [updated.quiz_correct, updated.quiz_answered, updated.next_action, updated.section],
+                [0, 1, 'review', 1]
+            );
+            assert.deepStrictEqual([mastery.quizzes, mastery.correct, mastery.answered, mastery.mastery, mastery.last_score], [1, 0, 1, 0, 0]);
+
+            const [answered] = await db.listStudyMessages(session.id);
+            assert.deepStrictEqual([answered.quiz_answers, answered.quiz_correct], [['B'], 0]);
+            assert.ok(answered.answered_at instanceof Date);
+
+            // Outro quiz do mesmo tópico: soma no domínio; a etapa só muda se a sessão ainda estiver em `from`
+            const other = await db.addStudySession({
+                userId: owner.id,
+                title: 'Placar 2',
+                topic: 'Placar',
+                nextAction: 'quiz',
+                section: 3,
+                messages: [{ sender: 'ai', kind: 'quiz', section: 2, quizData: quiz }],
+            });
+            const [otherQuiz] = await db.listStudyMessages(other.id);
+            const second = await db.answerStudyQuiz(other.id, owner.id, otherQuiz.id, {
+                ...result,
+                answers: ['A'],
+                correct: 1,
+                next: { from: { nextAction: 'explain', section: 3 }, to: { nextAction: 'explain', section: 4 } },
+                mastery: { ...result.mastery, topic: 'placar', section: 2, value: 0.5 },
+            });
+            assert.deepStrictEqual([second.session.next_action, second.session.section], ['quiz', 3]);
+            assert.deepStrictEqual(
+                [second.mastery.topic, second.mastery.quizzes, second.mastery.correct, second.mastery.mastery, second.mastery.highest_section],
+                ['placar', 2, 1, 0.5, 2]
+            );
+            assert.deepStrictEqual(await db.findStudyMastery(owner.id, 'placar'), second.mastery);
+            assert.strictEqual(await db.findStudyMastery(stranger.id, 'placar'), null);
+
+            const { parseSort } = require('../config/pagination');
+            const sort = parseSort(undefined, db.STUDY_MASTERY_SORT_FIELDS, '-updatedAt');
+            const page = await db.listStudyMastery({ userId: owner.id, topicKey: 'placar', sort, limit: 10, offset: 0 });
+            assert.deepStrictEqual([page.total, page.rows[0].id], [1, second.mastery.id]);
+            assert.strictEqual((await db.listStudyMastery({ userId: owner.id, topicKey: 'outro', sort, limit: 10, offset: 0 })).total, 0);
+
+            await db.deleteStudySession(session.id, owner.id);
+            await db.deleteStudySession(other.id, owner.id);
+        });
+
+        it('guarda o plano de estudo sem substituir o plano editado pelo usuário', async () => {
+            const plan = [{ title: 'Base', objectives: ['Entender a base'] }, { title: 'Prática', objectives: ['Aplicar'] }];
+            const session = await db.addStudySession({ userId: owner.id, title: 'Plano', topic: 'Plano', plan });
+            assert.deepStrictEqual(session.plan, plan);
+            session.plan[0].title = 'Alterado fora do repositório';
+            assert.deepStrictEqual((await db.findStudySession(session.id, owner.id)).plan, plan);
+
+            const edited = [plan[1], plan[0]];
+            assert.strictEqual(await db.setStudyPlan(session.id, stranger.id, edited), null);
+            assert.deepStrictEqual((await db.setStudyPlan(session.id, owner.id, edited)).plan, edited);
+
+            // O plano gerado junto com a etapa só é guardado em sessões ainda sem plano
+            const generated = [{ title: 'Gerado', objectives: ['Objetivo'] }];
+            const advanced = await db.advanceStudySession(session.id, owner.id, {
+                from: { nextAction: 'explain', section: 1 },
+                to: { nextAction: 'quiz', section: 1 },
+                plan: generated,
+            });
+            assert.deepStrictEqual(advanced.plan, edited);
+
+            const unplanned = await db.addStudySession({ userId: owner.id, title: 'Sem plano', topic: 'Sem plano' });
+            assert.strictEqual(unplanned.plan, null);
+            const planned = await db.advanceStudySession(unplanned.id, owner.id, {
+                from: { nextAction: 'explain', section: 1 },
+                to: { nextAction: 'quiz', section: 1 },
+                plan: generated,
+            });
+            assert.deepStrictEqual(planned.plan, generated);
+
+            await db.deleteStudySession(session.id, owner.id);
+            await db.deleteStudySession(unplanned.id, owner.id);
+        });
+
+        it('lista as sessões do usuário com paginação e exclui com o histórico', async () => {
+            const { parseSort } = require('../config/pagination');
+            const sort = parseSort(undefined, db.STUDY_SESSION_SORT_FIELDS, '-updatedAt');
+            const page = await db.listStudySessions({ userId: owner.id, sort, limit: 1, offset: 0 });
+            assert.strictEqual(page.total, 2);
+            // limit + 1 linhas (a extra indica que há próxima página), as usadas mais recentemente primeiro
+            assert.deepStrictEqual(page.rows.map((row) => [row.title, row.message_count]), [['Corrida', 1], ['Novo título', 3]]);
+            assert.strictEqual((await db.listStudySessions({ userId: stranger.id, sort, limit: 10, offset: 0 })).total, 0);
+
+            const [session] = page.rows;
+            assert.strictEqual(await db.deleteStudySession(session.id, owner.id), true);
+            assert.strictEqual(await db.findStudySession(session.id, owner.id), null);
+            assert.deepStrictEqual(await db.listStudyMessages(session.id), []);
+        });
+    });
+}
@@ -0,0 +1,90 @@
+﻿// test/tokenBlacklist.test.js
+// Blacklist de tokens e de famílias de Refresh Tokens com o store em memória e, se TEST_DATABASE_URL estiver
+// definida, também com o store no PostgreSQL (schema já aplicado). Rodar com: npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+const stores = [
+    { name: 'memória', skip: false },
+    { name: 'PostgreSQL', skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL não definida' },
+];
+
+for (const store of stores) {
+    describe(`blacklist de tokens (${store.name})`, { skip: store.skip }, () => {
+        let blacklist;
+        let pool;
+        const prefix = `teste-${Date.now().toString(36)}`;
+        const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+        const oneSecondAgo = () => Math.floor(Date.now() / 1000) - 1;
+
+        before(() => {
+            blacklist = require('../config/tokenBlacklist');
+            if (store.name === 'PostgreSQL') {
+                const { Pool } = require('pg');
+                pool = new Pool({ connectionString: TEST_DATABASE_URL });
+                blacklist.setStore(blacklist.createPostgresStore(pool));
+            } else {
+                blacklist.setStore(blacklist.createMemoryStore());
+            }
+        });
+
+        after(async () => {
+            if (pool) {
+                await pool.query('DELETE FROM revoked_tokens WHERE jti LIKE $1', [`${prefix}%`]);
+                await pool.query('DELETE FROM revoked_token_families WHERE family_id LIKE $1', [`${prefix}%`]);
+                await pool.end();
+            }
+        });
+
+        it('revoga um JTI uma única vez e guarda a família e o motivo', async () => {
+            const jti = `${prefix}-jti`;
+            assert.strictEqual(await blacklist.isBlacklisted(jti), false);
+            assert.strictEqual(await blacklist.getRevocation(jti), null);
+
+            assert.strictEqual(await blacklist.addToBlacklist(jti, inOneHour(), { familyId: `${prefix}-fam`, reason: 'rotated' }), true);
+            assert.strictEqual(await blacklist.addToBlacklist(jti, inOneHour(), { reason: 'logout' }), false);
+
+            assert.strictEqual(await blacklist.isBlacklisted(jti), true);
+            assert.deepStrictEqual(await blacklist.getRevocation(jti), { familyId: `${prefix}-fam`, reason: 'rotated' });
+        });
+
+        it('usa "logout" como motivo padrão e ignora tokens sem JTI', async () => {
+            const jti = `${prefix}-padrao`;
+            await blacklist.addToBlacklist(jti, inOneHour());
+            assert.deepStrictEqual(await blacklist.getRevocation(jti), { familyId: null, reason: 'logout' });
+
+            assert.strictEqual(await blacklist.addToBlacklist(undefined, inOneHour()), false);
+            assert.strictEqual(await blacklist.isBlacklisted(undefined), false);
+            assert.strictEqual(await blacklist.getRevocation(undefined), null);
+        });
+
+        it('revoga famílias de Refresh Tokens', async () => {
+            const familyId = `${prefix}-familia`;
+            assert.strictEqual(await blacklist.isFamilyRevoked(familyId), false);
+            await blacklist.revokeTokenFamily(familyId, inOneHour());
+            // Revogar de novo (ex: logout após detecção de reuso) não falha
+            await blacklist.revokeTokenFamily(familyId, oneSecondAgo());
+            assert.strictEqual(await blacklist.isFamilyRevoked(familyId), true);
+            assert.strictEqual(await blacklist.isFamilyRevoked(undefined), false);
+        });
+
+        it('remove apenas as entradas expiradas', async () => {
+            await blacklist.addToBlacklist(`${prefix}-expirado`, oneSecondAgo());
+            await blacklist.revokeTokenFamily(`${prefix}-familia-expirada`, oneSecondAgo());
+            // A revogação mais longa da família prevalece sobre uma expiração anterior
+            await blacklist.revokeTokenFamily(`${prefix}-familia-estendida`, inOneHour());
+            await blacklist.revokeTokenFamily(`${prefix}-familia-estendida`, oneSecondAgo());
+
+            assert.ok(await blacklist.purgeExpired() >= 2);
+
+            assert.strictEqual(await blacklist.isBlacklisted(`${prefix}-expirado`), false);
+            assert.strictEqual(await blacklist.isFamilyRevoked(`${prefix}-familia-expirada`), false);
+            assert.strictEqual(await blacklist.isFamilyRevoked(`${prefix}-familia-estendida`), true);
+            assert.strictEqual(await blacklist.isBlacklisted(`${prefix}-jti`), true);
+            assert.strictEqual(await blacklist.isFamilyRevoked(`${prefix}-familia`), true);
+            assert.strictEqual(await blacklist.purgeExpired(), 0);
+        });
+    });
+}
@@ -0,0 +1,84 @@
+﻿// test/totp.test.js
+// TOTP (config/totp.js) contra os vetores de teste da RFC 6238 e a recusa de passos já usados. Rodar com: npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../config/totp');
+const { createMemoryRepository } = require('../config/memoryRepository');
+
+// Segredo dos vetores SHA1 da RFC 6238 (ASCII "12345678901234567890") em base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// [tempo em segundos, código de 8 dígitos da RFC]; os 6 dígitos usados pela API são os 6 últimos
+const RFC_VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130'],
+];
+
+describe('generateCode', () => {
+    it('reproduz os vetores de teste da RFC 6238', () => {
+        for (const [seconds, expected] of RFC_VECTORS) {
+            const step = totp.currentStep(seconds * 1000);
+            assert.strictEqual(totp.generateCode(RFC_SECRET, step), expected.slice(-6), `T = ${seconds}`);
+        }
+    });
+
+    it('aceita o segredo em minúsculas e com espaços, mas não caracteres fora do base32', () => {
+        assert.strictEqual(totp.generateCode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq', 1), '287082');
+        assert.throws(() => totp.generateCode('GEZDGNBV1', 1), /Segredo TOTP inválido/);
+    });
+});
+
+describe('verifyCode', () => {
+    const now = 1111111111 * 1000; // passo 37037037 (código 050471)
+    const step = totp.currentStep(now);
+
+    it('devolve o passo do código aceito dentro da janela', () => {
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, '050471', { now }), step);
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, '081804', { now }), step - 1);
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), { now }), step + 1);
+    });
+
+    it('recusa códigos fora da janela nas duas bordas', () => {
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), { now }), null);
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2), { now }), null);
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2), { now, window: 2 }), step + 2);
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, '081804', { now, window: 0 }), null);
+    });
+
+    it('usa o último segundo de cada passo como borda', () => {
+        // T = 1111111109 está no passo anterior ao de T = 1111111110 (início do passo 37037037)
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, '081804', { now: 1111111109 * 1000, window: 0 }), step - 1);
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, '081804', { now: 1111111110 * 1000, window: 0 }), null);
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, '050471', { now: 1111111110 * 1000, window: 0 }), step);
+    });
+
+    it('recusa códigos mal formados', () => {
+        for (const code of [undefined, '', '05047', '0504711', '05047a', ' 050471']) {
+            assert.strictEqual(totp.verifyCode(RFC_SECRET, code, { now }), null, JSON.stringify(code));
+        }
+    });
+
+    it('não aceita de novo um passo já usado (nem um anterior)', async () => {
+        const db = createMemoryRepository();
+        const user = await db.addUser({ username: 'totp', passwordHash: 'x' });
+        const accepted = totp.verifyCode(RFC_SECRET, '050471', { now });
+
+        assert.strictEqual(await db.markTotpStepUsed(user.id, accepted), true);
+        assert.strictEqual(await db.markTotpStepUsed(user.id, accepted), false);
+        assert.strictEqual(await db.markTotpStepUsed(user.id, totp.verifyCode(RFC_SECRET, '081804', { now })), false);
+        assert.strictEqual(await db.markTotpStepUsed(user.id, accepted + 1), true);
+    });
+});
+
+describe('buildOtpauthUri', () => {
+    it('monta a URI com o emissor e os parâmetros do TOTP', () => {
+        assert.strictEqual(
+            totp.buildOtpauthUri({ secret: RFC_SECRET, accountName: 'ana', issuer: 'Minha API' }),
+            `otpauth://totp/Minha%20API%3Aana?secret=${RFC_SECRET}&issuer=Minha%20API&algorithm=SHA1&digits=6&period=30`
+        );
+    });
+});